@@ -90,6 +90,17 @@ class API {
     return this.request('/auth/refresh', { method: 'POST' });
   }
 
+  async getCounsellorInvite(token) {
+    return this.request(`/auth/counsellor-invite/${encodeURIComponent(token)}`);
+  }
+
+  async acceptCounsellorInvite(data) {
+    return this.request('/auth/counsellor-invite', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    });
+  }
+
   // Chat endpoints
   async createChatSession(data = {}) {
     return this.request('/chat/session', {
@@ -109,6 +120,11 @@ class API {
     return this.request(`/chat/session/${sessionId}`);
   }
 
+  openChatStream(sessionId) {
+    // EventSource sends the same auth/anonymousId cookies as fetch
+    return new EventSource(`${this.baseURL}/stream/chat/${sessionId}`, { withCredentials: true });
+  }
+
   async updateChatConsent(sessionId, consentToSave) {
     return this.request(`/chat/session/${sessionId}/consent`, {
       method: 'PATCH',
@@ -116,11 +132,32 @@ class API {
     });
   }
 
+  async updateChatLanguage(sessionId, language) {
+    return this.request(`/chat/session/${sessionId}/language`, {
+      method: 'PATCH',
+      body: JSON.stringify({ language })
+    });
+  }
+
+  async startChatExercise(sessionId, exercise) {
+    return this.request(`/chat/session/${sessionId}/exercise`, {
+      method: 'POST',
+      body: JSON.stringify({ exercise })
+    });
+  }
+
+  async advanceChatExercise(sessionId, exerciseId, action, response) {
+    return this.request(`/chat/session/${sessionId}/exercise/${exerciseId}`, {
+      method: 'POST',
+      body: JSON.stringify({ action, response })
+    });
+  }
+
   // Screening endpoints
-  async submitScreening(type, answers, consent = true) {
+  async submitScreening(type, answers, consent = true, language = 'en') {
     return this.request(`/screenings/${type.toLowerCase()}`, {
       method: 'POST',
-      body: JSON.stringify({ answers, consent })
+      body: JSON.stringify({ answers, consent, language })
     });
   }
 
@@ -134,9 +171,65 @@ class API {
     return this.request(`/screenings/my?${params}`);
   }
 
+  async getScreeningTrends(type = null) {
+    return this.request(type ? `/screenings/trends/${type.toLowerCase()}` : '/screenings/trends');
+  }
+
+  async getScreeningReminders() {
+    return this.request('/screenings/reminders');
+  }
+
+  async setScreeningReminder(type, enabled) {
+    return this.request(`/screenings/reminders/${type.toLowerCase()}`, {
+      method: 'PUT',
+      body: JSON.stringify({ enabled })
+    });
+  }
+
+  // Notification endpoints
+  async getNotifications(unreadOnly = false) {
+    return this.request(unreadOnly ? '/notifications?unread=true' : '/notifications');
+  }
+
+  async markNotificationRead(id) {
+    return this.request(`/notifications/${id}/read`, {
+      method: 'PATCH'
+    });
+  }
+
+  async markAllNotificationsRead() {
+    return this.request('/notifications/read-all', {
+      method: 'POST'
+    });
+  }
+
   // Booking endpoints
-  async getCounsellors() {
-    return this.request('/counsellors');
+  async getCounsellors(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    const query = params.toString();
+    return this.request(`/counsellors${query ? `?${query}` : ''}`);
+  }
+
+  async getCounsellorSlots(counsellorId, from = null, to = null) {
+    const params = new URLSearchParams();
+    if (from) params.append('from', from.toISOString());
+    if (to) params.append('to', to.toISOString());
+    const query = params.toString();
+    return this.request(`/counsellors/${counsellorId}/slots${query ? `?${query}` : ''}`);
+  }
+
+  async getIntakeQuestions(language = 'en') {
+    return this.request(`/bookings/intake?lang=${language}`);
+  }
+
+  async triageIntake(intake, department = null, language = 'en') {
+    return this.request('/bookings/triage', {
+      method: 'POST',
+      body: JSON.stringify({ intake, language, ...(department ? { department } : {}) })
+    });
   }
 
   async createBooking(bookingData) {
@@ -152,6 +245,10 @@ class API {
     return this.request(`/bookings/my?${params}`);
   }
 
+  async getBooking(bookingId) {
+    return this.request(`/bookings/${bookingId}`);
+  }
+
   async updateBooking(bookingId, updates) {
     return this.request(`/bookings/${bookingId}`, {
       method: 'PATCH',
@@ -159,6 +256,91 @@ class API {
     });
   }
 
+  async updateBookingSharing(bookingId, sharing) {
+    return this.request(`/bookings/${bookingId}/sharing`, {
+      method: 'PATCH',
+      body: JSON.stringify(sharing)
+    });
+  }
+
+  async getBookingSharedHistory(bookingId) {
+    return this.request(`/bookings/${bookingId}/shared-history`);
+  }
+
+  // Private session notes (counsellors with a linked profile)
+  async getSessionNote(bookingId) {
+    return this.request(`/session-notes/bookings/${bookingId}`);
+  }
+
+  async saveSessionNote(bookingId, note) {
+    return this.request(`/session-notes/bookings/${bookingId}`, {
+      method: 'PUT',
+      body: JSON.stringify(note)
+    });
+  }
+
+  async signSessionNote(bookingId) {
+    return this.request(`/session-notes/bookings/${bookingId}/sign`, { method: 'POST' });
+  }
+
+  async getSessionNoteVersions(bookingId) {
+    return this.request(`/session-notes/bookings/${bookingId}/versions`);
+  }
+
+  async getCaseTimeline(bookingId) {
+    return this.request(`/session-notes/bookings/${bookingId}/timeline`);
+  }
+
+  async getBookingNotifications(bookingId) {
+    return this.request(`/bookings/${bookingId}/notifications`);
+  }
+
+  getBookingCalendarUrl(bookingId) {
+    // Plain link target; the response is an .ics download, not JSON
+    return `${this.baseURL}/bookings/${bookingId}/ics`;
+  }
+
+  async getCalendarFeeds() {
+    return this.request('/bookings/calendar-feed');
+  }
+
+  async createCalendarFeed(scope = 'STUDENT') {
+    return this.request('/bookings/calendar-feed', {
+      method: 'POST',
+      body: JSON.stringify({ scope })
+    });
+  }
+
+  async revokeCalendarFeed(scope = 'STUDENT') {
+    return this.request(`/bookings/calendar-feed?scope=${scope}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // Waitlist endpoints
+  async joinWaitlist(entryData) {
+    return this.request('/waitlist', {
+      method: 'POST',
+      body: JSON.stringify(entryData)
+    });
+  }
+
+  async getMyWaitlist() {
+    return this.request('/waitlist/my');
+  }
+
+  async leaveWaitlist(entryId) {
+    return this.request(`/waitlist/${entryId}`, { method: 'DELETE' });
+  }
+
+  async claimWaitlistOffer(offerId) {
+    return this.request(`/waitlist/offers/${offerId}/claim`, { method: 'POST' });
+  }
+
+  async declineWaitlistOffer(offerId) {
+    return this.request(`/waitlist/offers/${offerId}/decline`, { method: 'POST' });
+  }
+
   // Resource endpoints
   async getResources(page = 1, filters = {}) {
     const params = new URLSearchParams({ page: page.toString() });
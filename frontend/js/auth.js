@@ -286,6 +286,132 @@ class Auth {
     }, 100);
   }
 
+  // Counsellor invite emails link to /?counsellor_invite=<token>
+  static async handleCounsellorInvite() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('counsellor_invite');
+    if (!token) return;
+    
+    // Keep the token out of the address bar and browser history
+    params.delete('counsellor_invite');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    
+    let invite;
+    try {
+      const response = await api.getCounsellorInvite(token);
+      invite = response.invite;
+    } catch (error) {
+      UI.showToast(t('counsellor_invite_invalid'), 'error');
+      return;
+    }
+    
+    const user = app.currentUser;
+    const name = UI.sanitizeHTML(invite.counsellorName);
+    const email = UI.sanitizeHTML(user ? user.email : invite.email);
+    
+    const modalContent = user ? `
+      <p class="mb-4">${t('counsellor_invite_description', { name })}</p>
+      <p>${t('counsellor_invite_link_account', { email })}</p>
+    ` : `
+      <form id="counsellor-invite-form" class="space-y-4">
+        <p>${t('counsellor_invite_description', { name })}</p>
+        <p>${t('counsellor_invite_create_account', { email })}</p>
+        <div class="form-group">
+          <label for="invite-name" class="form-label">${t('full_name')}</label>
+          <input type="text" id="invite-name" class="form-input">
+        </div>
+        <div class="form-group">
+          <label for="invite-password" class="form-label">${t('password')}</label>
+          <input type="password" id="invite-password" class="form-input" required>
+          <div class="form-help">
+            ${t('password_requirements') || 'Minimum 8 characters required'}
+          </div>
+        </div>
+        <div class="form-group">
+          <label for="invite-confirm-password" class="form-label">${t('confirm_password')}</label>
+          <input type="password" id="invite-confirm-password" class="form-input" required>
+        </div>
+        <p class="text-sm text-muted">${t('counsellor_invite_have_account')}</p>
+      </form>
+    `;
+    
+    const buttons = [
+      {
+        text: t('cancel'),
+        class: 'btn-secondary',
+        onclick: () => UI.hideModal()
+      },
+      {
+        text: t('counsellor_invite_accept'),
+        class: 'btn-primary',
+        onclick: () => this.acceptCounsellorInvite(token, Boolean(user))
+      }
+    ];
+    
+    UI.showModal(t('counsellor_invite_title'), modalContent, buttons);
+    
+    const nameField = document.getElementById('invite-name');
+    if (nameField) nameField.value = invite.counsellorName;
+  }
+
+  static async acceptCounsellorInvite(token, isLoggedIn) {
+    const data = { token };
+    
+    if (!isLoggedIn) {
+      const password = document.getElementById('invite-password').value;
+      const confirmPassword = document.getElementById('invite-confirm-password').value;
+      
+      if (password !== confirmPassword) {
+        UI.showToast(t('error_password_mismatch') || 'Passwords do not match', 'error');
+        return;
+      }
+      
+      if (password.length < 8) {
+        UI.showToast(t('error_password_length') || 'Password must be at least 8 characters', 'error');
+        return;
+      }
+      
+      data.password = password;
+      data.name = document.getElementById('invite-name').value || undefined;
+    }
+    
+    try {
+      UI.showLoading(t('loading') || 'Loading...');
+      await api.acceptCounsellorInvite(data);
+      UI.hideModal();
+      
+      if (isLoggedIn) {
+        UI.showToast(t('counsellor_invite_linked'), 'success');
+        // The account may have been promoted to COUNSELLOR
+        await this.checkAuthStatus();
+        await app.checkAuthStatus();
+      } else {
+        UI.showToast(t('register_success') || 'Account created successfully! Please log in.', 'success');
+        setTimeout(() => {
+          this.showLoginModal();
+        }, 1000);
+      }
+    } catch (error) {
+      console.error('Counsellor invite error:', error);
+      let errorMessage = t('counsellor_invite_error');
+      
+      if (error.status === 404) {
+        errorMessage = t('counsellor_invite_invalid');
+      } else if (error.status === 403) {
+        errorMessage = t('counsellor_invite_wrong_account');
+      } else if (error.status === 409 && !isLoggedIn) {
+        errorMessage = t('counsellor_invite_account_exists');
+      } else if (error.message) {
+        errorMessage = error.message;
+      }
+      
+      UI.showToast(errorMessage, 'error');
+    } finally {
+      UI.hideLoading();
+    }
+  }
+
   static dispatchAuthChange() {
     window.dispatchEvent(new CustomEvent('authStateChanged', {
       detail: { 
@@ -0,0 +1,291 @@
+// Counsellor directory and booking form
+
+class Booking {
+  constructor() {
+    this.filters = {};
+    this.filterOptions = null;
+    this.counsellors = [];
+    this.counsellor = null;
+    this.slot = null;
+    this.isSubmitting = false;
+  }
+  
+  static async init() {
+    if (!Booking.instance) {
+      Booking.instance = new Booking();
+    }
+    
+    // The page markup is rebuilt on every visit, so start from the directory
+    Booking.instance.counsellor = null;
+    Booking.instance.slot = null;
+    await Booking.instance.loadCounsellors();
+    return Booking.instance;
+  }
+  
+  getContainer() {
+    return document.getElementById('booking-content');
+  }
+  
+  async loadCounsellors() {
+    const container = this.getContainer();
+    if (!container) return;
+    
+    try {
+      const response = await api.getCounsellors(this.filters);
+      this.counsellors = response.counsellors;
+      this.filterOptions = response.filters;
+      this.renderDirectory();
+    } catch (error) {
+      console.error('Failed to load counsellors:', error);
+      container.innerHTML = `<div class="alert alert-error">${t('booking_load_error')}</div>`;
+    }
+  }
+  
+  // Label for a profile value, e.g. counsellor_specialty_substance_use
+  label(group, value) {
+    const key = `counsellor_${group}_${value.toLowerCase().replace(/-/g, '_')}`;
+    const label = t(key);
+    return label === key ? value.replace(/[-_]/g, ' ').toLowerCase() : label;
+  }
+  
+  languageName(code) {
+    try {
+      return new Intl.DisplayNames([i18n.getCurrentLanguage()], { type: 'language' }).of(code);
+    } catch (error) {
+      return code;
+    }
+  }
+  
+  renderFilter(name, values, labelFor) {
+    const options = values
+      .map(value => `
+        <option value="${UI.sanitizeHTML(value)}" ${this.filters[name] === value ? 'selected' : ''}>
+          ${UI.sanitizeHTML(labelFor(value))}
+        </option>
+      `)
+      .join('');
+    
+    return `
+      <div class="form-group">
+        <label class="form-label" for="booking-filter-${name}">${t(`booking_filter_${name}`)}</label>
+        <select id="booking-filter-${name}" class="form-select" data-filter="${name}">
+          <option value="">${t('booking_filter_any')}</option>
+          ${options}
+        </select>
+      </div>
+    `;
+  }
+  
+  renderDirectory() {
+    const container = this.getContainer();
+    if (!container) return;
+    
+    const { specialties, languages, genders, modalities, departments } = this.filterOptions;
+    
+    container.innerHTML = `
+      <div class="booking-container">
+        <div class="booking-filters">
+          ${this.renderFilter('language', languages, code => this.languageName(code))}
+          ${this.renderFilter('specialty', specialties, value => this.label('specialty', value))}
+          ${this.renderFilter('gender', genders, value => this.label('gender', value))}
+          ${this.renderFilter('modality', modalities, value => this.label('modality', value))}
+          ${this.renderFilter('department', departments, value => value)}
+        </div>
+        <div id="booking-counsellors" class="resource-grid"></div>
+      </div>
+    `;
+    
+    container.querySelectorAll('[data-filter]').forEach(select => {
+      select.addEventListener('change', () => {
+        this.filters[select.dataset.filter] = select.value;
+        this.loadCounsellors();
+      });
+    });
+    
+    const list = container.querySelector('#booking-counsellors');
+    if (this.counsellors.length === 0) {
+      list.innerHTML = `
+        <div class="empty-state">
+          <p class="empty-state-description">${t('booking_no_counsellors')}</p>
+        </div>
+      `;
+      return;
+    }
+    
+    this.counsellors.forEach(counsellor => {
+      list.appendChild(this.renderCounsellorCard(counsellor));
+    });
+  }
+  
+  renderCounsellorCard(counsellor) {
+    const tags = (values, group) => values
+      .map(value => `<span class="peer-post-tag">${UI.sanitizeHTML(this.label(group, value))}</span>`)
+      .join('');
+    
+    const card = UI.createElement('div', {
+      className: 'card resource-card',
+      innerHTML: `
+        <div class="card-body">
+          <div class="flex items-center gap-4 mb-4">
+            ${counsellor.photoUrl ? `
+              <img src="${UI.sanitizeHTML(counsellor.photoUrl)}" alt="" class="counsellor-photo" loading="lazy">
+            ` : ''}
+            <div>
+              <h3 class="resource-card-title">${UI.sanitizeHTML(counsellor.name)}</h3>
+              <p class="text-sm text-muted">${UI.sanitizeHTML(counsellor.department || '')}</p>
+            </div>
+          </div>
+          ${counsellor.bio ? `<p class="resource-card-description">${UI.sanitizeHTML(counsellor.bio)}</p>` : ''}
+          <div class="peer-post-tags mb-2">${tags(counsellor.specialties, 'specialty')}</div>
+          ${counsellor.languages.length > 0 ? `
+            <p class="text-sm mb-2">
+              <strong>${t('booking_languages')}:</strong>
+              ${counsellor.languages.map(code => UI.sanitizeHTML(this.languageName(code))).join(', ')}
+            </p>
+          ` : ''}
+          <div class="peer-post-tags mb-4">${tags(counsellor.modalities, 'modality')}</div>
+          <button class="btn btn-primary" data-choose>${t('booking_choose')}</button>
+        </div>
+      `
+    });
+    
+    card.querySelector('[data-choose]').addEventListener('click', () => this.selectCounsellor(counsellor));
+    return card;
+  }
+  
+  async selectCounsellor(counsellor) {
+    try {
+      UI.showLoading(t('loading') || 'Loading...');
+      
+      const response = await api.getCounsellorSlots(counsellor.id);
+      this.counsellor = counsellor;
+      this.slot = null;
+      this.renderForm(response.slots);
+    } catch (error) {
+      console.error('Failed to load slots:', error);
+      UI.showToast(t('booking_load_error'), 'error');
+    } finally {
+      UI.hideLoading();
+    }
+  }
+  
+  renderForm(slots) {
+    const container = this.getContainer();
+    if (!container) return;
+    
+    const slotButtons = slots
+      .map(slot => `
+        <button type="button" class="btn btn-outline btn-sm" data-slot="${slot.start}">
+          ${UI.formatDate(slot.start, { weekday: 'short' })} ${UI.formatTime(slot.start)}
+        </button>
+      `)
+      .join('');
+    
+    container.innerHTML = `
+      <div class="booking-container card">
+        <div class="card-body">
+          <h3 class="text-2xl font-semibold mb-4">${UI.sanitizeHTML(this.counsellor.name)}</h3>
+          <form id="booking-form">
+            <div class="form-group">
+              <span class="form-label">${t('booking_date_time')}</span>
+              <div class="booking-slots">
+                ${slotButtons || `<p class="text-secondary">${t('booking_no_slots')}</p>`}
+              </div>
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="booking-contact">${t('booking_contact_preference')}</label>
+              <select id="booking-contact" class="form-select">
+                <option value="IN_APP">${t('booking_contact_in_app')}</option>
+                <option value="EMAIL">${t('booking_contact_email')}</option>
+                <option value="PHONE">${t('booking_contact_phone')}</option>
+              </select>
+            </div>
+            <div class="form-check">
+              <input type="checkbox" id="booking-anonymity" class="form-check-input">
+              <label class="form-check-label" for="booking-anonymity">
+                <strong>${t('booking_anonymity')}</strong> – ${t('booking_anonymity_description')}
+              </label>
+            </div>
+            <div class="form-check">
+              <input type="checkbox" id="booking-share-screenings" class="form-check-input">
+              <label class="form-check-label" for="booking-share-screenings">${t('booking_share_screenings')}</label>
+            </div>
+            <div class="form-check mb-4">
+              <input type="checkbox" id="booking-share-chat" class="form-check-input">
+              <label class="form-check-label" for="booking-share-chat">${t('booking_share_chat')}</label>
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="booking-notes">${t('booking_notes')}</label>
+              <textarea id="booking-notes" class="form-textarea" maxlength="500"></textarea>
+            </div>
+            <div class="flex gap-2">
+              <button type="button" class="btn btn-outline" id="booking-back">${t('booking_back')}</button>
+              <button type="submit" class="btn btn-primary" id="booking-submit" disabled>${t('booking_submit')}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+    
+    container.querySelectorAll('[data-slot]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.slot = button.dataset.slot;
+        container.querySelectorAll('[data-slot]').forEach(other => {
+          other.classList.toggle('btn-primary', other === button);
+          other.classList.toggle('btn-outline', other !== button);
+        });
+        container.querySelector('#booking-submit').disabled = false;
+      });
+    });
+    
+    container.querySelector('#booking-back').addEventListener('click', () => this.renderDirectory());
+    container.querySelector('#booking-form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.submitBooking();
+    });
+  }
+  
+  async submitBooking() {
+    if (this.isSubmitting || !this.slot) return;
+    
+    this.isSubmitting = true;
+    try {
+      UI.showLoading(t('loading') || 'Loading...');
+      
+      // Bookings are tied to the anonymous session when not logged in
+      if (!Auth.isLoggedIn()) {
+        await app.ensureAnonymousId();
+      }
+      
+      await api.createBooking({
+        counsellorId: this.counsellor.id,
+        timeSlot: this.slot,
+        contactPreference: document.getElementById('booking-contact').value,
+        anonymity: document.getElementById('booking-anonymity').checked,
+        shareScreenings: document.getElementById('booking-share-screenings').checked,
+        shareChatSummary: document.getElementById('booking-share-chat').checked,
+        notes: document.getElementById('booking-notes').value
+      });
+      
+      UI.showToast(t('booking_success'), 'success');
+      this.counsellor = null;
+      this.slot = null;
+      this.renderDirectory();
+    } catch (error) {
+      console.error('Failed to create booking:', error);
+      UI.showToast(error.status === 409 ? t('booking_slot_taken') : (error.message || t('booking_error')), 'error');
+      if (error.status === 409) {
+        this.selectCounsellor(this.counsellor);
+      }
+    } finally {
+      this.isSubmitting = false;
+      UI.hideLoading();
+    }
+  }
+  
+  static getInstance() {
+    return Booking.instance;
+  }
+}
+
+window.Booking = Booking;
@@ -4,7 +4,12 @@ class Chat {
   constructor() {
     this.currentSession = null;
     this.messages = [];
+    this.renderedMessageIds = new Set();
     this.isLoading = false;
+    this.stream = null;
+    this.counsellorActive = false;
+    this.exercise = null;
+    this.exerciseTimer = null;
   }
 
   static async init() {
@@ -65,6 +70,15 @@ class Chat {
         }
       });
     }
+    
+    // Keep bot replies in the language the student switches to
+    window.addEventListener('languageChanged', (e) => {
+      if (this.currentSession) {
+        api.updateChatLanguage(this.currentSession.id, e.detail.language).catch(error => {
+          console.error('Failed to update chat language:', error);
+        });
+      }
+    });
   }
 
   showConsentModal() {
@@ -115,10 +129,14 @@ class Chat {
     try {
       UI.showLoading('Starting chat session...');
       
-      const response = await api.createChatSession({ consentToSave });
+      const response = await api.createChatSession({
+        consentToSave,
+        language: i18n.getCurrentLanguage()
+      });
       
       if (response.success) {
         this.currentSession = response.session;
+        this.connectStream();
         
         // Add welcome message
         if (response.welcomeMessage) {
@@ -139,6 +157,141 @@ class Chat {
     }
   }
 
+  connectStream() {
+    // Without EventSource support the REST responses are used on their own
+    if (!window.EventSource || !this.currentSession) return;
+    
+    this.disconnectStream();
+    
+    try {
+      this.stream = api.openChatStream(this.currentSession.id);
+    } catch (error) {
+      console.warn('Failed to open chat stream, using request/response only:', error);
+      this.stream = null;
+      return;
+    }
+    
+    this.stream.addEventListener('message', (e) => {
+      const message = JSON.parse(e.data);
+      
+      if (message.sender === 'BOT') {
+        this.handleBotResponse(message);
+      } else if (message.sender === 'COUNSELLOR') {
+        this.handleCounsellorMessage(message);
+      }
+      // USER messages are echoes of our own sends
+    });
+    
+    this.stream.addEventListener('takeover', (e) => {
+      const { counsellorName } = JSON.parse(e.data);
+      this.counsellorActive = true;
+      this.addNotice(`${counsellorName} ${t('chat_counsellor_joined') || 'has joined the chat.'}`);
+    });
+    
+    this.stream.addEventListener('handback', () => {
+      this.counsellorActive = false;
+      this.addNotice(t('chat_counsellor_left') || 'The counsellor has left. The support assistant will reply from here.');
+    });
+    
+    this.stream.addEventListener('typing', (e) => {
+      const { isTyping } = JSON.parse(e.data);
+      this.setTypingIndicator(isTyping);
+    });
+    
+    this.stream.addEventListener('crisis', () => {
+      app.showCrisisBanner();
+    });
+    
+    this.stream.addEventListener('session_ended', () => {
+      this.disconnectStream();
+    });
+    
+    this.stream.onerror = () => {
+      // EventSource retries on its own unless the server refused the stream
+      if (this.stream && this.stream.readyState === EventSource.CLOSED) {
+        console.warn('Chat stream closed, falling back to request/response');
+        this.stream = null;
+      }
+    };
+  }
+
+  disconnectStream() {
+    if (this.stream) {
+      this.stream.close();
+      this.stream = null;
+    }
+    this.setTypingIndicator(false);
+  }
+
+  setTypingIndicator(isTyping) {
+    const messagesContainer = document.getElementById('chat-messages');
+    if (!messagesContainer) return;
+    
+    let indicator = document.getElementById('chat-typing-indicator');
+    
+    if (!isTyping) {
+      if (indicator) indicator.remove();
+      return;
+    }
+    
+    if (!indicator) {
+      indicator = document.createElement('div');
+      indicator.id = 'chat-typing-indicator';
+      indicator.className = 'chat-typing-indicator';
+      indicator.setAttribute('aria-live', 'polite');
+      indicator.textContent = t('chat_typing') || 'Support assistant is typing…';
+      messagesContainer.appendChild(indicator);
+      messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+  }
+
+  handleBotResponse(botResponse) {
+    // The same reply can arrive over the stream and in the REST response
+    if (this.renderedMessageIds.has(botResponse.id)) return;
+    
+    this.setTypingIndicator(false);
+    
+    this.addMessage({
+      id: botResponse.id,
+      sender: 'BOT',
+      text: botResponse.message,
+      createdAt: botResponse.createdAt,
+      quickReplies: botResponse.quickReplies,
+      exercises: botResponse.exercises,
+      category: botResponse.category,
+      severity: botResponse.severity
+    });
+    
+    // Show crisis banner if needed
+    if (botResponse.showCrisisBanner) {
+      app.showCrisisBanner();
+    }
+  }
+
+  handleCounsellorMessage(message) {
+    if (this.renderedMessageIds.has(message.id)) return;
+    
+    this.addMessage({
+      id: message.id,
+      sender: 'COUNSELLOR',
+      text: message.message,
+      senderName: message.counsellorName,
+      createdAt: message.createdAt
+    });
+  }
+
+  addNotice(text) {
+    const messagesContainer = document.getElementById('chat-messages');
+    if (!messagesContainer) return;
+    
+    const notice = document.createElement('div');
+    notice.className = 'chat-notice';
+    notice.setAttribute('role', 'status');
+    notice.textContent = text;
+    messagesContainer.appendChild(notice);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+
   async sendMessage() {
     const chatInput = document.getElementById('chat-input');
     if (!chatInput || !this.currentSession) return;
@@ -167,29 +320,15 @@ class Chat {
       // Send to server
       const response = await api.sendChatMessage(this.currentSession.id, text);
       
-      if (response.success) {
-        // Add bot response
-        const botMessage = {
-          id: response.botResponse.id,
-          sender: 'BOT',
-          text: response.botResponse.message,
-          createdAt: response.botResponse.createdAt,
-          quickReplies: response.botResponse.quickReplies,
-          category: response.botResponse.category,
-          severity: response.botResponse.severity
-        };
-        
-        this.addMessage(botMessage);
-        
-        // Show crisis banner if needed
-        if (response.botResponse.showCrisisBanner) {
-          app.showCrisisBanner();
-        }
+      // botResponse is null while a counsellor has taken over the chat
+      if (response.success && response.botResponse) {
+        this.handleBotResponse(response.botResponse);
       }
       
     } catch (error) {
       console.error('Failed to send message:', error);
       UI.showToast('Failed to send message', 'error');
+      this.setTypingIndicator(false);
       
       // Add error message
       this.addMessage({
@@ -209,6 +348,7 @@ class Chat {
     if (!messagesContainer) return;
     
     this.messages.push(message);
+    this.renderedMessageIds.add(message.id);
     
     const messageElement = this.createMessageElement(message);
     messagesContainer.appendChild(messageElement);
@@ -229,7 +369,11 @@ class Chat {
     
     const avatar = document.createElement('div');
     avatar.className = 'chat-message-avatar';
-    avatar.textContent = message.sender === 'USER' ? 'U' : 'AI';
+    const avatarLabels = { USER: 'U', BOT: 'AI', COUNSELLOR: 'C' };
+    avatar.textContent = avatarLabels[message.sender] || 'AI';
+    if (message.senderName) {
+      avatar.title = message.senderName;
+    }
     
     const contentDiv = document.createElement('div');
     contentDiv.className = 'chat-message-content';
@@ -267,12 +411,271 @@ class Chat {
       contentDiv.appendChild(quickRepliesDiv);
     }
     
+    // Offer guided exercises that fit the bot's reply
+    if (message.sender === 'BOT' && message.exercises && message.exercises.length > 0) {
+      const offersDiv = document.createElement('div');
+      offersDiv.className = 'chat-quick-replies';
+      
+      message.exercises.forEach(exercise => {
+        const offerBtn = document.createElement('button');
+        offerBtn.className = 'chat-quick-reply chat-exercise-offer';
+        offerBtn.textContent = `${t('exercise_try') || 'Try'}: ${exercise.title}`;
+        offerBtn.title = exercise.description;
+        offerBtn.addEventListener('click', () => this.startExercise(exercise.key));
+        offersDiv.appendChild(offerBtn);
+      });
+      
+      contentDiv.appendChild(offersDiv);
+    }
+    
     messageDiv.appendChild(avatar);
     messageDiv.appendChild(contentDiv);
     
     return messageDiv;
   }
 
+  async startExercise(key) {
+    if (!this.currentSession) return;
+    
+    try {
+      const response = await api.startChatExercise(this.currentSession.id, key);
+      this.renderExercise(response.exercise);
+    } catch (error) {
+      console.error('Failed to start exercise:', error);
+      UI.showToast(error.message || 'Failed to start exercise', 'error');
+    }
+  }
+
+  async submitExerciseStep(action, stepResponse) {
+    if (!this.currentSession || !this.exercise) return;
+    
+    this.stopExerciseTimer();
+    
+    try {
+      const response = await api.advanceChatExercise(this.currentSession.id, this.exercise.id, action, stepResponse);
+      
+      // A disclosure in a written answer ends the exercise with the crisis response
+      if (response.botResponse) {
+        this.clearExercise();
+        this.handleBotResponse(response.botResponse);
+        return;
+      }
+      
+      this.renderExercise(response.exercise);
+    } catch (error) {
+      console.error('Failed to update exercise:', error);
+      UI.showToast(error.message || 'Failed to update exercise', 'error');
+    }
+  }
+
+  clearExercise() {
+    this.stopExerciseTimer();
+    this.exercise = null;
+    document.querySelectorAll('.chat-exercise').forEach(card => card.remove());
+  }
+
+  stopExerciseTimer() {
+    if (this.exerciseTimer) {
+      clearInterval(this.exerciseTimer);
+      this.exerciseTimer = null;
+    }
+  }
+
+  renderExercise(exercise) {
+    const messagesContainer = document.getElementById('chat-messages');
+    this.clearExercise();
+    if (!messagesContainer) return;
+    
+    if (exercise.status === 'COMPLETED') {
+      this.addMessage({
+        id: `exercise-${exercise.id}-done`,
+        sender: 'BOT',
+        text: exercise.completionMessage,
+        createdAt: new Date().toISOString()
+      });
+      return;
+    }
+    
+    if (exercise.status !== 'ACTIVE') {
+      this.addNotice(t('exercise_stopped') || 'Exercise stopped. You can pick it up again any time.');
+      return;
+    }
+    
+    this.exercise = exercise;
+    const { step } = exercise;
+    
+    const card = document.createElement('div');
+    card.className = 'chat-exercise';
+    card.setAttribute('role', 'group');
+    card.setAttribute('aria-label', exercise.title);
+    
+    const header = document.createElement('div');
+    header.className = 'chat-exercise-header';
+    header.textContent = `${exercise.title} · ${exercise.stepIndex + 1}/${exercise.totalSteps}`;
+    
+    const prompt = document.createElement('p');
+    prompt.className = 'chat-exercise-prompt';
+    prompt.textContent = step.prompt;
+    
+    const body = document.createElement('div');
+    body.className = 'chat-exercise-body';
+    const readResponse = this.buildStepInput(step, body);
+    
+    const actions = document.createElement('div');
+    actions.className = 'chat-exercise-actions';
+    
+    const stopBtn = document.createElement('button');
+    stopBtn.className = 'btn btn-outline btn-sm';
+    stopBtn.textContent = t('exercise_stop') || 'Stop';
+    stopBtn.addEventListener('click', () => this.submitExerciseStep('abandon'));
+    actions.appendChild(stopBtn);
+    
+    if (exercise.stepIndex > 0) {
+      const backBtn = document.createElement('button');
+      backBtn.className = 'btn btn-outline btn-sm';
+      backBtn.textContent = t('exercise_back') || 'Back';
+      backBtn.addEventListener('click', () => this.submitExerciseStep('back'));
+      actions.appendChild(backBtn);
+    }
+    
+    const nextBtn = document.createElement('button');
+    nextBtn.className = 'btn btn-primary btn-sm';
+    nextBtn.textContent = t('exercise_continue') || 'Continue';
+    nextBtn.addEventListener('click', () => this.submitExerciseStep('next', readResponse()));
+    actions.appendChild(nextBtn);
+    
+    card.appendChild(header);
+    card.appendChild(prompt);
+    card.appendChild(body);
+    card.appendChild(actions);
+    messagesContainer.appendChild(card);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+
+  // Render the input for a step and return a function that reads its answer
+  buildStepInput(step, container) {
+    switch (step.type) {
+      case 'timer':
+        return this.buildTimer(step, container);
+      
+      case 'rating': {
+        const label = document.createElement('label');
+        label.className = 'chat-exercise-rating';
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = step.min;
+        input.max = step.max;
+        input.value = Math.round((step.min + step.max) / 2);
+        const value = document.createElement('span');
+        value.textContent = input.value;
+        input.addEventListener('input', () => {
+          value.textContent = input.value;
+        });
+        label.appendChild(input);
+        label.appendChild(value);
+        container.appendChild(label);
+        return () => parseInt(input.value, 10);
+      }
+      
+      case 'text': {
+        const textarea = document.createElement('textarea');
+        textarea.className = 'form-input';
+        textarea.rows = 3;
+        textarea.maxLength = 1000;
+        container.appendChild(textarea);
+        textarea.focus();
+        return () => textarea.value.trim();
+      }
+      
+      case 'list': {
+        const inputs = Array.from({ length: step.count }, (_, i) => {
+          const input = document.createElement('input');
+          input.type = 'text';
+          input.className = 'form-input';
+          input.maxLength = 200;
+          input.setAttribute('aria-label', `${i + 1}`);
+          container.appendChild(input);
+          return input;
+        });
+        inputs[0].focus();
+        return () => inputs.map(input => input.value.trim()).filter(Boolean);
+      }
+      
+      case 'checklist':
+      case 'choice': {
+        const inputType = step.type === 'choice' ? 'radio' : 'checkbox';
+        const name = `exercise-${step.id}`;
+        const inputs = step.items.map(item => {
+          const label = document.createElement('label');
+          label.className = 'chat-exercise-option';
+          const input = document.createElement('input');
+          input.type = inputType;
+          input.name = name;
+          input.value = item.id;
+          label.appendChild(input);
+          label.appendChild(document.createTextNode(` ${item.label}`));
+          container.appendChild(label);
+          return input;
+        });
+        const checked = () => inputs.filter(input => input.checked).map(input => input.value);
+        return step.type === 'choice' ? () => checked()[0] : checked;
+      }
+      
+      default:
+        return () => undefined;
+    }
+  }
+
+  buildTimer(step, container) {
+    const display = document.createElement('div');
+    display.className = 'chat-exercise-timer';
+    display.setAttribute('aria-live', 'polite');
+    
+    const startBtn = document.createElement('button');
+    startBtn.className = 'btn btn-outline btn-sm';
+    startBtn.textContent = t('exercise_start_timer') || 'Start';
+    
+    let completedCycles = 0;
+    
+    startBtn.addEventListener('click', () => {
+      startBtn.remove();
+      let phaseIndex = 0;
+      let remaining = step.phases[0].seconds;
+      
+      const show = () => {
+        display.textContent = `${step.phases[phaseIndex].label} · ${remaining} · ${completedCycles + 1}/${step.cycles}`;
+      };
+      show();
+      
+      this.exerciseTimer = setInterval(() => {
+        remaining -= 1;
+        if (remaining > 0) {
+          show();
+          return;
+        }
+        
+        phaseIndex += 1;
+        if (phaseIndex === step.phases.length) {
+          phaseIndex = 0;
+          completedCycles += 1;
+        }
+        
+        if (completedCycles === step.cycles) {
+          this.stopExerciseTimer();
+          display.textContent = t('exercise_timer_done') || 'Done';
+          return;
+        }
+        
+        remaining = step.phases[phaseIndex].seconds;
+        show();
+      }, 1000);
+    });
+    
+    container.appendChild(display);
+    container.appendChild(startBtn);
+    return () => ({ completedCycles });
+  }
+
   async updateConsent(consentToSave) {
     if (!this.currentSession) return;
     
@@ -296,6 +699,8 @@ class Chat {
     
     try {
       await api.endChatSession(this.currentSession.id);
+      this.disconnectStream();
+      this.clearExercise();
       
       this.addMessage({
         id: Date.now(),
@@ -319,7 +724,8 @@ class Chat {
 
     const transcript = this.messages.map(msg => {
       const time = UI.formatTime(msg.createdAt);
-      const sender = msg.sender === 'USER' ? 'You' : 'Support Assistant';
+      const senders = { USER: 'You', BOT: 'Support Assistant', COUNSELLOR: msg.senderName || 'Counsellor' };
+      const sender = senders[msg.sender] || 'Support Assistant';
       return `[${time}] ${sender}: ${msg.text}`;
     }).join('\n\n');
 
@@ -0,0 +1,285 @@
+// Screening history page with score trend charts, notifications and
+// follow-up reminder settings
+
+class HistoryPage {
+  constructor() {
+    this.trends = [];
+    this.notifications = [];
+    this.reminders = [];
+  }
+  
+  static async init() {
+    if (!HistoryPage.instance) {
+      HistoryPage.instance = new HistoryPage();
+    }
+    
+    await Promise.all([
+      HistoryPage.instance.loadNotifications(),
+      HistoryPage.instance.loadTrends(),
+      HistoryPage.instance.loadReminders()
+    ]);
+    return HistoryPage.instance;
+  }
+  
+  async loadTrends() {
+    const container = document.getElementById('screening-trends');
+    if (!container) return;
+    
+    try {
+      container.innerHTML = `<p class="text-center text-muted">${t('loading')}</p>`;
+      const response = await api.getScreeningTrends();
+      
+      this.trends = response.success ? response.trends : [];
+      this.render(container);
+    } catch (error) {
+      console.error('Failed to load screening trends:', error);
+      container.innerHTML = `<p class="text-center text-muted">${t('history_load_error')}</p>`;
+    }
+  }
+  
+  render(container) {
+    if (this.trends.length === 0) {
+      container.innerHTML = `
+        <div class="card text-center">
+          <div class="card-body">
+            <p class="text-secondary mb-4">${t('history_empty')}</p>
+            <a href="/screenings" class="btn btn-primary">${t('take_screening')}</a>
+          </div>
+        </div>
+      `;
+      return;
+    }
+    
+    container.innerHTML = this.trends.map(trend => this.renderTrend(trend)).join('');
+  }
+  
+  renderTrend(trend) {
+    const latest = trend.series[trend.series.length - 1];
+    const title = t(`screening_${trend.type.toLowerCase()}_title`);
+    const lastTaken = trend.daysSinceLast === 0
+      ? t('history_taken_today')
+      : t('history_days_since', { days: trend.daysSinceLast });
+    
+    return `
+      <div class="card trend-card">
+        <div class="card-body">
+          <div class="flex justify-between items-center mb-2">
+            <h3 class="text-xl font-semibold">${UI.sanitizeHTML(title)}</h3>
+            <span class="text-sm text-muted">${lastTaken}</span>
+          </div>
+          <p class="mb-4">
+            <strong>${latest.score} / ${trend.maxScore}</strong>
+            <span class="text-secondary">• ${UI.sanitizeHTML(this.bandLabel(latest.severityBand))}</span>
+          </p>
+          ${this.renderChart(trend)}
+          ${this.renderChange(trend.changeFromPrevious, 'history_change_previous')}
+          ${this.renderChange(trend.changeFromBaseline, 'history_change_baseline')}
+          ${trend.higherIsBetter ? `<p class="text-sm text-muted mt-2">${t('history_higher_is_better')}</p>` : ''}
+        </div>
+      </div>
+    `;
+  }
+  
+  renderChange(change, labelKey) {
+    if (!change) return '';
+    
+    const sign = change.delta > 0 ? '+' : '';
+    const status = change.status
+      ? `<span class="trend-status trend-status-${change.status}">${t(`history_status_${change.status.replace(/-/g, '_')}`)}</span>`
+      : '';
+    const clinical = change.clinicallySignificant
+      ? `<span class="trend-status trend-status-clinical">${t('history_clinically_significant')}</span>`
+      : '';
+    
+    return `
+      <p class="trend-change text-sm">
+        ${t(labelKey)}: <strong>${sign}${change.delta}</strong>
+        ${status}
+        ${clinical}
+      </p>
+    `;
+  }
+  
+  // Scores against time, with the clinical cut-off drawn as a dashed line
+  renderChart(trend) {
+    const width = 320;
+    const height = 140;
+    const padding = 12;
+    
+    const times = trend.series.map(point => new Date(point.createdAt).getTime());
+    const start = times[0];
+    const span = times[times.length - 1] - start || 1;
+    
+    const x = (time) => trend.series.length === 1
+      ? width / 2
+      : padding + ((time - start) / span) * (width - padding * 2);
+    const y = (score) => height - padding - (score / trend.maxScore) * (height - padding * 2);
+    
+    const points = trend.series.map((point, index) => `${x(times[index]).toFixed(1)},${y(point.score).toFixed(1)}`);
+    const markers = trend.series.map((point, index) => `
+      <circle cx="${x(times[index]).toFixed(1)}" cy="${y(point.score).toFixed(1)}" r="4" class="trend-point">
+        <title>${UI.formatDate(point.createdAt)}: ${point.score}</title>
+      </circle>
+    `).join('');
+    const cutoff = trend.clinicalCutoff !== null
+      ? `<line x1="${padding}" x2="${width - padding}" y1="${y(trend.clinicalCutoff)}" y2="${y(trend.clinicalCutoff)}" class="trend-cutoff"></line>`
+      : '';
+    
+    return `
+      <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img"
+           aria-label="${t('history_chart_label', { count: trend.count })}">
+        ${cutoff}
+        <polyline points="${points.join(' ')}" class="trend-line"></polyline>
+        ${markers}
+      </svg>
+      <div class="flex justify-between text-sm text-muted mb-2">
+        <span>${UI.formatDate(trend.series[0].createdAt)}</span>
+        <span>${UI.formatDate(trend.lastScreenedAt)}</span>
+      </div>
+    `;
+  }
+  
+  async loadNotifications() {
+    const container = document.getElementById('notification-list');
+    if (!container) return;
+    
+    try {
+      const response = await api.getNotifications(true);
+      this.notifications = response.success ? response.notifications : [];
+      this.renderNotifications(container);
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    }
+  }
+  
+  renderNotifications(container) {
+    if (this.notifications.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+    
+    const items = this.notifications.map(notification => `
+      <li class="notification-item" data-notification-id="${notification.id}">
+        <div>
+          <strong>${UI.sanitizeHTML(notification.title)}</strong>
+          <p class="text-sm text-secondary">${UI.sanitizeHTML(notification.body)}</p>
+          <span class="text-sm text-muted">${UI.formatDate(notification.createdAt)}</span>
+        </div>
+        ${notification.link ? `
+          <button class="btn btn-outline btn-sm" data-notification-link="${UI.sanitizeHTML(notification.link)}">
+            ${t('notifications_open')}
+          </button>
+        ` : ''}
+      </li>
+    `).join('');
+    
+    container.innerHTML = `
+      <div class="card">
+        <div class="card-body">
+          <div class="flex justify-between items-center mb-4">
+            <h3 class="text-xl font-semibold">${t('notifications_title')}</h3>
+            <button class="btn btn-outline btn-sm" id="notifications-mark-all">${t('notifications_mark_all_read')}</button>
+          </div>
+          <ul class="notification-list">${items}</ul>
+        </div>
+      </div>
+    `;
+    
+    container.querySelectorAll('[data-notification-link]').forEach(button => {
+      button.addEventListener('click', async () => {
+        const item = button.closest('[data-notification-id]');
+        await api.markNotificationRead(item.dataset.notificationId).catch(console.error);
+        app.updateNotificationCount();
+        Router.navigate(button.dataset.notificationLink);
+      });
+    });
+    
+    container.querySelector('#notifications-mark-all').addEventListener('click', async () => {
+      try {
+        await api.markAllNotificationsRead();
+        this.notifications = [];
+        this.renderNotifications(container);
+        app.updateNotificationCount();
+      } catch (error) {
+        console.error('Failed to mark notifications as read:', error);
+      }
+    });
+  }
+  
+  async loadReminders() {
+    const container = document.getElementById('screening-reminders');
+    if (!container) return;
+    
+    try {
+      const response = await api.getScreeningReminders();
+      this.reminders = response.success ? response.reminders : [];
+      this.renderReminders(container);
+    } catch (error) {
+      console.error('Failed to load reminder settings:', error);
+    }
+  }
+  
+  renderReminders(container) {
+    if (this.reminders.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+    
+    const rows = this.reminders.map(reminder => {
+      let status = t('reminders_none_scheduled');
+      if (!reminder.enabled) {
+        status = t('reminders_off');
+      } else if (reminder.nextReminderAt) {
+        status = t('reminders_next', { date: UI.formatDate(reminder.nextReminderAt) });
+      }
+      
+      return `
+        <label class="reminder-setting">
+          <input type="checkbox" data-reminder-type="${reminder.type}" ${reminder.enabled ? 'checked' : ''}>
+          <span>
+            <strong>${UI.sanitizeHTML(t(`screening_${reminder.type.toLowerCase()}_title`))}</strong>
+            <span class="text-sm text-muted">${status}</span>
+          </span>
+        </label>
+      `;
+    }).join('');
+    
+    container.innerHTML = `
+      <div class="card">
+        <div class="card-body">
+          <h3 class="text-xl font-semibold mb-2">${t('reminders_title')}</h3>
+          <p class="text-sm text-secondary mb-4">${t('reminders_description')}</p>
+          ${rows}
+        </div>
+      </div>
+    `;
+    
+    container.querySelectorAll('[data-reminder-type]').forEach(input => {
+      input.addEventListener('change', async () => {
+        input.disabled = true;
+        try {
+          const response = await api.setScreeningReminder(input.dataset.reminderType, input.checked);
+          this.reminders = response.reminders;
+          this.renderReminders(container);
+        } catch (error) {
+          console.error('Failed to update reminder setting:', error);
+          input.checked = !input.checked;
+          input.disabled = false;
+          UI.showToast(t('reminders_update_error'), 'error');
+        }
+      });
+    });
+  }
+  
+  bandLabel(band) {
+    const key = `screening_band_${band.replace(/-/g, '_')}`;
+    const label = t(key);
+    return label === key ? band.replace(/-/g, ' ') : label;
+  }
+  
+  static getInstance() {
+    return HistoryPage.instance;
+  }
+}
+
+window.HistoryPage = HistoryPage;
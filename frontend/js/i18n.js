@@ -67,7 +67,7 @@ class I18n {
       feature_chat_title: 'AI First-Aid Chat',
       feature_chat_desc: 'Get immediate support with our intelligent first-aid chat system.',
       feature_screening_title: 'Validated Screenings',
-      feature_screening_desc: 'Take PHQ-9 and GAD-7 screenings to assess your mental health.',
+      feature_screening_desc: 'Take PHQ-9, GAD-7 and other validated screenings to assess your mental health.',
       feature_counselling_title: 'Professional Counselling',
       feature_counselling_desc: 'Book confidential sessions with qualified counsellors.',
       feature_resources_title: 'Educational Resources',
@@ -106,6 +106,16 @@ class I18n {
       chat_consent_no: 'No, keep anonymous',
       chat_input_placeholder: 'Type your message here...',
       chat_send: 'Send',
+      chat_typing: 'Support assistant is typing…',
+      chat_counsellor_joined: 'has joined the chat.',
+      chat_counsellor_left: 'The counsellor has left. The support assistant will reply from here.',
+      exercise_try: 'Try',
+      exercise_continue: 'Continue',
+      exercise_back: 'Back',
+      exercise_stop: 'Stop',
+      exercise_stopped: 'Exercise stopped. You can pick it up again any time.',
+      exercise_start_timer: 'Start',
+      exercise_timer_done: 'Done',
       
       // Screenings
       screening_phq9_title: 'PHQ-9 Depression Screening',
@@ -120,6 +130,66 @@ class I18n {
       screening_option_3: 'Nearly every day',
       screening_results_title: 'Your Results',
       screening_recommendations_title: 'Recommendations',
+      screening_pss10_title: 'PSS-10 Perceived Stress Scale',
+      screening_k10_title: 'K10 Psychological Distress Scale',
+      screening_auditc_title: 'AUDIT-C Alcohol Use Screening',
+      screening_isi_title: 'ISI Insomnia Severity Index',
+      screening_who5_title: 'WHO-5 Well-Being Index',
+      screening_choose: 'Take validated assessments to better understand your mental health.',
+      screening_start: 'Start Assessment',
+      screening_question_of: 'Question {{current}} of {{total}}',
+      screening_back: 'Back',
+      screening_next: 'Next',
+      screening_submit: 'See Results',
+      screening_submitting: 'Scoring your answers...',
+      screening_load_error: 'Failed to load screening',
+      screening_submit_error: 'Failed to submit screening',
+      screening_disclaimer: 'Screenings are not a diagnosis. Please talk to a professional about your results.',
+      screening_take_another: 'Take Another Screening',
+      screening_book_counsellor: 'Book a Counsellor',
+      screening_safety_title: 'Your safety matters',
+      screening_safety_plan_title: 'What you can do right now',
+      screening_safety_helplines_title: 'Talk to someone now',
+      
+      // History
+      history_description: 'See how your screening scores have changed over time.',
+      history_empty: "You haven't saved any screening results yet.",
+      history_load_error: 'Failed to load your screening history',
+      history_taken_today: 'Last taken today',
+      history_days_since: 'Last taken {{days}} days ago',
+      history_change_previous: 'Since last time',
+      history_change_baseline: 'Since your first screening',
+      history_status_reliable_improvement: 'Reliable improvement',
+      history_status_reliable_deterioration: 'Reliable worsening',
+      history_status_no_reliable_change: 'No reliable change',
+      history_clinically_significant: 'Clinically significant',
+      history_higher_is_better: 'Higher scores mean better wellbeing.',
+      history_chart_label: 'Score trend across {{count}} screenings',
+      notifications_title: 'Notifications',
+      notifications_mark_all_read: 'Mark all as read',
+      notifications_open: 'Open',
+      reminders_title: 'Check-in reminders',
+      reminders_description: 'After a screening we can remind you to take it again, sooner if your score was higher. Reminders appear here and are sent by email.',
+      reminders_next: 'Next reminder {{date}}',
+      reminders_none_scheduled: 'No reminder scheduled',
+      reminders_off: 'Reminders off',
+      reminders_update_error: 'Failed to update reminder settings',
+      screening_band_minimal: 'Minimal',
+      screening_band_mild: 'Mild',
+      screening_band_moderate: 'Moderate',
+      screening_band_moderate_severe: 'Moderately severe',
+      screening_band_severe: 'Severe',
+      screening_band_low: 'Low',
+      screening_band_high: 'High',
+      screening_band_very_high: 'Very high',
+      screening_band_low_risk: 'Lower risk',
+      screening_band_increasing_risk: 'Increasing risk',
+      screening_band_higher_risk: 'Higher risk',
+      screening_band_possible_dependence: 'Possible dependence',
+      screening_band_none: 'No clinical insomnia',
+      screening_band_subthreshold: 'Subthreshold',
+      screening_band_very_low: 'Very low',
+      screening_band_good: 'Good',
       
       // Booking
       booking_title: 'Book a Counselling Session',
@@ -135,6 +205,50 @@ class I18n {
       booking_notes: 'Additional Notes (Optional)',
       booking_submit: 'Book Session',
       booking_success: 'Session booked successfully!',
+      booking_load_error: 'Failed to load counsellors',
+      booking_filter_language: 'Language',
+      booking_filter_specialty: 'Specialty',
+      booking_filter_gender: 'Gender',
+      booking_filter_modality: 'Session type',
+      booking_filter_department: 'Department',
+      booking_filter_any: 'Any',
+      booking_no_counsellors: 'No counsellors match these filters. Try removing one.',
+      booking_languages: 'Speaks',
+      booking_choose: 'Choose',
+      booking_back: 'Back',
+      booking_no_slots: 'No open slots in the next two weeks.',
+      booking_share_screenings: 'Share my saved screening results with this counsellor',
+      booking_share_chat: 'Share a summary of my saved chats with this counsellor',
+      booking_slot_taken: 'That time was just taken. Please pick another.',
+      booking_error: 'Could not book this session',
+      counsellor_specialty_anxiety: 'Anxiety',
+      counsellor_specialty_depression: 'Low mood',
+      counsellor_specialty_stress: 'Stress',
+      counsellor_specialty_relationships: 'Relationships',
+      counsellor_specialty_sleep: 'Sleep',
+      counsellor_specialty_substance_use: 'Substance use',
+      counsellor_specialty_grief: 'Grief and loss',
+      counsellor_specialty_lgbtq: 'LGBTQ+ support',
+      counsellor_specialty_trauma: 'Trauma',
+      counsellor_specialty_eating: 'Eating concerns',
+      counsellor_specialty_crisis: 'Crisis support',
+      counsellor_gender_woman: 'Woman',
+      counsellor_gender_man: 'Man',
+      counsellor_gender_non_binary: 'Non-binary',
+      counsellor_modality_in_person: 'In person',
+      counsellor_modality_phone: 'Phone',
+      counsellor_modality_video: 'Video',
+      counsellor_invite_title: 'Counsellor account',
+      counsellor_invite_description: 'You have been invited to manage the counselling profile of {{name}}.',
+      counsellor_invite_link_account: 'Link this profile to your account ({{email}})?',
+      counsellor_invite_create_account: 'Choose a password to create your counsellor account for {{email}}.',
+      counsellor_invite_have_account: 'Already have an account with this email? Log in, then open the invite link again.',
+      counsellor_invite_accept: 'Accept invite',
+      counsellor_invite_linked: 'Your account is now linked to the counsellor profile.',
+      counsellor_invite_invalid: 'This invite link is invalid or has expired.',
+      counsellor_invite_wrong_account: 'This invite was sent to a different email address. Log in with that account to accept it.',
+      counsellor_invite_account_exists: 'An account with this email already exists. Please log in and open the invite link again.',
+      counsellor_invite_error: 'Could not accept the invite',
       
       // Resources
       resources_title: 'Mental Health Resources',
@@ -223,7 +337,7 @@ class I18n {
       feature_chat_title: 'AI प्राथमिक सहायता चैट',
       feature_chat_desc: 'हमारे बुद्धिमान प्राथमिक सहायता चैट सिस्टम के साथ तत्काल सहायता प्राप्त करें।',
       feature_screening_title: 'मान्य स्क्रीनिंग',
-      feature_screening_desc: 'अपने मानसिक स्वास्थ्य का आकलन करने के लिए PHQ-9 और GAD-7 स्क्रीनिंग लें।',
+      feature_screening_desc: 'अपने मानसिक स्वास्थ्य का आकलन करने के लिए PHQ-9, GAD-7 और अन्य मान्य स्क्रीनिंग लें।',
       feature_counselling_title: 'पेशेवर काउंसलिंग',
       feature_counselling_desc: 'योग्य काउंसलर के साथ गोपनीय सत्र बुक करें।',
       feature_resources_title: 'शैक्षिक संसाधन',
@@ -244,6 +358,142 @@ class I18n {
       chat_disclaimer: 'यह चैट सामान्य सहायता प्रदान करता है और पेशेवर चिकित्सा सलाह का विकल्प नहीं है।',
       chat_input_placeholder: 'यहाँ अपना संदेश टाइप करें...',
       chat_send: 'भेजें',
+      chat_typing: 'सहायक टाइप कर रहा है…',
+      chat_counsellor_joined: 'चैट में शामिल हुए हैं।',
+      chat_counsellor_left: 'काउंसलर चले गए हैं। अब सहायक यहाँ से जवाब देगा।',
+      exercise_try: 'आज़माएं',
+      exercise_continue: 'आगे बढ़ें',
+      exercise_back: 'पीछे',
+      exercise_stop: 'रोकें',
+      exercise_stopped: 'अभ्यास रोक दिया गया। आप इसे कभी भी फिर से शुरू कर सकते हैं।',
+      exercise_start_timer: 'शुरू करें',
+      exercise_timer_done: 'पूरा हुआ',
+      
+      // Screenings
+      screening_phq9_title: 'PHQ-9 अवसाद स्क्रीनिंग',
+      screening_gad7_title: 'GAD-7 चिंता स्क्रीनिंग',
+      screening_pss10_title: 'PSS-10 अनुभव किया गया तनाव स्केल',
+      screening_k10_title: 'K10 मनोवैज्ञानिक परेशानी स्केल',
+      screening_auditc_title: 'AUDIT-C शराब सेवन स्क्रीनिंग',
+      screening_isi_title: 'ISI अनिद्रा गंभीरता सूचकांक',
+      screening_who5_title: 'WHO-5 कल्याण सूचकांक',
+      screening_choose: 'अपने मानसिक स्वास्थ्य को बेहतर समझने के लिए मान्य आकलन लें।',
+      screening_start: 'आकलन शुरू करें',
+      screening_consent_title: 'परिणाम सेव करने की सहमति',
+      screening_consent_description: 'आपके उत्तर बेहतर सहायता देने के लिए उपयोग किए जाएंगे। आप कभी भी इससे बाहर हो सकते हैं।',
+      screening_question_of: 'प्रश्न {{current}} / {{total}}',
+      screening_back: 'पीछे',
+      screening_next: 'अगला',
+      screening_submit: 'परिणाम देखें',
+      screening_submitting: 'आपके उत्तरों का स्कोर निकाला जा रहा है...',
+      screening_load_error: 'स्क्रीनिंग लोड नहीं हो सकी',
+      screening_submit_error: 'स्क्रीनिंग जमा नहीं हो सकी',
+      screening_results_title: 'आपके परिणाम',
+      screening_recommendations_title: 'सुझाव',
+      screening_disclaimer: 'स्क्रीनिंग निदान नहीं है। कृपया अपने परिणामों के बारे में किसी पेशेवर से बात करें।',
+      screening_take_another: 'दूसरी स्क्रीनिंग लें',
+      screening_book_counsellor: 'काउंसलर बुक करें',
+      screening_safety_title: 'आपकी सुरक्षा मायने रखती है',
+      screening_safety_plan_title: 'आप अभी क्या कर सकते हैं',
+      screening_safety_helplines_title: 'अभी किसी से बात करें',
+      
+      // History
+      history_description: 'देखें कि समय के साथ आपके स्क्रीनिंग स्कोर कैसे बदले हैं।',
+      history_empty: 'आपने अभी तक कोई स्क्रीनिंग परिणाम सेव नहीं किया है।',
+      history_load_error: 'आपका स्क्रीनिंग इतिहास लोड नहीं हो सका',
+      history_taken_today: 'आखिरी बार आज लिया',
+      history_days_since: 'आखिरी बार {{days}} दिन पहले लिया',
+      history_change_previous: 'पिछली बार से',
+      history_change_baseline: 'आपकी पहली स्क्रीनिंग से',
+      history_status_reliable_improvement: 'विश्वसनीय सुधार',
+      history_status_reliable_deterioration: 'विश्वसनीय गिरावट',
+      history_status_no_reliable_change: 'कोई विश्वसनीय बदलाव नहीं',
+      history_clinically_significant: 'चिकित्सकीय रूप से महत्वपूर्ण',
+      history_higher_is_better: 'अधिक स्कोर का अर्थ बेहतर भलाई है।',
+      history_chart_label: '{{count}} स्क्रीनिंग में स्कोर का रुझान',
+      notifications_title: 'सूचनाएँ',
+      notifications_mark_all_read: 'सभी को पढ़ा हुआ चिह्नित करें',
+      notifications_open: 'खोलें',
+      reminders_title: 'जाँच रिमाइंडर',
+      reminders_description: 'स्क्रीनिंग के बाद हम आपको इसे दोबारा लेने की याद दिला सकते हैं, स्कोर अधिक होने पर जल्दी। रिमाइंडर यहाँ दिखते हैं और ईमेल से भेजे जाते हैं।',
+      reminders_next: 'अगला रिमाइंडर {{date}}',
+      reminders_none_scheduled: 'कोई रिमाइंडर निर्धारित नहीं',
+      reminders_off: 'रिमाइंडर बंद',
+      reminders_update_error: 'रिमाइंडर सेटिंग अपडेट नहीं हो सकी',
+      screening_band_minimal: 'न्यूनतम',
+      screening_band_mild: 'हल्का',
+      screening_band_moderate: 'मध्यम',
+      screening_band_moderate_severe: 'मध्यम रूप से गंभीर',
+      screening_band_severe: 'गंभीर',
+      screening_band_low: 'कम',
+      screening_band_high: 'उच्च',
+      screening_band_very_high: 'बहुत उच्च',
+      screening_band_low_risk: 'कम जोखिम',
+      screening_band_increasing_risk: 'बढ़ता जोखिम',
+      screening_band_higher_risk: 'उच्च जोखिम',
+      screening_band_possible_dependence: 'संभावित निर्भरता',
+      screening_band_none: 'कोई चिकित्सकीय अनिद्रा नहीं',
+      screening_band_subthreshold: 'हल्की',
+      screening_band_very_low: 'बहुत कम',
+      screening_band_good: 'अच्छा',
+      
+      // Booking
+      booking_title: 'काउंसलिंग सत्र बुक करें',
+      booking_description: 'हमारे योग्य काउंसलरों में से किसी के साथ गोपनीय सत्र तय करें।',
+      booking_date_time: 'तारीख और समय',
+      booking_contact_preference: 'संपर्क का तरीका',
+      booking_contact_email: 'ईमेल',
+      booking_contact_phone: 'फ़ोन',
+      booking_contact_in_app: 'ऐप में संदेश',
+      booking_anonymity: 'गुमनाम सत्र',
+      booking_anonymity_description: 'आपकी व्यक्तिगत जानकारी काउंसलर के साथ साझा नहीं की जाएगी।',
+      booking_notes: 'अतिरिक्त नोट्स (वैकल्पिक)',
+      booking_submit: 'सत्र बुक करें',
+      booking_success: 'सत्र सफलतापूर्वक बुक हो गया!',
+      booking_load_error: 'काउंसलर लोड नहीं हो सके',
+      booking_filter_language: 'भाषा',
+      booking_filter_specialty: 'विशेषज्ञता',
+      booking_filter_gender: 'लिंग',
+      booking_filter_modality: 'सत्र का प्रकार',
+      booking_filter_department: 'विभाग',
+      booking_filter_any: 'कोई भी',
+      booking_no_counsellors: 'इन फ़िल्टरों से कोई काउंसलर मेल नहीं खाता। कोई एक फ़िल्टर हटाकर देखें।',
+      booking_languages: 'भाषाएं',
+      booking_choose: 'चुनें',
+      booking_back: 'वापस',
+      booking_no_slots: 'अगले दो हफ़्तों में कोई खाली समय नहीं है।',
+      booking_share_screenings: 'मेरे सेव किए गए स्क्रीनिंग परिणाम इस काउंसलर के साथ साझा करें',
+      booking_share_chat: 'मेरी सेव की गई चैट का सारांश इस काउंसलर के साथ साझा करें',
+      booking_slot_taken: 'यह समय अभी-अभी बुक हो गया। कृपया दूसरा समय चुनें।',
+      booking_error: 'यह सत्र बुक नहीं हो सका',
+      counsellor_specialty_anxiety: 'चिंता',
+      counsellor_specialty_depression: 'उदासी',
+      counsellor_specialty_stress: 'तनाव',
+      counsellor_specialty_relationships: 'रिश्ते',
+      counsellor_specialty_sleep: 'नींद',
+      counsellor_specialty_substance_use: 'नशे का उपयोग',
+      counsellor_specialty_grief: 'शोक और क्षति',
+      counsellor_specialty_lgbtq: 'LGBTQ+ सहायता',
+      counsellor_specialty_trauma: 'आघात',
+      counsellor_specialty_eating: 'खान-पान संबंधी समस्याएं',
+      counsellor_specialty_crisis: 'संकट सहायता',
+      counsellor_gender_woman: 'महिला',
+      counsellor_gender_man: 'पुरुष',
+      counsellor_gender_non_binary: 'नॉन-बाइनरी',
+      counsellor_modality_in_person: 'आमने-सामने',
+      counsellor_modality_phone: 'फ़ोन',
+      counsellor_modality_video: 'वीडियो',
+      counsellor_invite_title: 'काउंसलर खाता',
+      counsellor_invite_description: 'आपको {{name}} की काउंसलिंग प्रोफ़ाइल संभालने के लिए आमंत्रित किया गया है।',
+      counsellor_invite_link_account: 'क्या इस प्रोफ़ाइल को अपने खाते ({{email}}) से जोड़ें?',
+      counsellor_invite_create_account: '{{email}} के लिए काउंसलर खाता बनाने हेतु पासवर्ड चुनें।',
+      counsellor_invite_have_account: 'क्या इस ईमेल से पहले से खाता है? लॉग इन करें, फिर आमंत्रण लिंक दोबारा खोलें।',
+      counsellor_invite_accept: 'आमंत्रण स्वीकार करें',
+      counsellor_invite_linked: 'आपका खाता अब काउंसलर प्रोफ़ाइल से जुड़ गया है।',
+      counsellor_invite_invalid: 'यह आमंत्रण लिंक अमान्य है या समाप्त हो गया है।',
+      counsellor_invite_wrong_account: 'यह आमंत्रण किसी दूसरे ईमेल पते पर भेजा गया था। इसे स्वीकार करने के लिए उसी खाते से लॉग इन करें।',
+      counsellor_invite_account_exists: 'इस ईमेल से पहले से एक खाता है। कृपया लॉग इन करें और आमंत्रण लिंक दोबारा खोलें।',
+      counsellor_invite_error: 'आमंत्रण स्वीकार नहीं हो सका',
       
       // Error messages
       error_network: 'नेटवर्क त्रुटि। कृपया अपना कनेक्शन जांचें।',
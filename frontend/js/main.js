@@ -24,6 +24,9 @@ class App {
       // Check authentication status
       await this.checkAuthStatus();
       
+      // Opened from a counsellor invite email
+      Auth.handleCounsellorInvite();
+      
       // Initialize current page
       this.handleRouteChange();
       
@@ -257,6 +260,7 @@ class App {
       if (authButtons) authButtons.classList.add('hidden');
       if (userProfile) userProfile.classList.remove('hidden');
       if (userName) userName.textContent = this.currentUser.name || this.currentUser.email;
+      this.updateNotificationCount();
     } else {
       // User is not authenticated
       if (authButtons) authButtons.classList.remove('hidden');
@@ -264,6 +268,20 @@ class App {
     }
   }
 
+  async updateNotificationCount() {
+    const badge = document.getElementById('notification-count');
+    if (!badge) return;
+
+    try {
+      const response = await api.getNotifications(true);
+      const count = response.success ? response.unreadCount : 0;
+      badge.textContent = count;
+      badge.classList.toggle('hidden', count === 0);
+    } catch (error) {
+      badge.classList.add('hidden');
+    }
+  }
+
   toggleTheme() {
     const currentTheme = localStorage.getItem('theme') || 'light';
     const newTheme = currentTheme === 'light' ? 'dark' : 'light';
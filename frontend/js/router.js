@@ -6,14 +6,14 @@ class Router {
     this.currentRoute = null;
     this.init();
   }
-
+  
   static init() {
     if (!Router.instance) {
       Router.instance = new Router();
     }
     return Router.instance;
   }
-
+  
   constructor() {
     if (Router.instance) {
       return Router.instance;
@@ -25,7 +25,7 @@ class Router {
     this.setupEventListeners();
     Router.instance = this;
   }
-
+  
   setupRoutes() {
     // Define all routes
     this.routes.set('/', () => this.showHomePage());
@@ -42,13 +42,13 @@ class Router {
     // Handle initial route
     this.handleRoute();
   }
-
+  
   setupEventListeners() {
     // Handle browser back/forward
     window.addEventListener('popstate', () => {
       this.handleRoute();
     });
-
+    
     // Handle navigation clicks
     document.addEventListener('click', (e) => {
       const link = e.target.closest('a[href^="/"]');
@@ -59,7 +59,7 @@ class Router {
       }
     });
   }
-
+  
   handleRoute() {
     const path = window.location.pathname;
     const route = this.routes.get(path) || this.routes.get('/');
@@ -70,7 +70,7 @@ class Router {
       this.updateActiveNavLinks();
     }
   }
-
+  
   updateActiveNavLinks() {
     const navLinks = document.querySelectorAll('.nav-link');
     navLinks.forEach(link => {
@@ -81,19 +81,19 @@ class Router {
       }
     });
   }
-
+  
   static navigate(path, pushState = true) {
     if (pushState) {
       window.history.pushState(null, '', path);
     }
     Router.instance.handleRoute();
   }
-
+  
   showHomePage() {
     this.showPage('home-page');
     document.title = `${t('site_title')} - ${t('nav_home')}`;
   }
-
+  
   showChatPage() {
     this.showPage('chat-page');
     document.title = `${t('nav_chat')} - ${t('site_title')}`;
@@ -103,7 +103,7 @@ class Router {
       Chat.init();
     }
   }
-
+  
   showScreeningsPage() {
     this.showPage('screenings-page');
     document.title = `${t('nav_screenings')} - ${t('site_title')}`;
@@ -113,7 +113,7 @@ class Router {
       Screenings.init();
     }
   }
-
+  
   showBookingPage() {
     this.showPage('booking-page');
     document.title = `${t('nav_booking')} - ${t('site_title')}`;
@@ -123,7 +123,7 @@ class Router {
       Booking.init();
     }
   }
-
+  
   showResourcesPage() {
     this.showPage('resources-page');
     document.title = `${t('nav_resources')} - ${t('site_title')}`;
@@ -133,7 +133,7 @@ class Router {
       Resources.init();
     }
   }
-
+  
   showPeerSupportPage() {
     this.showPage('peer-support-page');
     document.title = `${t('nav_peer_support')} - ${t('site_title')}`;
@@ -143,7 +143,7 @@ class Router {
       PeerSupport.init();
     }
   }
-
+  
   showProfilePage() {
     if (!Auth.isLoggedIn()) {
       Auth.requireAuth(() => this.showProfilePage());
@@ -158,7 +158,7 @@ class Router {
       Profile.init();
     }
   }
-
+  
   showHistoryPage() {
     if (!Auth.isLoggedIn()) {
       Auth.requireAuth(() => this.showHistoryPage());
@@ -169,11 +169,11 @@ class Router {
     document.title = `${t('history')} - ${t('site_title')}`;
     
     // Initialize history if not already done
-    if (typeof History !== 'undefined') {
-      History.init();
+    if (typeof HistoryPage !== 'undefined') {
+      HistoryPage.init();
     }
   }
-
+  
   showAdminPage() {
     // Check admin access
     if (!Auth.isLoggedIn()) {
@@ -196,7 +196,7 @@ class Router {
       Admin.init();
     }
   }
-
+  
   showCrisisResourcesPage() {
     this.showPage('crisis-resources-page');
     document.title = `${t('crisis_resources')} - ${t('site_title')}`;
@@ -206,7 +206,7 @@ class Router {
       app.showCrisisResources();
     }
   }
-
+  
   showPage(pageId) {
     // Hide all pages
     const pages = document.querySelectorAll('.page');
@@ -215,7 +215,7 @@ class Router {
         page.classList.add('hidden');
       }
     });
-
+    
     // Show target page
     let targetPage = document.getElementById(pageId);
     
@@ -227,19 +227,19 @@ class Router {
     if (targetPage) {
       targetPage.classList.remove('hidden');
     }
-
+    
     // Scroll to top
     UI.scrollToTop();
   }
-
+  
   createPage(pageId) {
     const dynamicContent = document.getElementById('dynamic-content');
     if (!dynamicContent) return null;
-
+    
     const page = document.createElement('section');
     page.id = pageId;
     page.className = 'page';
-
+    
     // Add page-specific content based on pageId
     switch (pageId) {
       case 'chat-page':
@@ -260,14 +260,17 @@ class Router {
       case 'admin-page':
         page.innerHTML = this.getAdminPageContent();
         break;
+      case 'history-page':
+        page.innerHTML = this.getHistoryPageContent();
+        break;
       default:
         page.innerHTML = '<div class="text-center"><h2>Page Not Found</h2><p>The requested page could not be found.</p></div>';
     }
-
+    
     dynamicContent.appendChild(page);
     return page;
   }
-
+  
   getChatPageContent() {
     return `
       <div class="page-header text-center mb-8">
@@ -295,34 +298,89 @@ class Router {
       </div>
     `;
   }
-
+  
   getScreeningsPageContent() {
     return `
       <div class="page-header text-center mb-8">
         <h2 class="text-3xl font-bold mb-4" data-i18n="nav_screenings">Mental Health Screenings</h2>
-        <p class="text-lg text-secondary">Take validated assessments to better understand your mental health.</p>
+        <p class="text-lg text-secondary" data-i18n="screening_choose">Take validated assessments to better understand your mental health.</p>
       </div>
       
-      <div class="screening-options">
+      <div class="screening-options" id="screening-list">
         <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div class="card cursor-pointer" data-screening="phq9">
             <div class="card-body">
-              <h3 class="text-xl font-semibold mb-3">PHQ-9 Depression Screening</h3>
+              <h3 class="text-xl font-semibold mb-3" data-i18n="screening_phq9_title">PHQ-9 Depression Screening</h3>
               <p class="text-secondary mb-4">Assess symptoms of depression over the past 2 weeks.</p>
               <div class="flex justify-between items-center">
                 <span class="text-sm text-muted">9 questions • 2-3 minutes</span>
-                <button class="btn btn-primary">Start Assessment</button>
+                <button class="btn btn-primary" data-i18n="screening_start">Start Assessment</button>
               </div>
             </div>
           </div>
           
           <div class="card cursor-pointer" data-screening="gad7">
             <div class="card-body">
-              <h3 class="text-xl font-semibold mb-3">GAD-7 Anxiety Screening</h3>
+              <h3 class="text-xl font-semibold mb-3" data-i18n="screening_gad7_title">GAD-7 Anxiety Screening</h3>
               <p class="text-secondary mb-4">Evaluate anxiety symptoms and their impact.</p>
               <div class="flex justify-between items-center">
                 <span class="text-sm text-muted">7 questions • 1-2 minutes</span>
-                <button class="btn btn-primary">Start Assessment</button>
+                <button class="btn btn-primary" data-i18n="screening_start">Start Assessment</button>
+              </div>
+            </div>
+          </div>
+          
+          <div class="card cursor-pointer" data-screening="pss10">
+            <div class="card-body">
+              <h3 class="text-xl font-semibold mb-3" data-i18n="screening_pss10_title">PSS-10 Perceived Stress Scale</h3>
+              <p class="text-secondary mb-4">Measure how stressful your life has felt over the last month.</p>
+              <div class="flex justify-between items-center">
+                <span class="text-sm text-muted">10 questions • 2-3 minutes</span>
+                <button class="btn btn-primary" data-i18n="screening_start">Start Assessment</button>
+              </div>
+            </div>
+          </div>
+          
+          <div class="card cursor-pointer" data-screening="k10">
+            <div class="card-body">
+              <h3 class="text-xl font-semibold mb-3" data-i18n="screening_k10_title">K10 Psychological Distress Scale</h3>
+              <p class="text-secondary mb-4">Check your level of psychological distress over the past 30 days.</p>
+              <div class="flex justify-between items-center">
+                <span class="text-sm text-muted">10 questions • 2-3 minutes</span>
+                <button class="btn btn-primary" data-i18n="screening_start">Start Assessment</button>
+              </div>
+            </div>
+          </div>
+          
+          <div class="card cursor-pointer" data-screening="auditc">
+            <div class="card-body">
+              <h3 class="text-xl font-semibold mb-3" data-i18n="screening_auditc_title">AUDIT-C Alcohol Use Screening</h3>
+              <p class="text-secondary mb-4">Review your drinking and whether it may be putting you at risk.</p>
+              <div class="flex justify-between items-center">
+                <span class="text-sm text-muted">3 questions • 1 minute</span>
+                <button class="btn btn-primary" data-i18n="screening_start">Start Assessment</button>
+              </div>
+            </div>
+          </div>
+          
+          <div class="card cursor-pointer" data-screening="isi">
+            <div class="card-body">
+              <h3 class="text-xl font-semibold mb-3" data-i18n="screening_isi_title">ISI Insomnia Severity Index</h3>
+              <p class="text-secondary mb-4">Assess the nature and impact of sleep difficulties.</p>
+              <div class="flex justify-between items-center">
+                <span class="text-sm text-muted">7 questions • 1-2 minutes</span>
+                <button class="btn btn-primary" data-i18n="screening_start">Start Assessment</button>
+              </div>
+            </div>
+          </div>
+          
+          <div class="card cursor-pointer" data-screening="who5">
+            <div class="card-body">
+              <h3 class="text-xl font-semibold mb-3" data-i18n="screening_who5_title">WHO-5 Well-Being Index</h3>
+              <p class="text-secondary mb-4">Check in on your overall wellbeing over the past 2 weeks.</p>
+              <div class="flex justify-between items-center">
+                <span class="text-sm text-muted">5 questions • 1 minute</span>
+                <button class="btn btn-primary" data-i18n="screening_start">Start Assessment</button>
               </div>
             </div>
           </div>
@@ -332,7 +390,22 @@ class Router {
       <div id="screening-content"></div>
     `;
   }
-
+  
+  getHistoryPageContent() {
+    return `
+      <div class="page-header text-center mb-8">
+        <h2 class="text-3xl font-bold mb-4" data-i18n="history">My History</h2>
+        <p class="text-lg text-secondary" data-i18n="history_description">See how your screening scores have changed over time.</p>
+      </div>
+      
+      <div id="notification-list" class="mb-8"></div>
+      
+      <div id="screening-trends" class="trend-grid"></div>
+      
+      <div id="screening-reminders" class="mt-8"></div>
+    `;
+  }
+  
   getBookingPageContent() {
     return `
       <div class="page-header text-center mb-8">
@@ -348,7 +421,7 @@ class Router {
       </div>
     `;
   }
-
+  
   getResourcesPageContent() {
     return `
       <div class="page-header text-center mb-8">
@@ -378,7 +451,7 @@ class Router {
       </div>
     `;
   }
-
+  
   getPeerSupportPageContent() {
     return `
       <div class="page-header text-center mb-8">
@@ -398,7 +471,7 @@ class Router {
       </div>
     `;
   }
-
+  
   getAdminPageContent() {
     return `
       <div class="page-header mb-8">
@@ -425,21 +498,21 @@ class Router {
       </div>
     `;
   }
-
+  
   showPage(pageId) {
     // Hide home page
     const homePage = document.getElementById('home-page');
     if (homePage) {
       homePage.classList.add('hidden');
     }
-
+    
     // Hide all dynamic pages
     const dynamicContent = document.getElementById('dynamic-content');
     if (dynamicContent) {
       const pages = dynamicContent.querySelectorAll('.page');
       pages.forEach(page => page.classList.add('hidden'));
     }
-
+    
     // Show target page
     if (pageId === 'home-page') {
       if (homePage) {
@@ -456,24 +529,24 @@ class Router {
         targetPage.classList.remove('hidden');
       }
     }
-
+    
     // Update translations for new content
     if (typeof i18n !== 'undefined') {
       i18n.updatePageTranslations();
     }
-
+    
     // Scroll to top
     UI.scrollToTop();
   }
-
+  
   static getCurrentRoute() {
     return Router.instance?.currentRoute || window.location.pathname;
   }
-
+  
   static redirect(path) {
     window.location.href = path;
   }
-
+  
   static reload() {
     window.location.reload();
   }
@@ -0,0 +1,268 @@
+// Screening questionnaires (PHQ-9, GAD-7, PSS-10, K10, AUDIT-C, ISI, WHO-5)
+
+class Screenings {
+  constructor() {
+    this.screening = null;
+    this.answers = [];
+    this.currentIndex = 0;
+    this.isSubmitting = false;
+  }
+  
+  static async init() {
+    if (!Screenings.instance) {
+      Screenings.instance = new Screenings();
+    }
+    
+    Screenings.instance.setupEventListeners();
+    return Screenings.instance;
+  }
+  
+  setupEventListeners() {
+    // The screenings page is reused between visits, so bind each card once
+    document.querySelectorAll('[data-screening]').forEach(card => {
+      if (card.dataset.bound) return;
+      card.dataset.bound = 'true';
+      card.addEventListener('click', () => {
+        this.startScreening(card.dataset.screening);
+      });
+    });
+  }
+  
+  async startScreening(type) {
+    try {
+      UI.showLoading(t('loading') || 'Loading...');
+      
+      // Results are tied to the anonymous session when not logged in
+      if (!Auth.isLoggedIn()) {
+        await app.ensureAnonymousId();
+      }
+      
+      const response = await api.getScreeningQuestions(type, i18n.getCurrentLanguage());
+      if (!response.success) {
+        throw new Error('Failed to load screening');
+      }
+      
+      this.screening = response.screening;
+      this.answers = new Array(this.screening.questions.length).fill(null);
+      this.currentIndex = 0;
+      
+      this.toggleOptions(false);
+      this.renderQuestion();
+    } catch (error) {
+      console.error('Failed to start screening:', error);
+      UI.showToast(t('screening_load_error') || 'Failed to load screening', 'error');
+    } finally {
+      UI.hideLoading();
+    }
+  }
+  
+  toggleOptions(visible) {
+    const options = document.getElementById('screening-list');
+    if (options) {
+      options.classList.toggle('hidden', !visible);
+    }
+  }
+  
+  getContainer() {
+    return document.getElementById('screening-content');
+  }
+  
+  optionsFor(index) {
+    return this.screening.itemOptions?.[index] || this.screening.options;
+  }
+  
+  renderQuestion() {
+    const container = this.getContainer();
+    if (!container || !this.screening) return;
+    
+    const { questions, minValue } = this.screening;
+    const index = this.currentIndex;
+    const isLast = index === questions.length - 1;
+    const progress = Math.round((index / questions.length) * 100);
+    
+    container.innerHTML = `
+      <div class="screening-container">
+        <h3 class="text-2xl font-semibold mb-2">${UI.sanitizeHTML(this.screening.title)}</h3>
+        <p class="text-secondary mb-4">${UI.sanitizeHTML(this.screening.description)}</p>
+        <div class="screening-progress" role="progressbar" aria-valuenow="${progress}" aria-valuemin="0" aria-valuemax="100">
+          <div class="screening-progress-bar" style="width: ${progress}%"></div>
+        </div>
+        <div class="screening-question">
+          <p class="text-sm text-muted mb-2">
+            ${t('screening_question_of', { current: index + 1, total: questions.length })} • ${UI.sanitizeHTML(this.screening.timeframe)}
+          </p>
+          <p class="screening-question-text" id="screening-question-text">${UI.sanitizeHTML(questions[index])}</p>
+          <div class="screening-options" role="radiogroup" aria-labelledby="screening-question-text"></div>
+        </div>
+        ${isLast ? `
+          <label class="flex items-center gap-2 mb-4">
+            <input type="checkbox" id="screening-consent" checked>
+            <span>
+              <strong>${t('screening_consent_title')}</strong> –
+              ${t('screening_consent_description')}
+            </span>
+          </label>
+        ` : ''}
+        <div class="screening-navigation">
+          <button class="btn btn-outline" id="screening-back">${t('screening_back')}</button>
+          <button class="btn btn-primary" id="screening-next">
+            ${isLast ? t('screening_submit') : t('screening_next')}
+          </button>
+        </div>
+      </div>
+    `;
+    
+    const optionList = container.querySelector('.screening-options');
+    this.optionsFor(index).forEach((label, optionIndex) => {
+      const value = minValue + optionIndex;
+      const option = document.createElement('label');
+      option.className = 'screening-option';
+      option.classList.toggle('selected', this.answers[index] === value);
+      option.innerHTML = `
+        <input type="radio" name="screening-answer" value="${value}" ${this.answers[index] === value ? 'checked' : ''}>
+        <span>${UI.sanitizeHTML(label)}</span>
+      `;
+      option.querySelector('input').addEventListener('change', () => {
+        this.answers[index] = value;
+        optionList.querySelectorAll('.screening-option').forEach(el => el.classList.remove('selected'));
+        option.classList.add('selected');
+        container.querySelector('#screening-next').disabled = false;
+      });
+      optionList.appendChild(option);
+    });
+    
+    const nextButton = container.querySelector('#screening-next');
+    nextButton.disabled = this.answers[index] === null;
+    nextButton.addEventListener('click', () => {
+      if (isLast) {
+        this.submitScreening();
+      } else {
+        this.currentIndex++;
+        this.renderQuestion();
+      }
+    });
+    
+    container.querySelector('#screening-back').addEventListener('click', () => {
+      if (index === 0) {
+        this.reset();
+      } else {
+        this.currentIndex--;
+        this.renderQuestion();
+      }
+    });
+  }
+  
+  async submitScreening() {
+    if (this.isSubmitting || this.answers.includes(null)) return;
+    
+    const consentInput = document.getElementById('screening-consent');
+    const consent = consentInput ? consentInput.checked : true;
+    
+    this.isSubmitting = true;
+    try {
+      UI.showLoading(t('screening_submitting') || 'Scoring your answers...');
+      
+      const response = await api.submitScreening(
+        this.screening.type, this.answers, consent, i18n.getCurrentLanguage()
+      );
+      
+      if (response.success) {
+        this.renderResults(response.results);
+      }
+    } catch (error) {
+      console.error('Failed to submit screening:', error);
+      UI.showToast(error.message || t('screening_submit_error'), 'error');
+    } finally {
+      this.isSubmitting = false;
+      UI.hideLoading();
+    }
+  }
+  
+  renderResults(results) {
+    const container = this.getContainer();
+    if (!container) return;
+    
+    const recommendations = (results.recommendations || [])
+      .map(item => `<li>${UI.sanitizeHTML(item)}</li>`)
+      .join('');
+    
+    container.innerHTML = `
+      <div class="screening-container">
+        ${results.safety ? this.renderSafety(results.safety) : ''}
+        <div class="screening-results">
+          <h3 class="text-2xl font-semibold mb-4">${t('screening_results_title')}</h3>
+          <p class="text-secondary mb-2">${UI.sanitizeHTML(this.screening.title)}</p>
+          <div class="screening-score">${results.score} / ${results.maxScore}</div>
+          <div class="screening-severity">${UI.sanitizeHTML(this.bandLabel(results.severityBand))}</div>
+          <p class="screening-interpretation">${UI.sanitizeHTML(results.interpretation)}</p>
+          ${recommendations ? `
+            <div class="screening-recommendations">
+              <h4>${t('screening_recommendations_title')}</h4>
+              <ul>${recommendations}</ul>
+            </div>
+          ` : ''}
+          <p class="text-sm text-muted mt-4">${t('screening_disclaimer')}</p>
+          <div class="screening-navigation">
+            <button class="btn btn-outline" id="screening-another">${t('screening_take_another')}</button>
+            <button class="btn btn-primary" id="screening-book">${t('screening_book_counsellor')}</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    container.querySelector('#screening-another').addEventListener('click', () => this.reset());
+    container.querySelector('#screening-book').addEventListener('click', () => Router.navigate('/booking'));
+  }
+  
+  // Shown above the score when an answer needs a safety response (e.g. PHQ-9 item 9)
+  renderSafety(safety) {
+    const steps = safety.safetyPlan
+      .map(step => `<li>${UI.sanitizeHTML(step)}</li>`)
+      .join('');
+    const helplines = (safety.helplines || [])
+      .map(helpline => `
+        <li>
+          <strong>${UI.sanitizeHTML(helpline.title)}</strong>:
+          <a href="tel:${encodeURIComponent(helpline.phone)}">${UI.sanitizeHTML(helpline.phone)}</a>
+        </li>
+      `)
+      .join('');
+    
+    return `
+      <div class="alert alert-error screening-safety mb-6" role="alert">
+        <h4 class="font-semibold mb-2">${t('screening_safety_title')}</h4>
+        <p class="mb-4">${UI.sanitizeHTML(safety.message)}</p>
+        <h5 class="font-medium mb-2">${t('screening_safety_plan_title')}</h5>
+        <ol class="screening-safety-plan mb-4">${steps}</ol>
+        ${helplines ? `
+          <h5 class="font-medium mb-2">${t('screening_safety_helplines_title')}</h5>
+          <ul class="screening-safety-helplines">${helplines}</ul>
+        ` : ''}
+      </div>
+    `;
+  }
+  
+  bandLabel(band) {
+    const key = `screening_band_${band.replace(/-/g, '_')}`;
+    const label = t(key);
+    return label === key ? band.replace(/-/g, ' ') : label;
+  }
+  
+  reset() {
+    this.screening = null;
+    this.answers = [];
+    this.currentIndex = 0;
+    
+    const container = this.getContainer();
+    if (container) {
+      container.innerHTML = '';
+    }
+    this.toggleOptions(true);
+  }
+  
+  static getInstance() {
+    return Screenings.instance;
+  }
+}
+
+window.Screenings = Screenings;
@@ -39,45 +39,79 @@ async function main() {
         name: 'Dr. Sarah Johnson',
         department: 'Psychology',
         officeHours: 'Mon-Fri 9:00 AM - 5:00 PM',
+        hours: { weekdays: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '17:00' },
         room: 'Psychology Building, Room 201',
         email: 'sarah.johnson@example.com',
         phone: '+1-555-0101',
+        specialties: ['anxiety', 'stress', 'sleep'],
+        languages: ['en', 'hi'],
+        modalities: ['IN_PERSON', 'VIDEO'],
+        bio: 'Supports students with anxiety, exam stress and sleep problems, using CBT-based approaches.',
         isActive: true
       },
       {
         name: 'Dr. Michael Chen',
         department: 'Counseling Services',
         officeHours: 'Tue-Thu 10:00 AM - 6:00 PM',
+        hours: { weekdays: [2, 3, 4], startTime: '10:00', endTime: '18:00' },
         room: 'Student Services Building, Room 150',
         email: 'michael.chen@example.com',
         phone: '+1-555-0102',
+        specialties: ['stress', 'relationships'],
+        languages: ['en'],
+        modalities: ['IN_PERSON', 'PHONE', 'VIDEO'],
+        bio: 'Works with students on academic pressure, relationships and family conflict.',
         isActive: true
       },
       {
         name: 'Dr. Emily Rodriguez',
         department: 'Clinical Psychology',
         officeHours: 'Mon, Wed, Fri 1:00 PM - 7:00 PM',
+        hours: { weekdays: [1, 3, 5], startTime: '13:00', endTime: '19:00' },
         room: 'Health Center, Room 302',
         email: 'emily.rodriguez@example.com',
         phone: '+1-555-0103',
+        specialties: ['depression', 'anxiety', 'crisis'],
+        languages: ['en', 'hi', 'mr'],
+        modalities: ['IN_PERSON', 'VIDEO'],
+        bio: 'Clinical psychologist experienced in depression, anxiety and crisis support.',
         isActive: true
       },
       {
         name: 'Dr. James Wilson',
         department: 'Psychiatric Services',
         officeHours: 'Mon-Thu 8:00 AM - 4:00 PM',
+        hours: { weekdays: [1, 2, 3, 4], startTime: '08:00', endTime: '16:00' },
         room: 'Medical Center, Room 450',
         email: 'james.wilson@example.com',
         phone: '+1-555-0104',
+        specialties: ['depression', 'substance-use', 'crisis'],
+        languages: ['en'],
+        modalities: ['IN_PERSON', 'PHONE'],
+        bio: 'Psychiatric services for depression and substance use, including crisis assessment.',
         isActive: true
       }
     ];
 
-    for (const counsellor of counsellors) {
-      await prisma.counsellor.upsert({
+    for (const { hours, ...counsellor } of counsellors) {
+      // Sample counsellors keep US office hours; bookable slots come from these rules
+      const data = { ...counsellor, timezone: 'America/New_York' };
+      const saved = await prisma.counsellor.upsert({
         where: { email: counsellor.email },
-        update: counsellor,
-        create: counsellor
+        update: data,
+        create: data
+      });
+
+      await prisma.availabilityRule.deleteMany({
+        where: { counsellorId: saved.id }
+      });
+      await prisma.availabilityRule.createMany({
+        data: hours.weekdays.map(weekday => ({
+          counsellorId: saved.id,
+          weekday,
+          startTime: hours.startTime,
+          endTime: hours.endTime
+        }))
       });
     }
 
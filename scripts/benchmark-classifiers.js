@@ -0,0 +1,43 @@
+// Benchmark every chat classifier engine against a labelled fixture set
+// Usage: node scripts/benchmark-classifiers.js [path/to/fixtures.json]
+
+const path = require('path');
+const { getEngine, listEngines, classifyWithEngine } = require('../server/services/classifiers');
+const { evaluate } = require('../server/services/classifiers/benchmark');
+
+const fixturePath = path.resolve(process.argv[2] || path.join(__dirname, '../tests/fixtures/chatClassification.json'));
+
+async function main() {
+  const fixtures = require(fixturePath);
+  console.log(`📊 Benchmarking ${listEngines().length} classifier engines on ${fixtures.length} examples`);
+  console.log(`📁 Fixtures: ${fixturePath}\n`);
+  
+  const rows = [];
+  for (const { name } of listEngines()) {
+    // Raw engine output, then the runtime pipeline with the keyword safety floor
+    const raw = await evaluate(getEngine(name).classify, fixtures);
+    const guarded = await evaluate((text, history, screenings) => classifyWithEngine(name, text, history, screenings), fixtures);
+    
+    rows.push({
+      engine: name,
+      accuracy: raw.accuracy,
+      crisisRecall: raw.crisisRecall,
+      crisisPrecision: raw.crisisPrecision,
+      guardedCrisisRecall: guarded.crisisRecall,
+      meanLatencyMs: raw.meanLatencyMs
+    });
+    
+    if (raw.misclassified.length > 0) {
+      console.log(`❌ ${name} misclassified ${raw.misclassified.length}:`);
+      raw.misclassified.forEach(m => console.log(`   "${m.text}" expected ${m.expected}, got ${m.actual}`));
+      console.log('');
+    }
+  }
+  
+  console.table(rows);
+}
+
+main().catch((error) => {
+  console.error('Benchmark failed:', error);
+  process.exit(1);
+});
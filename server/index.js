@@ -16,16 +16,27 @@ const userRoutes = require('./routes/users');
 const chatRoutes = require('./routes/chat');
 const screeningRoutes = require('./routes/screenings');
 const bookingRoutes = require('./routes/bookings');
+const waitlistRoutes = require('./routes/waitlist');
 const resourceRoutes = require('./routes/resources');
 const peerRoutes = require('./routes/peer');
 const adminRoutes = require('./routes/admin');
+const chatContentRoutes = require('./routes/chatContent');
 const publicRoutes = require('./routes/public');
+const streamRoutes = require('./routes/stream');
+const notificationRoutes = require('./routes/notifications');
+const sessionNoteRoutes = require('./routes/sessionNotes');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { csrfProtection } = require('./middleware/csrf');
 const { authMiddleware } = require('./middleware/auth');
 
+// Import background services
+const { startEscalationMonitor, stopEscalationMonitor } = require('./services/crisisEscalation');
+const { startTakeoverMonitor, stopTakeoverMonitor } = require('./services/chatTakeover');
+// Job handlers register when their services load (screeningReminders via the screening routes)
+const { startJobRunner, stopJobRunner } = require('./services/jobRunner');
+
 const app = express();
 const PORT = process.env.PORT || 8080;
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -95,12 +106,17 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/users', authMiddleware, userRoutes);
+app.use('/api/v1/notifications', authMiddleware, notificationRoutes);
 app.use('/api/v1/chat', chatRoutes);
 app.use('/api/v1/screenings', screeningRoutes);
 app.use('/api/v1/bookings', bookingRoutes);
+app.use('/api/v1/waitlist', waitlistRoutes);
+app.use('/api/v1/session-notes', authMiddleware, sessionNoteRoutes);
 app.use('/api/v1/resources', resourceRoutes);
 app.use('/api/v1/peer', peerRoutes);
-app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/admin/chat-content', authMiddleware, chatContentRoutes);
+app.use('/api/v1/admin', authMiddleware, adminRoutes);
+app.use('/api/v1/stream', streamRoutes);
 app.use('/api/v1', publicRoutes);
 
 // Serve static files from frontend directory
@@ -131,12 +147,18 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  stopEscalationMonitor();
+  stopTakeoverMonitor();
+  stopJobRunner();
   await prisma.$disconnect();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully...');
+  stopEscalationMonitor();
+  stopTakeoverMonitor();
+  stopJobRunner();
   await prisma.$disconnect();
   process.exit(0);
 });
@@ -151,6 +173,15 @@ app.listen(PORT, () => {
     console.log(`💬 Chat: http://localhost:${PORT}/chat`);
     console.log(`📝 Screenings: http://localhost:${PORT}/screenings`);
   }
+  
+  // Re-escalate crisis alerts that miss their acknowledgement SLA
+  startEscalationMonitor();
+  
+  // Return chat takeovers to the bot once the counsellor goes idle
+  startTakeoverMonitor();
+  
+  // Run scheduled background jobs (screening reminders, email)
+  startJobRunner();
 });
 
 module.exports = app;
\ No newline at end of file
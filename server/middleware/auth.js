@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { findCounsellorForUser } = require('../services/counsellorAccounts');
 const prisma = new PrismaClient();
 
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -88,11 +89,36 @@ const requireAdmin = requireRole('ADMIN');
 const requireModerator = requireRole('MODERATOR', 'ADMIN');
 const requireCounsellor = requireRole('COUNSELLOR', 'MODERATOR', 'ADMIN');
 
+// Counsellor actions on their own bookings need a linked counsellor profile,
+// not just the role; the profile is set as req.counsellor
+const requireCounsellorProfile = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  
+  try {
+    const counsellor = await findCounsellorForUser(req.user.id);
+    
+    if (!counsellor) {
+      return res.status(403).json({
+        error: 'Counsellor profile required',
+        message: 'Your account is not linked to a counsellor profile. Please contact an administrator.'
+      });
+    }
+    
+    req.counsellor = counsellor;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   authMiddleware,
   optionalAuthMiddleware,
   requireRole,
   requireAdmin,
   requireModerator,
-  requireCounsellor
+  requireCounsellor,
+  requireCounsellorProfile
 };
\ No newline at end of file
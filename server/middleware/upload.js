@@ -80,6 +80,12 @@ const uploadAvatar = createUpload({
   maxFileSize: 5 * 1024 * 1024 // 5MB for avatars
 });
 
+const uploadCounsellorPhoto = createUpload({
+  fieldName: 'photo',
+  allowedTypes: ['image'],
+  maxFileSize: 5 * 1024 * 1024 // 5MB, as for avatars
+});
+
 // File deletion helper
 const deleteFile = async (filePath) => {
   try {
@@ -92,9 +98,8 @@ const deleteFile = async (filePath) => {
   }
 };
 
-// File serving helper
-const serveFile = (req, res, next) => {
-  const fileName = req.params.fileName;
+// Send a stored file by name
+const sendStoredFile = (res, fileName) => {
   const filePath = path.join(STORAGE_DIR, fileName);
   
   // Security: prevent directory traversal
@@ -112,11 +117,16 @@ const serveFile = (req, res, next) => {
   });
 };
 
+// File serving helper
+const serveFile = (req, res, next) => sendStoredFile(res, req.params.fileName);
+
 module.exports = {
   createUpload,
   uploadResource,
   uploadAvatar,
+  uploadCounsellorPhoto,
   deleteFile,
+  sendStoredFile,
   serveFile,
   ensureStorageDir
 };
@@ -84,8 +84,13 @@ const schemas = {
   }),
   
   screening: Joi.object({
-    answers: Joi.array().items(Joi.number().integer().min(0).max(3)).required(),
-    consent: Joi.boolean().default(true)
+    answers: Joi.array().items(Joi.number().integer().min(0).max(5)).required(),
+    consent: Joi.boolean().default(true),
+    language: Joi.string().valid('en', 'hi').optional()
+  }),
+  
+  reminderPreference: Joi.object({
+    enabled: Joi.boolean().required()
   }),
   
   booking: Joi.object({
@@ -93,9 +98,28 @@ const schemas = {
     timeSlot: Joi.date().iso().required(),
     contactPreference: Joi.string().valid('EMAIL', 'PHONE', 'IN_APP').required(),
     anonymity: Joi.boolean().default(false),
-    notes: Joi.string().max(500).allow('')
+    notes: Joi.string().max(500).allow(''),
+    shareScreenings: Joi.boolean().default(false),
+    shareChatSummary: Joi.boolean().default(false)
   }),
   
+  waitlist: Joi.object({
+    counsellorId: Joi.string(),
+    department: Joi.string().max(100),
+    windows: Joi.array().items(Joi.object({
+      startsAt: Joi.date().iso().required(),
+      endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required()
+    })).min(1).max(5).required(),
+    contactPreference: Joi.string().valid('EMAIL', 'PHONE', 'IN_APP').required(),
+    anonymity: Joi.boolean().default(false),
+    notes: Joi.string().max(500).allow('')
+  }).xor('counsellorId', 'department'),
+  
+  bookingSharing: Joi.object({
+    shareScreenings: Joi.boolean(),
+    shareChatSummary: Joi.boolean()
+  }).or('shareScreenings', 'shareChatSummary'),
+  
   resource: Joi.object({
     title: Joi.string().min(1).max(200).required(),
     description: Joi.string().max(1000),
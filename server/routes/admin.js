@@ -1,7 +1,17 @@
 const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sanitizeInput, validate } = require('../middleware/validation');
-const { requireAdmin, requireModerator } = require('../middleware/auth');
+const { requireAdmin, requireModerator, requireCounsellor } = require('../middleware/auth');
+const { crisisEvents, ACTIVE_STATUSES, ACK_SLA_MINUTES } = require('../services/crisisEscalation');
+const { publishToSession } = require('../services/chatStream');
+const { takeOverSession, touchTakeover, releaseTakeover, TAKEOVER_IDLE_MINUTES } = require('../services/chatTakeover');
+const { listEngines, getActiveEngineName, CONFIG_KEY: CLASSIFIER_CONFIG_KEY } = require('../services/classifiers');
+const { parseTime, isValidTimeZone, ACTIVE_BOOKING_STATUSES } = require('../services/availability');
+const { summariseAttendance } = require('../services/bookingLifecycle');
+const { describeReasons, URGENCY, URGENCY_PRIORITY } = require('../services/triage');
+const { profileFields, photoUrl } = require('../services/counsellorProfiles');
+const { uploadCounsellorPhoto, deleteFile } = require('../middleware/upload');
+const { linkAccount, unlinkAccount, createInvite } = require('../services/counsellorAccounts');
 const Joi = require('joi');
 
 const router = express.Router();
@@ -158,23 +168,11 @@ router.get('/analytics/screenings',
   asyncHandler(async (req, res) => {
     const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
     
-    const [phq9Stats, gad7Stats, severityTrends] = await Promise.all([
-      // PHQ-9 statistics
+    const [severityStats, severityTrends] = await Promise.all([
+      // Severity distribution per screening type
       prisma.screening.groupBy({
-        by: ['severityBand'],
-        where: {
-          type: 'PHQ9',
-          createdAt: { gte: thirtyDaysAgo }
-        },
-        _count: { severityBand: true },
-        _avg: { score: true }
-      }),
-      
-      // GAD-7 statistics
-      prisma.screening.groupBy({
-        by: ['severityBand'],
+        by: ['type', 'severityBand'],
         where: {
-          type: 'GAD7',
           createdAt: { gte: thirtyDaysAgo }
         },
         _count: { severityBand: true },
@@ -198,24 +196,16 @@ router.get('/analytics/screenings',
     res.json({
       success: true,
       analytics: {
-        phq9: {
-          distribution: phq9Stats.reduce((acc, item) => {
-            acc[item.severityBand] = {
-              count: item._count.severityBand,
-              averageScore: Math.round(item._avg.score * 10) / 10
-            };
-            return acc;
-          }, {})
-        },
-        gad7: {
-          distribution: gad7Stats.reduce((acc, item) => {
-            acc[item.severityBand] = {
-              count: item._count.severityBand,
-              averageScore: Math.round(item._avg.score * 10) / 10
-            };
-            return acc;
-          }, {})
-        },
+        // Keyed by lowercase type (phq9, gad7, pss10, ...)
+        ...severityStats.reduce((acc, item) => {
+          const key = item.type.toLowerCase();
+          acc[key] = acc[key] || { distribution: {} };
+          acc[key].distribution[item.severityBand] = {
+            count: item._count.severityBand,
+            averageScore: Math.round(item._avg.score * 10) / 10
+          };
+          return acc;
+        }, { phq9: { distribution: {} }, gad7: { distribution: {} } }),
         trends: severityTrends
       }
     });
@@ -276,6 +266,127 @@ router.get('/analytics/resources',
   })
 );
 
+/**
+ * GET /api/v1/admin/analytics/attendance
+ * Get booking outcomes and attendance rates, overall and per counsellor (admin only)
+ * Counts bookings whose session time falls in ?from..?to (default: last 90 days)
+ */
+router.get('/analytics/attendance',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 90 * 24 * 60 * 60 * 1000);
+    
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return res.status(400).json({
+        error: 'Invalid date range'
+      });
+    }
+    
+    const [statusCounts, counsellors] = await Promise.all([
+      prisma.booking.groupBy({
+        by: ['counsellorId', 'status'],
+        where: {
+          timeSlot: { gte: from, lt: to }
+        },
+        _count: { status: true }
+      }),
+      prisma.counsellor.findMany({
+        select: { id: true, name: true },
+        orderBy: { name: 'asc' }
+      })
+    ]);
+    
+    const rows = statusCounts.map(item => ({
+      counsellorId: item.counsellorId,
+      status: item.status,
+      count: item._count.status
+    }));
+    
+    res.json({
+      success: true,
+      analytics: {
+        from,
+        to,
+        overall: summariseAttendance(rows),
+        counsellors: counsellors.map(counsellor => ({
+          id: counsellor.id,
+          name: counsellor.name,
+          ...summariseAttendance(rows.filter(row => row.counsellorId === counsellor.id))
+        }))
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/v1/admin/analytics/waitlist
+ * Get current waitlist demand per counsellor and department, and how offers
+ * made in ?from..?to (default: last 30 days) were answered (admin only)
+ */
+router.get('/analytics/waitlist',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const now = new Date();
+    const to = req.query.to ? new Date(req.query.to) : now;
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return res.status(400).json({
+        error: 'Invalid date range'
+      });
+    }
+    
+    const [waiting, offerCounts, counsellors] = await Promise.all([
+      prisma.waitlistEntry.groupBy({
+        by: ['counsellorId', 'department'],
+        where: {
+          status: { in: ['WAITING', 'OFFERED'] },
+          expiresAt: { gt: now }
+        },
+        _count: { id: true }
+      }),
+      prisma.waitlistOffer.groupBy({
+        by: ['status'],
+        where: {
+          createdAt: { gte: from, lt: to }
+        },
+        _count: { status: true }
+      }),
+      prisma.counsellor.findMany({
+        select: { id: true, name: true, department: true },
+        orderBy: { name: 'asc' }
+      })
+    ]);
+    
+    const offers = Object.fromEntries(offerCounts.map(item => [item.status, item._count.status]));
+    const answered = (offers.CLAIMED || 0) + (offers.DECLINED || 0) + (offers.EXPIRED || 0);
+    
+    res.json({
+      success: true,
+      analytics: {
+        from,
+        to,
+        counsellors: counsellors.map(counsellor => ({
+          id: counsellor.id,
+          name: counsellor.name,
+          department: counsellor.department,
+          waiting: waiting
+            .filter(item => item.counsellorId === counsellor.id)
+            .reduce((sum, item) => sum + item._count.id, 0)
+        })),
+        departments: waiting
+          .filter(item => !item.counsellorId)
+          .map(item => ({ department: item.department, waiting: item._count.id })),
+        offers: {
+          byStatus: offers,
+          claimRate: answered > 0 ? (offers.CLAIMED || 0) / answered : null
+        }
+      }
+    });
+  })
+);
+
 /**
  * GET /api/v1/admin/peer/reports
  * Get peer support reports (moderators and above)
@@ -453,40 +564,71 @@ router.patch('/peer/reports/:id',
 );
 
 /**
- * GET /api/v1/admin/counsellors
- * Get counsellors list (admin only)
+ * GET /api/v1/admin/bookings/triage
+ * Get requested bookings still waiting for a counsellor, most urgent and then
+ * longest waiting first; ?urgency filters to SAME_DAY, THIS_WEEK or ROUTINE
+ * Bookings made without intake answers count as routine (admin only)
  */
-router.get('/counsellors',
+router.get('/bookings/triage',
   requireAdmin,
   asyncHandler(async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
     const offset = (page - 1) * limit;
+    const urgency = req.query.urgency;
     
-    const [counsellors, total] = await Promise.all([
-      prisma.counsellor.findMany({
-        include: {
-          _count: {
+    const where = {
+      status: 'REQUESTED'
+    };
+    
+    if (Object.values(URGENCY).includes(urgency)) {
+      where.triagePriority = URGENCY_PRIORITY[urgency];
+    }
+    
+    const [bookings, total] = await Promise.all([
+      prisma.booking.findMany({
+        where,
+        select: {
+          id: true,
+          timeSlot: true,
+          anonymity: true,
+          triagePriority: true,
+          createdAt: true,
+          counsellor: {
             select: {
-              bookings: true
+              id: true,
+              name: true,
+              department: true
+            }
+          },
+          intake: {
+            select: {
+              urgency: true,
+              reasons: true,
+              answers: true
             }
           }
         },
-        orderBy: {
-          name: 'asc'
-        },
+        orderBy: [
+          { triagePriority: 'asc' },
+          { createdAt: 'asc' }
+        ],
         skip: offset,
         take: limit
       }),
-      prisma.counsellor.count()
+      prisma.booking.count({ where })
     ]);
     
+    const now = Date.now();
+    
     res.json({
       success: true,
-      counsellors: counsellors.map(counsellor => ({
-        ...counsellor,
-        bookingCount: counsellor._count.bookings,
-        _count: undefined
+      bookings: bookings.map(({ intake, ...booking }) => ({
+        ...booking,
+        urgency: intake ? intake.urgency : URGENCY.ROUTINE,
+        reasons: intake ? describeReasons(intake.reasons) : [],
+        concern: intake ? intake.answers.concern : null,
+        waitingMinutes: Math.floor((now - booking.createdAt.getTime()) / 60000)
       })),
       pagination: {
         page,
@@ -499,118 +641,1114 @@ router.get('/counsellors',
 );
 
 /**
- * POST /api/v1/admin/counsellors
- * Create new counsellor (admin only)
+ * GET /api/v1/admin/crisis-alerts
+ * Get the on-call crisis alert queue (counsellors and above)
  */
-const createCounsellorSchema = Joi.object({
-  name: Joi.string().min(1).max(100).required(),
-  department: Joi.string().max(100),
-  officeHours: Joi.string().max(200),
-  room: Joi.string().max(50),
-  email: Joi.string().email(),
-  phone: Joi.string().max(20),
-  isActive: Joi.boolean().default(true)
-});
-
-router.post('/counsellors',
-  requireAdmin,
-  validate(createCounsellorSchema),
+router.get('/crisis-alerts',
+  requireCounsellor,
   asyncHandler(async (req, res) => {
-    const counsellorData = req.body;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const status = req.query.status; // Optional: OPEN, ACKNOWLEDGED or RESOLVED
+    const offset = (page - 1) * limit;
     
-    const counsellor = await prisma.counsellor.create({
-      data: counsellorData
-    });
+    const where = {
+      status: ['OPEN', 'ACKNOWLEDGED', 'RESOLVED'].includes(status)
+        ? status
+        : { in: ACTIVE_STATUSES }
+    };
     
-    res.status(201).json({
+    const [alerts, total] = await Promise.all([
+      prisma.crisisAlert.findMany({
+        where,
+        include: {
+          session: {
+            select: {
+              id: true,
+              startedAt: true,
+              endedAt: true,
+              lastCategory: true,
+              lastSeverity: true
+            }
+          },
+          screening: {
+            select: {
+              id: true,
+              type: true,
+              score: true,
+              severityBand: true,
+              createdAt: true
+            }
+          },
+          booking: {
+            select: {
+              id: true,
+              timeSlot: true,
+              status: true,
+              counsellor: {
+                select: { id: true, name: true }
+              }
+            }
+          },
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          },
+          acknowledgedBy: {
+            select: {
+              id: true,
+              name: true
+            }
+          },
+          resolvedBy: {
+            select: {
+              id: true,
+              name: true
+            }
+          }
+        },
+        // Most escalated first, then oldest first
+        orderBy: [
+          { escalationLevel: 'desc' },
+          { createdAt: 'asc' }
+        ],
+        skip: offset,
+        take: limit
+      }),
+      prisma.crisisAlert.count({ where })
+    ]);
+    
+    res.json({
       success: true,
-      message: 'Counsellor created successfully',
-      counsellor
+      alerts,
+      slaMinutes: ACK_SLA_MINUTES,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
   })
 );
 
 /**
- * PATCH /api/v1/admin/counsellors/:id
- * Update counsellor (admin only)
+ * PATCH /api/v1/admin/crisis-alerts/:id
+ * Acknowledge or resolve a crisis alert (counsellors and above)
  */
-router.patch('/counsellors/:id',
-  requireAdmin,
-  validate(createCounsellorSchema.fork(['name'], (schema) => schema.optional())),
+const updateCrisisAlertSchema = Joi.object({
+  status: Joi.string().valid('ACKNOWLEDGED', 'RESOLVED').required(),
+  resolutionNote: Joi.string().max(1000).allow('')
+});
+
+router.patch('/crisis-alerts/:id',
+  requireCounsellor,
+  validate(updateCrisisAlertSchema),
   asyncHandler(async (req, res) => {
-    const counsellorId = req.params.id;
-    const updates = req.body;
+    const alertId = req.params.id;
+    const { status, resolutionNote } = req.body;
     
-    const counsellor = await prisma.counsellor.findUnique({
-      where: { id: counsellorId }
+    const alert = await prisma.crisisAlert.findUnique({
+      where: { id: alertId }
     });
     
-    if (!counsellor) {
+    if (!alert) {
       return res.status(404).json({
-        error: 'Counsellor not found'
+        error: 'Crisis alert not found'
       });
     }
     
-    const updatedCounsellor = await prisma.counsellor.update({
-      where: { id: counsellorId },
+    if (alert.status === 'RESOLVED') {
+      return res.status(400).json({
+        error: 'Cannot update resolved crisis alert'
+      });
+    }
+    
+    if (alert.status === status) {
+      return res.status(400).json({
+        error: `Crisis alert is already ${status.toLowerCase()}`
+      });
+    }
+    
+    const now = new Date();
+    const data = { status };
+    
+    // Resolving an open alert acknowledges it at the same time
+    if (!alert.acknowledgedAt) {
+      data.acknowledgedAt = now;
+      data.acknowledgedById = req.user.id;
+    }
+    
+    if (status === 'RESOLVED') {
+      data.resolvedAt = now;
+      data.resolvedById = req.user.id;
+      data.resolutionNote = resolutionNote || null;
+    }
+    
+    const updatedAlert = await prisma.crisisAlert.update({
+      where: { id: alertId },
+      data
+    });
+    
+    crisisEvents.emit(`alert:${status.toLowerCase()}`, updatedAlert);
+    
+    // Log crisis response action
+    await prisma.analyticsEvent.create({
       data: {
-        ...updates,
-        updatedAt: new Date()
+        type: 'crisis_alert_updated',
+        payload: {
+          alertId,
+          oldStatus: alert.status,
+          newStatus: status,
+          minutesToAcknowledge: data.acknowledgedAt
+            ? Math.round((now - alert.createdAt) / 60000)
+            : undefined,
+          escalationLevel: alert.escalationLevel,
+          counsellorId: req.user.id
+        },
+        userId: req.user.id
       }
-    });
+    }).catch(console.error);
     
     res.json({
       success: true,
-      message: 'Counsellor updated successfully',
-      counsellor: updatedCounsellor
+      message: `Crisis alert ${status.toLowerCase()} successfully`,
+      alert: updatedAlert
     });
   })
 );
 
 /**
- * GET /api/v1/admin/config
- * Get system configuration (admin only)
+ * GET /api/v1/admin/chat/sessions/:id
+ * View a chat session before or during a takeover (counsellors and above)
  */
-router.get('/config',
-  requireAdmin,
+router.get('/chat/sessions/:id',
+  requireCounsellor,
   asyncHandler(async (req, res) => {
-    const configs = await prisma.config.findMany();
+    const sessionId = req.params.id;
     
-    const configMap = configs.reduce((acc, config) => {
-      acc[config.key] = config.value;
-      return acc;
-    }, {});
+    const session = await prisma.chatSession.findUnique({
+      where: { id: sessionId },
+      include: {
+        messages: {
+          orderBy: { createdAt: 'asc' },
+          select: {
+            id: true,
+            sender: true,
+            text: true,
+            category: true,
+            severity: true,
+            createdAt: true
+          }
+        },
+        takenOverBy: {
+          select: {
+            id: true,
+            name: true
+          }
+        },
+        riskSnapshots: {
+          orderBy: { createdAt: 'asc' },
+          select: {
+            messageId: true,
+            score: true,
+            level: true,
+            trend: true,
+            signals: true,
+            createdAt: true
+          }
+        }
+      }
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        error: 'Chat session not found'
+      });
+    }
+    
+    // Log staff access to the conversation
+    await prisma.analyticsEvent.create({
+      data: {
+        type: 'chat_session_viewed_by_staff',
+        payload: {
+          sessionId,
+          counsellorId: req.user.id
+        },
+        userId: req.user.id
+      }
+    }).catch(console.error);
     
     res.json({
       success: true,
-      config: configMap
+      session: {
+        id: session.id,
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        lastCategory: session.lastCategory,
+        lastSeverity: session.lastSeverity,
+        takenOverAt: session.takenOverAt,
+        takenOverBy: session.takenOverBy,
+        takeoverActiveAt: session.takeoverActiveAt,
+        risk: {
+          score: session.riskScore,
+          level: session.riskLevel,
+          crisisFlaggedAt: session.crisisFlaggedAt,
+          trajectory: session.riskSnapshots
+        },
+        messages: session.messages
+      }
     });
   })
 );
 
 /**
- * PATCH /api/v1/admin/config
- * Update system configuration (admin only)
+ * Map takeover service errors to responses
  */
-const updateConfigSchema = Joi.object().pattern(
-  Joi.string(),
-  Joi.alternatives().try(
-    Joi.string(),
-    Joi.number(),
-    Joi.boolean(),
-    Joi.object(),
-    Joi.array()
-  )
-);
+const takeoverErrorStatus = (message) => {
+  if (message.includes('already taken over')) return 409;
+  if (message.startsWith('Take over') || message.includes('expired')) return 403;
+  if (message.startsWith('Cannot take over')) return 400;
+  return null;
+};
 
-router.patch('/config',
-  requireAdmin,
-  validate(updateConfigSchema),
+/**
+ * POST /api/v1/admin/chat/sessions/:id/takeover
+ * Join a chat session and pause bot auto-replies (counsellors and above)
+ * The session goes back to the bot after TAKEOVER_IDLE_MINUTES without messages or heartbeats
+ */
+router.post('/chat/sessions/:id/takeover',
+  requireCounsellor,
   asyncHandler(async (req, res) => {
-    const updates = req.body;
+    const session = await prisma.chatSession.findUnique({
+      where: { id: req.params.id }
+    });
     
-    // Update each configuration key
-    const updatedConfigs = [];
+    if (!session) {
+      return res.status(404).json({
+        error: 'Chat session not found'
+      });
+    }
+    
+    try {
+      const { session: updatedSession } = await takeOverSession(session, req.user);
+      
+      res.json({
+        success: true,
+        message: 'Chat session taken over successfully',
+        session: {
+          id: updatedSession.id,
+          takenOverById: updatedSession.takenOverById,
+          takenOverAt: updatedSession.takenOverAt,
+          idleTimeoutMinutes: TAKEOVER_IDLE_MINUTES
+        }
+      });
+    } catch (error) {
+      const status = takeoverErrorStatus(error.message);
+      if (!status) {
+        throw error;
+      }
+      
+      return res.status(status).json({
+        error: error.message,
+        ...(status === 409 && { message: 'Another counsellor is already chatting with this student' })
+      });
+    }
+  })
+);
+
+/**
+ * POST /api/v1/admin/chat/sessions/:id/heartbeat
+ * Keep a takeover alive while the counsellor has the session open
+ */
+router.post('/chat/sessions/:id/heartbeat',
+  requireCounsellor,
+  asyncHandler(async (req, res) => {
+    const session = await prisma.chatSession.findUnique({
+      where: { id: req.params.id }
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        error: 'Chat session not found'
+      });
+    }
+    
+    try {
+      const updatedSession = await touchTakeover(session, req.user);
+      
+      res.json({
+        success: true,
+        takeoverActiveAt: updatedSession.takeoverActiveAt,
+        idleTimeoutMinutes: TAKEOVER_IDLE_MINUTES
+      });
+    } catch (error) {
+      const status = takeoverErrorStatus(error.message);
+      if (!status) {
+        throw error;
+      }
+      
+      return res.status(status).json({
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * POST /api/v1/admin/chat/sessions/:id/messages
+ * Send a message to the student as the taking-over counsellor
+ */
+const counsellorMessageSchema = Joi.object({
+  text: Joi.string().min(1).max(1000).required()
+});
+
+router.post('/chat/sessions/:id/messages',
+  requireCounsellor,
+  validate(counsellorMessageSchema),
+  asyncHandler(async (req, res) => {
+    const sessionId = req.params.id;
+    const { text } = req.body;
+    
+    const session = await prisma.chatSession.findUnique({
+      where: { id: sessionId }
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        error: 'Chat session not found'
+      });
+    }
+    
+    // Sending a message also counts as activity on the takeover
+    try {
+      await touchTakeover(session, req.user);
+    } catch (error) {
+      const status = takeoverErrorStatus(error.message);
+      if (!status) {
+        throw error;
+      }
+      
+      return res.status(status).json({
+        error: error.message
+      });
+    }
+    
+    const message = await prisma.chatMessage.create({
+      data: {
+        sessionId,
+        sender: 'COUNSELLOR',
+        senderUserId: req.user.id,
+        text,
+        createdAt: new Date()
+      }
+    });
+    
+    const counsellorMessage = {
+      id: message.id,
+      message: message.text,
+      sender: 'COUNSELLOR',
+      counsellorName: req.user.name || 'Counsellor',
+      createdAt: message.createdAt
+    };
+    
+    publishToSession(sessionId, 'message', counsellorMessage);
+    
+    res.status(201).json({
+      success: true,
+      message: counsellorMessage
+    });
+  })
+);
+
+/**
+ * POST /api/v1/admin/chat/sessions/:id/handback
+ * Hand the chat session back to the bot
+ */
+router.post('/chat/sessions/:id/handback',
+  requireCounsellor,
+  asyncHandler(async (req, res) => {
+    const session = await prisma.chatSession.findUnique({
+      where: { id: req.params.id }
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        error: 'Chat session not found'
+      });
+    }
+    
+    if (!session.takenOverById) {
+      return res.status(400).json({
+        error: 'Chat session is not taken over'
+      });
+    }
+    
+    // Admins can release a session a counsellor left behind
+    if (session.takenOverById !== req.user.id && req.user.role !== 'ADMIN') {
+      return res.status(403).json({
+        error: 'Only the counsellor who took over can hand the session back'
+      });
+    }
+    
+    const released = await releaseTakeover(session, { reason: 'handback', userId: req.user.id });
+    
+    if (!released) {
+      return res.status(409).json({
+        error: 'Chat session changed hands',
+        message: 'The takeover already ended or another counsellor took over'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Chat session handed back to the bot'
+    });
+  })
+);
+
+/**
+ * GET /api/v1/admin/counsellors
+ * Get counsellors list (admin only)
+ */
+router.get('/counsellors',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const offset = (page - 1) * limit;
+    
+    const [counsellors, total] = await Promise.all([
+      prisma.counsellor.findMany({
+        include: {
+          user: {
+            select: {
+              id: true,
+              email: true,
+              name: true,
+              role: true
+            }
+          },
+          _count: {
+            select: {
+              bookings: true
+            }
+          }
+        },
+        orderBy: {
+          name: 'asc'
+        },
+        skip: offset,
+        take: limit
+      }),
+      prisma.counsellor.count()
+    ]);
+    
+    res.json({
+      success: true,
+      counsellors: counsellors.map(counsellor => ({
+        ...counsellor,
+        photoUrl: photoUrl(counsellor),
+        bookingCount: counsellor._count.bookings,
+        _count: undefined
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/v1/admin/counsellors
+ * Create new counsellor (admin only)
+ */
+const timeZone = Joi.string().custom((value, helpers) => (
+  isValidTimeZone(value) ? value : helpers.message('"timezone" must be an IANA timezone, e.g. Asia/Kolkata')
+));
+
+const counsellorScheduleFields = {
+  timezone: timeZone,
+  sessionMinutes: Joi.number().integer().min(15).max(180),
+  bufferMinutes: Joi.number().integer().min(0).max(60)
+};
+
+const createCounsellorSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  department: Joi.string().max(100),
+  officeHours: Joi.string().max(200),
+  room: Joi.string().max(50),
+  email: Joi.string().email(),
+  phone: Joi.string().max(20),
+  isActive: Joi.boolean().default(true),
+  // Counsellor who may read this counsellor's session notes
+  supervisorId: Joi.string().allow(null),
+  ...counsellorScheduleFields,
+  ...profileFields
+});
+
+/**
+ * Check a supervisor assignment, returning an error message if it is invalid
+ */
+const checkSupervisor = async (supervisorId, counsellorId = null) => {
+  if (!supervisorId) {
+    return null;
+  }
+  if (supervisorId === counsellorId) {
+    return 'A counsellor cannot supervise themselves';
+  }
+  
+  const supervisor = await prisma.counsellor.findUnique({
+    where: { id: supervisorId }
+  });
+  
+  if (!supervisor) {
+    return 'Supervisor not found';
+  }
+  if (counsellorId && supervisor.supervisorId === counsellorId) {
+    return 'Counsellors cannot supervise each other';
+  }
+  
+  return null;
+};
+
+router.post('/counsellors',
+  requireAdmin,
+  validate(createCounsellorSchema),
+  asyncHandler(async (req, res) => {
+    const counsellorData = req.body;
+    
+    const supervisorError = await checkSupervisor(counsellorData.supervisorId);
+    if (supervisorError) {
+      return res.status(400).json({
+        error: supervisorError
+      });
+    }
+    
+    const counsellor = await prisma.counsellor.create({
+      data: counsellorData
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Counsellor created successfully',
+      counsellor
+    });
+  })
+);
+
+/**
+ * PATCH /api/v1/admin/counsellors/:id
+ * Update counsellor (admin only)
+ */
+router.patch('/counsellors/:id',
+  requireAdmin,
+  validate(createCounsellorSchema.fork(['name'], (schema) => schema.optional())),
+  asyncHandler(async (req, res) => {
+    const counsellorId = req.params.id;
+    const updates = req.body;
+    
+    const counsellor = await prisma.counsellor.findUnique({
+      where: { id: counsellorId }
+    });
+    
+    if (!counsellor) {
+      return res.status(404).json({
+        error: 'Counsellor not found'
+      });
+    }
+    
+    const supervisorError = await checkSupervisor(updates.supervisorId, counsellorId);
+    if (supervisorError) {
+      return res.status(400).json({
+        error: supervisorError
+      });
+    }
+    
+    const updatedCounsellor = await prisma.counsellor.update({
+      where: { id: counsellorId },
+      data: {
+        ...updates,
+        updatedAt: new Date()
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Counsellor updated successfully',
+      counsellor: updatedCounsellor
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/admin/counsellors/:id/photo
+ * Upload or replace a counsellor's directory photo as multipart field "photo"
+ * (admin only)
+ */
+router.put('/counsellors/:id/photo',
+  requireAdmin,
+  (req, res, next) => {
+    uploadCounsellorPhoto(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          error: 'Photo upload failed',
+          message: err.message
+        });
+      }
+      next();
+    });
+  },
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No photo uploaded'
+      });
+    }
+    
+    const counsellor = await prisma.counsellor.findUnique({
+      where: { id: req.params.id }
+    });
+    
+    if (!counsellor) {
+      await deleteFile(req.file.filename);
+      return res.status(404).json({
+        error: 'Counsellor not found'
+      });
+    }
+    
+    const updatedCounsellor = await prisma.counsellor.update({
+      where: { id: counsellor.id },
+      data: { photoPath: req.file.filename }
+    });
+    
+    if (counsellor.photoPath) {
+      await deleteFile(counsellor.photoPath);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Photo updated successfully',
+      photoUrl: photoUrl(updatedCounsellor)
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/admin/counsellors/:id/photo
+ * Remove a counsellor's directory photo (admin only)
+ */
+router.delete('/counsellors/:id/photo',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const counsellor = await prisma.counsellor.findUnique({
+      where: { id: req.params.id }
+    });
+    
+    if (!counsellor) {
+      return res.status(404).json({
+        error: 'Counsellor not found'
+      });
+    }
+    
+    if (counsellor.photoPath) {
+      await prisma.counsellor.update({
+        where: { id: counsellor.id },
+        data: { photoPath: null }
+      });
+      await deleteFile(counsellor.photoPath);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Photo removed'
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/admin/counsellors/:id/account
+ * Link an existing user account to a counsellor profile (admin only)
+ * Students are promoted to COUNSELLOR
+ */
+const linkAccountSchema = Joi.object({
+  userId: Joi.string().required()
+});
+
+router.put('/counsellors/:id/account',
+  requireAdmin,
+  validate(linkAccountSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const counsellor = await linkAccount(req.params.id, req.body.userId);
+      
+      res.json({
+        success: true,
+        message: 'Account linked successfully',
+        counsellor
+      });
+    } catch (error) {
+      if (error.message.endsWith('not found')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      if (error.message.includes('already linked')) {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * DELETE /api/v1/admin/counsellors/:id/account
+ * Unlink a counsellor profile from its account (admin only)
+ * The account goes back to STUDENT unless it is a moderator or admin
+ */
+router.delete('/counsellors/:id/account',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const counsellor = await prisma.counsellor.findUnique({
+      where: { id: req.params.id }
+    });
+    
+    if (!counsellor) {
+      return res.status(404).json({
+        error: 'Counsellor not found'
+      });
+    }
+    
+    if (!counsellor.userId) {
+      return res.status(400).json({
+        error: 'Counsellor profile is not linked to an account'
+      });
+    }
+    
+    await unlinkAccount(counsellor);
+    
+    res.json({
+      success: true,
+      message: 'Account unlinked'
+    });
+  })
+);
+
+/**
+ * POST /api/v1/admin/counsellors/:id/invite
+ * Email an invite to create or link the account for a counsellor profile
+ * (admin only). Defaults to the profile's email address
+ */
+const inviteSchema = Joi.object({
+  email: Joi.string().email()
+});
+
+router.post('/counsellors/:id/invite',
+  requireAdmin,
+  validate(inviteSchema),
+  asyncHandler(async (req, res) => {
+    const counsellor = await prisma.counsellor.findUnique({
+      where: { id: req.params.id }
+    });
+    
+    if (!counsellor) {
+      return res.status(404).json({
+        error: 'Counsellor not found'
+      });
+    }
+    
+    if (counsellor.userId) {
+      return res.status(409).json({
+        error: 'Counsellor profile is already linked to an account'
+      });
+    }
+    
+    const email = req.body.email || counsellor.email;
+    if (!email) {
+      return res.status(400).json({
+        error: 'Email required',
+        message: 'This counsellor has no email address on file'
+      });
+    }
+    
+    const { invite, url } = await createInvite(counsellor, email, req.user.id);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Invite sent',
+      invite: {
+        id: invite.id,
+        email: invite.email,
+        expiresAt: invite.expiresAt
+      },
+      url
+    });
+  })
+);
+
+/**
+ * GET /api/v1/admin/counsellors/:id/availability
+ * Get a counsellor's weekly rules and upcoming exceptions (admin only)
+ */
+router.get('/counsellors/:id/availability',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const counsellor = await prisma.counsellor.findUnique({
+      where: { id: req.params.id },
+      include: {
+        availabilityRules: {
+          orderBy: [{ weekday: 'asc' }, { startTime: 'asc' }]
+        },
+        availabilityExceptions: {
+          where: { endsAt: { gt: new Date() } },
+          orderBy: { startsAt: 'asc' }
+        }
+      }
+    });
+    
+    if (!counsellor) {
+      return res.status(404).json({
+        error: 'Counsellor not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      availability: {
+        timezone: counsellor.timezone,
+        sessionMinutes: counsellor.sessionMinutes,
+        bufferMinutes: counsellor.bufferMinutes,
+        rules: counsellor.availabilityRules,
+        exceptions: counsellor.availabilityExceptions
+      }
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/admin/counsellors/:id/availability
+ * Replace a counsellor's weekly rules and session settings (admin only)
+ * Times are "HH:MM" in the counsellor's timezone; existing bookings are kept
+ */
+const availabilityRuleSchema = Joi.object({
+  weekday: Joi.number().integer().min(0).max(6).required(),
+  startTime: Joi.string().pattern(/^\d{2}:\d{2}$/).required(),
+  endTime: Joi.string().pattern(/^\d{2}:\d{2}$/).required()
+}).custom((rule, helpers) => {
+  const start = parseTime(rule.startTime);
+  const end = parseTime(rule.endTime);
+  if (start === null || end === null || end <= start) {
+    return helpers.message('Each rule needs a valid startTime before its endTime');
+  }
+  return rule;
+});
+
+const availabilitySchema = Joi.object({
+  ...counsellorScheduleFields,
+  rules: Joi.array().items(availabilityRuleSchema).max(50).required()
+});
+
+router.put('/counsellors/:id/availability',
+  requireAdmin,
+  validate(availabilitySchema),
+  asyncHandler(async (req, res) => {
+    const { rules, ...settings } = req.body;
+    
+    const counsellor = await prisma.counsellor.findUnique({
+      where: { id: req.params.id }
+    });
+    
+    if (!counsellor) {
+      return res.status(404).json({
+        error: 'Counsellor not found'
+      });
+    }
+    
+    const [updatedCounsellor, , createdRules] = await prisma.$transaction([
+      prisma.counsellor.update({
+        where: { id: counsellor.id },
+        data: settings
+      }),
+      prisma.availabilityRule.deleteMany({
+        where: { counsellorId: counsellor.id }
+      }),
+      prisma.availabilityRule.createMany({
+        data: rules.map(rule => ({ ...rule, counsellorId: counsellor.id }))
+      })
+    ]);
+    
+    res.json({
+      success: true,
+      message: 'Availability updated successfully',
+      availability: {
+        timezone: updatedCounsellor.timezone,
+        sessionMinutes: updatedCounsellor.sessionMinutes,
+        bufferMinutes: updatedCounsellor.bufferMinutes,
+        ruleCount: createdRules.count
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/v1/admin/counsellors/:id/availability/exceptions
+ * Block time off (holiday, leave) or add extra hours (admin only)
+ */
+const availabilityExceptionSchema = Joi.object({
+  type: Joi.string().valid('UNAVAILABLE', 'AVAILABLE').default('UNAVAILABLE'),
+  startsAt: Joi.date().iso().required(),
+  endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required(),
+  reason: Joi.string().max(200).allow('')
+});
+
+router.post('/counsellors/:id/availability/exceptions',
+  requireAdmin,
+  validate(availabilityExceptionSchema),
+  asyncHandler(async (req, res) => {
+    const counsellor = await prisma.counsellor.findUnique({
+      where: { id: req.params.id }
+    });
+    
+    if (!counsellor) {
+      return res.status(404).json({
+        error: 'Counsellor not found'
+      });
+    }
+    
+    const exception = await prisma.availabilityException.create({
+      data: {
+        ...req.body,
+        counsellorId: counsellor.id
+      }
+    });
+    
+    // Blocking time does not cancel bookings already in it; report them
+    const affectedBookings = exception.type === 'UNAVAILABLE'
+      ? await prisma.booking.count({
+        where: {
+          counsellorId: counsellor.id,
+          status: { in: ACTIVE_BOOKING_STATUSES },
+          timeSlot: {
+            gte: exception.startsAt,
+            lt: exception.endsAt
+          }
+        }
+      })
+      : 0;
+    
+    res.status(201).json({
+      success: true,
+      message: 'Availability exception created successfully',
+      exception,
+      affectedBookings
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/admin/counsellors/:id/availability/exceptions/:exceptionId
+ * Remove an availability exception (admin only)
+ */
+router.delete('/counsellors/:id/availability/exceptions/:exceptionId',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const { count } = await prisma.availabilityException.deleteMany({
+      where: {
+        id: req.params.exceptionId,
+        counsellorId: req.params.id
+      }
+    });
+    
+    if (count === 0) {
+      return res.status(404).json({
+        error: 'Availability exception not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Availability exception deleted successfully'
+    });
+  })
+);
+
+/**
+ * GET /api/v1/admin/chat/classifiers
+ * List chat classifier engines and the active one (admin only)
+ * Switch engines with PATCH /api/v1/admin/config using the returned configKey
+ */
+router.get('/chat/classifiers',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      configKey: CLASSIFIER_CONFIG_KEY,
+      active: await getActiveEngineName(),
+      engines: listEngines()
+    });
+  })
+);
+
+/**
+ * GET /api/v1/admin/config
+ * Get system configuration (admin only)
+ */
+router.get('/config',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const configs = await prisma.config.findMany();
+    
+    const configMap = configs.reduce((acc, config) => {
+      acc[config.key] = config.value;
+      return acc;
+    }, {});
+    
+    res.json({
+      success: true,
+      config: configMap
+    });
+  })
+);
+
+/**
+ * PATCH /api/v1/admin/config
+ * Update system configuration (admin only)
+ */
+const updateConfigSchema = Joi.object().pattern(
+  Joi.string(),
+  Joi.alternatives().try(
+    Joi.string(),
+    Joi.number(),
+    Joi.boolean(),
+    Joi.object(),
+    Joi.array()
+  )
+);
+
+router.patch('/config',
+  requireAdmin,
+  validate(updateConfigSchema),
+  asyncHandler(async (req, res) => {
+    const updates = req.body;
+    
+    const classifierEngine = updates[CLASSIFIER_CONFIG_KEY];
+    if (classifierEngine !== undefined && !listEngines().some(engine => engine.name === classifierEngine)) {
+      return res.status(400).json({
+        error: 'Invalid configuration',
+        message: `${CLASSIFIER_CONFIG_KEY} must be one of: ${listEngines().map(engine => engine.name).join(', ')}`
+      });
+    }
+    
+    // Update each configuration key
+    const updatedConfigs = [];
     for (const [key, value] of Object.entries(updates)) {
       const config = await prisma.config.upsert({
         where: { key },
@@ -628,4 +1766,61 @@ router.patch('/config',
   })
 );
 
+/**
+ * GET /api/v1/admin/audit-log
+ * Get staff access to sensitive student data (admin only)
+ * Filters: entityType, entityId, actorId, subjectUserId, granted
+ */
+router.get('/audit-log',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = (page - 1) * limit;
+    
+    const where = {};
+    ['entityType', 'entityId', 'actorId', 'subjectUserId'].forEach(field => {
+      if (req.query[field]) {
+        where[field] = req.query[field];
+      }
+    });
+    if (['true', 'false'].includes(req.query.granted)) {
+      where.granted = req.query.granted === 'true';
+    }
+    
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        include: {
+          actor: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+              role: true
+            }
+          }
+        },
+        orderBy: {
+          createdAt: 'desc'
+        },
+        skip: offset,
+        take: limit
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+    
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  })
+);
+
 module.exports = router;
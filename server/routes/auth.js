@@ -4,6 +4,9 @@ const AuthService = require('../services/authService');
 const { validate, schemas, sanitizeInput } = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { getCSRFToken } = require('../middleware/csrf');
+const { optionalAuthMiddleware } = require('../middleware/auth');
+const { findInvite, acceptInvite, acceptInviteAsNewUser } = require('../services/counsellorAccounts');
+const Joi = require('joi');
 
 const router = express.Router();
 
@@ -169,6 +172,111 @@ router.get('/me',
   })
 );
 
+/**
+ * GET /api/v1/auth/counsellor-invite/:token
+ * Show who a counsellor invite is for before accepting it
+ */
+router.get('/counsellor-invite/:token',
+  asyncHandler(async (req, res) => {
+    const invite = await findInvite(req.params.token);
+    
+    if (!invite) {
+      return res.status(404).json({
+        error: 'Invite not found',
+        message: 'This invite link is invalid or has expired'
+      });
+    }
+    
+    res.json({
+      success: true,
+      invite: {
+        email: invite.email,
+        counsellorName: invite.counsellor.name,
+        expiresAt: invite.expiresAt
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/v1/auth/counsellor-invite
+ * Accept a counsellor invite
+ * Logged-in users link their current account; otherwise an account is
+ * registered for the invited email, in the same transaction as the accept,
+ * and the user logs in afterwards
+ */
+const acceptInviteSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(8),
+  name: Joi.string().min(2).max(100)
+});
+
+router.post('/counsellor-invite',
+  authLimiter,
+  optionalAuthMiddleware,
+  validate(acceptInviteSchema),
+  asyncHandler(async (req, res) => {
+    const { token, password, name } = req.body;
+    
+    const invite = await findInvite(token);
+    if (!invite) {
+      return res.status(404).json({
+        error: 'Invite not found',
+        message: 'This invite link is invalid or has expired'
+      });
+    }
+    
+    if (!req.user && !password) {
+      return res.status(400).json({
+        error: 'Password required',
+        message: 'Choose a password to create your account'
+      });
+    }
+    
+    try {
+      // A new account is only kept if the invite is accepted with it
+      const counsellor = req.user
+        ? await acceptInvite(invite, req.user)
+        : await acceptInviteAsNewUser(invite, tx => AuthService.register({
+          email: invite.email,
+          password,
+          name: name || invite.counsellor.name
+        }, tx));
+      
+      res.json({
+        success: true,
+        message: req.user
+          ? 'Your account is now linked to the counsellor profile'
+          : 'Account created. Please log in to continue.',
+        counsellor: {
+          id: counsellor.id,
+          name: counsellor.name
+        }
+      });
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          error: 'Account exists',
+          message: 'An account with this email already exists. Please log in and open the invite link again.'
+        });
+      }
+      if (error.message.includes('different email')) {
+        return res.status(403).json({
+          error: 'Invite not for this account',
+          message: error.message
+        });
+      }
+      if (error.message.includes('no longer valid') || error.message.includes('already linked')) {
+        return res.status(409).json({
+          error: 'Invite could not be accepted',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+  })
+);
+
 /**
  * POST /api/v1/auth/logout
  * Logout user
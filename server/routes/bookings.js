@@ -1,7 +1,33 @@
 const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sanitizeInput, validate, schemas } = require('../middleware/validation');
-const { optionalAuthMiddleware, requireCounsellor } = require('../middleware/auth');
+const { optionalAuthMiddleware, requireCounsellorProfile } = require('../middleware/auth');
+const { findCounsellorForUser } = require('../services/counsellorAccounts');
+const { loadSharedHistory } = require('../services/sharedHistory');
+const { recordAudit } = require('../services/auditLog');
+const { assertBookableSlot } = require('../services/availability');
+const {
+  ACTORS,
+  BOOKING_STATUSES,
+  getAllowedTransitions,
+  transitionBooking
+} = require('../services/bookingLifecycle');
+const { notifyBookingChange } = require('../services/bookingNotifications');
+const { getFreedSlot, offerSlot } = require('../services/waitlist');
+const { buildCalendar } = require('../services/icalendar');
+const { createFeed, revokeFeed, findFeed, renderFeed, FEED_SCOPES } = require('../services/calendarFeeds');
+const {
+  getIntakeQuestions,
+  triageIntake,
+  intakeBookingData,
+  alertIntakeSelfHarm,
+  describeReasons,
+  loadTriageScreenings,
+  recommendCounsellors,
+  getUrgencyMessage,
+  intakeAnswersSchema,
+  URGENCY
+} = require('../services/triage');
 const Joi = require('joi');
 
 const router = express.Router();
@@ -12,14 +38,131 @@ const prisma = new PrismaClient();
 router.use(sanitizeInput);
 router.use(optionalAuthMiddleware);
 
+/**
+ * What the student has shared with the counsellor on a booking
+ */
+const sharingFor = (booking) => ({
+  screenings: booking.shareScreenings,
+  chatSummary: booking.shareChatSummary,
+  sharedAt: booking.sharedAt
+});
+
+/**
+ * Who the requester is on a booking: an admin, its counsellor, or the student
+ * who made it
+ * @returns {string|null} ACTORS value, or null if they have no access
+ */
+const resolveActor = async (req, booking) => {
+  const userId = req.user?.id;
+  const anonymousId = req.cookies.anonymousId;
+  
+  if (req.user?.role === 'ADMIN') {
+    return ACTORS.ADMIN;
+  }
+  
+  // Only the account linked to the booking's counsellor acts as its counsellor
+  if (req.user) {
+    const counsellor = await findCounsellorForUser(req.user.id);
+    if (counsellor && counsellor.id === booking.counsellorId) {
+      return ACTORS.COUNSELLOR;
+    }
+  }
+  
+  if ((userId && booking.userId === userId) || (!booking.userId && anonymousId && booking.anonymousId === anonymousId)) {
+    return ACTORS.STUDENT;
+  }
+  
+  return null;
+};
+
+/**
+ * A booking's intake assessment for staff, with rule ids as descriptions
+ */
+const intakeFor = (intake) => (intake ? {
+  urgency: intake.urgency,
+  reasons: describeReasons(intake.reasons),
+  answers: intake.answers,
+  createdAt: intake.createdAt
+} : null);
+
+/**
+ * Active helplines, campus first, for same-day triage results
+ */
+const loadHelplines = () => prisma.helpline.findMany({
+  where: { isActive: true },
+  select: {
+    id: true,
+    title: true,
+    phone: true,
+    campusOnly: true
+  },
+  orderBy: { campusOnly: 'desc' }
+});
+
+/**
+ * GET /api/v1/bookings/intake
+ * Get the intake questionnaire, e.g. ?lang=hi
+ */
+router.get('/intake',
+  asyncHandler(async (req, res) => {
+    const language = req.query.lang || req.user?.preferredLanguage || 'en';
+    
+    res.json({
+      success: true,
+      questions: getIntakeQuestions(language)
+    });
+  })
+);
+
+/**
+ * POST /api/v1/bookings/triage
+ * Recommend an urgency and counsellors from intake answers and recent
+ * screenings, before the student picks a slot
+ */
+const triageRequestSchema = Joi.object({
+  intake: intakeAnswersSchema.required(),
+  department: Joi.string().max(100),
+  language: Joi.string().valid('en', 'hi')
+});
+
+router.post('/triage',
+  validate(triageRequestSchema),
+  asyncHandler(async (req, res) => {
+    const { intake, department } = req.body;
+    const language = req.body.language || req.user?.preferredLanguage || 'en';
+    const userId = req.user?.id;
+    const anonymousId = req.cookies.anonymousId;
+    const now = new Date();
+    
+    const screenings = await loadTriageScreenings(userId, anonymousId, now);
+    const { urgency } = triageIntake(intake, screenings, now);
+    
+    const [counsellors, helplines] = await Promise.all([
+      recommendCounsellors({ concern: intake.concern, urgency, department }, now),
+      urgency === URGENCY.SAME_DAY ? loadHelplines() : null
+    ]);
+    
+    res.json({
+      success: true,
+      triage: {
+        urgency,
+        message: getUrgencyMessage(urgency, language),
+        helplines
+      },
+      counsellors
+    });
+  })
+);
+
 /**
  * POST /api/v1/bookings
  * Create a new booking
+ * With intake answers, the booking is triaged so urgent requests are seen first
  */
 router.post('/',
-  validate(schemas.booking),
+  validate(schemas.booking.keys({ intake: intakeAnswersSchema })),
   asyncHandler(async (req, res) => {
-    const { counsellorId, timeSlot, contactPreference, anonymity, notes } = req.body;
+    const { counsellorId, timeSlot, contactPreference, anonymity, notes, shareScreenings, shareChatSummary, intake } = req.body;
     const userId = req.user?.id;
     const anonymousId = req.cookies.anonymousId;
     
@@ -54,48 +197,72 @@ router.post('/',
       });
     }
     
-    // Check for conflicting bookings (same counsellor, same time, confirmed status)
-    const conflictingBooking = await prisma.booking.findFirst({
-      where: {
-        counsellorId,
-        timeSlot: appointmentTime,
-        status: {
-          in: ['REQUESTED', 'CONFIRMED']
-        }
-      }
-    });
-    
-    if (conflictingBooking) {
-      return res.status(409).json({
-        error: 'Time slot not available',
-        message: 'This time slot is already booked with the counsellor'
-      }
-    });
+    // Triage is always re-run here; the client's /triage result is advisory
+    const triage = intake
+      ? triageIntake(intake, await loadTriageScreenings(userId, anonymousId))
+      : null;
     
-    // Create booking
-    const booking = await prisma.booking.create({
-      data: {
-        userId,
-        anonymousId: userId ? null : anonymousId,
-        counsellorId,
-        timeSlot: appointmentTime,
-        contactPreference,
-        anonymity: anonymity || false,
-        notes,
-        status: 'REQUESTED'
-      },
-      include: {
-        counsellor: {
-          select: {
-            id: true,
-            name: true,
-            department: true,
-            email: true,
-            phone: true
+    // The slot must be one the counsellor offers and still free; check and
+    // create in one transaction so two students cannot take the same slot
+    let booking;
+    try {
+      booking = await prisma.$transaction(async (tx) => {
+        await assertBookableSlot(counsellor, appointmentTime, { db: tx });
+        
+        return tx.booking.create({
+          data: {
+            userId,
+            anonymousId: userId ? null : anonymousId,
+            counsellorId,
+            timeSlot: appointmentTime,
+            contactPreference,
+            anonymity: anonymity || false,
+            notes,
+            status: 'REQUESTED',
+            shareScreenings,
+            shareChatSummary,
+            sharedAt: shareScreenings || shareChatSummary ? new Date() : null,
+            ...(triage ? intakeBookingData(intake, triage) : {}),
+            statusHistory: {
+              create: {
+                toStatus: 'REQUESTED',
+                actorRole: ACTORS.STUDENT,
+                actorId: userId || null
+              }
+            }
+          },
+          include: {
+            counsellor: {
+              select: {
+                id: true,
+                name: true,
+                department: true,
+                email: true,
+                phone: true
+              }
+            }
           }
-        }
+        });
+      });
+    } catch (error) {
+      if (error.message.includes('already booked')) {
+        return res.status(409).json({
+          error: 'Time slot not available',
+          message: 'This time slot is already booked with the counsellor. Join the waitlist at POST /api/v1/waitlist to be offered a slot if one opens up.',
+          waitlist: {
+            counsellorId,
+            department: counsellor.department
+          }
+        });
       }
-    });
+      if (error.message.startsWith('Time slot')) {
+        return res.status(400).json({
+          error: 'Invalid time slot',
+          message: `${error.message}. See GET /api/v1/counsellors/${counsellorId}/slots for bookable times`
+        });
+      }
+      throw error;
+    }
     
     // Log analytics event
     await prisma.analyticsEvent.create({
@@ -106,13 +273,22 @@ router.post('/',
           counsellorId,
           contactPreference,
           anonymity,
-          timeSlot: appointmentTime.toISOString()
+          shareScreenings,
+          shareChatSummary,
+          timeSlot: appointmentTime.toISOString(),
+          urgency: triage?.urgency || null
         },
         userId,
         anonymousId: userId ? null : anonymousId
       }
     }).catch(console.error);
     
+    // Send the request receipt and tell the counsellor
+    notifyBookingChange(booking.id, { actor: ACTORS.STUDENT }).catch(console.error);
+    
+    // Self-harm reported at intake goes to on-call staff as well as the counsellor
+    alertIntakeSelfHarm(intake, booking).catch(console.error);
+    
     res.status(201).json({
       success: true,
       message: 'Booking created successfully',
@@ -123,9 +299,14 @@ router.post('/',
         anonymity: booking.anonymity,
         status: booking.status,
         notes: booking.notes,
+        sharing: sharingFor(booking),
         createdAt: booking.createdAt,
         counsellor: booking.counsellor
-      }
+      },
+      triage: triage ? {
+        urgency: triage.urgency,
+        message: getUrgencyMessage(triage.urgency, req.user?.preferredLanguage)
+      } : null
     });
   })
 );
@@ -157,7 +338,7 @@ router.get('/my',
       ]
     };
     
-    if (status && ['REQUESTED', 'CONFIRMED', 'CANCELLED'].includes(status)) {
+    if (status && BOOKING_STATUSES.includes(status)) {
       where.status = status;
     }
     
@@ -192,7 +373,10 @@ router.get('/my',
         contactPreference: booking.contactPreference,
         anonymity: booking.anonymity,
         status: booking.status,
+        proposedTimeSlot: booking.proposedTimeSlot,
+        proposedBy: booking.proposedBy,
         notes: booking.notes,
+        sharing: sharingFor(booking),
         createdAt: booking.createdAt,
         updatedAt: booking.updatedAt,
         counsellor: booking.counsellor
@@ -208,23 +392,149 @@ router.get('/my',
 );
 
 /**
- * GET /api/v1/bookings/:id
- * Get specific booking
+ * Find who a calendar feed request is for
+ * Student feeds belong to the logged-in user; counsellor feeds to their profile
+ * @returns {Object} { counsellorId } or { error, status }
  */
-router.get('/:id',
+const resolveFeedOwner = async (req, scope) => {
+  if (!req.user) {
+    return { status: 401, error: 'Authentication required', message: 'Log in to subscribe to your bookings' };
+  }
+  
+  if (scope === FEED_SCOPES.STUDENT) {
+    return { counsellorId: null };
+  }
+  
+  const counsellor = await findCounsellorForUser(req.user.id);
+  if (!counsellor) {
+    return { status: 403, error: 'Counsellor profile required', message: 'Your account is not linked to a counsellor profile. Please contact an administrator.' };
+  }
+  
+  return { counsellorId: counsellor.id };
+};
+
+const calendarFeedSchema = Joi.object({
+  scope: Joi.string().valid(...Object.values(FEED_SCOPES)).default(FEED_SCOPES.STUDENT)
+});
+
+/**
+ * GET /api/v1/bookings/calendar-feed
+ * Whether the user has live feeds; URLs are only shown when created
+ */
+router.get('/calendar-feed',
   asyncHandler(async (req, res) => {
-    const bookingId = req.params.id;
-    const userId = req.user?.id;
-    const anonymousId = req.cookies.anonymousId;
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required'
+      });
+    }
     
-    const booking = await prisma.booking.findFirst({
-      where: {
-        id: bookingId,
-        OR: [
-          { userId },
-          { anonymousId }
-        ]
+    const feeds = await prisma.calendarFeed.findMany({
+      where: { userId: req.user.id, revokedAt: null },
+      select: {
+        id: true,
+        scope: true,
+        lastAccessedAt: true,
+        createdAt: true
       },
+      orderBy: { createdAt: 'desc' }
+    });
+    
+    res.json({
+      success: true,
+      feeds
+    });
+  })
+);
+
+/**
+ * POST /api/v1/bookings/calendar-feed
+ * Create a subscription URL for the user's bookings (scope STUDENT) or their
+ * counsellor schedule (scope COUNSELLOR), replacing any earlier URL
+ */
+router.post('/calendar-feed',
+  validate(calendarFeedSchema),
+  asyncHandler(async (req, res) => {
+    const { scope } = req.body;
+    const owner = await resolveFeedOwner(req, scope);
+    
+    if (owner.error) {
+      return res.status(owner.status).json({
+        error: owner.error,
+        ...(owner.message && { message: owner.message })
+      });
+    }
+    
+    const { feed, url } = await createFeed(req.user.id, scope, owner.counsellorId);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Any previous feed URL no longer works.',
+      feed: {
+        id: feed.id,
+        scope: feed.scope,
+        createdAt: feed.createdAt,
+        url
+      }
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/bookings/calendar-feed?scope=STUDENT|COUNSELLOR
+ * Revoke the user's feed URL
+ */
+router.delete('/calendar-feed',
+  validate(calendarFeedSchema, 'query'),
+  asyncHandler(async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required'
+      });
+    }
+    
+    const revoked = await revokeFeed(req.user.id, req.query.scope);
+    
+    res.json({
+      success: true,
+      revoked
+    });
+  })
+);
+
+/**
+ * GET /api/v1/bookings/feed/:token.ics
+ * iCalendar subscription feed; the token in the URL is the only credential
+ */
+router.get('/feed/:token.ics',
+  asyncHandler(async (req, res) => {
+    const feed = await findFeed(req.params.token);
+    
+    if (!feed) {
+      return res.status(404).json({
+        error: 'Calendar feed not found'
+      });
+    }
+    
+    const calendar = await renderFeed(feed);
+    
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(calendar);
+  })
+);
+
+/**
+ * GET /api/v1/bookings/:id
+ * Get specific booking with its status history
+ * Available to the student who made it, its counsellor and admins
+ */
+router.get('/:id',
+  asyncHandler(async (req, res) => {
+    const booking = await prisma.booking.findUnique({
+      where: { id: req.params.id },
       include: {
         counsellor: {
           select: {
@@ -236,11 +546,25 @@ router.get('/:id',
             email: true,
             phone: true
           }
-        }
+        },
+        statusHistory: {
+          select: {
+            fromStatus: true,
+            toStatus: true,
+            actorRole: true,
+            reason: true,
+            timeSlot: true,
+            createdAt: true
+          },
+          orderBy: { createdAt: 'asc' }
+        },
+        intake: true
       }
     });
     
-    if (!booking) {
+    const actor = booking ? await resolveActor(req, booking) : null;
+    
+    if (!actor) {
       return res.status(404).json({
         error: 'Booking not found or access denied'
       });
@@ -254,10 +578,16 @@ router.get('/:id',
         contactPreference: booking.contactPreference,
         anonymity: booking.anonymity,
         status: booking.status,
+        proposedTimeSlot: booking.proposedTimeSlot,
+        proposedBy: booking.proposedBy,
         notes: booking.notes,
+        sharing: sharingFor(booking),
         createdAt: booking.createdAt,
         updatedAt: booking.updatedAt,
-        counsellor: booking.counsellor
+        counsellor: booking.counsellor,
+        statusHistory: booking.statusHistory,
+        intake: intakeFor(booking.intake),
+        allowedTransitions: getAllowedTransitions(booking, actor)
       }
     });
   })
@@ -265,10 +595,16 @@ router.get('/:id',
 
 /**
  * PATCH /api/v1/bookings/:id
- * Update booking (user can cancel, counsellor can confirm/cancel)
+ * Change a booking's status (see TRANSITIONS in services/bookingLifecycle)
+ * - Counsellors confirm, decline, and mark sessions completed or no-show
+ * - Either side can propose a new time (timeSlot) or cancel; the other side
+ *   accepts a proposed time by setting status CONFIRMED
+ * Declines and attendance corrections need a reason
  */
 const updateBookingSchema = Joi.object({
-  status: Joi.string().valid('CONFIRMED', 'CANCELLED').required(),
+  status: Joi.string().valid(...BOOKING_STATUSES.filter(status => status !== 'REQUESTED')).required(),
+  reason: Joi.string().max(500).allow(''),
+  timeSlot: Joi.date().iso(),
   notes: Joi.string().max(500).allow('')
 });
 
@@ -276,78 +612,72 @@ router.patch('/:id',
   validate(updateBookingSchema),
   asyncHandler(async (req, res) => {
     const bookingId = req.params.id;
-    const { status, notes } = req.body;
+    const { status, reason, timeSlot, notes } = req.body;
     const userId = req.user?.id;
     const anonymousId = req.cookies.anonymousId;
     
-    // Find booking
-    const booking = await prisma.booking.findFirst({
-      where: {
-        id: bookingId,
-        OR: [
-          { userId },
-          { anonymousId }
-        ]
-      },
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
       include: {
         counsellor: true
       }
     });
     
-    if (!booking) {
+    const actor = booking ? await resolveActor(req, booking) : null;
+    
+    if (!actor) {
       return res.status(404).json({
         error: 'Booking not found or access denied'
       });
     }
     
-    // Check if booking can be updated
-    if (booking.status === 'CANCELLED') {
-      return res.status(400).json({
-        error: 'Cannot update cancelled booking'
+    let updatedBooking;
+    try {
+      updatedBooking = await transitionBooking(booking, status, {
+        actor,
+        actorId: userId || null,
+        reason,
+        timeSlot
       });
-    }
-    
-    // Determine allowed actions based on user role
-    const isCounsellor = req.user && ['COUNSELLOR', 'MODERATOR', 'ADMIN'].includes(req.user.role);
-    const isBookingOwner = (userId && booking.userId === userId) || (anonymousId && booking.anonymousId === anonymousId);
-    
-    // Permissions check
-    if (status === 'CONFIRMED') {
-      // Only counsellors can confirm bookings
-      if (!isCounsellor) {
+    } catch (error) {
+      if (error.message.includes('not allowed')) {
         return res.status(403).json({
-          error: 'Only counsellors can confirm bookings'
+          error: 'Status change not allowed',
+          message: error.message
         });
       }
-    } else if (status === 'CANCELLED') {
-      // Both booking owner and counsellors can cancel
-      if (!isBookingOwner && !isCounsellor) {
-        return res.status(403).json({
-          error: 'You can only cancel your own bookings'
+      if (error.message.includes('already booked') || error.message.includes('changed since') || error.message.startsWith('Cannot')) {
+        return res.status(409).json({
+          error: 'Status change not possible',
+          message: error.message
+        });
+      }
+      if (error.message.includes('required') || error.message.startsWith('Time slot')) {
+        return res.status(400).json({
+          error: 'Invalid status change',
+          message: error.message
         });
       }
+      throw error;
     }
     
-    // Update booking
-    const updatedBooking = await prisma.booking.update({
-      where: { id: bookingId },
-      data: {
-        status,
-        notes: notes !== undefined ? notes : booking.notes,
-        updatedAt: new Date()
-      },
-      include: {
-        counsellor: {
-          select: {
-            id: true,
-            name: true,
-            department: true,
-            email: true,
-            phone: true
+    if (notes !== undefined) {
+      updatedBooking = await prisma.booking.update({
+        where: { id: bookingId },
+        data: { notes },
+        include: {
+          counsellor: {
+            select: {
+              id: true,
+              name: true,
+              department: true,
+              email: true,
+              phone: true
+            }
           }
         }
-      }
-    });
+      });
+    }
     
     // Log analytics event
     await prisma.analyticsEvent.create({
@@ -357,7 +687,8 @@ router.patch('/:id',
           bookingId,
           oldStatus: booking.status,
           newStatus: status,
-          updatedBy: req.user ? 'user' : 'anonymous',
+          actorRole: actor,
+          hasReason: Boolean(reason),
           userRole: req.user?.role
         },
         userId,
@@ -365,46 +696,129 @@ router.patch('/:id',
       }
     }).catch(console.error);
     
+    // Tell the other side and keep session reminders in step
+    notifyBookingChange(bookingId, { fromStatus: booking.status, actor, reason }).catch(console.error);
+    
+    // Offer a slot this change freed to the waitlist
+    const freedSlot = getFreedSlot(booking, updatedBooking);
+    if (freedSlot) {
+      offerSlot(booking.counsellorId, freedSlot).catch(console.error);
+    }
+    
     res.json({
       success: true,
-      message: `Booking ${status.toLowerCase()} successfully`,
+      message: `Booking status changed to ${status}`,
       booking: {
         id: updatedBooking.id,
         timeSlot: updatedBooking.timeSlot,
         contactPreference: updatedBooking.contactPreference,
         anonymity: updatedBooking.anonymity,
         status: updatedBooking.status,
+        proposedTimeSlot: updatedBooking.proposedTimeSlot,
+        proposedBy: updatedBooking.proposedBy,
         notes: updatedBooking.notes,
+        sharing: sharingFor(updatedBooking),
         createdAt: updatedBooking.createdAt,
         updatedAt: updatedBooking.updatedAt,
-        counsellor: updatedBooking.counsellor
+        counsellor: updatedBooking.counsellor,
+        allowedTransitions: getAllowedTransitions(updatedBooking, actor)
       }
     });
   })
 );
 
 /**
- * GET /api/v1/bookings/counsellor/my
- * Get bookings for counsellor (counsellors only)
+ * GET /api/v1/bookings/:id/ics
+ * Download a single appointment as an iCalendar file
+ * Staff copies show the student's name only on bookings that are not anonymous
  */
-router.get('/counsellor/my',
-  requireCounsellor,
+router.get('/:id/ics',
   asyncHandler(async (req, res) => {
-    // This endpoint requires a counsellor user to be associated with a counsellor record
-    // For simplicity, we'll assume the user's email matches a counsellor's email
-    const counsellor = await prisma.counsellor.findFirst({
-      where: {
-        email: req.user.email,
-        isActive: true
+    const booking = await prisma.booking.findUnique({
+      where: { id: req.params.id },
+      include: {
+        counsellor: {
+          select: { name: true, room: true, sessionMinutes: true }
+        },
+        user: {
+          select: { name: true }
+        }
       }
     });
     
-    if (!counsellor) {
+    const actor = booking ? await resolveActor(req, booking) : null;
+    
+    if (!actor) {
+      return res.status(404).json({
+        error: 'Booking not found or access denied'
+      });
+    }
+    
+    const calendar = buildCalendar([booking], {
+      audience: actor === ACTORS.STUDENT ? 'student' : 'counsellor'
+    });
+    
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="booking-${booking.id}.ics"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(calendar);
+  })
+);
+
+/**
+ * GET /api/v1/bookings/:id/notifications
+ * Get the notification delivery log for a booking, newest first
+ * Entries record the channel and outcome, never the recipient's address
+ */
+router.get('/:id/notifications',
+  asyncHandler(async (req, res) => {
+    const booking = await prisma.booking.findUnique({
+      where: { id: req.params.id }
+    });
+    
+    const actor = booking ? await resolveActor(req, booking) : null;
+    
+    if (!actor) {
       return res.status(404).json({
-        error: 'Counsellor profile not found. Please contact an administrator.'
+        error: 'Booking not found or access denied'
       });
     }
     
+    const deliveries = await prisma.bookingNotificationLog.findMany({
+      where: { bookingId: booking.id },
+      select: {
+        id: true,
+        event: true,
+        recipient: true,
+        channel: true,
+        status: true,
+        attempts: true,
+        detail: true,
+        sentAt: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+    
+    res.json({
+      success: true,
+      deliveries
+    });
+  })
+);
+
+/**
+ * GET /api/v1/bookings/counsellor/my
+ * Get bookings for the counsellor profile linked to the logged-in account
+ * ?status=REQUESTED lists requests by triage urgency, most urgent first
+ */
+router.get('/counsellor/my',
+  requireCounsellorProfile,
+  asyncHandler(async (req, res) => {
+    const { counsellor } = req;
+    
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
     const status = req.query.status;
@@ -414,7 +828,7 @@ router.get('/counsellor/my',
       counsellorId: counsellor.id
     };
     
-    if (status && ['REQUESTED', 'CONFIRMED', 'CANCELLED'].includes(status)) {
+    if (status && BOOKING_STATUSES.includes(status)) {
       where.status = status;
     }
     
@@ -427,9 +841,22 @@ router.get('/counsellor/my',
           contactPreference: true,
           anonymity: true,
           status: true,
+          proposedTimeSlot: true,
+          proposedBy: true,
           notes: true,
+          shareScreenings: true,
+          shareChatSummary: true,
+          sharedAt: true,
           createdAt: true,
           updatedAt: true,
+          intake: {
+            select: {
+              urgency: true,
+              reasons: true,
+              answers: true,
+              createdAt: true
+            }
+          },
           // Only show user info if not anonymous
           user: {
             select: {
@@ -439,9 +866,10 @@ router.get('/counsellor/my',
             }
           }
         },
-        orderBy: {
-          timeSlot: 'asc'
-        },
+        // Pending requests are a queue: most urgent first, then by session time
+        orderBy: where.status === 'REQUESTED'
+          ? [{ triagePriority: 'asc' }, { timeSlot: 'asc' }]
+          : { timeSlot: 'asc' },
         skip: offset,
         take: limit
       }),
@@ -450,8 +878,10 @@ router.get('/counsellor/my',
     
     res.json({
       success: true,
-      bookings: bookings.map(booking => ({
+      bookings: bookings.map(({ shareScreenings, shareChatSummary, sharedAt, ...booking }) => ({
         ...booking,
+        sharing: sharingFor({ shareScreenings, shareChatSummary, sharedAt }),
+        intake: intakeFor(booking.intake),
         user: booking.anonymity ? null : booking.user // Hide user info for anonymous bookings
       })),
       pagination: {
@@ -464,4 +894,164 @@ router.get('/counsellor/my',
   })
 );
 
+/**
+ * PATCH /api/v1/bookings/:id/sharing
+ * Change what the student shares with the counsellor (booking owner only)
+ */
+router.patch('/:id/sharing',
+  validate(schemas.bookingSharing),
+  asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    const anonymousId = req.cookies.anonymousId;
+    
+    if (!userId && !anonymousId) {
+      return res.status(400).json({
+        error: 'Session identification required'
+      });
+    }
+    
+    const booking = await prisma.booking.findUnique({
+      where: { id: req.params.id }
+    });
+    
+    // Only the student can change what they share; staff get the same 404
+    const actor = booking ? await resolveActor(req, booking) : null;
+    
+    if (actor !== ACTORS.STUDENT) {
+      return res.status(404).json({
+        error: 'Booking not found or access denied'
+      });
+    }
+    
+    const shareScreenings = req.body.shareScreenings ?? booking.shareScreenings;
+    const shareChatSummary = req.body.shareChatSummary ?? booking.shareChatSummary;
+    const sharing = shareScreenings || shareChatSummary;
+    
+    const updatedBooking = await prisma.booking.update({
+      where: { id: booking.id },
+      data: {
+        shareScreenings,
+        shareChatSummary,
+        // Keep the original share time while something stays shared
+        sharedAt: sharing ? booking.sharedAt || new Date() : null
+      }
+    });
+    
+    // Consent changes are audited like the reads they allow
+    await recordAudit({
+      req,
+      action: 'booking.sharing.update',
+      entityType: 'Booking',
+      entityId: booking.id,
+      subjectUserId: booking.userId,
+      subjectAnonymousId: booking.anonymousId,
+      details: {
+        from: sharingFor(booking),
+        to: sharingFor(updatedBooking)
+      }
+    });
+    
+    await prisma.analyticsEvent.create({
+      data: {
+        type: 'booking_sharing_updated',
+        payload: {
+          bookingId: booking.id,
+          shareScreenings,
+          shareChatSummary
+        },
+        userId,
+        anonymousId: userId ? null : anonymousId
+      }
+    }).catch(console.error);
+    
+    res.json({
+      success: true,
+      sharing: sharingFor(updatedBooking)
+    });
+  })
+);
+
+/**
+ * GET /api/v1/bookings/:id/shared-history
+ * Get the screenings and chat summary a student shared on a booking
+ * (the booking's counsellor only; every attempt is audited)
+ */
+router.get('/:id/shared-history',
+  requireCounsellorProfile,
+  asyncHandler(async (req, res) => {
+    const { counsellor } = req;
+    
+    const booking = await prisma.booking.findUnique({
+      where: { id: req.params.id },
+      select: {
+        id: true,
+        userId: true,
+        anonymousId: true,
+        counsellorId: true,
+        timeSlot: true,
+        status: true,
+        anonymity: true,
+        shareScreenings: true,
+        shareChatSummary: true,
+        sharedAt: true
+      }
+    });
+    
+    if (!booking) {
+      return res.status(404).json({
+        error: 'Booking not found'
+      });
+    }
+    
+    const audit = (granted, details) => recordAudit({
+      req,
+      action: 'booking.shared_history.view',
+      entityType: 'Booking',
+      entityId: booking.id,
+      subjectUserId: booking.userId,
+      subjectAnonymousId: booking.anonymousId,
+      granted,
+      details
+    });
+    
+    let refusal = null;
+    if (booking.counsellorId !== counsellor.id) {
+      refusal = { reason: 'not_assigned', status: 403, error: 'This booking is not assigned to you' };
+    } else if (['CANCELLED', 'DECLINED'].includes(booking.status)) {
+      refusal = { reason: 'cancelled', status: 403, error: 'Shared history is not available for cancelled or declined bookings' };
+    } else if (!booking.shareScreenings && !booking.shareChatSummary) {
+      refusal = { reason: 'not_shared', status: 403, error: 'The student has not shared their history for this booking' };
+    }
+    
+    if (refusal) {
+      await audit(false, { reason: refusal.reason, counsellorId: counsellor.id });
+      return res.status(refusal.status).json({
+        error: refusal.error
+      });
+    }
+    
+    const history = await loadSharedHistory(booking);
+    
+    // Record the access before any data leaves the server
+    await audit(true, {
+      counsellorId: counsellor.id,
+      screeningCount: history.screenings ? history.screenings.results.length : null,
+      chatSessionCount: history.chatSummary ? history.chatSummary.sessionCount : null
+    });
+    
+    res.json({
+      success: true,
+      booking: {
+        id: booking.id,
+        timeSlot: booking.timeSlot,
+        status: booking.status,
+        anonymity: booking.anonymity,
+        sharing: sharingFor(booking)
+      },
+      screenings: history.screenings,
+      chatSummary: history.chatSummary
+    });
+  })
+);
+
 module.exports = router;
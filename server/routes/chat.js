@@ -2,7 +2,24 @@ const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sanitizeInput, validate, schemas } = require('../middleware/validation');
 const { optionalAuthMiddleware } = require('../middleware/auth');
-const { classify, buildResponse, getRecentScreenings } = require('../services/chatClassifier');
+const { buildResponse, buildWelcome, getRecentScreenings, SEVERITY_LEVELS, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../services/chatClassifier');
+const { classifyMessage } = require('../services/classifiers');
+const { assessSessionRisk, recordSessionRisk } = require('../services/sessionRisk');
+const { getPublishedContent } = require('../services/chatContent');
+const { raiseCrisisAlert } = require('../services/crisisEscalation');
+const { publishToSession } = require('../services/chatStream');
+const { hasActiveTakeover, isTakeoverIdle } = require('../services/chatTakeover');
+const {
+  listExercises,
+  getActiveExercise,
+  startExercise,
+  advanceExercise,
+  transition,
+  renderExercise,
+  EXERCISES,
+  EXERCISE_STATUS,
+  ACTIONS
+} = require('../services/guidedExercises');
 const Joi = require('joi');
 
 const router = express.Router();
@@ -13,12 +30,23 @@ const prisma = new PrismaClient();
 router.use(sanitizeInput);
 router.use(optionalAuthMiddleware);
 
+/**
+ * Reply language for a request without an explicit choice
+ * Account preference first, then the browser's Accept-Language header
+ */
+const requestLanguage = (req) => {
+  return req.user?.preferredLanguage ||
+    req.acceptsLanguages(...SUPPORTED_LANGUAGES) ||
+    DEFAULT_LANGUAGE;
+};
+
 /**
  * POST /api/v1/chat/session
  * Create a new chat session
  */
 const createSessionSchema = Joi.object({
-  consentToSave: Joi.boolean().default(false)
+  consentToSave: Joi.boolean().default(false),
+  language: Joi.string().valid(...SUPPORTED_LANGUAGES)
 });
 
 router.post('/session',
@@ -27,6 +55,7 @@ router.post('/session',
     const { consentToSave } = req.body;
     const userId = req.user?.id;
     const anonymousId = req.cookies.anonymousId;
+    const language = req.body.language || requestLanguage(req);
     
     // Ensure we have some form of identification
     if (!userId && !anonymousId) {
@@ -41,6 +70,7 @@ router.post('/session',
         userId,
         anonymousId: userId ? null : anonymousId,
         consentToSave,
+        language,
         startedAt: new Date()
       },
       select: {
@@ -48,6 +78,7 @@ router.post('/session',
         userId: true,
         anonymousId: true,
         consentToSave: true,
+        language: true,
         startedAt: true
       }
     });
@@ -65,24 +96,96 @@ router.post('/session',
       }
     }).catch(console.error); // Don't fail the request if analytics fails
     
+    const content = await getPublishedContent();
+    
     res.json({
       success: true,
       session,
-      welcomeMessage: {
-        message: "Hello! I'm here to provide mental health first aid support. How are you feeling today?",
-        quickReplies: [
-          "I'm feeling anxious",
-          "I'm feeling sad",
-          "I'm stressed out",
-          "I can't sleep",
-          "I need help"
-        ],
-        showCrisisBanner: false
-      }
+      welcomeMessage: buildWelcome(language, content)
     });
   })
 );
 
+/**
+ * Classify a student's message, fold it into the session's running risk and
+ * alert on-call staff on a crisis
+ * @param {Object} params.session - Chat session with its recent messages, newest first
+ * @param {Object} params.userMessage - The saved message
+ * @returns {Object} { classification, risk }
+ */
+const assessTurn = async ({ session, userMessage, userId, anonymousId }) => {
+  const { text } = userMessage;
+  
+  // Get recent screenings for context
+  const recentScreenings = await getRecentScreenings(userId, anonymousId);
+  
+  const messageHistory = session.messages.map(msg => ({
+    sender: msg.sender,
+    text: msg.text,
+    createdAt: msg.createdAt
+  }));
+  
+  const classification = await classifyMessage(text, messageHistory, recentScreenings);
+  
+  // Fold this turn into the conversation's running risk
+  const risk = assessSessionRisk({
+    previous: session,
+    classification,
+    text,
+    history: messageHistory
+  });
+  
+  // Update session with last category and severity
+  await prisma.chatSession.update({
+    where: { id: session.id },
+    data: {
+      lastCategory: classification.category,
+      lastSeverity: classification.severity
+    }
+  });
+  
+  await recordSessionRisk(session.id, userMessage.id, risk).catch(console.error);
+  
+  // Put the conversation in front of on-call counselling staff
+  if (classification.crisis || risk.level === SEVERITY_LEVELS.CRISIS) {
+    await raiseCrisisAlert({
+      sessionId: session.id,
+      userId,
+      anonymousId,
+      severity: risk.level,
+      text
+    }).catch(console.error); // Never withhold the safety response from the student
+  }
+  
+  return { classification, risk };
+};
+
+/**
+ * Pass a student's message to the counsellor who has taken over the session
+ * @param {Object} userMessage - The saved message
+ * @returns {Object} Response body for the student
+ */
+const relayToCounsellor = (userMessage) => {
+  publishToSession(userMessage.sessionId, 'message', {
+    id: userMessage.id,
+    message: userMessage.text,
+    sender: 'USER',
+    createdAt: userMessage.createdAt
+  });
+  
+  return {
+    success: true,
+    userMessage: {
+      id: userMessage.id,
+      text: userMessage.text,
+      sender: 'USER',
+      createdAt: userMessage.createdAt
+    },
+    botResponse: null,
+    counsellorActive: true
+  };
+};
+
 /**
  * POST /api/v1/chat/message
  * Send a message and get bot response
@@ -127,21 +230,21 @@ router.post('/message',
       }
     });
     
-    // Get recent screenings for context
-    const recentScreenings = await getRecentScreenings(userId, anonymousId);
+    // Risk and crisis alerts run on every turn, even while a counsellor is chatting
+    const { classification, risk } = await assessTurn({ session, userMessage, userId, anonymousId });
     
-    // Classify the message
-    const messageHistory = session.messages.map(msg => ({
-      sender: msg.sender,
-      text: msg.text,
-      createdAt: msg.createdAt
-    }));
+    // A counsellor has taken over the session: relay the message instead of auto-replying
+    // An idle takeover goes back to the bot here rather than waiting for the next sweep
+    if (await hasActiveTakeover(session)) {
+      return res.json(relayToCounsellor(userMessage));
+    }
     
-    const classification = classify(text, messageHistory, recentScreenings);
+    publishToSession(sessionId, 'typing', { sender: 'BOT', isTyping: true });
     
-    // Build response based on classification
-    const language = req.user?.preferredLanguage || 'en';
-    const response = buildResponse(classification, language);
+    // Build response based on classification and session risk
+    const language = session.language || requestLanguage(req);
+    const content = await getPublishedContent();
+    const response = buildResponse(classification, language, risk, content);
     
     // Save bot response
     const botMessage = await prisma.chatMessage.create({
@@ -155,15 +258,6 @@ router.post('/message',
       }
     });
     
-    // Update session with last category and severity
-    await prisma.chatSession.update({
-      where: { id: sessionId },
-      data: {
-        lastCategory: classification.category,
-        lastSeverity: classification.severity
-      }
-    });
-    
     // Log analytics event
     await prisma.analyticsEvent.create({
       data: {
@@ -173,6 +267,9 @@ router.post('/message',
           category: classification.category,
           severity: classification.severity,
           crisis: classification.crisis,
+          riskLevel: risk.level,
+          riskTrend: risk.trend,
+          engine: classification.engine,
           messageLength: text.length
         },
         userId,
@@ -180,6 +277,26 @@ router.post('/message',
       }
     }).catch(console.error);
     
+    const botResponse = {
+      id: botMessage.id,
+      message: response.message,
+      quickReplies: response.quickReplies,
+      showCrisisBanner: response.showCrisisBanner,
+      nextSteps: response.nextSteps,
+      exercises: response.showCrisisBanner ? [] : listExercises(language, classification.category),
+      category: classification.category,
+      severity: classification.severity,
+      sender: 'BOT',
+      createdAt: botMessage.createdAt
+    };
+    
+    // Push to any open event streams; the REST response below remains the fallback
+    publishToSession(sessionId, 'typing', { sender: 'BOT', isTyping: false });
+    publishToSession(sessionId, 'message', botResponse);
+    if (response.showCrisisBanner) {
+      publishToSession(sessionId, 'crisis', { showCrisisBanner: true });
+    }
+    
     res.json({
       success: true,
       userMessage: {
@@ -188,17 +305,7 @@ router.post('/message',
         sender: 'USER',
         createdAt: userMessage.createdAt
       },
-      botResponse: {
-        id: botMessage.id,
-        message: response.message,
-        quickReplies: response.quickReplies,
-        showCrisisBanner: response.showCrisisBanner,
-        nextSteps: response.nextSteps,
-        category: classification.category,
-        severity: classification.severity,
-        sender: 'BOT',
-        createdAt: botMessage.createdAt
-      }
+      botResponse
     });
   })
 );
@@ -247,10 +354,12 @@ router.get('/session/:id',
       session: {
         id: session.id,
         consentToSave: session.consentToSave,
+        language: session.language,
         startedAt: session.startedAt,
         endedAt: session.endedAt,
         lastCategory: session.lastCategory,
         lastSeverity: session.lastSeverity,
+        counsellorActive: Boolean(session.takenOverById) && !isTakeoverIdle(session),
         messages: session.messages
       }
     });
@@ -309,6 +418,61 @@ router.patch('/session/:id/consent',
   })
 );
 
+/**
+ * PATCH /api/v1/chat/session/:id/language
+ * Switch the reply language for a chat session
+ */
+const updateLanguageSchema = Joi.object({
+  language: Joi.string().valid(...SUPPORTED_LANGUAGES).required()
+});
+
+router.patch('/session/:id/language',
+  validate(updateLanguageSchema),
+  asyncHandler(async (req, res) => {
+    const sessionId = req.params.id;
+    const { language } = req.body;
+    const userId = req.user?.id;
+    const anonymousId = req.cookies.anonymousId;
+    
+    const owners = [];
+    if (userId) {
+      owners.push({ userId });
+    }
+    if (anonymousId) {
+      owners.push({ anonymousId });
+    }
+    
+    const session = owners.length && await prisma.chatSession.findFirst({
+      where: {
+        id: sessionId,
+        OR: owners
+      }
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found or access denied'
+      });
+    }
+    
+    const updatedSession = await prisma.chatSession.update({
+      where: { id: sessionId },
+      data: {
+        language
+      },
+      select: {
+        id: true,
+        language: true
+      }
+    });
+    
+    res.json({
+      success: true,
+      session: updatedSession
+    });
+  })
+);
+
 /**
  * POST /api/v1/chat/session/:id/end
  * End chat session
@@ -342,6 +506,8 @@ router.post('/session/:id/end',
       }
     });
     
+    publishToSession(sessionId, 'session_ended', { endedAt: endedSession.endedAt });
+    
     // Log analytics event
     await prisma.analyticsEvent.create({
       data: {
@@ -368,6 +534,310 @@ router.post('/session/:id/end',
   })
 );
 
+/**
+ * Find a session owned by the requester
+ */
+const findOwnedSession = async (req, sessionId) => {
+  const owners = [];
+  if (req.user?.id) {
+    owners.push({ userId: req.user.id });
+  }
+  if (req.cookies.anonymousId) {
+    owners.push({ anonymousId: req.cookies.anonymousId });
+  }
+  
+  if (owners.length === 0) {
+    return null;
+  }
+  
+  return await prisma.chatSession.findFirst({
+    where: {
+      id: sessionId,
+      OR: owners
+    }
+  });
+};
+
+/**
+ * Text shown in the transcript for the current state of an exercise
+ */
+const exerciseMessageText = (exercise) => {
+  if (exercise.status === EXERCISE_STATUS.COMPLETED) {
+    return exercise.completionMessage;
+  }
+  return `${exercise.title} (${exercise.stepIndex + 1}/${exercise.totalSteps}): ${exercise.step.prompt}`;
+};
+
+/**
+ * GET /api/v1/chat/exercises
+ * List guided exercises, optionally only those suggested for a category
+ */
+router.get('/exercises',
+  asyncHandler(async (req, res) => {
+    const language = SUPPORTED_LANGUAGES.includes(req.query.language) ? req.query.language : requestLanguage(req);
+    const category = req.query.category ? String(req.query.category).toUpperCase() : null;
+    
+    res.json({
+      success: true,
+      exercises: listExercises(language, category)
+    });
+  })
+);
+
+/**
+ * GET /api/v1/chat/session/:id/exercise
+ * Get the exercise in progress, if any, so it can be resumed
+ */
+router.get('/session/:id/exercise',
+  asyncHandler(async (req, res) => {
+    const session = await findOwnedSession(req, req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found or access denied'
+      });
+    }
+    
+    const run = await getActiveExercise(session.id);
+    const language = session.language || requestLanguage(req);
+    
+    res.json({
+      success: true,
+      exercise: run ? renderExercise(run, language) : null
+    });
+  })
+);
+
+/**
+ * POST /api/v1/chat/session/:id/exercise
+ * Start a guided exercise, replacing any exercise in progress
+ */
+const startExerciseSchema = Joi.object({
+  exercise: Joi.string().valid(...Object.keys(EXERCISES)).required()
+});
+
+router.post('/session/:id/exercise',
+  validate(startExerciseSchema),
+  asyncHandler(async (req, res) => {
+    const session = await findOwnedSession(req, req.params.id);
+    
+    if (!session || session.endedAt) {
+      return res.status(404).json({
+        error: 'Session not found or access denied'
+      });
+    }
+    
+    if (await hasActiveTakeover(session)) {
+      return res.status(409).json({
+        error: 'Counsellor active',
+        message: 'Exercises are paused while a counsellor is in the chat'
+      });
+    }
+    
+    const run = await startExercise(session.id, req.body.exercise);
+    const exercise = renderExercise(run, session.language || requestLanguage(req));
+    
+    await prisma.chatMessage.create({
+      data: {
+        sessionId: session.id,
+        sender: 'BOT',
+        text: exerciseMessageText(exercise),
+        category: 'EXERCISE'
+      }
+    });
+    
+    await prisma.analyticsEvent.create({
+      data: {
+        type: 'chat_exercise_started',
+        payload: {
+          sessionId: session.id,
+          exercise: run.exercise
+        },
+        userId: session.userId,
+        anonymousId: session.anonymousId
+      }
+    }).catch(console.error);
+    
+    res.status(201).json({
+      success: true,
+      exercise
+    });
+  })
+);
+
+/**
+ * POST /api/v1/chat/session/:id/exercise/:exerciseId
+ * Answer the current step (next), go back a step, or abandon the exercise
+ */
+const advanceExerciseSchema = Joi.object({
+  action: Joi.string().valid(...ACTIONS).default('next'),
+  response: Joi.alternatives().try(
+    Joi.string().max(2000),
+    Joi.number(),
+    Joi.array().items(Joi.string().max(200)).max(20),
+    Joi.object({ completedCycles: Joi.number().integer().min(0) })
+  )
+});
+
+router.post('/session/:id/exercise/:exerciseId',
+  validate(advanceExerciseSchema),
+  asyncHandler(async (req, res) => {
+    const { action, response } = req.body;
+    const session = await findOwnedSession(req, req.params.id);
+    
+    if (!session || session.endedAt) {
+      return res.status(404).json({
+        error: 'Session not found or access denied'
+      });
+    }
+    
+    const run = await prisma.chatExercise.findFirst({
+      where: {
+        id: req.params.exerciseId,
+        sessionId: session.id
+      }
+    });
+    
+    if (!run) {
+      return res.status(404).json({
+        error: 'Exercise not found'
+      });
+    }
+    
+    const written = [response].flat().filter(item => typeof item === 'string').join('\n');
+    
+    // The exercise is paused while a counsellor is in the chat; anything the
+    // student writes goes to the counsellor, whatever step it was typed into
+    const counsellorActive = await hasActiveTakeover(session);
+    
+    if (counsellorActive && (action !== 'next' || !written)) {
+      return res.status(409).json({
+        error: 'Counsellor active',
+        message: 'Exercises are paused while a counsellor is in the chat'
+      });
+    }
+    
+    // Check the answer before anything is saved, so a rejected step leaves no message behind
+    if (!counsellorActive) {
+      try {
+        transition(run, action, response);
+      } catch (error) {
+        if (error.message.includes('Invalid response') || error.message.includes('not active')) {
+          return res.status(400).json({
+            error: 'Invalid exercise step',
+            message: error.message
+          });
+        }
+        throw error;
+      }
+    }
+    
+    const language = session.language || requestLanguage(req);
+    
+    // Free-text answers are user messages too: they count towards session risk,
+    // and a disclosure ends the exercise
+    if (action === 'next' && written) {
+      const messages = await prisma.chatMessage.findMany({
+        where: { sessionId: session.id },
+        orderBy: { createdAt: 'desc' },
+        take: 10
+      });
+      
+      const userMessage = await prisma.chatMessage.create({
+        data: {
+          sessionId: session.id,
+          sender: 'USER',
+          text: written
+        }
+      });
+      
+      const { classification, risk } = await assessTurn({
+        session: { ...session, messages },
+        userMessage,
+        userId: session.userId,
+        anonymousId: session.anonymousId
+      });
+      
+      if (counsellorActive) {
+        return res.json(relayToCounsellor(userMessage));
+      }
+      
+      if (classification.crisis || risk.level === SEVERITY_LEVELS.CRISIS) {
+        const abandoned = await advanceExercise(run, 'abandon');
+        const content = await getPublishedContent();
+        const crisisResponse = buildResponse(classification, language, risk, content);
+        
+        const botMessage = await prisma.chatMessage.create({
+          data: {
+            sessionId: session.id,
+            sender: 'BOT',
+            text: crisisResponse.message,
+            category: classification.category,
+            severity: classification.severity
+          }
+        });
+        
+        const botResponse = {
+          id: botMessage.id,
+          message: crisisResponse.message,
+          quickReplies: crisisResponse.quickReplies,
+          showCrisisBanner: true,
+          nextSteps: crisisResponse.nextSteps,
+          category: classification.category,
+          severity: classification.severity,
+          sender: 'BOT',
+          createdAt: botMessage.createdAt
+        };
+        
+        publishToSession(session.id, 'message', botResponse);
+        publishToSession(session.id, 'crisis', { showCrisisBanner: true });
+        
+        return res.json({
+          success: true,
+          exercise: renderExercise(abandoned, language),
+          botResponse
+        });
+      }
+    }
+    
+    const updated = await advanceExercise(run, action, response);
+    
+    const exercise = renderExercise(updated, language);
+    
+    if (updated.status !== EXERCISE_STATUS.ABANDONED) {
+      await prisma.chatMessage.create({
+        data: {
+          sessionId: session.id,
+          sender: 'BOT',
+          text: exerciseMessageText(exercise),
+          category: 'EXERCISE'
+        }
+      });
+    }
+    
+    if (updated.status !== EXERCISE_STATUS.ACTIVE) {
+      await prisma.analyticsEvent.create({
+        data: {
+          type: updated.status === EXERCISE_STATUS.COMPLETED ? 'chat_exercise_completed' : 'chat_exercise_abandoned',
+          payload: {
+            sessionId: session.id,
+            exercise: updated.exercise,
+            stepIndex: updated.stepIndex,
+            durationMs: new Date() - updated.startedAt
+          },
+          userId: session.userId,
+          anonymousId: session.anonymousId
+        }
+      }).catch(console.error);
+    }
+    
+    res.json({
+      success: true,
+      exercise
+    });
+  })
+);
+
 /**
  * GET /api/v1/chat/sessions
  * Get user's chat sessions (authenticated users only)
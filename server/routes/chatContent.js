@@ -0,0 +1,381 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput, validate } = require('../middleware/validation');
+const { requireAdmin, requireCounsellor } = require('../middleware/auth');
+const { classify, buildResponse } = require('../services/chatClassifier');
+const {
+  getPreviewContent,
+  saveDraft,
+  publishDraft,
+  defaultContent,
+  validateContent,
+  isKnownSlot,
+  CONTENT_TYPES,
+  TEMPLATE_KEYS,
+  TRIGGER_KEYS,
+  LANGUAGES
+} = require('../services/chatContent');
+const Joi = require('joi');
+
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Apply sanitization to all routes
+router.use(sanitizeInput);
+
+// Counsellors can draft and preview; publishing is admin only
+router.use(requireCounsellor);
+
+const editorSelect = {
+  select: {
+    id: true,
+    name: true
+  }
+};
+
+/**
+ * Resolve and check the :type/:key/:language slot in the URL
+ */
+const resolveSlot = (req, res, next) => {
+  const type = CONTENT_TYPES[req.params.type];
+  const key = req.params.key.toUpperCase();
+  const { language } = req.params;
+  
+  if (!type || !isKnownSlot(type, key, language)) {
+    return res.status(404).json({
+      error: 'Unknown chat content',
+      message: `Expected /{${Object.keys(CONTENT_TYPES).join('|')}}/{category}/{${LANGUAGES.join('|')}}`
+    });
+  }
+  
+  req.slot = { type, key, language };
+  next();
+};
+
+/**
+ * GET /api/v1/admin/chat-content
+ * List every content slot with its published and draft versions
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const entries = await prisma.chatContent.findMany({
+      where: { status: { in: ['PUBLISHED', 'DRAFT'] } },
+      select: {
+        type: true,
+        key: true,
+        language: true,
+        version: true,
+        status: true,
+        publishedAt: true,
+        updatedAt: true,
+        editedBy: editorSelect,
+        publishedBy: editorSelect
+      }
+    });
+    
+    const slots = [];
+    Object.entries(CONTENT_TYPES).forEach(([segment, type]) => {
+      const keys = type === 'TEMPLATE' ? TEMPLATE_KEYS : TRIGGER_KEYS;
+      keys.forEach(key => {
+        LANGUAGES.forEach(language => {
+          const forSlot = entries.filter(e => e.type === type && e.key === key && e.language === language);
+          const published = forSlot.find(e => e.status === 'PUBLISHED');
+          const draft = forSlot.find(e => e.status === 'DRAFT');
+          
+          slots.push({
+            type: segment,
+            key,
+            language,
+            published: published ? {
+              version: published.version,
+              publishedAt: published.publishedAt,
+              publishedBy: published.publishedBy
+            } : null,
+            draft: draft ? {
+              version: draft.version,
+              updatedAt: draft.updatedAt,
+              editedBy: draft.editedBy
+            } : null,
+            usingDefault: !published
+          });
+        });
+      });
+    });
+    
+    res.json({
+      success: true,
+      languages: LANGUAGES,
+      content: slots
+    });
+  })
+);
+
+/**
+ * POST /api/v1/admin/chat-content/preview
+ * Run classify + buildResponse against sample text using drafts (or unsaved edits)
+ */
+const previewSchema = Joi.object({
+  text: Joi.string().min(1).max(1000).required(),
+  language: Joi.string().valid(...LANGUAGES).default('en'),
+  overrides: Joi.array().items(Joi.object({
+    type: Joi.string().valid(...Object.keys(CONTENT_TYPES)).required(),
+    key: Joi.string().uppercase().required(),
+    language: Joi.string().valid(...LANGUAGES).required(),
+    content: Joi.any().required()
+  })).max(20).default([])
+});
+
+router.post('/preview',
+  validate(previewSchema),
+  asyncHandler(async (req, res) => {
+    const { text, language, overrides } = req.body;
+    
+    const resolved = [];
+    for (const override of overrides) {
+      const type = CONTENT_TYPES[override.type];
+      if (!isKnownSlot(type, override.key, override.language)) {
+        return res.status(400).json({
+          error: 'Unknown chat content',
+          message: `No ${override.type} slot for ${override.key} (${override.language})`
+        });
+      }
+      
+      const { value, error } = validateContent(type, override.key, override.content);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: error.details.map(detail => ({
+            field: [override.type, override.key, override.language, ...detail.path].join('.'),
+            message: detail.message
+          }))
+        });
+      }
+      
+      resolved.push({ type, key: override.key, language: override.language, content: value });
+    }
+    
+    const content = await getPreviewContent(resolved);
+    const classification = classify(text, [], [], content);
+    const response = buildResponse(classification, language, null, content);
+    
+    res.json({
+      success: true,
+      preview: {
+        classification,
+        response
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/v1/admin/chat-content/:type/:key/:language
+ * Get the published (or built-in) content and current draft for a slot
+ */
+router.get('/:type/:key/:language',
+  resolveSlot,
+  asyncHandler(async (req, res) => {
+    const { type, key, language } = req.slot;
+    
+    const [published, draft] = await Promise.all([
+      prisma.chatContent.findFirst({
+        where: { type, key, language, status: 'PUBLISHED' },
+        include: { publishedBy: editorSelect }
+      }),
+      prisma.chatContent.findFirst({
+        where: { type, key, language, status: 'DRAFT' },
+        include: { editedBy: editorSelect }
+      })
+    ]);
+    
+    res.json({
+      success: true,
+      slot: {
+        type: req.params.type,
+        key,
+        language
+      },
+      published: published || null,
+      draft: draft || null,
+      defaultContent: defaultContent(type, key, language)
+    });
+  })
+);
+
+/**
+ * GET /api/v1/admin/chat-content/:type/:key/:language/versions
+ * Version history for a slot, newest first
+ */
+router.get('/:type/:key/:language/versions',
+  resolveSlot,
+  asyncHandler(async (req, res) => {
+    const { type, key, language } = req.slot;
+    
+    const versions = await prisma.chatContent.findMany({
+      where: { type, key, language },
+      orderBy: { version: 'desc' },
+      include: {
+        editedBy: editorSelect,
+        publishedBy: editorSelect
+      }
+    });
+    
+    res.json({
+      success: true,
+      versions
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/admin/chat-content/:type/:key/:language/draft
+ * Create or replace the draft for a slot
+ */
+const draftSchema = Joi.object({
+  content: Joi.any().required(),
+  note: Joi.string().max(500).allow('')
+});
+
+router.put('/:type/:key/:language/draft',
+  resolveSlot,
+  validate(draftSchema),
+  asyncHandler(async (req, res) => {
+    const { type, key, language } = req.slot;
+    
+    const { value: content, error } = validateContent(type, key, req.body.content);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: ['content', ...detail.path].join('.'),
+          message: detail.message
+        }))
+      });
+    }
+    
+    const draft = await saveDraft({
+      type,
+      key,
+      language,
+      content,
+      note: req.body.note || null,
+      userId: req.user.id
+    });
+    
+    res.json({
+      success: true,
+      message: 'Draft saved',
+      draft
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/admin/chat-content/:type/:key/:language/draft
+ * Discard the draft for a slot
+ */
+router.delete('/:type/:key/:language/draft',
+  resolveSlot,
+  asyncHandler(async (req, res) => {
+    const { type, key, language } = req.slot;
+    
+    const { count } = await prisma.chatContent.deleteMany({
+      where: { type, key, language, status: 'DRAFT' }
+    });
+    
+    if (count === 0) {
+      return res.status(404).json({
+        error: 'No draft to discard'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Draft discarded'
+    });
+  })
+);
+
+/**
+ * POST /api/v1/admin/chat-content/:type/:key/:language/publish
+ * Publish the draft for a slot (admin only)
+ */
+router.post('/:type/:key/:language/publish',
+  requireAdmin,
+  resolveSlot,
+  asyncHandler(async (req, res) => {
+    const { type, key, language } = req.slot;
+    
+    try {
+      const published = await publishDraft({ type, key, language, userId: req.user.id });
+      
+      await prisma.analyticsEvent.create({
+        data: {
+          type: 'chat_content_published',
+          payload: {
+            contentType: type,
+            key,
+            language,
+            version: published.version
+          },
+          userId: req.user.id
+        }
+      }).catch(console.error);
+      
+      res.json({
+        success: true,
+        message: 'Content published',
+        content: published
+      });
+    } catch (error) {
+      if (error.message.includes('No draft')) {
+        return res.status(404).json({
+          error: 'No draft to publish'
+        });
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * POST /api/v1/admin/chat-content/:type/:key/:language/versions/:version/restore
+ * Copy an earlier version into the slot's draft so it can be reviewed and republished
+ */
+router.post('/:type/:key/:language/versions/:version/restore',
+  resolveSlot,
+  asyncHandler(async (req, res) => {
+    const { type, key, language } = req.slot;
+    const version = parseInt(req.params.version);
+    
+    const source = Number.isInteger(version) && await prisma.chatContent.findUnique({
+      where: {
+        type_key_language_version: { type, key, language, version }
+      }
+    });
+    
+    if (!source) {
+      return res.status(404).json({
+        error: 'Version not found'
+      });
+    }
+    
+    const draft = await saveDraft({
+      type,
+      key,
+      language,
+      content: source.content,
+      note: `Restored from version ${version}`,
+      userId: req.user.id
+    });
+    
+    res.json({
+      success: true,
+      message: `Version ${version} restored as draft`,
+      draft
+    });
+  })
+);
+
+module.exports = router;
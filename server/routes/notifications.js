@@ -0,0 +1,105 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput } = require('../middleware/validation');
+
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Apply sanitization to all routes
+router.use(sanitizeInput);
+
+// All routes in this file require authentication (handled by middleware in main app)
+
+/**
+ * GET /api/v1/notifications
+ * Get the current user's notifications, newest first
+ * Pass ?unread=true for unread notifications only
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const where = {
+      userId: req.user.id,
+      ...(req.query.unread === 'true' ? { readAt: null } : {})
+    };
+    
+    const [notifications, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: limit
+      }),
+      prisma.notification.count({
+        where: {
+          userId: req.user.id,
+          readAt: null
+        }
+      })
+    ]);
+    
+    res.json({
+      success: true,
+      notifications,
+      unreadCount
+    });
+  })
+);
+
+/**
+ * POST /api/v1/notifications/read-all
+ * Mark every notification as read
+ */
+router.post('/read-all',
+  asyncHandler(async (req, res) => {
+    const { count } = await prisma.notification.updateMany({
+      where: {
+        userId: req.user.id,
+        readAt: null
+      },
+      data: {
+        readAt: new Date()
+      }
+    });
+    
+    res.json({
+      success: true,
+      updated: count
+    });
+  })
+);
+
+/**
+ * PATCH /api/v1/notifications/:id/read
+ * Mark one notification as read
+ */
+router.patch('/:id/read',
+  asyncHandler(async (req, res) => {
+    const notification = await prisma.notification.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+    
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notification not found'
+      });
+    }
+    
+    const updated = await prisma.notification.update({
+      where: { id: notification.id },
+      data: {
+        readAt: notification.readAt || new Date()
+      }
+    });
+    
+    res.json({
+      success: true,
+      notification: updated
+    });
+  })
+);
+
+module.exports = router;
@@ -1,7 +1,18 @@
 const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { sanitizeInput } = require('../middleware/validation');
+const { sanitizeInput, validate } = require('../middleware/validation');
+const { sendStoredFile } = require('../middleware/upload');
 const AuthService = require('../services/authService');
+const { getAvailableSlots, MAX_SLOT_RANGE_DAYS } = require('../services/availability');
+const {
+  directoryFilterSchema,
+  buildDirectoryWhere,
+  toDirectoryProfile,
+  SPECIALTIES,
+  LANGUAGES,
+  GENDERS,
+  MODALITIES
+} = require('../services/counsellorProfiles');
 
 const router = express.Router();
 
@@ -11,33 +22,127 @@ router.use(sanitizeInput);
 /**
  * GET /api/v1/counsellors
  * Get list of active counsellors (public endpoint)
+ * Optional filters: ?specialty, ?language, ?gender, ?modality, ?department
+ * Also returns the values each filter accepts, for building filter menus
  */
 router.get('/counsellors',
+  validate(directoryFilterSchema, 'query'),
   asyncHandler(async (req, res) => {
     const { PrismaClient } = require('@prisma/client');
     const prisma = new PrismaClient();
     
-    const counsellors = await prisma.counsellor.findMany({
+    const [counsellors, departments] = await Promise.all([
+      prisma.counsellor.findMany({
+        where: buildDirectoryWhere(req.query),
+        orderBy: {
+          name: 'asc'
+        }
+      }),
+      prisma.counsellor.findMany({
+        where: {
+          isActive: true,
+          department: { not: null }
+        },
+        select: { department: true },
+        distinct: ['department'],
+        orderBy: { department: 'asc' }
+      })
+    ]);
+    
+    res.json({
+      success: true,
+      counsellors: counsellors.map(toDirectoryProfile),
+      filters: {
+        specialties: SPECIALTIES,
+        languages: LANGUAGES,
+        genders: GENDERS,
+        modalities: MODALITIES,
+        departments: departments.map(item => item.department)
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/v1/counsellors/:id/photo
+ * Get a counsellor's directory photo (public endpoint)
+ */
+router.get('/counsellors/:id/photo',
+  asyncHandler(async (req, res) => {
+    const { PrismaClient } = require('@prisma/client');
+    const prisma = new PrismaClient();
+    
+    const counsellor = await prisma.counsellor.findFirst({
       where: {
+        id: req.params.id,
         isActive: true
       },
-      select: {
-        id: true,
-        name: true,
-        department: true,
-        officeHours: true,
-        room: true,
-        email: true,
-        phone: true
-      },
-      orderBy: {
-        name: 'asc'
+      select: { photoPath: true }
+    });
+    
+    if (!counsellor || !counsellor.photoPath) {
+      return res.status(404).json({
+        error: 'Photo not found'
+      });
+    }
+    
+    sendStoredFile(res, counsellor.photoPath);
+  })
+);
+
+/**
+ * GET /api/v1/counsellors/:id/slots
+ * Get bookable slots for a counsellor (public endpoint)
+ * Optional ?from and ?to ISO dates; defaults to the next 14 days
+ */
+router.get('/counsellors/:id/slots',
+  asyncHandler(async (req, res) => {
+    const { PrismaClient } = require('@prisma/client');
+    const prisma = new PrismaClient();
+    
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 14 * 24 * 60 * 60 * 1000);
+    
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: 'from and to must be ISO dates with from before to'
+      });
+    }
+    
+    if (to - from > MAX_SLOT_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: `Slots can be requested for up to ${MAX_SLOT_RANGE_DAYS} days at a time`
+      });
+    }
+    
+    const counsellor = await prisma.counsellor.findFirst({
+      where: {
+        id: req.params.id,
+        isActive: true
       }
     });
     
+    if (!counsellor) {
+      return res.status(404).json({
+        error: 'Counsellor not found or not available'
+      });
+    }
+    
+    const slots = await getAvailableSlots(counsellor, from, to);
+    
     res.json({
       success: true,
-      counsellors
+      counsellor: {
+        id: counsellor.id,
+        name: counsellor.name,
+        timezone: counsellor.timezone,
+        sessionMinutes: counsellor.sessionMinutes
+      },
+      from,
+      to,
+      slots
     });
   })
 );
@@ -2,7 +2,23 @@ const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sanitizeInput, validate, schemas } = require('../middleware/validation');
 const { optionalAuthMiddleware } = require('../middleware/auth');
-const { scorePHQ9, scoreGAD7, getRecommendations } = require('../services/screeningScorer');
+const {
+  scoreScreening,
+  getInterpretation,
+  getRecommendations,
+  getSafetyResponse,
+  describeSafetyFlags,
+  isScreeningType
+} = require('../services/screeningScorer');
+const { getInstrument, listInstruments } = require('../services/instruments');
+const { analyseTrend } = require('../services/screeningTrends');
+const {
+  scheduleScreeningReminder,
+  getReminderPreferences,
+  setReminderPreference
+} = require('../services/screeningReminders');
+const { raiseCrisisAlert } = require('../services/crisisEscalation');
+const { SEVERITY_LEVELS } = require('../services/chatClassifier');
 
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
@@ -13,101 +29,47 @@ router.use(sanitizeInput);
 router.use(optionalAuthMiddleware);
 
 /**
- * POST /api/v1/screenings/phq9
- * Submit PHQ-9 depression screening
+ * Build the safety payload for flagged answers: message, safety plan and helplines
+ * @returns {Object|null} Safety payload, or null if nothing was flagged
  */
-router.post('/phq9',
-  validate(schemas.screening),
-  asyncHandler(async (req, res) => {
-    const { answers, consent } = req.body;
-    const userId = req.user?.id;
-    const anonymousId = req.cookies.anonymousId;
-    
-    // Ensure we have some form of identification
-    if (!userId && !anonymousId) {
-      return res.status(400).json({
-        error: 'Session identification required',
-        message: 'Please enable cookies or log in to take screenings'
-      });
-    }
-    
-    try {
-      // Score the PHQ-9
-      const scoringResult = scorePHQ9(answers);
-      
-      // Save screening result
-      const screening = await prisma.screening.create({
-        data: {
-          userId,
-          anonymousId: userId ? null : anonymousId,
-          type: 'PHQ9',
-          answers,
-          score: scoringResult.score,
-          severityBand: scoringResult.severityBand,
-          consent
-        },
-        select: {
-          id: true,
-          type: true,
-          score: true,
-          severityBand: true,
-          createdAt: true
-        }
-      });
-      
-      // Get recommendations
-      const language = req.user?.preferredLanguage || 'en';
-      const recommendations = getRecommendations('PHQ9', scoringResult.severityBand, language);
-      
-      // Log analytics event
-      await prisma.analyticsEvent.create({
-        data: {
-          type: 'screening_completed',
-          payload: {
-            screeningType: 'PHQ9',
-            score: scoringResult.score,
-            severityBand: scoringResult.severityBand,
-            hasConsent: consent
-          },
-          userId,
-          anonymousId: userId ? null : anonymousId
-        }
-      }).catch(console.error);
-      
-      res.json({
-        success: true,
-        screening,
-        results: {
-          score: scoringResult.score,
-          maxScore: scoringResult.maxScore,
-          severityBand: scoringResult.severityBand,
-          interpretation: scoringResult.interpretation[language] || scoringResult.interpretation.en,
-          recommendations
-        }
-      });
-    } catch (error) {
-      if (error.message.includes('requires exactly') || error.message.includes('must be integers')) {
-        return res.status(400).json({
-          error: 'Invalid screening data',
-          message: error.message
-        });
-      }
-      throw error;
-    }
-  })
-);
+const buildSafetyPayload = async (type, safetyFlags, language) => {
+  const safety = getSafetyResponse(type, safetyFlags, language);
+  if (!safety) {
+    return null;
+  }
+  
+  const helplines = await prisma.helpline.findMany({
+    where: { isActive: true },
+    select: {
+      id: true,
+      title: true,
+      phone: true,
+      campusOnly: true
+    },
+    orderBy: { campusOnly: 'desc' } // Campus helplines first
+  });
+  
+  return { ...safety, helplines };
+};
 
 /**
- * POST /api/v1/screenings/gad7
- * Submit GAD-7 anxiety screening
+ * POST /api/v1/screenings/:type
+ * Submit a screening, e.g. /phq9, /gad7, /pss10, /k10, /auditc, /isi, /who5
  */
-router.post('/gad7',
+router.post('/:type',
   validate(schemas.screening),
   asyncHandler(async (req, res) => {
+    const type = req.params.type.toUpperCase();
     const { answers, consent } = req.body;
     const userId = req.user?.id;
     const anonymousId = req.cookies.anonymousId;
     
+    if (!isScreeningType(type)) {
+      return res.status(404).json({
+        error: 'Screening type not found'
+      });
+    }
+    
     // Ensure we have some form of identification
     if (!userId && !anonymousId) {
       return res.status(400).json({
@@ -117,15 +79,15 @@ router.post('/gad7',
     }
     
     try {
-      // Score the GAD-7
-      const scoringResult = scoreGAD7(answers);
+      // Score the screening
+      const scoringResult = scoreScreening(type, answers);
       
       // Save screening result
       const screening = await prisma.screening.create({
         data: {
           userId,
           anonymousId: userId ? null : anonymousId,
-          type: 'GAD7',
+          type,
           answers,
           score: scoringResult.score,
           severityBand: scoringResult.severityBand,
@@ -140,18 +102,37 @@ router.post('/gad7',
         }
       });
       
+      // Replace any pending follow-up reminder for this instrument
+      await scheduleScreeningReminder({ ...screening, userId, consent }).catch(console.error);
+      
       // Get recommendations
-      const language = req.user?.preferredLanguage || 'en';
-      const recommendations = getRecommendations('GAD7', scoringResult.severityBand, language);
+      const language = req.body.language || req.user?.preferredLanguage || 'en';
+      const recommendations = getRecommendations(type, scoringResult.severityBand, language);
+      
+      // Item-level safety rules (e.g. PHQ-9 item 9) alert on-call staff whatever the total
+      let safety = null;
+      if (scoringResult.safetyFlags.length > 0) {
+        await raiseCrisisAlert({
+          source: 'SCREENING',
+          screeningId: screening.id,
+          userId,
+          anonymousId,
+          severity: SEVERITY_LEVELS.CRISIS,
+          text: `${describeSafetyFlags(type, answers, scoringResult.safetyFlags)} (total ${scoringResult.score}, ${scoringResult.severityBand})`
+        }).catch(console.error); // Never withhold the safety response from the student
+        
+        safety = await buildSafetyPayload(type, scoringResult.safetyFlags, language);
+      }
       
       // Log analytics event
       await prisma.analyticsEvent.create({
         data: {
           type: 'screening_completed',
           payload: {
-            screeningType: 'GAD7',
+            screeningType: type,
             score: scoringResult.score,
             severityBand: scoringResult.severityBand,
+            safetyFlags: scoringResult.safetyFlags,
             hasConsent: consent
           },
           userId,
@@ -167,7 +148,10 @@ router.post('/gad7',
           maxScore: scoringResult.maxScore,
           severityBand: scoringResult.severityBand,
           interpretation: scoringResult.interpretation[language] || scoringResult.interpretation.en,
-          recommendations
+          subscales: scoringResult.subscales,
+          cutoffs: scoringResult.cutoffs,
+          recommendations,
+          safety
         }
       });
     } catch (error) {
@@ -196,7 +180,7 @@ router.get('/my',
     
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
-    const type = req.query.type; // Optional filter by PHQ9 or GAD7
+    const type = req.query.type; // Optional filter by screening type
     const offset = (page - 1) * limit;
     
     const where = {
@@ -204,7 +188,7 @@ router.get('/my',
       consent: true // Only show screenings with consent
     };
     
-    if (type && ['PHQ9', 'GAD7'].includes(type)) {
+    if (type && isScreeningType(type)) {
       where.type = type;
     }
     
@@ -240,6 +224,111 @@ router.get('/my',
   })
 );
 
+/**
+ * GET /api/v1/screenings/reminders
+ * Get follow-up reminder settings per instrument (authenticated users only)
+ */
+router.get('/reminders',
+  asyncHandler(async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required to manage reminders'
+      });
+    }
+    
+    const reminders = await getReminderPreferences(req.user.id);
+    
+    res.json({
+      success: true,
+      reminders
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/screenings/reminders/:type
+ * Turn follow-up reminders for one instrument on or off
+ */
+router.put('/reminders/:type',
+  validate(schemas.reminderPreference),
+  asyncHandler(async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required to manage reminders'
+      });
+    }
+    
+    try {
+      await setReminderPreference(req.user.id, req.params.type.toUpperCase(), req.body.enabled);
+    } catch (error) {
+      if (error.message.includes('not available')) {
+        return res.status(404).json({
+          error: 'Reminders not available',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    
+    const reminders = await getReminderPreferences(req.user.id);
+    
+    res.json({
+      success: true,
+      reminders
+    });
+  })
+);
+
+/**
+ * GET /api/v1/screenings/trends/:type?
+ * Get score trends with reliable change indicators (authenticated users only)
+ * Without a type, returns a trend for every instrument the user has taken
+ */
+router.get('/trends/:type?',
+  asyncHandler(async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required to view screening trends'
+      });
+    }
+    
+    const type = req.params.type ? req.params.type.toUpperCase() : null;
+    if (type && !isScreeningType(type)) {
+      return res.status(404).json({
+        error: 'Screening type not found'
+      });
+    }
+    
+    const screenings = await prisma.screening.findMany({
+      where: {
+        userId: req.user.id,
+        consent: true, // Only include screenings with consent
+        ...(type ? { type } : {})
+      },
+      select: {
+        id: true,
+        type: true,
+        score: true,
+        severityBand: true,
+        createdAt: true
+      },
+      orderBy: {
+        createdAt: 'asc'
+      }
+    });
+    
+    const trends = (type ? [type] : listInstruments())
+      .map(instrumentType => [instrumentType, screenings.filter(s => s.type === instrumentType)])
+      .filter(([, history]) => type || history.length > 0)
+      .map(([instrumentType, history]) => analyseTrend(instrumentType, history));
+    
+    res.json({
+      success: true,
+      trends
+    });
+  })
+);
+
 /**
  * GET /api/v1/screenings/:id
  * Get specific screening result
@@ -276,9 +365,10 @@ router.get('/:id',
     
     // Regenerate interpretation and recommendations
     const language = req.user?.preferredLanguage || 'en';
-    const scoringFunction = screening.type === 'PHQ9' ? scorePHQ9 : scoreGAD7;
-    const scoringResult = scoringFunction(screening.answers);
+    const interpretation = getInterpretation(screening.type, screening.severityBand);
     const recommendations = getRecommendations(screening.type, screening.severityBand, language);
+    const { safetyFlags } = scoreScreening(screening.type, screening.answers);
+    const safety = await buildSafetyPayload(screening.type, safetyFlags, language);
     
     res.json({
       success: true,
@@ -286,10 +376,11 @@ router.get('/:id',
         ...screening,
         results: {
           score: screening.score,
-          maxScore: scoringResult.maxScore,
+          maxScore: getInstrument(screening.type).maxScore,
           severityBand: screening.severityBand,
-          interpretation: scoringResult.interpretation[language] || scoringResult.interpretation.en,
-          recommendations
+          interpretation: interpretation[language] || interpretation.en,
+          recommendations,
+          safety
         }
       }
     });
@@ -297,114 +388,35 @@ router.get('/:id',
 );
 
 /**
- * GET /api/v1/screenings/questions/phq9
- * Get PHQ-9 questions
+ * GET /api/v1/screenings/questions/:type
+ * Get questions for a screening, e.g. /questions/phq9
  */
-router.get('/questions/phq9', (req, res) => {
-  const language = req.query.lang || 'en';
-  
-  const questions = {
-    en: [
-      "Little interest or pleasure in doing things",
-      "Feeling down, depressed, or hopeless",
-      "Trouble falling or staying asleep, or sleeping too much",
-      "Feeling tired or having little energy",
-      "Poor appetite or overeating",
-      "Feeling bad about yourself - or that you are a failure or have let yourself or your family down",
-      "Trouble concentrating on things, such as reading the newspaper or watching television",
-      "Moving or speaking so slowly that other people could have noticed. Or the opposite - being so fidgety or restless that you have been moving around a lot more than usual",
-      "Thoughts that you would be better off dead, or of hurting yourself"
-    ],
-    hi: [
-      "कामों में कम रुचि या खुशी महसूस करना",
-      "उदास, अवसादग्रस्त, या निराश महसूस करना",
-      "सोने में परेशानी, या बहुत ज्यादा सोना",
-      "थकान महसूस करना या ऊर्जा कम होना",
-      "भूख कम लगना या ज्यादा खाना"
-    ]
-  };
+router.get('/questions/:type', (req, res) => {
+  const instrument = getInstrument(req.params.type);
   
-  const responseOptions = {
-    en: [
-      "Not at all",
-      "Several days",
-      "More than half the days",
-      "Nearly every day"
-    ],
-    hi: [
-      "बिल्कुल नहीं",
-      "कई दिन",
-      "आधे से ज्यादा दिन",
-      "लगभग हर दिन"
-    ]
-  };
+  if (!instrument) {
+    return res.status(404).json({
+      error: 'Screening type not found'
+    });
+  }
   
-  res.json({
-    success: true,
-    screening: {
-      type: 'PHQ9',
-      title: language === 'hi' ? 'PHQ-9 अवसाद स्क्रीनिंग' : 'PHQ-9 Depression Screening',
-      description: language === 'hi' ? 
-        'यह स्क्रीनिंग अवसाद के लक्षणों का मूल्यांकन करने में मदद करती है।' :
-        'This screening helps assess symptoms of depression.',
-      timeframe: language === 'hi' ? 'पिछले 2 सप्ताह में' : 'Over the last 2 weeks',
-      questions: questions[language] || questions.en,
-      options: responseOptions[language] || responseOptions.en
-    }
-  });
-});
-
-/**
- * GET /api/v1/screenings/questions/gad7
- * Get GAD-7 questions
- */
-router.get('/questions/gad7', (req, res) => {
   const language = req.query.lang || 'en';
-  
-  const questions = {
-    en: [
-      "Feeling nervous, anxious, or on edge",
-      "Not being able to stop or control worrying",
-      "Worrying too much about different things",
-      "Trouble relaxing",
-      "Being so restless that it is hard to sit still",
-      "Becoming easily annoyed or irritable",
-      "Feeling afraid, as if something awful might happen"
-    ],
-    hi: [
-      "घबराहट, चिंतित, या बेचैन महसूस करना",
-      "चिंता को रोकने या नियंत्रित करने में असमर्थ होना",
-      "विभिन्न बातों के बारे में बहुत ज्यादा चिंता करना",
-      "आराम करने में परेशानी"
-    ]
-  };
-  
-  const responseOptions = {
-    en: [
-      "Not at all",
-      "Several days",
-      "More than half the days",
-      "Nearly every day"
-    ],
-    hi: [
-      "बिल्कुल नहीं",
-      "कई दिन",
-      "आधे से ज्यादा दिन",
-      "लगभग हर दिन"
-    ]
-  };
+  const localise = (text) => text[language] || text.en;
+  const { items, responseOptions } = instrument;
   
   res.json({
     success: true,
     screening: {
-      type: 'GAD7',
-      title: language === 'hi' ? 'GAD-7 चिंता स्क्रीनिंग' : 'GAD-7 Anxiety Screening',
-      description: language === 'hi' ? 
-        'यह स्क्रीनिंग चिंता के लक्षणों का मूल्यांकन करने में मदद करती है।' :
-        'This screening helps assess symptoms of anxiety.',
-      timeframe: language === 'hi' ? 'पिछले 2 सप्ताह में' : 'Over the last 2 weeks',
-      questions: questions[language] || questions.en,
-      options: responseOptions[language] || responseOptions.en
+      type: instrument.type,
+      title: localise(instrument.title),
+      description: localise(instrument.description),
+      timeframe: localise(instrument.timeframe),
+      questions: items.map(item => localise(item.text)),
+      options: localise(responseOptions.labels),
+      itemOptions: items.some(item => item.options)
+        ? items.map(item => (item.options ? localise(item.options) : null))
+        : null,
+      minValue: responseOptions.min
     }
   });
 });
@@ -0,0 +1,252 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput, validate } = require('../middleware/validation');
+const { requireCounsellorProfile } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditLog');
+const {
+  noteSchema,
+  canViewCase,
+  toNoteResponse,
+  saveNote,
+  signNote,
+  loadCaseTimeline
+} = require('../services/sessionNotes');
+
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Apply sanitization to all routes
+router.use(sanitizeInput);
+
+// Notes belong to counsellor profiles, so every route needs a linked account
+router.use(requireCounsellorProfile);
+
+/**
+ * Audit an access to a booking's notes or case record
+ */
+const audit = (req, action, booking, granted, details) => recordAudit({
+  req,
+  action,
+  entityType: 'Booking',
+  entityId: booking.id,
+  subjectUserId: booking.userId,
+  subjectAnonymousId: booking.anonymousId,
+  granted,
+  details: { counsellorId: req.counsellor.id, ...details }
+});
+
+/**
+ * Load a booking with its counsellor's supervisor and its note
+ */
+const findBooking = (bookingId) => prisma.booking.findUnique({
+  where: { id: bookingId },
+  include: {
+    counsellor: {
+      select: { id: true, supervisorId: true }
+    },
+    sessionNote: true
+  }
+});
+
+/**
+ * Load a booking and check the requester may see its case record
+ * Refusals are audited; returns null after responding
+ */
+const loadViewableBooking = async (req, res, action) => {
+  const booking = await findBooking(req.params.bookingId);
+  
+  if (!booking) {
+    res.status(404).json({
+      error: 'Booking not found'
+    });
+    return null;
+  }
+  
+  if (!canViewCase(req.counsellor, booking.counsellor)) {
+    await audit(req, action, booking, false, { reason: 'not_assigned' });
+    res.status(403).json({
+      error: 'This booking is not assigned to you or a counsellor you supervise'
+    });
+    return null;
+  }
+  
+  return booking;
+};
+
+/**
+ * Map service errors to responses
+ */
+const noteErrorStatus = (message) => {
+  if (message.startsWith('Only the')) return 403;
+  if (message.includes('locked') || message.includes('changed since') || message.includes('already signed')) return 409;
+  if (message.startsWith('Notes can only')) return 400;
+  return null;
+};
+
+/**
+ * GET /api/v1/session-notes/bookings/:bookingId
+ * Get the private note for a booking (its counsellor or their supervisor)
+ */
+router.get('/bookings/:bookingId',
+  asyncHandler(async (req, res) => {
+    const booking = await loadViewableBooking(req, res, 'session_note.view');
+    if (!booking) return;
+    
+    // Record the access before any data leaves the server
+    await audit(req, 'session_note.view', booking, true, {
+      noteId: booking.sessionNote?.id || null,
+      version: booking.sessionNote?.version || null
+    });
+    
+    res.json({
+      success: true,
+      note: booking.sessionNote ? toNoteResponse(booking.sessionNote) : null
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/session-notes/bookings/:bookingId
+ * Write or edit the note for a booking (its counsellor only)
+ * Each save adds a version; locked notes cannot be edited
+ */
+router.put('/bookings/:bookingId',
+  validate(noteSchema),
+  asyncHandler(async (req, res) => {
+    const booking = await findBooking(req.params.bookingId);
+    
+    if (!booking) {
+      return res.status(404).json({
+        error: 'Booking not found'
+      });
+    }
+    
+    try {
+      const { note, created } = await saveNote(booking, req.counsellor, req.user.id, req.body);
+      
+      await audit(req, 'session_note.write', booking, true, {
+        noteId: note.id,
+        version: note.version
+      });
+      
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'Note saved' : 'Note updated',
+        note: toNoteResponse(note)
+      });
+    } catch (error) {
+      const status = noteErrorStatus(error.message);
+      if (!status) {
+        throw error;
+      }
+      
+      await audit(req, 'session_note.write', booking, false, { reason: error.message });
+      return res.status(status).json({
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * POST /api/v1/session-notes/bookings/:bookingId/sign
+ * Sign off the note for a booking, locking it (author only)
+ */
+router.post('/bookings/:bookingId/sign',
+  asyncHandler(async (req, res) => {
+    const booking = await findBooking(req.params.bookingId);
+    
+    if (!booking || !booking.sessionNote) {
+      return res.status(404).json({
+        error: 'Note not found'
+      });
+    }
+    
+    try {
+      const note = await signNote(booking.sessionNote, req.counsellor);
+      
+      await audit(req, 'session_note.sign', booking, true, {
+        noteId: note.id,
+        version: note.version
+      });
+      
+      res.json({
+        success: true,
+        message: 'Note signed',
+        note: toNoteResponse(note)
+      });
+    } catch (error) {
+      const status = noteErrorStatus(error.message);
+      if (!status) {
+        throw error;
+      }
+      
+      await audit(req, 'session_note.sign', booking, false, { reason: error.message });
+      return res.status(status).json({
+        error: error.message
+      });
+    }
+  })
+);
+
+/**
+ * GET /api/v1/session-notes/bookings/:bookingId/versions
+ * Get every saved version of a booking's note, newest first
+ */
+router.get('/bookings/:bookingId/versions',
+  asyncHandler(async (req, res) => {
+    const booking = await loadViewableBooking(req, res, 'session_note.versions.view');
+    if (!booking) return;
+    
+    if (!booking.sessionNote) {
+      return res.status(404).json({
+        error: 'Note not found'
+      });
+    }
+    
+    const versions = await prisma.sessionNoteVersion.findMany({
+      where: { noteId: booking.sessionNote.id },
+      include: {
+        editedBy: {
+          select: { id: true, name: true }
+        }
+      },
+      orderBy: { version: 'desc' }
+    });
+    
+    await audit(req, 'session_note.versions.view', booking, true, {
+      noteId: booking.sessionNote.id,
+      versionCount: versions.length
+    });
+    
+    res.json({
+      success: true,
+      versions
+    });
+  })
+);
+
+/**
+ * GET /api/v1/session-notes/bookings/:bookingId/timeline
+ * Get the case timeline for the student on a booking: their bookings, notes
+ * and shared screenings with the requester (and counsellors they supervise)
+ */
+router.get('/bookings/:bookingId/timeline',
+  asyncHandler(async (req, res) => {
+    const booking = await loadViewableBooking(req, res, 'case_timeline.view');
+    if (!booking) return;
+    
+    const timeline = await loadCaseTimeline(booking, req.counsellor);
+    
+    // Record the access before any data leaves the server
+    await audit(req, 'case_timeline.view', booking, true, timeline.counts);
+    
+    res.json({
+      success: true,
+      timeline: timeline.entries
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { optionalAuthMiddleware, requireCounsellor } = require('../middleware/auth');
+const { openStream, publish, sessionChannel, STAFF_CHANNEL } = require('../services/chatStream');
+const { crisisEvents } = require('../services/crisisEscalation');
+
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// EventSource sends cookies, so the same JWT/anonymousId identification applies
+router.use(optionalAuthMiddleware);
+
+// Relay crisis alert lifecycle events to staff dashboards
+['alert:created', 'alert:escalated', 'alert:acknowledged', 'alert:resolved'].forEach(eventName => {
+  crisisEvents.on(eventName, (alert) => {
+    publish(STAFF_CHANNEL, 'crisis_alert', {
+      event: eventName.split(':')[1],
+      alert: {
+        id: alert.id,
+        source: alert.source,
+        status: alert.status,
+        severity: alert.severity,
+        sessionId: alert.sessionId,
+        screeningId: alert.screeningId,
+        escalationLevel: alert.escalationLevel,
+        createdAt: alert.createdAt
+      }
+    });
+  });
+});
+
+/**
+ * GET /api/v1/stream/chat/:sessionId
+ * Server-Sent Events stream for a chat session (student or taking-over counsellor)
+ * Messages are still sent via POST /api/v1/chat/message, which also returns the bot reply
+ */
+router.get('/chat/:sessionId',
+  asyncHandler(async (req, res) => {
+    const sessionId = req.params.sessionId;
+    const userId = req.user?.id;
+    const anonymousId = req.cookies.anonymousId;
+    
+    if (!userId && !anonymousId) {
+      return res.status(400).json({
+        error: 'Session identification required'
+      });
+    }
+    
+    // Verify session belongs to user, or to the counsellor who has taken it over
+    const participants = [];
+    if (userId) {
+      participants.push({ userId }, { takenOverById: userId });
+    }
+    if (anonymousId) {
+      participants.push({ anonymousId });
+    }
+    
+    const session = await prisma.chatSession.findFirst({
+      where: {
+        id: sessionId,
+        OR: participants
+      },
+      select: {
+        id: true,
+        endedAt: true
+      }
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found or access denied'
+      });
+    }
+    
+    if (session.endedAt) {
+      return res.status(410).json({
+        error: 'Chat session has ended'
+      });
+    }
+    
+    openStream(req, res, sessionChannel(sessionId));
+  })
+);
+
+/**
+ * GET /api/v1/stream/staff
+ * Server-Sent Events stream of crisis alerts for counselling staff
+ */
+router.get('/staff',
+  requireCounsellor,
+  (req, res) => {
+    openStream(req, res, STAFF_CHANNEL);
+  }
+);
+
+module.exports = router;
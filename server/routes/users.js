@@ -1,5 +1,6 @@
 const express = require('express');
 const AuthService = require('../services/authService');
+const { reminderKey } = require('../services/screeningReminders');
 const { validate, schemas, sanitizeInput } = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
 const Joi = require('joi');
@@ -216,15 +217,24 @@ router.delete('/me',
           }
         });
         
-        // Anonymize bookings
+        // Anonymize bookings and stop sharing history with counsellors
         await tx.booking.updateMany({
           where: { userId },
           data: {
             userId: null,
-            anonymousId: anonymousId
+            anonymousId: anonymousId,
+            shareScreenings: false,
+            shareChatSummary: false,
+            sharedAt: null
           }
         });
         
+        // Booking history keeps the change but not who made it
+        await tx.bookingStatusChange.updateMany({
+          where: { actorId: userId },
+          data: { actorId: null }
+        });
+        
         // Anonymize peer posts
         await tx.peerPost.updateMany({
           where: { userId },
@@ -261,6 +271,44 @@ router.delete('/me',
             anonymousId: anonymousId
           }
         });
+        
+        // Stop follow-up screening reminders and drop notifications
+        await tx.job.updateMany({
+          where: {
+            key: { startsWith: reminderKey(userId, '') },
+            status: 'PENDING'
+          },
+          data: {
+            status: 'CANCELLED'
+          }
+        });
+        
+        await tx.notification.deleteMany({
+          where: { userId }
+        });
+        
+        await tx.screeningReminderOptOut.deleteMany({
+          where: { userId }
+        });
+        
+        await tx.calendarFeed.deleteMany({
+          where: { userId }
+        });
+        
+        await tx.waitlistEntry.deleteMany({
+          where: { userId }
+        });
+        
+        // The counsellor profile stays listed and can be linked to a new account
+        await tx.counsellor.updateMany({
+          where: { userId },
+          data: { userId: null }
+        });
+        
+        await tx.counsellorInvite.updateMany({
+          where: { invitedById: userId },
+          data: { invitedById: null }
+        });
       });
       
       // Clear cookies
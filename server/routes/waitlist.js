@@ -0,0 +1,267 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput, validate, schemas } = require('../middleware/validation');
+const { optionalAuthMiddleware } = require('../middleware/auth');
+const { intakeAnswersSchema } = require('../services/triage');
+const {
+  joinWaitlist,
+  claimOffer,
+  releaseOffer,
+  leaveWaitlist,
+  ACTIVE_ENTRY_STATUSES
+} = require('../services/waitlist');
+
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Apply sanitization and optional authentication to all routes
+router.use(sanitizeInput);
+router.use(optionalAuthMiddleware);
+
+/**
+ * Prisma filter for the requester's own entries
+ * Anonymous students are matched by cookie only on entries with no account
+ */
+const ownEntries = (req) => (req.user
+  ? { userId: req.user.id }
+  : { userId: null, anonymousId: req.cookies.anonymousId });
+
+const ownsEntry = (req, entry) => {
+  const userId = req.user?.id;
+  const anonymousId = req.cookies.anonymousId;
+  return Boolean((userId && entry.userId === userId) ||
+    (!entry.userId && anonymousId && entry.anonymousId === anonymousId));
+};
+
+/**
+ * Find an offer made to the requester
+ */
+const findOwnOffer = async (req) => {
+  const offer = await prisma.waitlistOffer.findUnique({
+    where: { id: req.params.offerId },
+    include: { entry: true }
+  });
+  return offer && ownsEntry(req, offer.entry) ? offer : null;
+};
+
+/**
+ * POST /api/v1/waitlist
+ * Join the waitlist for a counsellor (counsellorId) or any counsellor in a
+ * department (department), with up to 5 preferred windows
+ * Intake answers (see GET /api/v1/bookings/intake) triage the booking made
+ * when a slot is claimed
+ */
+router.post('/',
+  validate(schemas.waitlist.keys({ intake: intakeAnswersSchema })),
+  asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    const anonymousId = req.cookies.anonymousId;
+    
+    if (!userId && !anonymousId) {
+      return res.status(400).json({
+        error: 'Session identification required',
+        message: 'Please enable cookies or log in to join the waitlist'
+      });
+    }
+    
+    let entry;
+    try {
+      entry = await joinWaitlist({ userId, anonymousId }, req.body);
+    } catch (error) {
+      if (error.message.includes('not found') || error.message.startsWith('No counsellors')) {
+        return res.status(404).json({
+          error: error.message
+        });
+      }
+      if (error.message.startsWith('Already')) {
+        return res.status(409).json({
+          error: 'Already on the waitlist',
+          message: 'You are already waiting for this counsellor or department. Leave that entry first to change your windows.'
+        });
+      }
+      if (error.message.startsWith('Waitlist window')) {
+        return res.status(400).json({
+          error: 'Invalid waitlist window',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    
+    // Log analytics event
+    await prisma.analyticsEvent.create({
+      data: {
+        type: 'waitlist_joined',
+        payload: {
+          entryId: entry.id,
+          counsellorId: entry.counsellorId,
+          department: entry.department,
+          windows: entry.windows.length
+        },
+        userId,
+        anonymousId: userId ? null : anonymousId
+      }
+    }).catch(console.error);
+    
+    res.status(201).json({
+      success: true,
+      message: 'You are on the waitlist. If a matching session opens up, it will be held for you to claim.',
+      entry
+    });
+  })
+);
+
+/**
+ * GET /api/v1/waitlist/my
+ * Get the requester's waitlist entries with any slot currently held for them
+ */
+router.get('/my',
+  asyncHandler(async (req, res) => {
+    if (!req.user && !req.cookies.anonymousId) {
+      return res.status(400).json({
+        error: 'Session identification required'
+      });
+    }
+    
+    const now = new Date();
+    const entries = await prisma.waitlistEntry.findMany({
+      where: ownEntries(req),
+      include: {
+        windows: {
+          orderBy: { startsAt: 'asc' }
+        },
+        counsellor: {
+          select: { id: true, name: true, department: true }
+        },
+        offers: {
+          where: { status: 'OFFERED', expiresAt: { gt: now } },
+          select: {
+            id: true,
+            timeSlot: true,
+            expiresAt: true,
+            counsellor: {
+              select: { id: true, name: true, department: true, room: true }
+            }
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+    
+    res.json({
+      success: true,
+      entries: entries.map(({ offers, ...entry }) => ({
+        ...entry,
+        expired: ACTIVE_ENTRY_STATUSES.includes(entry.status) && entry.expiresAt <= now,
+        offer: offers[0] || null
+      }))
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/waitlist/:id
+ * Leave a waitlist; a slot held for the student goes to the next in line
+ */
+router.delete('/:id',
+  asyncHandler(async (req, res) => {
+    const entry = await prisma.waitlistEntry.findUnique({
+      where: { id: req.params.id },
+      include: { offers: true }
+    });
+    
+    if (!entry || !ownsEntry(req, entry)) {
+      return res.status(404).json({
+        error: 'Waitlist entry not found or access denied'
+      });
+    }
+    
+    if (!ACTIVE_ENTRY_STATUSES.includes(entry.status)) {
+      return res.status(409).json({
+        error: 'Waitlist entry is no longer active'
+      });
+    }
+    
+    await leaveWaitlist(entry);
+    
+    res.json({
+      success: true,
+      message: 'You have left the waitlist'
+    });
+  })
+);
+
+/**
+ * POST /api/v1/waitlist/offers/:offerId/claim
+ * Book a slot held for the student; the booking starts as REQUESTED
+ */
+router.post('/offers/:offerId/claim',
+  asyncHandler(async (req, res) => {
+    const offer = await findOwnOffer(req);
+    
+    if (!offer) {
+      return res.status(404).json({
+        error: 'Offer not found or access denied'
+      });
+    }
+    
+    let booking;
+    try {
+      booking = await claimOffer(offer);
+    } catch (error) {
+      if (error.message.includes('no longer available') || error.message.startsWith('Time slot')) {
+        return res.status(409).json({
+          error: 'Offer no longer available',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Session booked from the waitlist',
+      booking: {
+        id: booking.id,
+        timeSlot: booking.timeSlot,
+        contactPreference: booking.contactPreference,
+        anonymity: booking.anonymity,
+        status: booking.status,
+        createdAt: booking.createdAt,
+        counsellor: booking.counsellor
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/v1/waitlist/offers/:offerId/decline
+ * Turn down a held slot; the student stays on the waitlist for other slots
+ */
+router.post('/offers/:offerId/decline',
+  asyncHandler(async (req, res) => {
+    const offer = await findOwnOffer(req);
+    
+    if (!offer) {
+      return res.status(404).json({
+        error: 'Offer not found or access denied'
+      });
+    }
+    
+    const released = await releaseOffer(offer, 'DECLINED');
+    
+    if (!released) {
+      return res.status(409).json({
+        error: 'Offer no longer available'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Offer declined. You are still on the waitlist.'
+    });
+  })
+);
+
+module.exports = router;
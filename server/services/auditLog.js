@@ -0,0 +1,53 @@
+// Audit log for staff access to sensitive student data
+// Writes are awaited rather than fire-and-forget: if an access cannot be
+// recorded, the data must not be returned
+
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+const USER_AGENT_LENGTH = 255;
+
+/**
+ * Record an access
+ * @param {Object} entry - Audit entry
+ * @param {Object} entry.req - Express request, for the actor, IP and user agent
+ * @param {string} entry.action - What happened, e.g. 'booking.shared_history.view'
+ * @param {string} entry.entityType - Model name, e.g. 'Booking'
+ * @param {string} entry.entityId - Record ID
+ * @param {string} entry.subjectUserId - Student whose data was accessed, if known
+ * @param {string} entry.subjectAnonymousId - Anonymous student, if not logged in
+ * @param {boolean} entry.granted - False for refused attempts
+ * @param {Object} entry.details - Extra context, e.g. which sections were returned
+ * @returns {Object} The audit record
+ */
+async function recordAudit({
+  req,
+  action,
+  entityType,
+  entityId,
+  subjectUserId = null,
+  subjectAnonymousId = null,
+  granted = true,
+  details = null
+}) {
+  const userAgent = req?.get?.('user-agent');
+  
+  return prisma.auditLog.create({
+    data: {
+      actorId: req?.user?.id || null,
+      action,
+      entityType,
+      entityId,
+      subjectUserId,
+      subjectAnonymousId: subjectUserId ? null : subjectAnonymousId,
+      granted,
+      details,
+      ipAddress: req?.ip || null,
+      userAgent: userAgent ? userAgent.slice(0, USER_AGENT_LENGTH) : null
+    }
+  });
+}
+
+module.exports = {
+  recordAudit
+};
@@ -52,12 +52,14 @@ class AuthService {
 
   /**
    * Register new user
+   * @param {Object} userData - { email, password, name, preferredLanguage }
+   * @param {Object} db - Prisma client or transaction
    */
-  static async register(userData) {
+  static async register(userData, db = prisma) {
     const { email, password, name, preferredLanguage = 'en' } = userData;
 
     // Check if user already exists
-    const existingUser = await prisma.user.findUnique({
+    const existingUser = await db.user.findUnique({
       where: { email }
     });
 
@@ -69,7 +71,7 @@ class AuthService {
     const passwordHash = await this.hashPassword(password);
 
     // Create user
-    const user = await prisma.user.create({
+    const user = await db.user.create({
       data: {
         email,
         passwordHash,
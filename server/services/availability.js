@@ -0,0 +1,313 @@
+// Counsellor availability and bookable slot generation
+// Weekly rules are wall-clock hours in the counsellor's timezone. Each rule's
+// window is cut into sessions of sessionMinutes separated by bufferMinutes;
+// slots that fall in an UNAVAILABLE exception, overlap an active booking
+// (plus buffer), or are too soon or too far ahead are dropped.
+
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// A booking with a pending reschedule keeps its current slot until the new one is agreed
+const ACTIVE_BOOKING_STATUSES = ['REQUESTED', 'CONFIRMED', 'RESCHEDULE_PROPOSED'];
+const MAX_SLOT_RANGE_DAYS = 31;
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const getMinNoticeMinutes = () => parseInt(process.env.BOOKING_MIN_NOTICE_MINUTES) || 120;
+const getHorizonDays = () => parseInt(process.env.BOOKING_HORIZON_DAYS) || 60;
+
+/**
+ * Minutes after midnight for an "HH:MM" time
+ * @returns {number|null} Minutes, or null if the time is malformed
+ */
+const parseTime = (time) => {
+  if (typeof time !== 'string' || !TIME_PATTERN.test(time)) {
+    return null;
+  }
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether Intl recognises an IANA timezone name
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @returns {Object} { year, month, day, hour, minute }
+ */
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date);
+  
+  const values = Object.fromEntries(parts
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]));
+  
+  return {
+    year: values.year,
+    month: values.month,
+    day: values.day,
+    hour: values.hour,
+    minute: values.minute
+  };
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes
+ */
+const timeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute } = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  return Math.round((wallClock - Math.floor(date.getTime() / MINUTE_MS) * MINUTE_MS) / MINUTE_MS);
+};
+
+/**
+ * Instant for a wall-clock time on a calendar day in a timezone
+ * Times skipped by a DST change land an hour early; repeated times use the first occurrence
+ * @param {Object} day - { year, month, day }
+ * @param {number} minutes - Minutes after midnight
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} UTC instant
+ */
+function zonedTimeToUtc(day, minutes, timeZone) {
+  const wallClock = Date.UTC(day.year, day.month - 1, day.day) + minutes * MINUTE_MS;
+  const firstGuess = wallClock - timeZoneOffset(new Date(wallClock), timeZone) * MINUTE_MS;
+  const offset = timeZoneOffset(new Date(firstGuess), timeZone);
+  
+  return new Date(wallClock - offset * MINUTE_MS);
+}
+
+/**
+ * Calendar days (in a timezone) touched by a range, with their weekday
+ * @returns {Array} [{ year, month, day, weekday }]
+ */
+const calendarDays = (from, to, timeZone) => {
+  const first = zonedParts(from, timeZone);
+  const last = zonedParts(to, timeZone);
+  const lastMs = Date.UTC(last.year, last.month - 1, last.day);
+  const days = [];
+  
+  for (let ms = Date.UTC(first.year, first.month - 1, first.day); ms <= lastMs; ms += DAY_MS) {
+    const date = new Date(ms);
+    days.push({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      weekday: date.getUTCDay()
+    });
+  }
+  
+  return days;
+};
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+/**
+ * Generate bookable slots for a counsellor
+ * @param {Object} options
+ * @param {Object} options.counsellor - { timezone, sessionMinutes, bufferMinutes }
+ * @param {Array} options.rules - Weekly rules { weekday, startTime, endTime }
+ * @param {Array} options.exceptions - { type, startsAt, endsAt }
+ * @param {Array} options.bookings - Active bookings { timeSlot }
+ * @param {Date} options.from - Earliest slot start
+ * @param {Date} options.to - Slots must start before this
+ * @param {Date} options.now - Current time, for notice and horizon
+ * @returns {Array} [{ start, end }] sorted by start
+ */
+function generateSlots({
+  counsellor,
+  rules = [],
+  exceptions = [],
+  bookings = [],
+  from,
+  to,
+  now = new Date()
+}) {
+  const timeZone = counsellor.timezone || 'UTC';
+  const sessionMs = counsellor.sessionMinutes * MINUTE_MS;
+  const stepMs = sessionMs + counsellor.bufferMinutes * MINUTE_MS;
+  const bufferMs = counsellor.bufferMinutes * MINUTE_MS;
+  const earliest = Math.max(from.getTime(), now.getTime() + getMinNoticeMinutes() * MINUTE_MS);
+  const latest = Math.min(to.getTime(), now.getTime() + getHorizonDays() * DAY_MS);
+  
+  if (earliest >= latest) {
+    return [];
+  }
+  
+  // Windows from the weekly rules, then any extra hours
+  const windows = [];
+  calendarDays(new Date(earliest), new Date(latest), timeZone).forEach(day => {
+    rules
+      .filter(rule => rule.weekday === day.weekday)
+      .forEach(rule => {
+        windows.push([
+          zonedTimeToUtc(day, parseTime(rule.startTime), timeZone).getTime(),
+          zonedTimeToUtc(day, parseTime(rule.endTime), timeZone).getTime()
+        ]);
+      });
+  });
+  exceptions
+    .filter(exception => exception.type === 'AVAILABLE')
+    .forEach(exception => {
+      windows.push([new Date(exception.startsAt).getTime(), new Date(exception.endsAt).getTime()]);
+    });
+  
+  const blocked = exceptions
+    .filter(exception => exception.type !== 'AVAILABLE')
+    .map(exception => [new Date(exception.startsAt).getTime(), new Date(exception.endsAt).getTime()]);
+  
+  // Keep the buffer either side of existing sessions
+  const booked = bookings.map(booking => {
+    const start = new Date(booking.timeSlot).getTime();
+    return [start - bufferMs, start + sessionMs + bufferMs];
+  });
+  
+  const starts = new Set();
+  windows.forEach(([windowStart, windowEnd]) => {
+    for (let start = windowStart; start + sessionMs <= windowEnd; start += stepMs) {
+      const end = start + sessionMs;
+      
+      if (start < earliest || start >= latest) continue;
+      if (blocked.some(([blockStart, blockEnd]) => overlaps(start, end, blockStart, blockEnd))) continue;
+      if (booked.some(([bookedStart, bookedEnd]) => overlaps(start, end, bookedStart, bookedEnd))) continue;
+      
+      starts.add(start);
+    }
+  });
+  
+  return [...starts]
+    .sort((a, b) => a - b)
+    .map(start => ({
+      start: new Date(start),
+      end: new Date(start + sessionMs)
+    }));
+}
+
+/**
+ * Load the rules, exceptions and active bookings that affect a range
+ * Slots held for a waitlisted student count as booked until the offer expires
+ * @param {Object} counsellor - Counsellor record
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Object} options - { db, now, excludeBookingId, excludeOfferId }
+ *   excludeBookingId: booking being moved, which must not block itself
+ *   excludeOfferId: waitlist offer being claimed
+ * @returns {Object} { rules, exceptions, bookings }
+ */
+async function loadAvailability(counsellor, from, to, { db = prisma, now = new Date(), excludeBookingId = null, excludeOfferId = null } = {}) {
+  const marginMs = (counsellor.sessionMinutes + counsellor.bufferMinutes) * MINUTE_MS;
+  const nearby = {
+    gt: new Date(from.getTime() - marginMs),
+    lt: new Date(to.getTime() + marginMs)
+  };
+  
+  const [rules, exceptions, bookings, heldOffers] = await Promise.all([
+    db.availabilityRule.findMany({
+      where: { counsellorId: counsellor.id }
+    }),
+    db.availabilityException.findMany({
+      where: {
+        counsellorId: counsellor.id,
+        startsAt: { lt: new Date(to.getTime() + marginMs) },
+        endsAt: { gt: new Date(from.getTime() - marginMs) }
+      }
+    }),
+    db.booking.findMany({
+      where: {
+        counsellorId: counsellor.id,
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        ...(excludeBookingId ? { id: { not: excludeBookingId } } : {}),
+        timeSlot: nearby
+      },
+      select: { timeSlot: true }
+    }),
+    db.waitlistOffer.findMany({
+      where: {
+        counsellorId: counsellor.id,
+        status: 'OFFERED',
+        expiresAt: { gt: now },
+        ...(excludeOfferId ? { id: { not: excludeOfferId } } : {}),
+        timeSlot: nearby
+      },
+      select: { timeSlot: true }
+    })
+  ]);
+  
+  return { rules, exceptions, bookings: [...bookings, ...heldOffers] };
+}
+
+/**
+ * Bookable slots for a counsellor in a range
+ * @param {Object} counsellor - Counsellor record
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Date} now - Current time
+ * @returns {Array} [{ start, end }]
+ */
+async function getAvailableSlots(counsellor, from, to, now = new Date()) {
+  const availability = await loadAvailability(counsellor, from, to, { now });
+  
+  return generateSlots({ counsellor, ...availability, from, to, now });
+}
+
+/**
+ * Check that a booking time is one of the counsellor's free slots
+ * Run inside the transaction that creates the booking
+ * @param {Object} counsellor - Counsellor record
+ * @param {Date} time - Requested start
+ * @param {Object} options - { now, db, excludeBookingId (when rescheduling), excludeOfferId (when claiming a waitlist offer) }
+ * @throws {Error} Message starting "Time slot" explaining why it cannot be booked
+ */
+async function assertBookableSlot(counsellor, time, { now = new Date(), db = prisma, excludeBookingId = null, excludeOfferId = null } = {}) {
+  const minNotice = getMinNoticeMinutes();
+  const horizonDays = getHorizonDays();
+  
+  if (time.getTime() < now.getTime() + minNotice * MINUTE_MS) {
+    throw new Error(`Time slot must be booked at least ${minNotice} minutes in advance`);
+  }
+  if (time.getTime() > now.getTime() + horizonDays * DAY_MS) {
+    throw new Error(`Time slot must be within the next ${horizonDays} days`);
+  }
+  
+  const from = time;
+  const to = new Date(time.getTime() + 1);
+  const { rules, exceptions, bookings } = await loadAvailability(counsellor, from, to, { db, now, excludeBookingId, excludeOfferId });
+  const offered = generateSlots({ counsellor, rules, exceptions, from, to, now });
+  
+  if (offered.length === 0) {
+    throw new Error('Time slot is outside the counsellor\'s availability');
+  }
+  if (generateSlots({ counsellor, rules, exceptions, bookings, from, to, now }).length === 0) {
+    throw new Error('Time slot is already booked or overlaps another session');
+  }
+}
+
+module.exports = {
+  parseTime,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  generateSlots,
+  getAvailableSlots,
+  assertBookableSlot,
+  getMinNoticeMinutes,
+  getHorizonDays,
+  ACTIVE_BOOKING_STATUSES,
+  MAX_SLOT_RANGE_DAYS
+};
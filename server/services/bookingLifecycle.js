@@ -0,0 +1,242 @@
+// Booking lifecycle
+// Every status change goes through the transition table below, which says
+// who may make it and what it needs (a reason, a new time, the session to
+// have started). Each change is recorded in the booking's status history.
+
+const { PrismaClient } = require('@prisma/client');
+const { assertBookableSlot } = require('./availability');
+const prisma = new PrismaClient();
+
+const ACTORS = {
+  STUDENT: 'STUDENT',
+  COUNSELLOR: 'COUNSELLOR',
+  ADMIN: 'ADMIN',
+  SYSTEM: 'SYSTEM'
+};
+
+const BOOKING_STATUSES = [
+  'REQUESTED',
+  'CONFIRMED',
+  'RESCHEDULE_PROPOSED',
+  'CANCELLED',
+  'DECLINED',
+  'COMPLETED',
+  'NO_SHOW'
+];
+
+const ANYONE = [ACTORS.STUDENT, ACTORS.COUNSELLOR, ACTORS.ADMIN];
+const STAFF = [ACTORS.COUNSELLOR, ACTORS.ADMIN];
+
+// from -> to -> rule
+//   actors          who may make the change
+//   reasonRequired  a reason must be given
+//   proposesTime    a new timeSlot must be given; the other party accepts it
+//   acceptsProposal moves the booking to the proposed time; not by the proposer
+//   beforeStart     only before the session time
+//   afterStart      only once the session time has passed
+const TRANSITIONS = {
+  REQUESTED: {
+    CONFIRMED: { actors: STAFF },
+    DECLINED: { actors: STAFF, reasonRequired: true },
+    RESCHEDULE_PROPOSED: { actors: ANYONE, proposesTime: true },
+    CANCELLED: { actors: ANYONE }
+  },
+  CONFIRMED: {
+    RESCHEDULE_PROPOSED: { actors: ANYONE, proposesTime: true, beforeStart: true },
+    CANCELLED: { actors: ANYONE, beforeStart: true },
+    COMPLETED: { actors: STAFF, afterStart: true },
+    NO_SHOW: { actors: STAFF, afterStart: true }
+  },
+  RESCHEDULE_PROPOSED: {
+    CONFIRMED: { actors: ANYONE, acceptsProposal: true },
+    RESCHEDULE_PROPOSED: { actors: ANYONE, proposesTime: true },
+    DECLINED: { actors: STAFF, reasonRequired: true },
+    CANCELLED: { actors: ANYONE }
+  },
+  // Attendance can be corrected afterwards, with a reason
+  COMPLETED: {
+    NO_SHOW: { actors: STAFF, reasonRequired: true }
+  },
+  NO_SHOW: {
+    COMPLETED: { actors: STAFF, reasonRequired: true }
+  },
+  DECLINED: {},
+  CANCELLED: {}
+};
+
+/**
+ * Rule for moving a booking between two statuses
+ * @returns {Object|null} Transition rule, or null if the move is not allowed at all
+ */
+const getTransition = (fromStatus, toStatus) => (TRANSITIONS[fromStatus] || {})[toStatus] || null;
+
+/**
+ * Check a status change without saving it
+ * @param {Object} booking - { status, timeSlot, proposedTimeSlot, proposedBy }
+ * @param {string} toStatus - Requested status
+ * @param {Object} change - { actor, reason, timeSlot, now }
+ * @returns {Object} The transition rule
+ * @throws {Error} Why the change is not allowed
+ */
+function checkTransition(booking, toStatus, { actor, reason, timeSlot, now = new Date() }) {
+  const rule = getTransition(booking.status, toStatus);
+  
+  if (!rule) {
+    throw new Error(`Cannot change a ${booking.status} booking to ${toStatus}`);
+  }
+  if (!rule.actors.includes(actor)) {
+    throw new Error(`You are not allowed to change a ${booking.status} booking to ${toStatus}`);
+  }
+  if (rule.acceptsProposal && actor !== ACTORS.ADMIN && actor === booking.proposedBy) {
+    throw new Error('The proposer of a new time is not allowed to accept it');
+  }
+  if (rule.beforeStart && new Date(booking.timeSlot) <= now) {
+    throw new Error(`Cannot change a booking to ${toStatus} after the session has started`);
+  }
+  if (rule.afterStart && new Date(booking.timeSlot) > now) {
+    throw new Error(`Cannot mark a session ${toStatus} before it starts`);
+  }
+  if (rule.reasonRequired && !(reason && reason.trim())) {
+    throw new Error(`A reason is required to change a booking to ${toStatus}`);
+  }
+  if (rule.proposesTime && (!timeSlot || new Date(timeSlot).getTime() === new Date(booking.timeSlot).getTime())) {
+    throw new Error('A new timeSlot is required to propose a reschedule');
+  }
+  
+  return rule;
+}
+
+/**
+ * Statuses an actor could move a booking to now
+ * Reasons and proposed times are not checked; the UI asks for them
+ * @returns {Array} Status names
+ */
+function getAllowedTransitions(booking, actor, now = new Date()) {
+  return Object.keys(TRANSITIONS[booking.status] || {}).filter(toStatus => {
+    try {
+      checkTransition(booking, toStatus, { actor, reason: 'check', timeSlot: new Date(0), now });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Change a booking's status and record it in the history
+ * Proposed and accepted times are checked against the counsellor's availability
+ * in the same transaction
+ * @param {Object} booking - Booking including its counsellor
+ * @param {string} toStatus - New status
+ * @param {Object} change - { actor, actorId, reason, timeSlot, now }
+ * @returns {Object} Updated booking including its counsellor
+ * @throws {Error} From checkTransition or assertBookableSlot, or if the booking changed meanwhile
+ */
+async function transitionBooking(booking, toStatus, { actor, actorId = null, reason = null, timeSlot = null, now = new Date() }) {
+  const rule = checkTransition(booking, toStatus, { actor, reason, timeSlot, now });
+  
+  let data = {
+    status: toStatus,
+    proposedTimeSlot: null,
+    proposedBy: null
+  };
+  let historyTime = null;
+  
+  if (rule.proposesTime) {
+    historyTime = new Date(timeSlot);
+    data = { status: toStatus, proposedTimeSlot: historyTime, proposedBy: actor };
+  } else if (rule.acceptsProposal) {
+    historyTime = booking.proposedTimeSlot;
+    data = { ...data, timeSlot: historyTime };
+  }
+  
+  return prisma.$transaction(async (tx) => {
+    if (historyTime) {
+      await assertBookableSlot(booking.counsellor, new Date(historyTime), {
+        db: tx,
+        now,
+        excludeBookingId: booking.id
+      });
+    }
+    
+    // Guard on the status we checked so two changes cannot both apply
+    const { count } = await tx.booking.updateMany({
+      where: {
+        id: booking.id,
+        status: booking.status,
+        proposedTimeSlot: booking.proposedTimeSlot
+      },
+      data
+    });
+    
+    if (count === 0) {
+      throw new Error('Booking was changed since it was loaded');
+    }
+    
+    const updated = await tx.booking.findUnique({
+      where: { id: booking.id },
+      include: {
+        counsellor: {
+          select: {
+            id: true,
+            name: true,
+            department: true,
+            email: true,
+            phone: true
+          }
+        }
+      }
+    });
+    
+    await tx.bookingStatusChange.create({
+      data: {
+        bookingId: booking.id,
+        fromStatus: booking.status,
+        toStatus,
+        actorRole: actor,
+        actorId,
+        reason: reason || null,
+        timeSlot: historyTime
+      }
+    });
+    
+    return updated;
+  });
+}
+
+/**
+ * Attendance figures from booking counts per status
+ * @param {Array} rows - [{ status, count }]
+ * @returns {Object} { total, byStatus, attended, noShows, attendanceRate }
+ */
+function summariseAttendance(rows) {
+  const byStatus = Object.fromEntries(BOOKING_STATUSES.map(status => [status, 0]));
+  rows.forEach(row => {
+    byStatus[row.status] += row.count;
+  });
+  
+  const attended = byStatus.COMPLETED;
+  const noShows = byStatus.NO_SHOW;
+  
+  return {
+    total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+    byStatus,
+    attended,
+    noShows,
+    // Share of sessions that went ahead, out of those that were due to
+    attendanceRate: attended + noShows > 0
+      ? Math.round((attended / (attended + noShows)) * 1000) / 1000
+      : null
+  };
+}
+
+module.exports = {
+  ACTORS,
+  BOOKING_STATUSES,
+  TRANSITIONS,
+  getTransition,
+  checkTransition,
+  getAllowedTransitions,
+  transitionBooking,
+  summariseAttendance
+};
@@ -0,0 +1,453 @@
+// Booking notifications
+// Turns booking changes into messages for the student and the counsellor,
+// sent on the student's contact preference, plus reminders 24 hours and
+// 1 hour before a confirmed session. Every message, including ones that could
+// not be sent, is written to the booking's notification log.
+// Messages to counsellors never include the student's name, email or notes,
+// so anonymous bookings stay anonymous.
+
+const { PrismaClient } = require('@prisma/client');
+const { registerJobHandler, scheduleJob, cancelJobs } = require('./jobRunner');
+const { sendEmail } = require('./mailer');
+const { notifyUser, canEmail } = require('./notifications');
+const { ACTORS } = require('./bookingLifecycle');
+const prisma = new PrismaClient();
+
+const EMAIL_JOB = 'booking_email';
+const EMAIL_MAX_ATTEMPTS = 5;
+const REMINDER_JOB = 'booking_reminder';
+const REMINDER_HOURS = [24, 1];
+const HOUR_MS = 60 * 60 * 1000;
+const DETAIL_LENGTH = 500;
+const BOOKING_LINK = '/booking';
+
+const TEMPLATES = {
+  en: {
+    where: ' Room: {room}.',
+    reason: ' Reason: {reason}.',
+    student: {
+      BOOKING_REQUESTED: {
+        title: 'Booking request received',
+        body: 'Your request for a session with {counsellor} on {time} has been received. We will let you know when it is confirmed.'
+      },
+      BOOKING_CONFIRMED: {
+        title: 'Session confirmed',
+        body: 'Your session with {counsellor} on {time} is confirmed.{where}'
+      },
+      BOOKING_RESCHEDULED: {
+        title: 'Session moved',
+        body: 'Your session with {counsellor} has moved to {time}.{where}'
+      },
+      BOOKING_RESCHEDULE_PROPOSED: {
+        title: 'New time proposed',
+        body: 'A new time has been proposed for your session with {counsellor}: {proposedTime}. Accept it or suggest another on your bookings page.'
+      },
+      BOOKING_DECLINED: {
+        title: 'Session request declined',
+        body: '{counsellor} could not take your request for {time}.{reason} You can book another time or choose a different counsellor.'
+      },
+      BOOKING_CANCELLED: {
+        title: 'Session cancelled',
+        body: 'Your session with {counsellor} on {time} has been cancelled.{reason}'
+      },
+      REMINDER_24H: {
+        title: 'Reminder: your session is tomorrow',
+        body: 'Your session with {counsellor} is on {time}.{where}'
+      },
+      REMINDER_1H: {
+        title: 'Reminder: your session starts in 1 hour',
+        body: 'Your session with {counsellor} is on {time}.{where}'
+      }
+    },
+    counsellor: {
+      BOOKING_REQUESTED: {
+        title: 'New booking request',
+        body: 'A student has requested a session on {time}. Confirm, decline or propose another time in your bookings.'
+      },
+      BOOKING_CONFIRMED: {
+        title: 'Session confirmed',
+        body: 'The session on {time} is confirmed.'
+      },
+      BOOKING_RESCHEDULED: {
+        title: 'Session moved',
+        body: 'The new time was accepted. The session is now on {time}.'
+      },
+      BOOKING_RESCHEDULE_PROPOSED: {
+        title: 'New time proposed',
+        body: 'A new time has been proposed for the session on {time}: {proposedTime}. Accept it or suggest another in your bookings.'
+      },
+      BOOKING_DECLINED: {
+        title: 'Session request declined',
+        body: 'The request for {time} has been declined.{reason}'
+      },
+      BOOKING_CANCELLED: {
+        title: 'Session cancelled',
+        body: 'The session on {time} has been cancelled.{reason}'
+      }
+    }
+  },
+  hi: {
+    where: ' कमरा: {room}।',
+    reason: ' कारण: {reason}।',
+    student: {
+      BOOKING_REQUESTED: {
+        title: 'बुकिंग अनुरोध मिला',
+        body: '{counsellor} के साथ {time} पर सत्र के लिए आपका अनुरोध मिल गया है। पुष्टि होने पर हम आपको बताएँगे।'
+      },
+      BOOKING_CONFIRMED: {
+        title: 'सत्र की पुष्टि हुई',
+        body: '{counsellor} के साथ {time} पर आपका सत्र पक्का हो गया है।{where}'
+      },
+      BOOKING_RESCHEDULED: {
+        title: 'सत्र का समय बदला',
+        body: '{counsellor} के साथ आपका सत्र अब {time} पर है।{where}'
+      },
+      BOOKING_RESCHEDULE_PROPOSED: {
+        title: 'नया समय प्रस्तावित',
+        body: '{counsellor} के साथ आपके सत्र के लिए नया समय प्रस्तावित किया गया है: {proposedTime}। इसे स्वीकार करें या अपने बुकिंग पेज पर दूसरा समय सुझाएँ।'
+      },
+      BOOKING_DECLINED: {
+        title: 'सत्र अनुरोध अस्वीकार',
+        body: '{counsellor} {time} के लिए आपका अनुरोध स्वीकार नहीं कर सके।{reason} आप कोई दूसरा समय या दूसरा काउंसलर चुन सकते हैं।'
+      },
+      BOOKING_CANCELLED: {
+        title: 'सत्र रद्द',
+        body: '{counsellor} के साथ {time} पर आपका सत्र रद्द कर दिया गया है।{reason}'
+      },
+      REMINDER_24H: {
+        title: 'याद दिलाना: आपका सत्र कल है',
+        body: '{counsellor} के साथ आपका सत्र {time} पर है।{where}'
+      },
+      REMINDER_1H: {
+        title: 'याद दिलाना: आपका सत्र 1 घंटे में है',
+        body: '{counsellor} के साथ आपका सत्र {time} पर है।{where}'
+      }
+    }
+  }
+};
+
+// Channels for the student, by contact preference. There is no SMS gateway:
+// phone contact is made by the counsellor, so it is logged as skipped.
+const STUDENT_CHANNELS = {
+  EMAIL: ['EMAIL', 'IN_APP'],
+  PHONE: ['PHONE', 'IN_APP'],
+  IN_APP: ['IN_APP']
+};
+
+/**
+ * Job key for a booking's session reminders
+ */
+const reminderKey = (bookingId) => `booking-reminder:${bookingId}`;
+
+/**
+ * Event for a status change
+ * @param {string|null} fromStatus - Previous status, null for a new booking
+ * @param {string} toStatus - New status
+ * @returns {string|null} Event name, or null if nobody needs telling
+ */
+function getBookingEvent(fromStatus, toStatus) {
+  if (!fromStatus) return 'BOOKING_REQUESTED';
+  if (toStatus === 'CONFIRMED') {
+    return fromStatus === 'RESCHEDULE_PROPOSED' ? 'BOOKING_RESCHEDULED' : 'BOOKING_CONFIRMED';
+  }
+  if (['RESCHEDULE_PROPOSED', 'DECLINED', 'CANCELLED'].includes(toStatus)) {
+    return `BOOKING_${toStatus}`;
+  }
+  return null;
+}
+
+/**
+ * Session time in the counsellor's timezone
+ */
+const formatSessionTime = (date, timeZone = 'UTC', language = 'en') => {
+  const formatted = new Intl.DateTimeFormat(language === 'hi' ? 'hi-IN' : 'en-GB', {
+    dateStyle: 'full',
+    timeStyle: 'short',
+    timeZone
+  }).format(new Date(date));
+  return `${formatted} (${timeZone})`;
+};
+
+/**
+ * Message text for an event
+ * Counsellor templates are English and have no student placeholders
+ * @param {string} event - Event name
+ * @param {string} recipient - 'STUDENT' or 'COUNSELLOR'
+ * @param {Object} booking - Booking with its counsellor
+ * @param {Object} options - { language, reason }
+ * @returns {Object|null} { title, body }, or null if the recipient has no template for the event
+ */
+function renderMessage(event, recipient, booking, { language = 'en', reason = null } = {}) {
+  const lang = recipient === 'STUDENT' && TEMPLATES[language] ? language : 'en';
+  const texts = TEMPLATES[lang];
+  const template = texts[recipient === 'STUDENT' ? 'student' : 'counsellor'][event];
+  if (!template) {
+    return null;
+  }
+  
+  const { counsellor } = booking;
+  const timeZone = counsellor.timezone || 'UTC';
+  const values = {
+    counsellor: counsellor.name,
+    time: formatSessionTime(booking.timeSlot, timeZone, lang),
+    proposedTime: booking.proposedTimeSlot ? formatSessionTime(booking.proposedTimeSlot, timeZone, lang) : '',
+    where: counsellor.room ? texts.where.replace('{room}', counsellor.room) : '',
+    reason: reason ? texts.reason.replace('{reason}', reason) : ''
+  };
+  const fill = (text) => text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+  
+  return {
+    title: fill(template.title),
+    body: fill(template.body)
+  };
+}
+
+/**
+ * Write a delivery log entry
+ */
+const logDelivery = (booking, event, recipient, channel, data) => prisma.bookingNotificationLog.create({
+  data: {
+    bookingId: booking.id,
+    event,
+    recipient,
+    channel,
+    ...data
+  }
+});
+
+/**
+ * Queue an email and log it as QUEUED; the job updates the log
+ */
+async function queueBookingEmail(booking, event, recipient, { to, subject, text }) {
+  const log = await logDelivery(booking, event, recipient, 'EMAIL', { status: 'QUEUED' });
+  const url = process.env.APP_URL ? `\n\n${process.env.APP_URL}${BOOKING_LINK}` : '';
+  
+  await scheduleJob(EMAIL_JOB, { logId: log.id, to, subject, text: `${text}${url}` }, {
+    maxAttempts: EMAIL_MAX_ATTEMPTS
+  });
+  
+  return log;
+}
+
+/**
+ * Send one event to the student on each of their channels
+ * @returns {Array} Log entries
+ */
+async function deliverToStudent(booking, event, reason) {
+  const { user } = booking;
+  const channels = STUDENT_CHANNELS[booking.contactPreference] || STUDENT_CHANNELS.IN_APP;
+  const message = renderMessage(event, 'STUDENT', booking, {
+    language: user ? user.preferredLanguage : 'en',
+    reason
+  });
+  if (!message) {
+    return [];
+  }
+  
+  const logs = [];
+  for (const channel of channels) {
+    if (!user || user.passwordHash === 'DELETED') {
+      logs.push(await logDelivery(booking, event, 'STUDENT', channel, {
+        status: 'SKIPPED',
+        detail: 'No student account to contact'
+      }));
+    } else if (channel === 'PHONE') {
+      logs.push(await logDelivery(booking, event, 'STUDENT', channel, {
+        status: 'SKIPPED',
+        detail: 'Phone contact is made by the counsellor'
+      }));
+    } else if (channel === 'IN_APP') {
+      await notifyUser(user, { type: event.toLowerCase(), ...message, link: BOOKING_LINK }, { email: false });
+      logs.push(await logDelivery(booking, event, 'STUDENT', channel, {
+        status: 'SENT',
+        attempts: 1,
+        sentAt: new Date()
+      }));
+    } else if (!canEmail(user)) {
+      logs.push(await logDelivery(booking, event, 'STUDENT', channel, {
+        status: 'SKIPPED',
+        detail: 'No email address on the account'
+      }));
+    } else {
+      logs.push(await queueBookingEmail(booking, event, 'STUDENT', {
+        to: user.email,
+        subject: message.title,
+        text: message.body
+      }));
+    }
+  }
+  
+  return logs;
+}
+
+/**
+ * Email one event to the counsellor
+ * @returns {Array} Log entries
+ */
+async function deliverToCounsellor(booking, event, reason) {
+  const message = renderMessage(event, 'COUNSELLOR', booking, { reason });
+  if (!message) {
+    return [];
+  }
+  
+  if (!booking.counsellor.email) {
+    return [await logDelivery(booking, event, 'COUNSELLOR', 'EMAIL', {
+      status: 'SKIPPED',
+      detail: 'Counsellor has no email address'
+    })];
+  }
+  
+  return [await queueBookingEmail(booking, event, 'COUNSELLOR', {
+    to: booking.counsellor.email,
+    subject: message.title,
+    text: message.body
+  })];
+}
+
+/**
+ * Load a booking with what notifications need
+ */
+const loadBooking = (bookingId) => prisma.booking.findUnique({
+  where: { id: bookingId },
+  include: {
+    user: {
+      select: {
+        id: true,
+        email: true,
+        passwordHash: true,
+        preferredLanguage: true
+      }
+    },
+    counsellor: {
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        room: true,
+        timezone: true
+      }
+    }
+  }
+});
+
+/**
+ * Replace a booking's pending session reminders
+ * Only confirmed sessions get reminders; reminders already due are skipped
+ * @returns {Array} Scheduled jobs
+ */
+async function syncBookingReminders(booking, now = new Date()) {
+  const key = reminderKey(booking.id);
+  await cancelJobs(key);
+  
+  if (booking.status !== 'CONFIRMED') {
+    return [];
+  }
+  
+  const jobs = [];
+  for (const hours of REMINDER_HOURS) {
+    const runAt = new Date(new Date(booking.timeSlot).getTime() - hours * HOUR_MS);
+    if (runAt > now) {
+      jobs.push(await scheduleJob(REMINDER_JOB, {
+        bookingId: booking.id,
+        hours,
+        timeSlot: new Date(booking.timeSlot).toISOString()
+      }, { runAt, key }));
+    }
+  }
+  
+  return jobs;
+}
+
+/**
+ * Notify both sides of a booking change and keep reminders in step
+ * The side that made the change is not told about it, except that students
+ * get a receipt for a new request
+ * @param {string} bookingId - Booking ID
+ * @param {Object} change - { fromStatus (null for a new booking), actor, reason }
+ * @param {Date} now - Reference time
+ * @returns {Array} Log entries
+ */
+async function notifyBookingChange(bookingId, { fromStatus = null, actor, reason = null } = {}, now = new Date()) {
+  const booking = await loadBooking(bookingId);
+  if (!booking) {
+    return [];
+  }
+  
+  await syncBookingReminders(booking, now);
+  
+  const event = getBookingEvent(fromStatus, booking.status);
+  if (!event) {
+    return [];
+  }
+  
+  const logs = [];
+  if (actor !== ACTORS.STUDENT || event === 'BOOKING_REQUESTED') {
+    logs.push(...await deliverToStudent(booking, event, reason));
+  }
+  if (actor !== ACTORS.COUNSELLOR) {
+    logs.push(...await deliverToCounsellor(booking, event, reason));
+  }
+  
+  return logs;
+}
+
+/**
+ * Job handler: remind the student before a session
+ * Skips bookings that were cancelled or moved after the reminder was scheduled
+ */
+async function sendBookingReminder({ bookingId, hours, timeSlot }) {
+  const booking = await loadBooking(bookingId);
+  if (!booking || booking.status !== 'CONFIRMED' || booking.timeSlot.getTime() !== new Date(timeSlot).getTime()) {
+    return;
+  }
+  
+  await deliverToStudent(booking, `REMINDER_${hours}H`, null);
+}
+
+/**
+ * Job handler: send a queued booking email and record the outcome
+ * Throws on failure so the job runner retries with backoff
+ */
+async function sendBookingEmail({ logId, to, subject, text }, job) {
+  const attempts = job.attempts + 1;
+  
+  try {
+    await sendEmail({ to, subject, text });
+  } catch (error) {
+    await prisma.bookingNotificationLog.updateMany({
+      where: { id: logId },
+      data: {
+        attempts,
+        status: attempts >= job.maxAttempts ? 'FAILED' : 'QUEUED',
+        detail: String(error.message || error).slice(0, DETAIL_LENGTH)
+      }
+    });
+    throw error;
+  }
+  
+  await prisma.bookingNotificationLog.updateMany({
+    where: { id: logId },
+    data: {
+      attempts,
+      status: 'SENT',
+      sentAt: new Date(),
+      detail: null
+    }
+  });
+}
+
+registerJobHandler(EMAIL_JOB, sendBookingEmail);
+registerJobHandler(REMINDER_JOB, sendBookingReminder);
+
+module.exports = {
+  getBookingEvent,
+  renderMessage,
+  formatSessionTime,
+  notifyBookingChange,
+  syncBookingReminders,
+  sendBookingReminder,
+  sendBookingEmail,
+  reminderKey,
+  EMAIL_JOB,
+  REMINDER_JOB
+};
@@ -0,0 +1,151 @@
+// Tokenised iCalendar subscription feeds
+// A feed URL is the only credential a calendar app sends, so only a hash of
+// the token is stored. Creating a feed replaces any earlier one for the same
+// scope, which is also how a leaked URL is revoked.
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { buildCalendar } = require('./icalendar');
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FEED_PAST_DAYS = 30;
+const FEED_MAX_EVENTS = 200;
+
+const FEED_SCOPES = {
+  STUDENT: 'STUDENT',
+  COUNSELLOR: 'COUNSELLOR'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Public URL for a feed token
+ */
+const feedUrl = (token) => `${process.env.APP_URL || ''}/api/v1/bookings/feed/${token}.ics`;
+
+/**
+ * Create a feed, revoking any previous one for the same user and scope
+ * @param {string} userId - Feed owner
+ * @param {string} scope - FEED_SCOPES value
+ * @param {string} counsellorId - Counsellor profile, for COUNSELLOR feeds
+ * @returns {Object} { feed, token, url } - the token is not stored and cannot be shown again
+ */
+async function createFeed(userId, scope, counsellorId = null) {
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  const feed = await prisma.$transaction(async (tx) => {
+    await tx.calendarFeed.updateMany({
+      where: { userId, scope, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    
+    return tx.calendarFeed.create({
+      data: {
+        tokenHash: hashToken(token),
+        userId,
+        scope,
+        counsellorId: scope === FEED_SCOPES.COUNSELLOR ? counsellorId : null
+      }
+    });
+  });
+  
+  return { feed, token, url: feedUrl(token) };
+}
+
+/**
+ * Revoke a user's feed for a scope
+ * @returns {number} Feeds revoked
+ */
+async function revokeFeed(userId, scope) {
+  const { count } = await prisma.calendarFeed.updateMany({
+    where: { userId, scope, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  
+  return count;
+}
+
+/**
+ * Find the live feed for a token
+ * Counsellor feeds stop working once the profile is unlinked from the owner's
+ * account or deactivated
+ * @returns {Object|null} Feed with user and counsellor
+ */
+async function findFeed(token) {
+  if (!token) {
+    return null;
+  }
+  
+  const feed = await prisma.calendarFeed.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: {
+      user: { select: { id: true, role: true } },
+      counsellor: { select: { id: true, name: true, isActive: true, userId: true } }
+    }
+  });
+  
+  if (!feed || feed.revokedAt) {
+    return null;
+  }
+  
+  if (feed.scope === FEED_SCOPES.COUNSELLOR &&
+      (!feed.counsellor?.isActive || feed.counsellor.userId !== feed.userId)) {
+    return null;
+  }
+  
+  return feed;
+}
+
+/**
+ * Calendar text for a feed: bookings from the last 30 days onward, including
+ * cancelled ones so subscribed calendars remove them
+ * @param {Object} feed - Feed from findFeed
+ * @param {Date} now - Current time
+ * @returns {string} iCalendar text
+ */
+async function renderFeed(feed, now = new Date()) {
+  const isCounsellor = feed.scope === FEED_SCOPES.COUNSELLOR;
+  
+  const bookings = await prisma.booking.findMany({
+    where: {
+      ...(isCounsellor ? { counsellorId: feed.counsellorId } : { userId: feed.userId }),
+      timeSlot: { gte: new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS) }
+    },
+    select: {
+      id: true,
+      status: true,
+      timeSlot: true,
+      proposedTimeSlot: true,
+      anonymity: true,
+      createdAt: true,
+      updatedAt: true,
+      counsellor: {
+        select: { name: true, room: true, sessionMinutes: true }
+      },
+      ...(isCounsellor && { user: { select: { name: true } } })
+    },
+    orderBy: { timeSlot: 'asc' },
+    take: FEED_MAX_EVENTS
+  });
+  
+  await prisma.calendarFeed.update({
+    where: { id: feed.id },
+    data: { lastAccessedAt: now }
+  });
+  
+  return buildCalendar(bookings, {
+    audience: isCounsellor ? 'counsellor' : 'student',
+    name: isCounsellor ? `Counselling sessions - ${feed.counsellor.name}` : 'My counselling sessions'
+  });
+}
+
+module.exports = {
+  createFeed,
+  revokeFeed,
+  findFeed,
+  renderFeed,
+  hashToken,
+  feedUrl,
+  FEED_SCOPES
+};
@@ -4,45 +4,74 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 
-// Keyword triggers for each category (case-insensitive)
+const { detectCrisis } = require('./crisisDetection');
+const { foldTokens, containsPhrase } = require('./transliteration');
+
+// Default keyword triggers for each category, per language
+// Published ChatContent overrides these (see chatContent service)
+// Crisis phrases live in crisisDetection, which handles negation and obfuscation
 const CATEGORY_TRIGGERS = {
-  ANXIETY: [
-    'anxious', 'nervous', 'panic', 'racing heart', 'short of breath', 'worry',
-    'restless', 'tense', 'fear', 'phobia', 'overwhelmed', 'stressed out',
-    'can\'t calm down', 'butterflies', 'sweating', 'trembling', 'dread'
-  ],
-  DEPRESSION: [
-    'sad', 'depressed', 'hopeless', 'worthless', 'empty', 'lonely',
-    'no energy', 'tired all the time', 'can\'t sleep', 'no motivation',
-    'nothing matters', 'give up', 'pointless', 'numb', 'crying',
-    'no interest', 'isolated', 'darkness'
-  ],
-  STRESS_BURNOUT: [
-    'stressed', 'burnout', 'exhausted', 'overwhelmed', 'pressure',
-    'too much work', 'can\'t cope', 'breaking point', 'workload',
-    'deadline stress', 'performance anxiety', 'juggling too much'
-  ],
-  SLEEP: [
-    'can\'t sleep', 'insomnia', 'nightmares', 'tired', 'fatigue',
-    'staying up late', 'tossing and turning', 'sleep problems',
-    'waking up early', 'restless sleep', 'no rest'
-  ],
-  ACADEMIC_STRESS: [
-    'exam stress', 'failing', 'grades', 'study pressure', 'academic pressure',
-    'can\'t focus', 'procrastination', 'behind in studies', 'test anxiety',
-    'assignment stress', 'performance pressure', 'academic failure'
-  ],
-  SOCIAL_ISOLATION: [
-    'alone', 'lonely', 'no friends', 'isolated', 'social anxiety',
-    'can\'t connect', 'withdrawn', 'nobody understands', 'left out',
-    'social pressure', 'awkward', 'shy'
-  ],
-  CRISIS: [
-    'suicidal', 'end it all', 'harm myself', 'self-harm', 'kill myself',
-    'life not worth living', 'want to die', 'suicide', 'cut myself',
-    'overdose', 'jump', 'hanging', 'razor', 'pills', 'end my life',
-    'better off dead', 'no point living', 'can\'t go on'
-  ]
+  en: {
+    ANXIETY: [
+      'anxious', 'nervous', 'panic', 'racing heart', 'short of breath', 'worry',
+      'restless', 'tense', 'fear', 'phobia', 'overwhelmed', 'stressed out',
+      'can\'t calm down', 'butterflies', 'sweating', 'trembling', 'dread'
+    ],
+    DEPRESSION: [
+      'sad', 'depressed', 'hopeless', 'worthless', 'empty', 'lonely',
+      'no energy', 'tired all the time', 'can\'t sleep', 'no motivation',
+      'nothing matters', 'give up', 'pointless', 'numb', 'crying',
+      'no interest', 'isolated', 'darkness'
+    ],
+    STRESS_BURNOUT: [
+      'stressed', 'burnout', 'exhausted', 'overwhelmed', 'pressure',
+      'too much work', 'can\'t cope', 'breaking point', 'workload',
+      'deadline stress', 'performance anxiety', 'juggling too much'
+    ],
+    SLEEP: [
+      'can\'t sleep', 'insomnia', 'nightmares', 'tired', 'fatigue',
+      'staying up late', 'tossing and turning', 'sleep problems',
+      'waking up early', 'restless sleep', 'no rest'
+    ],
+    ACADEMIC_STRESS: [
+      'exam stress', 'failing', 'grades', 'study pressure', 'academic pressure',
+      'can\'t focus', 'procrastination', 'behind in studies', 'test anxiety',
+      'assignment stress', 'performance pressure', 'academic failure'
+    ],
+    SOCIAL_ISOLATION: [
+      'alone', 'lonely', 'no friends', 'isolated', 'social anxiety',
+      'can\'t connect', 'withdrawn', 'nobody understands', 'left out',
+      'social pressure', 'awkward', 'shy'
+    ]
+  },
+  // Matched on transliterated words, so romanised Hindi matches too. English
+  // loanwords only count next to a Hindi word, leaving English messages to `en`
+  hi: {
+    ANXIETY: [
+      'घबराहट', 'घबरा रहा', 'घबरा रही', 'चिंता', 'डर लग', 'बेचैनी', 'बेचैन',
+      'दिल तेज़', 'सांस फूल', 'परेशान', 'panic हो'
+    ],
+    DEPRESSION: [
+      'उदास', 'उदासी', 'दुखी', 'मन नहीं लगता', 'कोई उम्मीद नहीं', 'निराश',
+      'खालीपन', 'रोना आता', 'रो रहा', 'रो रही', 'कुछ अच्छा नहीं लगता'
+    ],
+    STRESS_BURNOUT: [
+      'tension है', 'tension हो', 'बहुत tension', 'दबाव', 'pressure है',
+      'थक गया', 'थक गई', 'बहुत काम', 'संभल नहीं', 'झेल नहीं'
+    ],
+    SLEEP: [
+      'नींद नहीं', 'नींद नहीं आती', 'सो नहीं पा', 'रात भर जाग', 'बुरे सपने',
+      'थकान', 'अनिद्रा'
+    ],
+    ACADEMIC_STRESS: [
+      'परीक्षा', 'पढ़ाई', 'exam का', 'exam की', 'नंबर कम', 'marks कम',
+      'fail हो', 'ध्यान नहीं लग', 'पढ़ाई का pressure'
+    ],
+    SOCIAL_ISOLATION: [
+      'अकेला', 'अकेली', 'अकेलापन', 'कोई दोस्त नहीं', 'कोई समझता नहीं',
+      'कोई बात नहीं करता', 'अलग थलग'
+    ]
+  }
 };
 
 // Severity levels
@@ -53,7 +82,7 @@ const SEVERITY_LEVELS = {
   CRISIS: 'crisis'
 };
 
-// Response templates with i18n keys
+// Default response templates with i18n keys, overridable via ChatContent
 const RESPONSE_TEMPLATES = {
   en: {
     ANXIETY: {
@@ -121,6 +150,30 @@ const RESPONSE_TEMPLATES = {
       crisis_resources: "Please reach out immediately to a crisis helpline or emergency services if you're in immediate danger.",
       support_available: "You don't have to go through this alone. Professional help and support are available.",
       next_steps: "Please consider speaking with a mental health professional as soon as possible."
+    },
+    // Lead-ins used when the conversation as a whole is riskier than the latest message
+    RISK_CHECK_IN: {
+      high: "I've noticed that a lot of what you've shared today has been really heavy.",
+      crisis: "Looking at everything you've told me so far, I'm worried about how you're doing."
+    },
+    GENERAL: {
+      message: "I'm here to listen and support you. Can you tell me more about what's on your mind?"
+    },
+    WELCOME: {
+      message: "Hello! I'm here to provide mental health first aid support. How are you feeling today?",
+      quickReplies: [
+        "I'm feeling anxious",
+        "I'm feeling sad",
+        "I'm stressed out",
+        "I can't sleep",
+        "I need help"
+      ]
+    },
+    QUICK_REPLIES: {
+      crisis: ['Show crisis resources', 'Connect with counsellor', 'Find helplines'],
+      general: ['Take screening test', 'Book counselling', 'Browse resources'],
+      category: ['Tell me more', 'Take screening', 'Book session', 'Browse resources'],
+      counsellor: 'Connect with counsellor'
     }
   },
   hi: {
@@ -128,33 +181,126 @@ const RESPONSE_TEMPLATES = {
       validation: "मैं समझ सकता हूँ कि आप अभी चिंतित महसूस कर रहे हैं। यह एक वास्तविक और मान्य अनुभव है।",
       strategies: [
         "4-7-8 श्वास तकनीक आज़माएं: 4 की गिनती में सांस लें, 7 तक रोकें, 8 में छोड़ें।",
-        "5-4-3-2-1 तकनीक से खुद को स्थिर करें: 5 चीजें देखें, 4 को छुएं, 3 सुनें, 2 सूंघें, 1 चखें।"
+        "5-4-3-2-1 तकनीक से खुद को स्थिर करें: 5 चीजें देखें, 4 को छुएं, 3 सुनें, 2 सूंघें, 1 चखें।",
+        "प्रोग्रेसिव मसल रिलैक्सेशन मदद कर सकता है: पैरों की उंगलियों से सिर तक हर मांसपेशी को कसें और फिर ढीला छोड़ें।"
       ],
       psychoeducation: "चिंता तनाव के लिए आपके शरीर की प्राकृतिक प्रतिक्रिया है। असहज होने पर भी, ये भावनाएं अस्थायी हैं।",
       next_steps: "हमारी चिंता जांच (GAD-7) लेने या काउंसलर के साथ सत्र बुक करने पर विचार करें।"
+    },
+    DEPRESSION: {
+      validation: "मैं सुन रहा हूँ कि आप एक कठिन समय से गुज़र रहे हैं। उदासी और खालीपन की ये भावनाएं वास्तविक हैं।",
+      strategies: [
+        "एक दैनिक दिनचर्या बनाए रखने की कोशिश करें, चाहे वह बहुत सरल ही क्यों न हो।",
+        "छोटे, आसान काम करें जिनसे आपको पहले खुशी मिलती थी।",
+        "किसी भरोसेमंद दोस्त या परिवार के सदस्य से बात करने पर विचार करें।"
+      ],
+      psychoeducation: "अवसाद आपके सोचने, महसूस करने और काम करने के तरीके को प्रभावित करता है। यह एक चिकित्सीय स्थिति है जिसका प्रभावी इलाज संभव है।",
+      next_steps: "हमारी अवसाद जांच (PHQ-9) आपके लक्षणों को समझने में मदद कर सकती है। पेशेवर सहायता उपलब्ध है।"
+    },
+    STRESS_BURNOUT: {
+      validation: "तनाव और ज़िम्मेदारियों से दबा हुआ महसूस करना जितना आप सोचते हैं, उससे कहीं ज़्यादा आम है।",
+      strategies: [
+        "बड़े कामों को छोटे, संभालने योग्य हिस्सों में बांटें।",
+        "जब संभव हो, अतिरिक्त ज़िम्मेदारियों को 'ना' कहने का अभ्यास करें।",
+        "नियमित ब्रेक और अपनी देखभाल के लिए समय तय करें।"
+      ],
+      psychoeducation: "लगातार तनाव बर्नआउट का कारण बन सकता है, जो आपके शारीरिक और मानसिक स्वास्थ्य को प्रभावित करता है। सही सहायता से उबरना संभव है।",
+      next_steps: "तनाव प्रबंधन की तकनीकें आज़माएं और काम के बोझ को संभालने के बारे में काउंसलर से बात करें।"
+    },
+    SLEEP: {
+      validation: "नींद की परेशानियां निराशाजनक हो सकती हैं और जीवन के कई हिस्सों पर असर डालती हैं।",
+      strategies: [
+        "सप्ताहांत पर भी सोने और जागने का एक नियमित समय रखें।",
+        "सोने से पहले स्क्रीन के बिना एक आरामदायक दिनचर्या बनाएं।",
+        "अपने कमरे को ठंडा, अंधेरा और शांत रखें।"
+      ],
+      psychoeducation: "अच्छी नींद की आदतें मानसिक स्वास्थ्य के लिए ज़रूरी हैं। नियमित अभ्यास से नींद की समस्याएं अक्सर सुधर जाती हैं।",
+      next_steps: "अगर नींद की समस्या बनी रहे, तो किसी स्वास्थ्य विशेषज्ञ या काउंसलर से बात करने पर विचार करें।"
+    },
+    ACADEMIC_STRESS: {
+      validation: "पढ़ाई का दबाव बहुत भारी लग सकता है, खासकर जब आप अच्छा करना चाहते हों।",
+      strategies: [
+        "पढ़ाई को 25 मिनट के केंद्रित हिस्सों में बांटें और बीच में छोटे ब्रेक लें।",
+        "एक यथार्थवादी पढ़ाई की समय-सारणी बनाएं जिसमें आराम का समय भी हो।",
+        "ज़रूरत पड़ने पर शिक्षकों या अकादमिक सलाहकारों से मदद मांगें।"
+      ],
+      psychoeducation: "पढ़ाई से जुड़ा तनाव छात्रों में आम है। पढ़ने के प्रभावी तरीके सीखने से चिंता कम होती है और प्रदर्शन बेहतर होता है।",
+      next_steps: "हमारे काउंसलर पढ़ाई की रणनीतियों और अकादमिक दबाव को संभालने में आपकी मदद कर सकते हैं।"
+    },
+    SOCIAL_ISOLATION: {
+      validation: "दूसरों से कटा हुआ महसूस करना अकेलेपन और दर्द से भरा हो सकता है।",
+      strategies: [
+        "छोटी बातचीत से शुरुआत करें, जैसे सहपाठियों या साथियों का अभिवादन करना।",
+        "अपनी रुचियों से जुड़े क्लब या गतिविधियों में शामिल हों।",
+        "अपने शौक या चिंताओं से जुड़े ऑनलाइन समुदायों पर विचार करें।"
+      ],
+      psychoeducation: "सामाजिक जुड़ाव मानसिक स्वास्थ्य के लिए बहुत ज़रूरी है। रिश्ते बनाने में समय और अभ्यास लगता है।",
+      next_steps: "हमारा साथी सहायता मंच ऐसे लोगों से जुड़ने की अच्छी शुरुआत हो सकता है जो आपको समझते हैं।"
+    },
+    CRISIS: {
+      immediate_safety: "आपने जो साझा किया है, उसे लेकर मुझे आपकी बहुत चिंता है। आपका जीवन मूल्यवान है, और मदद अभी उपलब्ध है।",
+      crisis_resources: "अगर आप तुरंत खतरे में हैं, तो कृपया अभी किसी संकट हेल्पलाइन या आपातकालीन सेवा से संपर्क करें।",
+      support_available: "आपको इससे अकेले नहीं गुज़रना है। पेशेवर मदद और सहायता उपलब्ध है।",
+      next_steps: "कृपया जल्द से जल्द किसी मानसिक स्वास्थ्य विशेषज्ञ से बात करने पर विचार करें।"
+    },
+    RISK_CHECK_IN: {
+      high: "मैंने देखा है कि आज आपने जो कुछ भी साझा किया है, वह बहुत भारी रहा है।",
+      crisis: "अब तक आपने जो कुछ बताया है, उसे देखते हुए मुझे आपकी चिंता हो रही है।"
+    },
+    GENERAL: {
+      message: "मैं आपकी बात सुनने और आपका साथ देने के लिए यहाँ हूँ। क्या आप मुझे बता सकते हैं कि आपके मन में क्या चल रहा है?"
+    },
+    WELCOME: {
+      message: "नमस्ते! मैं यहाँ मानसिक स्वास्थ्य प्राथमिक सहायता देने के लिए हूँ। आज आप कैसा महसूस कर रहे हैं?",
+      quickReplies: [
+        "मुझे चिंता हो रही है",
+        "मैं उदास महसूस कर रहा हूँ",
+        "मैं तनाव में हूँ",
+        "मुझे नींद नहीं आती",
+        "मुझे मदद चाहिए"
+      ]
+    },
+    QUICK_REPLIES: {
+      crisis: ['संकट संसाधन दिखाएं', 'काउंसलर से जुड़ें', 'हेल्पलाइन खोजें'],
+      general: ['जांच करें', 'काउंसलिंग बुक करें', 'संसाधन देखें'],
+      category: ['और बताइए', 'जांच करें', 'सत्र बुक करें', 'संसाधन देखें'],
+      counsellor: 'काउंसलर से जुड़ें'
     }
-    // Add more Hindi translations as needed
   }
 };
 
+// Languages with a complete template set; others fall back along languageChain
+const SUPPORTED_LANGUAGES = Object.keys(RESPONSE_TEMPLATES);
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Count the triggers present in a message
+ * English triggers are plain substrings; other languages are matched word by
+ * word on transliterated tokens so Devanagari and romanised spellings both hit
+ */
+function countTriggers(language, keywords, normalizedText, foldedTokens) {
+  if (language === 'en') {
+    return keywords.filter(keyword => normalizedText.includes(keyword.toLowerCase())).length;
+  }
+  return keywords.filter(keyword => containsPhrase(foldedTokens, keyword)).length;
+}
+
 /**
  * Classify user input and determine response
  * Pure function for deterministic behavior
  * @param {string} text - User input text
  * @param {Array} history - Previous messages in session
  * @param {Array} screenings - Recent screening results
+ * @param {Object} content - Optional content overrides
+ * @param {Object} content.triggers - Category trigger lists by language (defaults to CATEGORY_TRIGGERS)
  * @returns {Object} Classification result
  */
-function classify(text, history = [], screenings = []) {
+function classify(text, history = [], screenings = [], { triggers = CATEGORY_TRIGGERS } = {}) {
   const normalizedText = text.toLowerCase();
+  const foldedTokens = foldTokens(text);
   
-  // Check for crisis keywords first (short-circuit)
-  const crisisKeywords = CATEGORY_TRIGGERS.CRISIS;
-  const hasCrisisKeywords = crisisKeywords.some(keyword => 
-    normalizedText.includes(keyword.toLowerCase())
-  );
-  
-  if (hasCrisisKeywords) {
+  // Check for crisis phrases first (short-circuit)
+  if (detectCrisis(text).crisis) {
     return {
       category: 'CRISIS',
       severity: SEVERITY_LEVELS.CRISIS,
@@ -163,17 +309,15 @@ function classify(text, history = [], screenings = []) {
     };
   }
   
-  // Score each category based on keyword matches
+  // Score each category based on keyword matches, in whichever language scores best
+  // (messages aren't language-tagged and students switch mid-conversation)
   const categoryScores = {};
   
-  Object.entries(CATEGORY_TRIGGERS).forEach(([category, keywords]) => {
-    if (category === 'CRISIS') return; // Already handled
-    
-    const matches = keywords.filter(keyword => 
-      normalizedText.includes(keyword.toLowerCase())
-    ).length;
-    
-    categoryScores[category] = matches / keywords.length;
+  Object.entries(triggers).forEach(([language, byCategory]) => {
+    Object.entries(byCategory).forEach(([category, keywords]) => {
+      const matches = countTriggers(language, keywords, normalizedText, foldedTokens);
+      categoryScores[category] = Math.max(categoryScores[category] || 0, matches / keywords.length);
+    });
   });
   
   // Find best matching category
@@ -192,95 +336,161 @@ function classify(text, history = [], screenings = []) {
   const [category, confidence] = bestCategory;
   
   // Determine severity based on keyword density and recent screenings
-  let severity = SEVERITY_LEVELS.LOW;
+  const severity = applyScreeningSeverity(severityFromConfidence(confidence), screenings);
   
-  if (confidence > 0.3) {
-    severity = SEVERITY_LEVELS.MODERATE;
-  }
+  return {
+    category,
+    severity,
+    crisis: false,
+    confidence
+  };
+}
+
+/**
+ * Map a classification confidence to a base severity
+ * @param {number} confidence - Confidence between 0 and 1
+ * @returns {string} Severity level
+ */
+function severityFromConfidence(confidence) {
   if (confidence > 0.6) {
-    severity = SEVERITY_LEVELS.HIGH;
+    return SEVERITY_LEVELS.HIGH;
   }
-  
-  // Augment severity from recent screenings (within 60 days)
+  if (confidence > 0.3) {
+    return SEVERITY_LEVELS.MODERATE;
+  }
+  return SEVERITY_LEVELS.LOW;
+}
+
+/**
+ * Augment severity from recent screenings (within 60 days)
+ * Shared by every classifier engine so screening context is applied consistently
+ * @param {string} severity - Severity derived from the message
+ * @param {Array} screenings - Recent screening results
+ * @returns {string} Adjusted severity level
+ */
+function applyScreeningSeverity(severity, screenings = []) {
   const recentScreenings = screenings.filter(s => {
     const daysDiff = (Date.now() - new Date(s.createdAt)) / (1000 * 60 * 60 * 24);
     return daysDiff <= 60;
   });
   
-  if (recentScreenings.length > 0) {
-    const latestScreening = recentScreenings.sort((a, b) => 
-      new Date(b.createdAt) - new Date(a.createdAt)
-    )[0];
-    
-    if (latestScreening.severityBand === 'severe' || latestScreening.severityBand === 'moderate-severe') {
-      severity = SEVERITY_LEVELS.HIGH;
-    } else if (latestScreening.severityBand === 'moderate' && severity === SEVERITY_LEVELS.LOW) {
-      severity = SEVERITY_LEVELS.MODERATE;
-    }
+  if (recentScreenings.length === 0) {
+    return severity;
   }
   
-  return {
-    category,
-    severity,
-    crisis: false,
-    confidence
-  };
+  const latestScreening = [...recentScreenings].sort((a, b) => 
+    new Date(b.createdAt) - new Date(a.createdAt)
+  )[0];
+  
+  if (latestScreening.severityBand === 'severe' || latestScreening.severityBand === 'moderate-severe') {
+    return SEVERITY_LEVELS.HIGH;
+  }
+  if (latestScreening.severityBand === 'moderate' && severity === SEVERITY_LEVELS.LOW) {
+    return SEVERITY_LEVELS.MODERATE;
+  }
+  
+  return severity;
+}
+
+/**
+ * Languages to try for a requested language, most specific first
+ * e.g. 'hi-IN' -> ['hi-IN', 'hi', 'en']
+ * @param {string} language - Requested language tag
+ * @returns {Array} Language codes
+ */
+function languageChain(language) {
+  const requested = typeof language === 'string' ? language.trim().toLowerCase() : '';
+  const base = requested.split('-')[0];
+  return [...new Set([requested, base, DEFAULT_LANGUAGE].filter(Boolean))];
+}
+
+/**
+ * Find a template along the language fallback chain
+ * Falls back to the built-in English template if the template set lacks it entirely
+ * @param {Object} templateSet - Templates by language
+ * @param {string} language - Requested language
+ * @param {string} key - Template key, e.g. ANXIETY or CRISIS
+ * @returns {Object|null} Template
+ */
+function resolveTemplate(templateSet, language, key) {
+  for (const code of languageChain(language)) {
+    if (templateSet[code]?.[key]) {
+      return templateSet[code][key];
+    }
+  }
+  return RESPONSE_TEMPLATES[DEFAULT_LANGUAGE][key] || null;
 }
 
 /**
  * Build response based on classification
  * @param {Object} classification - Result from classify function
- * @param {string} language - User's preferred language
+ * @param {string} language - Response language; missing templates fall back via languageChain
+ * @param {Object} risk - Session risk from sessionRisk.assessSessionRisk, if tracked
+ * @param {Object} content - Optional content overrides
+ * @param {Object} content.templates - Templates by language (defaults to RESPONSE_TEMPLATES)
  * @returns {Object} Response with message and quick replies
  */
-function buildResponse(classification, language = 'en') {
+function buildResponse(classification, language = DEFAULT_LANGUAGE, risk = null, { templates: templateSet = RESPONSE_TEMPLATES } = {}) {
   const { category, severity, crisis } = classification;
-  const templates = RESPONSE_TEMPLATES[language] || RESPONSE_TEMPLATES.en;
+  const template = (key) => resolveTemplate(templateSet, language, key);
+  const checkIns = template('RISK_CHECK_IN');
+  const quickReplies = template('QUICK_REPLIES');
+  const riskLevel = risk?.level || null;
   
-  if (crisis) {
-    const template = templates.CRISIS;
+  // The conversation has reached crisis even if this message alone has not
+  if (crisis || riskLevel === SEVERITY_LEVELS.CRISIS) {
+    const crisisTemplate = template('CRISIS');
+    const lead = crisis ? '' : `${checkIns.crisis} `;
     return {
-      message: `${template.immediate_safety} ${template.crisis_resources} ${template.support_available}`,
-      quickReplies: [
-        'Show crisis resources',
-        'Connect with counsellor',
-        'Find helplines'
-      ],
+      message: `${lead}${crisisTemplate.immediate_safety} ${crisisTemplate.crisis_resources} ${crisisTemplate.support_available}`,
+      quickReplies: [...quickReplies.crisis],
       showCrisisBanner: true,
-      nextSteps: template.next_steps
+      nextSteps: crisisTemplate.next_steps,
+      riskLevel: SEVERITY_LEVELS.CRISIS
     };
   }
   
-  const template = templates[category];
-  if (!template) {
+  const elevated = riskLevel === SEVERITY_LEVELS.HIGH;
+  const lead = elevated ? `${checkIns.high} ` : '';
+  const counsellorReply = elevated ? [quickReplies.counsellor] : [];
+  
+  // Only category templates carry strategies; GENERAL and unknown categories get the open prompt
+  const categoryTemplate = template(category);
+  if (!Array.isArray(categoryTemplate?.strategies)) {
     return {
-      message: "I'm here to listen and support you. Can you tell me more about what's on your mind?",
-      quickReplies: [
-        'Take screening test',
-        'Book counselling',
-        'Browse resources'
-      ],
-      showCrisisBanner: false
+      message: `${lead}${template('GENERAL').message}`,
+      quickReplies: [...counsellorReply, ...quickReplies.general],
+      showCrisisBanner: false,
+      riskLevel
     };
   }
   
-  const strategies = template.strategies.slice(0, 2); // Limit to 2 strategies
-  const message = `${template.validation} ${strategies.join(' ')} ${template.psychoeducation}`;
-  
-  const quickReplies = [
-    'Tell me more',
-    'Take screening',
-    'Book session',
-    'Browse resources'
-  ];
+  const strategies = categoryTemplate.strategies.slice(0, 2); // Limit to 2 strategies
+  const message = `${lead}${categoryTemplate.validation} ${strategies.join(' ')} ${categoryTemplate.psychoeducation}`;
   
   return {
     message,
-    quickReplies,
+    quickReplies: [...counsellorReply, ...quickReplies.category],
     showCrisisBanner: false,
-    nextSteps: template.next_steps,
+    nextSteps: categoryTemplate.next_steps,
     category,
-    severity
+    severity,
+    riskLevel
+  };
+}
+
+/**
+ * Opening message for a new chat session
+ * @param {string} language - Response language
+ * @param {Object} content - Optional content overrides ({templates})
+ * @returns {Object} {message, quickReplies, showCrisisBanner}
+ */
+function buildWelcome(language = DEFAULT_LANGUAGE, { templates: templateSet = RESPONSE_TEMPLATES } = {}) {
+  const welcome = resolveTemplate(templateSet, language, 'WELCOME');
+  return {
+    message: welcome.message,
+    quickReplies: [...welcome.quickReplies],
+    showCrisisBanner: false
   };
 }
 
@@ -318,8 +528,15 @@ async function getRecentScreenings(userId, anonymousId) {
 module.exports = {
   classify,
   buildResponse,
+  buildWelcome,
+  resolveTemplate,
+  languageChain,
   getRecentScreenings,
+  severityFromConfidence,
+  applyScreeningSeverity,
   CATEGORY_TRIGGERS,
   SEVERITY_LEVELS,
-  RESPONSE_TEMPLATES
+  RESPONSE_TEMPLATES,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE
 };
\ No newline at end of file
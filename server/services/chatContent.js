@@ -0,0 +1,259 @@
+// Chat content service
+// Database-backed, versioned response templates and trigger lists for the
+// First-Aid chat. Published entries are layered over the defaults in
+// chatClassifier; each (type, key, language) slot has at most one draft.
+
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+const { CATEGORY_TRIGGERS, RESPONSE_TEMPLATES, SUPPORTED_LANGUAGES } = require('./chatClassifier');
+
+const CACHE_TTL_MS = parseInt(process.env.CHAT_CONTENT_CACHE_MS) || 60 * 1000;
+
+const LANGUAGES = SUPPORTED_LANGUAGES;
+
+// URL segment -> ChatContentType
+const CONTENT_TYPES = {
+  templates: 'TEMPLATE',
+  triggers: 'TRIGGERS'
+};
+
+const TRIGGER_KEYS = Object.keys(CATEGORY_TRIGGERS.en);
+const TEMPLATE_KEYS = [...TRIGGER_KEYS, 'CRISIS', 'RISK_CHECK_IN', 'GENERAL', 'WELCOME', 'QUICK_REPLIES'];
+
+const text = Joi.string().trim().min(1).max(1000);
+const quickReply = Joi.string().trim().min(1).max(60);
+
+const categoryTemplateSchema = Joi.object({
+  validation: text.required(),
+  strategies: Joi.array().items(text).min(1).max(10).required(),
+  psychoeducation: text.required(),
+  next_steps: text.required()
+});
+
+const TEMPLATE_SCHEMAS = {
+  CRISIS: Joi.object({
+    immediate_safety: text.required(),
+    crisis_resources: text.required(),
+    support_available: text.required(),
+    next_steps: text.required()
+  }),
+  RISK_CHECK_IN: Joi.object({
+    high: text.required(),
+    crisis: text.required()
+  }),
+  GENERAL: Joi.object({
+    message: text.required()
+  }),
+  WELCOME: Joi.object({
+    message: text.required(),
+    quickReplies: Joi.array().items(quickReply).min(1).max(6).required()
+  }),
+  QUICK_REPLIES: Joi.object({
+    crisis: Joi.array().items(quickReply).min(1).max(6).required(),
+    general: Joi.array().items(quickReply).min(1).max(6).required(),
+    category: Joi.array().items(quickReply).min(1).max(6).required(),
+    counsellor: quickReply.required()
+  })
+};
+
+const triggersSchema = Joi.array()
+  .items(Joi.string().trim().lowercase().min(2).max(100))
+  .min(1)
+  .max(200)
+  .unique();
+
+let cache = null;
+
+/**
+ * Check that a slot exists
+ * @param {string} type - TEMPLATE or TRIGGERS
+ * @param {string} key - Category key
+ * @param {string} language - Language code
+ * @returns {boolean} True if the slot can hold content
+ */
+function isKnownSlot(type, key, language) {
+  if (!LANGUAGES.includes(language)) {
+    return false;
+  }
+  return type === 'TEMPLATE' ? TEMPLATE_KEYS.includes(key) : type === 'TRIGGERS' && TRIGGER_KEYS.includes(key);
+}
+
+/**
+ * Validate content for a slot
+ * @returns {Object} Joi result {value, error}
+ */
+function validateContent(type, key, content) {
+  const schema = type === 'TRIGGERS'
+    ? triggersSchema
+    : TEMPLATE_SCHEMAS[key] || categoryTemplateSchema;
+  return schema.validate(content, { abortEarly: false, stripUnknown: true });
+}
+
+/**
+ * Built-in content for a slot, used until something is published
+ */
+function defaultContent(type, key, language) {
+  if (type === 'TRIGGERS') {
+    return CATEGORY_TRIGGERS[language]?.[key] || null;
+  }
+  return RESPONSE_TEMPLATES[language]?.[key] || null;
+}
+
+/**
+ * Layer content entries over the built-in defaults
+ * @param {Array} entries - ChatContent records, applied in order
+ * @returns {Object} {templates, triggers} keyed by language
+ */
+function buildContent(entries = []) {
+  const templates = JSON.parse(JSON.stringify(RESPONSE_TEMPLATES));
+  const triggers = JSON.parse(JSON.stringify(CATEGORY_TRIGGERS));
+  
+  entries.forEach(({ type, key, language, content }) => {
+    const target = type === 'TEMPLATE' ? templates : triggers;
+    target[language] = target[language] || {};
+    target[language][key] = content;
+  });
+  
+  return {
+    templates,
+    triggers
+  };
+}
+
+/**
+ * Published content layered over defaults, cached for CACHE_TTL_MS
+ * @returns {Promise<Object>} {templates, triggers}
+ */
+async function getPublishedContent() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.content;
+  }
+  
+  try {
+    const published = await prisma.chatContent.findMany({
+      where: { status: 'PUBLISHED' }
+    });
+    cache = { content: buildContent(published), loadedAt: Date.now() };
+    return cache.content;
+  } catch (error) {
+    // Chat must keep working on built-in content if the table is unavailable
+    console.error('Failed to load chat content, using defaults:', error.message);
+    return buildContent();
+  }
+}
+
+/**
+ * Published content with current drafts and unsaved overrides layered on top
+ * @param {Array} overrides - Optional [{type, key, language, content}] not yet saved
+ * @returns {Promise<Object>} {templates, triggers}
+ */
+async function getPreviewContent(overrides = []) {
+  const entries = await prisma.chatContent.findMany({
+    where: { status: { in: ['PUBLISHED', 'DRAFT'] } }
+  });
+  
+  // Drafts win over published entries for the same slot
+  entries.sort((a, b) => (a.status === 'DRAFT') - (b.status === 'DRAFT'));
+  
+  return buildContent([...entries, ...overrides]);
+}
+
+/**
+ * Drop cached published content (after a publish)
+ */
+function invalidateContentCache() {
+  cache = null;
+}
+
+/**
+ * Create or replace the draft for a slot
+ * @param {Object} params - Draft details
+ * @returns {Promise<Object>} Draft record
+ */
+async function saveDraft({ type, key, language, content, note, userId }) {
+  const existing = await prisma.chatContent.findFirst({
+    where: { type, key, language, status: 'DRAFT' }
+  });
+  
+  if (existing) {
+    return await prisma.chatContent.update({
+      where: { id: existing.id },
+      data: {
+        content,
+        note,
+        editedById: userId
+      }
+    });
+  }
+  
+  const latest = await prisma.chatContent.findFirst({
+    where: { type, key, language },
+    orderBy: { version: 'desc' },
+    select: { version: true }
+  });
+  
+  return await prisma.chatContent.create({
+    data: {
+      type,
+      key,
+      language,
+      version: (latest?.version || 0) + 1,
+      status: 'DRAFT',
+      content,
+      note,
+      editedById: userId
+    }
+  });
+}
+
+/**
+ * Publish a slot's draft, archiving the previously published version
+ * @param {Object} params - {type, key, language, userId}
+ * @returns {Promise<Object>} Published record
+ */
+async function publishDraft({ type, key, language, userId }) {
+  const draft = await prisma.chatContent.findFirst({
+    where: { type, key, language, status: 'DRAFT' }
+  });
+  
+  if (!draft) {
+    throw new Error('No draft to publish');
+  }
+  
+  const [, published] = await prisma.$transaction([
+    prisma.chatContent.updateMany({
+      where: { type, key, language, status: 'PUBLISHED' },
+      data: { status: 'ARCHIVED' }
+    }),
+    prisma.chatContent.update({
+      where: { id: draft.id },
+      data: {
+        status: 'PUBLISHED',
+        publishedById: userId,
+        publishedAt: new Date()
+      }
+    })
+  ]);
+  
+  invalidateContentCache();
+  
+  return published;
+}
+
+module.exports = {
+  getPublishedContent,
+  getPreviewContent,
+  invalidateContentCache,
+  saveDraft,
+  publishDraft,
+  buildContent,
+  defaultContent,
+  validateContent,
+  isKnownSlot,
+  CONTENT_TYPES,
+  TEMPLATE_KEYS,
+  TRIGGER_KEYS,
+  LANGUAGES
+};
@@ -0,0 +1,108 @@
+// Server-Sent Events hub for real-time chat delivery
+// Keeps open event streams per channel and fans published events out to them
+
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.STREAM_HEARTBEAT_INTERVAL_MS) || 25 * 1000;
+const RETRY_MS = 5000;
+
+// channel -> Set of open responses
+const channels = new Map();
+
+/**
+ * Channel name for a chat session
+ * @param {string} sessionId - Chat session ID
+ * @returns {string} Channel name
+ */
+const sessionChannel = (sessionId) => `session:${sessionId}`;
+
+// Channel for counselling staff dashboards
+const STAFF_CHANNEL = 'staff';
+
+/**
+ * Write a single SSE frame
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+  
+  // compression() buffers output unless flushed explicitly
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+};
+
+/**
+ * Turn a response into an event stream subscribed to a channel
+ * The subscription is removed when the client disconnects
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} channel - Channel to subscribe to
+ */
+const openStream = (req, res, channel) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  
+  if (!channels.has(channel)) {
+    channels.set(channel, new Set());
+  }
+  channels.get(channel).add(res);
+  
+  // Comment frames keep idle connections open through proxies
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+  
+  writeEvent(res, 'connected', { channel, connectedAt: new Date().toISOString() });
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const subscribers = channels.get(channel);
+    if (subscribers) {
+      subscribers.delete(res);
+      if (subscribers.size === 0) {
+        channels.delete(channel);
+      }
+    }
+  });
+};
+
+/**
+ * Push an event to every subscriber of a channel
+ * @param {string} channel - Channel name
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serialisable payload
+ * @returns {number} Number of subscribers reached
+ */
+const publish = (channel, event, data) => {
+  const subscribers = channels.get(channel);
+  if (!subscribers) {
+    return 0;
+  }
+  
+  subscribers.forEach(res => writeEvent(res, event, data));
+  return subscribers.size;
+};
+
+/**
+ * Push an event to a chat session's subscribers
+ */
+const publishToSession = (sessionId, event, data) => publish(sessionChannel(sessionId), event, data);
+
+/**
+ * Count open streams on a channel
+ */
+const subscriberCount = (channel) => channels.get(channel)?.size || 0;
+
+module.exports = {
+  openStream,
+  publish,
+  publishToSession,
+  subscriberCount,
+  sessionChannel,
+  STAFF_CHANNEL
+};
@@ -0,0 +1,262 @@
+// Counsellor takeovers of First-Aid chat sessions
+// While a counsellor holds a session the bot stays silent. Counsellors keep the
+// takeover alive by sending messages or heartbeats; a takeover with no activity
+// for TAKEOVER_IDLE_MINUTES goes back to the bot, so a closed tab never leaves
+// the student without replies.
+
+const { PrismaClient } = require('@prisma/client');
+const { publishToSession } = require('./chatStream');
+const prisma = new PrismaClient();
+
+const TAKEOVER_IDLE_MINUTES = parseInt(process.env.CHAT_TAKEOVER_IDLE_MINUTES) || 10;
+const CHECK_INTERVAL_MS = parseInt(process.env.CHAT_TAKEOVER_CHECK_INTERVAL_MS) || 60 * 1000;
+
+let takeoverTimer = null;
+
+/**
+ * Last time the counsellor holding a session was active
+ * @param {Object} session - Chat session
+ * @returns {Date|null}
+ */
+const lastActiveAt = (session) => {
+  const at = session.takeoverActiveAt || session.takenOverAt;
+  return at ? new Date(at) : null;
+};
+
+/**
+ * Check whether a takeover has gone idle and should return to the bot
+ * @param {Object} session - Chat session
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+function isTakeoverIdle(session, now = new Date()) {
+  if (!session.takenOverById) {
+    return false;
+  }
+  
+  const since = lastActiveAt(session);
+  return !since || now - since >= TAKEOVER_IDLE_MINUTES * 60 * 1000;
+}
+
+/**
+ * Take over a session for a counsellor, or refresh their own takeover
+ * An idle takeover held by someone else can be taken over
+ * @param {Object} session - Chat session
+ * @param {Object} user - Requesting counsellor
+ * @param {Date} now - Current time
+ * @returns {Object} { session, started }
+ */
+async function takeOverSession(session, user, now = new Date()) {
+  if (session.endedAt) {
+    throw new Error('Cannot take over an ended chat session');
+  }
+  
+  const heldByOther = session.takenOverById && session.takenOverById !== user.id;
+  if (heldByOther && !isTakeoverIdle(session, now)) {
+    throw new Error('Chat session already taken over');
+  }
+  
+  const started = session.takenOverById !== user.id;
+  const takenOverAt = started ? now : session.takenOverAt;
+  
+  // Guard on the holder we read so two counsellors cannot both take over
+  const { count } = await prisma.chatSession.updateMany({
+    where: { id: session.id, takenOverById: session.takenOverById, endedAt: null },
+    data: {
+      takenOverById: user.id,
+      takenOverAt,
+      takeoverActiveAt: now
+    }
+  });
+  
+  if (count === 0) {
+    throw new Error('Chat session already taken over');
+  }
+  
+  if (started) {
+    if (heldByOther) {
+      await logTakeoverEnded(session, 'idle', now);
+    }
+    
+    publishToSession(session.id, 'takeover', {
+      counsellorName: user.name || 'A counsellor',
+      takenOverAt
+    });
+    
+    await prisma.analyticsEvent.create({
+      data: {
+        type: 'chat_takeover_started',
+        payload: {
+          sessionId: session.id,
+          counsellorId: user.id,
+          lastSeverity: session.lastSeverity
+        },
+        userId: user.id
+      }
+    }).catch(console.error);
+  }
+  
+  return {
+    session: { ...session, takenOverById: user.id, takenOverAt, takeoverActiveAt: now },
+    started
+  };
+}
+
+/**
+ * Record counsellor activity on their takeover
+ * @param {Object} session - Chat session
+ * @param {Object} user - Counsellor sending a message or heartbeat
+ * @param {Date} now - Current time
+ * @returns {Object} The session with its new activity time
+ */
+async function touchTakeover(session, user, now = new Date()) {
+  if (session.takenOverById !== user.id) {
+    throw new Error('Take over the chat session before sending messages');
+  }
+  if (isTakeoverIdle(session, now)) {
+    throw new Error('Takeover expired after inactivity');
+  }
+  
+  const { count } = await prisma.chatSession.updateMany({
+    where: { id: session.id, takenOverById: user.id },
+    data: { takeoverActiveAt: now }
+  });
+  
+  if (count === 0) {
+    throw new Error('Take over the chat session before sending messages');
+  }
+  
+  return { ...session, takeoverActiveAt: now };
+}
+
+/**
+ * Log how long a takeover lasted
+ */
+const logTakeoverEnded = (session, reason, now, userId = session.takenOverById) => prisma.analyticsEvent.create({
+  data: {
+    type: 'chat_takeover_ended',
+    payload: {
+      sessionId: session.id,
+      counsellorId: session.takenOverById,
+      duration: now - new Date(session.takenOverAt),
+      reason
+    },
+    userId
+  }
+}).catch(console.error);
+
+/**
+ * Hand a session back to the bot
+ * @param {Object} session - Chat session
+ * @param {Object} options - { reason: 'handback' | 'idle', userId: account handing back }
+ * @param {Date} now - Current time
+ * @returns {boolean} False if the takeover had already changed hands or ended
+ */
+async function releaseTakeover(session, { reason = 'handback', userId } = {}, now = new Date()) {
+  const { count } = await prisma.chatSession.updateMany({
+    where: { id: session.id, takenOverById: session.takenOverById },
+    data: {
+      takenOverById: null,
+      takenOverAt: null,
+      takeoverActiveAt: null
+    }
+  });
+  
+  if (count === 0) {
+    return false;
+  }
+  
+  publishToSession(session.id, 'handback', {
+    handedBackAt: now.toISOString(),
+    reason
+  });
+  
+  await logTakeoverEnded(session, reason, now, userId);
+  
+  return true;
+}
+
+/**
+ * Whether a counsellor is still chatting in a session
+ * Returns an idle takeover to the bot on the way
+ * @param {Object} session - Chat session
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+async function hasActiveTakeover(session, now = new Date()) {
+  if (!session.takenOverById) {
+    return false;
+  }
+  if (!isTakeoverIdle(session, now)) {
+    return true;
+  }
+  
+  await releaseTakeover(session, { reason: 'idle' }, now);
+  return false;
+}
+
+/**
+ * Return every idle takeover to the bot
+ * @param {Date} now - Current time
+ * @returns {Array} Sessions that were handed back
+ */
+async function releaseIdleTakeovers(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TAKEOVER_IDLE_MINUTES * 60 * 1000);
+  
+  const candidates = await prisma.chatSession.findMany({
+    where: {
+      takenOverById: { not: null },
+      OR: [
+        { takeoverActiveAt: { lte: cutoff } },
+        { takeoverActiveAt: null, takenOverAt: { lte: cutoff } }
+      ]
+    }
+  });
+  
+  const released = [];
+  for (const session of candidates.filter(s => isTakeoverIdle(s, now))) {
+    if (await releaseTakeover(session, { reason: 'idle' }, now)) {
+      released.push(session);
+    }
+  }
+  
+  return released;
+}
+
+/**
+ * Start the in-process idle takeover check
+ */
+function startTakeoverMonitor() {
+  if (takeoverTimer) {
+    return;
+  }
+  
+  takeoverTimer = setInterval(() => {
+    releaseIdleTakeovers().catch(console.error);
+  }, CHECK_INTERVAL_MS);
+  
+  // Don't keep the process alive just for the monitor
+  takeoverTimer.unref();
+}
+
+/**
+ * Stop the in-process idle takeover check
+ */
+function stopTakeoverMonitor() {
+  if (takeoverTimer) {
+    clearInterval(takeoverTimer);
+    takeoverTimer = null;
+  }
+}
+
+module.exports = {
+  isTakeoverIdle,
+  takeOverSession,
+  touchTakeover,
+  releaseTakeover,
+  hasActiveTakeover,
+  releaseIdleTakeovers,
+  startTakeoverMonitor,
+  stopTakeoverMonitor,
+  TAKEOVER_IDLE_MINUTES
+};
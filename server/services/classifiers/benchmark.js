@@ -0,0 +1,57 @@
+// Classifier benchmarking against labelled fixtures
+// Used by scripts/benchmark-classifiers.js and the classifier test suite
+
+/**
+ * Evaluate a classify function against labelled examples
+ * @param {Function} classifyFn - async (text, history, screenings) => classification
+ * @param {Array<{text: string, category: string, crisis: boolean}>} fixtures - Labelled examples
+ * @returns {Promise<Object>} Accuracy, crisis recall/precision, latency and misclassifications
+ */
+async function evaluate(classifyFn, fixtures) {
+  let correct = 0;
+  let truePositives = 0;
+  let falsePositives = 0;
+  let falseNegatives = 0;
+  let totalMs = 0;
+  const misclassified = [];
+  
+  for (const fixture of fixtures) {
+    const started = process.hrtime.bigint();
+    const result = await classifyFn(fixture.text, [], []);
+    totalMs += Number(process.hrtime.bigint() - started) / 1e6;
+    
+    if (result.category === fixture.category) {
+      correct++;
+    } else {
+      misclassified.push({
+        text: fixture.text,
+        expected: fixture.category,
+        actual: result.category
+      });
+    }
+    
+    if (fixture.crisis && result.crisis) truePositives++;
+    if (!fixture.crisis && result.crisis) falsePositives++;
+    if (fixture.crisis && !result.crisis) falseNegatives++;
+  }
+  
+  const round = (value) => Math.round(value * 1000) / 1000;
+  
+  return {
+    examples: fixtures.length,
+    accuracy: round(correct / fixtures.length),
+    crisisRecall: truePositives + falseNegatives > 0
+      ? round(truePositives / (truePositives + falseNegatives))
+      : null,
+    crisisPrecision: truePositives + falsePositives > 0
+      ? round(truePositives / (truePositives + falsePositives))
+      : null,
+    crisisFalseNegatives: falseNegatives,
+    meanLatencyMs: round(totalMs / fixtures.length),
+    misclassified
+  };
+}
+
+module.exports = {
+  evaluate
+};
@@ -0,0 +1,140 @@
+// Classifier engine registry
+// Every engine exposes the same interface:
+//   { name, description, classify(text, history, screenings) }
+// where classify resolves to { category, severity, crisis, confidence }.
+// The active engine is selected with the `chat_classifier_engine` Config key.
+
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+const { SEVERITY_LEVELS } = require('../chatClassifier');
+const keywordEngine = require('./keyword');
+const naiveBayesEngine = require('./naiveBayes');
+const llmEngine = require('./llm');
+
+const CONFIG_KEY = 'chat_classifier_engine';
+const DEFAULT_ENGINE = keywordEngine.name;
+
+const ENGINES = {
+  [keywordEngine.name]: keywordEngine,
+  [naiveBayesEngine.name]: naiveBayesEngine,
+  [llmEngine.name]: llmEngine
+};
+
+/**
+ * Look up an engine by name
+ * @param {string} name - Engine name
+ * @returns {Object|null} Engine or null if unknown
+ */
+function getEngine(name) {
+  return ENGINES[name] || null;
+}
+
+/**
+ * List registered engines
+ * @returns {Array} Engine names and descriptions
+ */
+function listEngines() {
+  return Object.values(ENGINES).map(({ name, description }) => ({ name, description }));
+}
+
+/**
+ * Validate and normalise an engine result to the shared shape
+ * @param {Object} result - Raw engine result
+ * @returns {Object} {category, severity, crisis, confidence}
+ */
+function normaliseResult(result) {
+  if (!result || typeof result.category !== 'string') {
+    throw new Error('Classifier result must include a category');
+  }
+  
+  const crisis = Boolean(result.crisis);
+  const severity = crisis ? SEVERITY_LEVELS.CRISIS : result.severity;
+  
+  if (!Object.values(SEVERITY_LEVELS).includes(severity)) {
+    throw new Error(`Classifier returned unknown severity: ${result.severity}`);
+  }
+  
+  const confidence = Number(result.confidence);
+  
+  return {
+    category: crisis ? 'CRISIS' : result.category,
+    severity,
+    crisis,
+    confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0
+  };
+}
+
+/**
+ * Classify with a specific engine
+ * The keyword matcher always runs as a safety floor: a crisis it detects is
+ * never downgraded by another engine, and engine failures fall back to it.
+ * @param {string} engineName - Engine name
+ * @param {string} text - User input text
+ * @param {Array} history - Previous messages in session
+ * @param {Array} screenings - Recent screening results
+ * @returns {Promise<Object>} {category, severity, crisis, confidence}
+ */
+async function classifyWithEngine(engineName, text, history = [], screenings = []) {
+  const baseline = await keywordEngine.classify(text, history, screenings);
+  const engine = getEngine(engineName);
+  
+  if (!engine || engine === keywordEngine) {
+    return baseline;
+  }
+  
+  let result;
+  try {
+    result = normaliseResult(await engine.classify(text, history, screenings));
+  } catch (error) {
+    console.error(`Classifier engine "${engineName}" failed, using keyword engine:`, error.message);
+    return baseline;
+  }
+  
+  if (baseline.crisis && !result.crisis) {
+    return baseline;
+  }
+  
+  return result;
+}
+
+/**
+ * Name of the engine selected in the Config table
+ * @returns {Promise<string>} Engine name
+ */
+async function getActiveEngineName() {
+  const config = await prisma.config.findUnique({
+    where: { key: CONFIG_KEY }
+  }).catch(() => null);
+  
+  const name = config?.value;
+  return typeof name === 'string' && getEngine(name) ? name : DEFAULT_ENGINE;
+}
+
+/**
+ * Classify with the engine selected in the Config table
+ * @param {string} text - User input text
+ * @param {Array} history - Previous messages in session
+ * @param {Array} screenings - Recent screening results
+ * @returns {Promise<Object>} Classification plus the engine that produced it
+ */
+async function classifyMessage(text, history = [], screenings = []) {
+  const engine = await getActiveEngineName();
+  const classification = await classifyWithEngine(engine, text, history, screenings);
+  
+  return {
+    ...classification,
+    engine
+  };
+}
+
+module.exports = {
+  classifyMessage,
+  classifyWithEngine,
+  getActiveEngineName,
+  getEngine,
+  listEngines,
+  normaliseResult,
+  CONFIG_KEY,
+  DEFAULT_ENGINE
+};
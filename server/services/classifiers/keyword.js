@@ -0,0 +1,22 @@
+// Keyword classifier engine
+// Wraps the deterministic trigger matcher in chatClassifier, using the
+// trigger lists currently published through chat content
+
+const { classify } = require('../chatClassifier');
+const { getPublishedContent } = require('../chatContent');
+
+module.exports = {
+  name: 'keyword',
+  description: 'Deterministic keyword matcher over the published trigger lists',
+  
+  /**
+   * @param {string} text - User input text
+   * @param {Array} history - Previous messages in session
+   * @param {Array} screenings - Recent screening results
+   * @returns {Promise<Object>} {category, severity, crisis, confidence}
+   */
+  classify: async (text, history = [], screenings = []) => {
+    const { triggers } = await getPublishedContent();
+    return classify(text, history, screenings, { triggers });
+  }
+};
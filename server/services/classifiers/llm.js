@@ -0,0 +1,79 @@
+// LLM classifier engine
+// Sends the message to an LLM classification endpoint. Without LLM_CLASSIFIER_URL
+// the request is answered by a local stub so the engine can be selected and
+// benchmarked without any external service.
+
+const { SEVERITY_LEVELS, classify: keywordClassify } = require('../chatClassifier');
+
+const LLM_CLASSIFIER_URL = process.env.LLM_CLASSIFIER_URL;
+const LLM_CLASSIFIER_TIMEOUT_MS = parseInt(process.env.LLM_CLASSIFIER_TIMEOUT_MS) || 3000;
+const HISTORY_CONTEXT_SIZE = 5;
+
+/**
+ * Local stand-in for the LLM endpoint
+ * Mirrors the endpoint contract: receives the request body, returns the classification body
+ */
+const localStub = async ({ text, screenings }) => keywordClassify(text, [], screenings);
+
+/**
+ * POST the classification request to the configured endpoint
+ */
+const remoteRequest = async (body) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), LLM_CLASSIFIER_TIMEOUT_MS);
+  
+  try {
+    const response = await fetch(LLM_CLASSIFIER_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    
+    if (!response.ok) {
+      throw new Error(`LLM classifier responded with ${response.status}`);
+    }
+    
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+module.exports = {
+  name: 'llm',
+  description: LLM_CLASSIFIER_URL
+    ? 'LLM classification endpoint'
+    : 'LLM classification endpoint (local stub)',
+  
+  /**
+   * @param {string} text - User input text
+   * @param {Array} history - Previous messages in session
+   * @param {Array} screenings - Recent screening results
+   * @returns {Promise<Object>} {category, severity, crisis, confidence}
+   */
+  classify: async (text, history = [], screenings = []) => {
+    // Only message text and severity bands leave the process, never identifiers
+    const body = {
+      text,
+      history: history.slice(0, HISTORY_CONTEXT_SIZE).map(msg => ({
+        sender: msg.sender,
+        text: msg.text
+      })),
+      screenings: screenings.map(s => ({
+        type: s.type,
+        severityBand: s.severityBand,
+        createdAt: s.createdAt
+      }))
+    };
+    
+    const result = LLM_CLASSIFIER_URL ? await remoteRequest(body) : await localStub(body);
+    
+    return {
+      category: result.category,
+      severity: result.crisis ? SEVERITY_LEVELS.CRISIS : result.severity,
+      crisis: Boolean(result.crisis),
+      confidence: result.confidence
+    };
+  }
+};
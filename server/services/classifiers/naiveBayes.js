@@ -0,0 +1,179 @@
+// Local naive Bayes classifier engine
+// Multinomial naive Bayes over TF-IDF weighted unigrams and bigrams,
+// trained in-process from labelled chat transcripts
+
+const { SEVERITY_LEVELS, severityFromConfidence, applyScreeningSeverity } = require('../chatClassifier');
+const defaultTranscripts = require('./data/trainingTranscripts.json');
+
+const SMOOTHING = 1.0;
+
+/**
+ * Split text into unigram and bigram features
+ * @param {string} text - Input text
+ * @returns {Array<string>} Features
+ */
+const tokenize = (text) => {
+  const words = text
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .match(/[a-z0-9\u0900-\u097f]+/g) || [];
+  
+  const bigrams = [];
+  for (let i = 0; i < words.length - 1; i++) {
+    bigrams.push(`${words[i]} ${words[i + 1]}`);
+  }
+  
+  return [...words, ...bigrams];
+};
+
+/**
+ * Train a model from labelled transcripts
+ * @param {Array<{text: string, category: string}>} transcripts - Labelled examples
+ * @returns {Object} Trained model
+ */
+const trainModel = (transcripts) => {
+  if (!Array.isArray(transcripts) || transcripts.length === 0) {
+    throw new Error('Naive Bayes training requires labelled transcripts');
+  }
+  
+  const documents = transcripts.map(({ text, category }) => ({
+    category,
+    features: tokenize(text)
+  }));
+  
+  // Inverse document frequency per feature
+  const documentFrequency = {};
+  documents.forEach(({ features }) => {
+    new Set(features).forEach(feature => {
+      documentFrequency[feature] = (documentFrequency[feature] || 0) + 1;
+    });
+  });
+  
+  const idf = {};
+  Object.entries(documentFrequency).forEach(([feature, count]) => {
+    idf[feature] = Math.log((1 + documents.length) / (1 + count)) + 1;
+  });
+  
+  // TF-IDF weighted feature mass per category
+  const categoryCounts = {};
+  const featureWeights = {};
+  const totalWeights = {};
+  
+  documents.forEach(({ category, features }) => {
+    categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+    featureWeights[category] = featureWeights[category] || {};
+    totalWeights[category] = totalWeights[category] || 0;
+    
+    features.forEach(feature => {
+      const weight = idf[feature] / features.length;
+      featureWeights[category][feature] = (featureWeights[category][feature] || 0) + weight;
+      totalWeights[category] += weight;
+    });
+  });
+  
+  const priors = {};
+  Object.entries(categoryCounts).forEach(([category, count]) => {
+    priors[category] = Math.log(count / documents.length);
+  });
+  
+  return {
+    categories: Object.keys(categoryCounts),
+    vocabularySize: Object.keys(idf).length,
+    idf,
+    priors,
+    featureWeights,
+    totalWeights
+  };
+};
+
+/**
+ * Posterior probability of each category for a text
+ * @param {Object} model - Trained model
+ * @param {string} text - Input text
+ * @returns {Object} category -> probability, or null if no known features
+ */
+const predict = (model, text) => {
+  const features = tokenize(text).filter(feature => model.idf[feature] !== undefined);
+  
+  if (features.length === 0) {
+    return null;
+  }
+  
+  const logScores = {};
+  model.categories.forEach(category => {
+    const denominator = model.totalWeights[category] + SMOOTHING * model.vocabularySize;
+    logScores[category] = model.priors[category] + features.reduce((sum, feature) => {
+      const weight = model.featureWeights[category][feature] || 0;
+      return sum + model.idf[feature] * Math.log((weight + SMOOTHING) / denominator);
+    }, 0);
+  });
+  
+  // Normalise with log-sum-exp
+  const maxScore = Math.max(...Object.values(logScores));
+  const expScores = Object.fromEntries(
+    Object.entries(logScores).map(([category, score]) => [category, Math.exp(score - maxScore)])
+  );
+  const total = Object.values(expScores).reduce((sum, value) => sum + value, 0);
+  
+  return Object.fromEntries(
+    Object.entries(expScores).map(([category, value]) => [category, value / total])
+  );
+};
+
+let defaultModel = null;
+
+const getDefaultModel = () => {
+  if (!defaultModel) {
+    defaultModel = trainModel(defaultTranscripts);
+  }
+  return defaultModel;
+};
+
+module.exports = {
+  name: 'naive-bayes',
+  description: 'Local TF-IDF naive Bayes model trained from labelled transcripts',
+  
+  /**
+   * @param {string} text - User input text
+   * @param {Array} history - Previous messages in session
+   * @param {Array} screenings - Recent screening results
+   * @returns {Promise<Object>} {category, severity, crisis, confidence}
+   */
+  classify: async (text, history = [], screenings = []) => {
+    const probabilities = predict(getDefaultModel(), text);
+    
+    if (!probabilities) {
+      return {
+        category: 'GENERAL',
+        severity: SEVERITY_LEVELS.LOW,
+        crisis: false,
+        confidence: 0.0
+      };
+    }
+    
+    const [category, confidence] = Object.entries(probabilities)
+      .sort(([, a], [, b]) => b - a)[0];
+    
+    if (category === 'CRISIS') {
+      return {
+        category,
+        severity: SEVERITY_LEVELS.CRISIS,
+        crisis: true,
+        confidence
+      };
+    }
+    
+    return {
+      category,
+      severity: category === 'GENERAL'
+        ? SEVERITY_LEVELS.LOW
+        : applyScreeningSeverity(severityFromConfidence(confidence), screenings),
+      crisis: false,
+      confidence
+    };
+  },
+  
+  tokenize,
+  trainModel,
+  predict
+};
@@ -0,0 +1,259 @@
+// Links between counsellor profiles and user accounts
+// Each profile belongs to at most one account. Counsellor-only actions, such
+// as confirming a booking or reading what a student shared, are checked
+// against this link so a counsellor can only act on their own bookings.
+// Admins link an existing account, or invite the counsellor by email; only a
+// hash of the invite token is stored. The link itself only lives in the email
+// job, which is cleared once the email is sent or given up on.
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { sendEmail } = require('./mailer');
+const { registerJobHandler, scheduleJob } = require('./jobRunner');
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INVITE_DAYS = parseInt(process.env.COUNSELLOR_INVITE_DAYS) || 7;
+const INVITE_EMAIL_JOB = 'counsellor_invite_email';
+const INVITE_EMAIL_MAX_ATTEMPTS = 5;
+
+// Roles that keep their own permissions when linked or unlinked
+const STAFF_ROLES = ['MODERATOR', 'ADMIN'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Link the invitee opens; the frontend reads the token from the query string
+ */
+const inviteUrl = (token) => `${process.env.APP_URL || ''}/?counsellor_invite=${token}`;
+
+/**
+ * The active counsellor profile linked to a user, if any
+ * @param {string} userId - User ID
+ * @returns {Object|null} Counsellor record
+ */
+const findCounsellorForUser = (userId, db = prisma) => (userId
+  ? db.counsellor.findFirst({
+    where: {
+      userId,
+      isActive: true
+    }
+  })
+  : Promise.resolve(null));
+
+/**
+ * Link an account to a counsellor profile
+ * Students are promoted to COUNSELLOR; moderators and admins keep their role
+ * @param {string} counsellorId - Counsellor profile
+ * @param {string} userId - Account to link
+ * @param {Object} db - Prisma client or transaction
+ * @returns {Object} The updated counsellor
+ */
+async function linkAccount(counsellorId, userId, db = prisma) {
+  const [counsellor, user] = await Promise.all([
+    db.counsellor.findUnique({ where: { id: counsellorId } }),
+    db.user.findUnique({
+      where: { id: userId },
+      include: { counsellorProfile: { select: { id: true } } }
+    })
+  ]);
+  
+  if (!counsellor) {
+    throw new Error('Counsellor not found');
+  }
+  if (!user) {
+    throw new Error('User not found');
+  }
+  if (counsellor.userId && counsellor.userId !== userId) {
+    throw new Error('Counsellor profile is already linked to another account');
+  }
+  if (user.counsellorProfile && user.counsellorProfile.id !== counsellorId) {
+    throw new Error('Account is already linked to another counsellor profile');
+  }
+  
+  if (!STAFF_ROLES.includes(user.role) && user.role !== 'COUNSELLOR') {
+    await db.user.update({
+      where: { id: userId },
+      data: { role: 'COUNSELLOR' }
+    });
+  }
+  
+  return db.counsellor.update({
+    where: { id: counsellorId },
+    data: { userId }
+  });
+}
+
+/**
+ * Remove a counsellor profile's account link
+ * The account loses the COUNSELLOR role and its counsellor calendar feed
+ * @param {Object} counsellor - Counsellor record
+ * @returns {Object} The updated counsellor
+ */
+async function unlinkAccount(counsellor) {
+  return prisma.$transaction(async (tx) => {
+    if (counsellor.userId) {
+      await tx.user.updateMany({
+        where: { id: counsellor.userId, role: 'COUNSELLOR' },
+        data: { role: 'STUDENT' }
+      });
+      await tx.calendarFeed.updateMany({
+        where: { userId: counsellor.userId, scope: 'COUNSELLOR', revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+    }
+    
+    return tx.counsellor.update({
+      where: { id: counsellor.id },
+      data: { userId: null }
+    });
+  });
+}
+
+/**
+ * Invite someone by email to take over a counsellor profile
+ * Replaces any open invite for the profile
+ * @param {Object} counsellor - Counsellor record
+ * @param {string} email - Invitee's email
+ * @param {string} invitedById - Admin sending the invite
+ * @param {Date} now - Current time
+ * @returns {Object} { invite, url } - the URL holds the token and cannot be shown again
+ */
+async function createInvite(counsellor, email, invitedById, now = new Date()) {
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  const invite = await prisma.$transaction(async (tx) => {
+    await tx.counsellorInvite.updateMany({
+      where: { counsellorId: counsellor.id, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: now }
+    });
+    
+    return tx.counsellorInvite.create({
+      data: {
+        counsellorId: counsellor.id,
+        email: email.toLowerCase(),
+        tokenHash: hashToken(token),
+        invitedById,
+        expiresAt: new Date(now.getTime() + INVITE_DAYS * DAY_MS)
+      }
+    });
+  });
+  
+  const url = inviteUrl(token);
+  await scheduleJob(INVITE_EMAIL_JOB, { inviteId: invite.id, url }, {
+    key: `counsellor_invite:${counsellor.id}`,
+    replace: true,
+    maxAttempts: INVITE_EMAIL_MAX_ATTEMPTS
+  });
+  
+  return { invite, url };
+}
+
+/**
+ * Job handler: email an invite link, unless the invite was revoked, used or has expired
+ * @param {Object} payload - { inviteId, url }
+ */
+async function sendInviteEmail({ inviteId, url }) {
+  const invite = await prisma.counsellorInvite.findUnique({
+    where: { id: inviteId },
+    include: { counsellor: { select: { name: true } } }
+  });
+  
+  if (!invite || invite.acceptedAt || invite.revokedAt || invite.expiresAt <= new Date()) {
+    return;
+  }
+  
+  await sendEmail({
+    to: invite.email,
+    subject: 'Your counsellor account invitation',
+    text: `You have been invited to manage the counselling profile of ${invite.counsellor.name}.\n\n` +
+      `Open this link within ${INVITE_DAYS} days to create your account, or log in if you already have one:\n${url}\n\n` +
+      'If you were not expecting this, you can ignore this email.'
+  });
+}
+
+/**
+ * Find an open invite by token
+ * @returns {Object|null} Invite with its counsellor, or null if unknown,
+ * used, revoked or expired
+ */
+async function findInvite(token, now = new Date()) {
+  const invite = await prisma.counsellorInvite.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: {
+      counsellor: { select: { id: true, name: true, userId: true, isActive: true } }
+    }
+  });
+  
+  if (!invite || invite.acceptedAt || invite.revokedAt || invite.expiresAt <= now) {
+    return null;
+  }
+  
+  return invite;
+}
+
+/**
+ * Mark an invite accepted and link the account, inside a transaction
+ */
+async function claimInvite(invite, userId, tx) {
+  const { count } = await tx.counsellorInvite.updateMany({
+    where: { id: invite.id, acceptedAt: null, revokedAt: null },
+    data: { acceptedAt: new Date() }
+  });
+  
+  if (count === 0) {
+    throw new Error('Invite is no longer valid');
+  }
+  
+  return linkAccount(invite.counsellorId, userId, tx);
+}
+
+/**
+ * Accept an invite for an account whose email matches it
+ * @param {Object} invite - Open invite from findInvite
+ * @param {Object} user - Accepting account
+ * @returns {Object} The linked counsellor
+ */
+async function acceptInvite(invite, user) {
+  if (user.email.toLowerCase() !== invite.email) {
+    throw new Error('Invite was sent to a different email address');
+  }
+  
+  return prisma.$transaction(tx => claimInvite(invite, user.id, tx));
+}
+
+/**
+ * Create an account for the invited email and accept the invite with it
+ * Both happen in one transaction, so a failed accept leaves no account behind
+ * @param {Object} invite - Open invite from findInvite
+ * @param {Function} createUser - async (tx) => user, creating the account in the transaction
+ * @returns {Object} The linked counsellor
+ */
+async function acceptInviteAsNewUser(invite, createUser) {
+  return prisma.$transaction(async (tx) => {
+    const user = await createUser(tx);
+    
+    if (user.email.toLowerCase() !== invite.email) {
+      throw new Error('Invite was sent to a different email address');
+    }
+    
+    return claimInvite(invite, user.id, tx);
+  });
+}
+
+registerJobHandler(INVITE_EMAIL_JOB, sendInviteEmail, { redactPayload: true });
+
+module.exports = {
+  findCounsellorForUser,
+  linkAccount,
+  unlinkAccount,
+  createInvite,
+  findInvite,
+  acceptInvite,
+  acceptInviteAsNewUser,
+  sendInviteEmail,
+  hashToken,
+  inviteUrl,
+  INVITE_DAYS,
+  INVITE_EMAIL_JOB
+};
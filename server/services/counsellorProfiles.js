@@ -0,0 +1,123 @@
+// Counsellor directory profiles
+// Specialties, spoken languages, gender and how sessions can be held, so
+// students can find e.g. a Hindi-speaking counsellor or one of a given gender.
+// Directory entries also carry the counsellor's work email and phone, as the
+// public counsellor list always has.
+
+const Joi = require('joi');
+
+// Intake triage matches the student's concern against these (see services/triage)
+const SPECIALTIES = [
+  'anxiety',
+  'depression',
+  'stress',
+  'relationships',
+  'sleep',
+  'substance-use',
+  'grief',
+  'lgbtq',
+  'trauma',
+  'eating',
+  'crisis'
+];
+
+// ISO 639-1 codes for languages spoken on campus
+const LANGUAGES = ['en', 'hi', 'bn', 'gu', 'kn', 'ml', 'mr', 'pa', 'ta', 'te', 'ur'];
+
+const GENDERS = ['WOMAN', 'MAN', 'NON_BINARY'];
+
+const MODALITIES = ['IN_PERSON', 'PHONE', 'VIDEO'];
+
+/**
+ * Profile fields admins can set on a counsellor
+ * An empty gender clears it, for counsellors who prefer not to say
+ */
+const profileFields = {
+  specialties: Joi.array().items(Joi.string().valid(...SPECIALTIES)).unique().max(SPECIALTIES.length),
+  languages: Joi.array().items(Joi.string().valid(...LANGUAGES)).unique().max(LANGUAGES.length),
+  gender: Joi.string().valid(...GENDERS).allow(null),
+  modalities: Joi.array().items(Joi.string().valid(...MODALITIES)).unique().max(MODALITIES.length),
+  bio: Joi.string().max(1000).allow('')
+};
+
+/**
+ * Directory filters, e.g. ?language=hi&gender=WOMAN
+ */
+const directoryFilterSchema = Joi.object({
+  specialty: Joi.string().valid(...SPECIALTIES),
+  language: Joi.string().valid(...LANGUAGES),
+  gender: Joi.string().valid(...GENDERS),
+  modality: Joi.string().valid(...MODALITIES),
+  department: Joi.string().max(100)
+});
+
+/**
+ * Prisma filter for active counsellors matching every given filter
+ * @param {Object} filters - Validated directoryFilterSchema values
+ * @returns {Object} Prisma where clause
+ */
+function buildDirectoryWhere({ specialty, language, gender, modality, department } = {}) {
+  const where = {
+    isActive: true
+  };
+  
+  if (specialty) {
+    where.specialties = { array_contains: specialty };
+  }
+  if (language) {
+    where.languages = { array_contains: language };
+  }
+  if (modality) {
+    where.modalities = { array_contains: modality };
+  }
+  if (gender) {
+    where.gender = gender;
+  }
+  if (department) {
+    where.department = department;
+  }
+  
+  return where;
+}
+
+/**
+ * Public URL of a counsellor's photo, if they have one
+ */
+const photoUrl = (counsellor) => (counsellor.photoPath
+  ? `/api/v1/counsellors/${counsellor.id}/photo`
+  : null);
+
+/**
+ * A counsellor's directory entry
+ * @param {Object} counsellor - Counsellor record
+ * @returns {Object} Profile without internal fields such as photoPath
+ */
+const toDirectoryProfile = (counsellor) => ({
+  id: counsellor.id,
+  name: counsellor.name,
+  department: counsellor.department,
+  officeHours: counsellor.officeHours,
+  room: counsellor.room,
+  email: counsellor.email,
+  phone: counsellor.phone,
+  timezone: counsellor.timezone,
+  sessionMinutes: counsellor.sessionMinutes,
+  specialties: counsellor.specialties || [],
+  languages: counsellor.languages || [],
+  gender: counsellor.gender,
+  modalities: counsellor.modalities || [],
+  bio: counsellor.bio,
+  photoUrl: photoUrl(counsellor)
+});
+
+module.exports = {
+  profileFields,
+  directoryFilterSchema,
+  buildDirectoryWhere,
+  photoUrl,
+  toDirectoryProfile,
+  SPECIALTIES,
+  LANGUAGES,
+  GENDERS,
+  MODALITIES
+};
@@ -0,0 +1,433 @@
+// Crisis phrase detection for the First-Aid chat
+// Matches phrase-level patterns over normalised word tokens instead of raw
+// substrings, and ignores matches that sit inside a negation scope
+// ("I would never kill myself") or a known figure of speech ("jump rope").
+//
+// Pattern syntax (one slot per space-separated word):
+//   a|b   either word
+//   word? optional word
+//   stem* any word starting with "stem" (used for Hindi inflections)
+//   ~     up to MAX_GAP filler words within the same clause
+//   $     end of the clause
+//
+// Hindi patterns are written in Devanagari but matched on transliterated,
+// folded tokens, so romanised Hindi ("mujhe marna hai") matches as well.
+
+const { normaliseDevanagari, foldWord, sameWord } = require('./transliteration');
+
+const MAX_GAP = 2;
+
+const CRISIS_PATTERNS = {
+  en: [
+    'suicide', 'suicidal', 'unalive myself',
+    'kill|killing|end|ending myself',
+    'end|ending|take|taking my own? life',
+    'end|ending it all',
+    'want to ~ die',
+    'wanna ~ die',
+    'wish i was|were dead',
+    'better off dead',
+    'better off without me',
+    'life isnt|not worth living',
+    'no point|reason in? living',
+    'no point|reason to live',
+    'dont want to live|exist',
+    'dont want to be alive',
+    'dont want to wake up',
+    'never want to wake up',
+    'never wake up again',
+    'cant go on $',
+    'cant go on anymore|living',
+    'cant go on like this',
+    'harm|hurt|hurting|harming|cut|cutting|hang|hanging myself',
+    'self harm|harming',
+    'slit my wrists',
+    'overdose|overdosing',
+    'take|taking|swallow|swallowing all ~ pills|tablets',
+    'jump|jumping off|from ~ bridge|building|roof|cliff|terrace|balcony'
+  ],
+  hi: [
+    'आत्महत्या', 'खुदकुशी',
+    'खुद|अपने|अपनी को? मार* ~ डाल*|दू*|लू*',
+    'खुद|अपने को? खत्म कर*',
+    'अपनी जान ले*|दे*',
+    'जान दे दू*',
+    'मरना|मर ~ चाह*',
+    'जीना|जीने नहीं चाह*',
+    'जीने का कोई? मतलब|वजह नहीं',
+    'जिंदगी|ज़िंदगी खत्म कर*',
+    'नस काट*',
+    'फांसी|फाँसी लगा*',
+    'खुद को? नुकसान|चोट पहुंचा*',
+    'मरना है',
+    'मर जाना है',
+    'मर जाऊं*',
+    'जीना नहीं है',
+    'जीने का मन नहीं',
+    'सब खत्म कर दू*|लू*',
+    'सुसाइड'
+  ]
+};
+
+// Figures of speech that contain crisis words but are not disclosures
+const EXCLUSION_PATTERNS = [
+  'jump rope', 'jumping jacks',
+  'die|dying|died laughing',
+  'die|dying|died of embarrassment|boredom|shame|laughter',
+  'dying to',
+  'kill|killing myself laughing',
+  'suicide prevention|awareness|squad|statistics',
+  'overdose on caffeine|coffee|sugar'
+];
+
+// Negation cues and how far they reach: English negates forwards,
+// Hindi usually places the negation after the phrase ("आत्महत्या नहीं करूंगा").
+// A new subject starts a new, unpunctuated clause ("I'm not okay I want to die"),
+// so a cue never reaches across one.
+const NEGATION = {
+  en: {
+    cues: [
+      'not', 'never', 'no', 'nor', 'dont', 'wont', 'wouldnt', 'didnt', 'doesnt',
+      'couldnt', 'shouldnt', 'isnt', 'wasnt', 'havent', 'hasnt', 'aint'
+    ],
+    subjects: ['i', 'im', 'ive', 'id', 'ill', 'you', 'he', 'she', 'we', 'they'],
+    before: 3,
+    after: 0
+  },
+  hi: {
+    cues: ['नहीं', 'नही', 'न', 'ना', 'मत', 'कभी नहीं'],
+    subjects: [],
+    before: 1,
+    after: 2
+  }
+};
+
+// Languages whose patterns are matched on folded tokens (see transliteration)
+const TRANSLITERATED = ['hi'];
+
+const foldPhrase = (phrase) => phrase.split(' ').map(foldWord).join(' ');
+
+TRANSLITERATED.forEach(language => {
+  NEGATION[language].cues = NEGATION[language].cues.map(foldPhrase);
+});
+
+const NEGATION_WORDS = new Set(
+  Object.values(NEGATION).flatMap(({ cues }) => cues).filter(cue => !cue.includes(' '))
+);
+
+// Words that end the scope of a negation
+const CLAUSE_BREAKS = [
+  'but', 'and', 'because', 'so', 'though', 'although',
+  'लेकिन', 'और', 'क्योंकि', 'lekin', 'magar', 'aur', 'kyunki', 'kyonki'
+];
+
+// Split negations folded into their contracted form (apostrophes are dropped later)
+const PHRASE_REWRITES = [
+  [/\bcan ?not\b/g, 'cant'],
+  [/\bwill not\b/g, 'wont'],
+  [/\b(do|does|did|would|could|should|is|was|have|has) not\b/g, '$1nt'],
+  [/\bmy self\b/g, 'myself']
+];
+
+// Common misspellings of crisis vocabulary
+const TYPOS = {
+  sucide: 'suicide',
+  suicde: 'suicide',
+  suiside: 'suicide',
+  suiscide: 'suicide',
+  sucidal: 'suicidal',
+  suicidel: 'suicidal',
+  myslef: 'myself',
+  mysef: 'myself',
+  overdoze: 'overdose',
+  kil: 'kill',
+  pils: 'pills',
+  wrist: 'wrists'
+};
+
+// Look-alike characters used to dodge filters ("d1e", "$uicide", "k!ll")
+const LEET = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l'
+};
+
+const END_OF_CLAUSE = '$';
+
+const BOUNDARY = null;
+
+/**
+ * Undo look-alike substitutions in a word that also contains letters
+ * Leaves numbers and units ("4", "3am", "100mg") untouched
+ */
+const unLeet = (word) => {
+  if (!/[a-z]/.test(word) || /^\d+[a-z]{0,3}$/.test(word)) {
+    return word;
+  }
+  return word.replace(/[013457@$!|]/g, ch => LEET[ch]);
+};
+
+/**
+ * Split text into normalised word tokens with BOUNDARY markers between clauses
+ * @param {string} text - Raw user text
+ * @param {Set} vocabulary - Known pattern words, used to repair stretched words
+ * @returns {Array} Tokens (strings or BOUNDARY)
+ */
+function tokenize(text, vocabulary = PATTERN_VOCABULARY) {
+  let normalised = normaliseDevanagari(String(text || '').normalize('NFKC'))
+    .toLowerCase()
+    .replace(/[‘’ʼ]/g, '\'');
+  
+  const tokens = [];
+  const chunks = normalised.match(/[\p{L}\p{M}\p{N}'@$!|]+|[.?;,:।॥\n-]+/gu) || [];
+  
+  chunks.forEach(chunk => {
+    // Trailing "!" is punctuation, not a look-alike letter
+    const trailing = chunk.match(/!+$/);
+    const word = trailing ? chunk.slice(0, -trailing[0].length) : chunk;
+    
+    if (/[.?;,:।॥\n]/.test(word)) {
+      tokens.push(BOUNDARY);
+    } else if (/^-+$/.test(word)) {
+      // Hyphenated words ("self-harm") become separate tokens
+    } else if (word) {
+      tokens.push(unLeet(word));
+    }
+    
+    if (trailing) {
+      tokens.push(BOUNDARY);
+    }
+  });
+  
+  normalised = tokens.map(t => (t === BOUNDARY ? '\n' : t)).join(' ');
+  PHRASE_REWRITES.forEach(([pattern, replacement]) => {
+    normalised = normalised.replace(pattern, replacement);
+  });
+  
+  return normalised.split(' ').map(token => {
+    if (token === '\n') {
+      return BOUNDARY;
+    }
+    
+    const word = token.replace(/'/g, '');
+    if (CLAUSE_BREAKS.includes(word)) {
+      return BOUNDARY;
+    }
+    return repairWord(word, vocabulary);
+  }).filter(token => token !== '');
+}
+
+/**
+ * Map stretched ("diiie", "kiiill") and misspelt words back to pattern vocabulary
+ */
+function repairWord(word, vocabulary) {
+  if (TYPOS[word]) {
+    return TYPOS[word];
+  }
+  if (vocabulary.has(word) || !/(.)\1\1/.test(word)) {
+    return word;
+  }
+  
+  // Squeeze runs of 3+ repeated characters to two, then try dropping each double
+  const squeezed = word.replace(/(.)\1{2,}/g, '$1$1');
+  const candidates = [squeezed, squeezed.replace(/(.)\1/g, '$1')];
+  const doubles = [...squeezed.matchAll(/(.)\1/g)];
+  doubles.forEach(match => {
+    candidates.push(squeezed.slice(0, match.index) + squeezed.slice(match.index + 1));
+  });
+  
+  const repaired = candidates.find(candidate => vocabulary.has(candidate) || TYPOS[candidate]);
+  if (repaired) {
+    return TYPOS[repaired] || repaired;
+  }
+  return squeezed;
+}
+
+/**
+ * Compile a pattern string into slot matchers
+ * @param {string} source - Pattern string
+ * @param {boolean} folded - Compile words to folded form for transliterated matching
+ */
+function compilePattern(source, folded = false) {
+  return source.split(' ').map(slot => {
+    if (slot === '~') {
+      return { gap: true };
+    }
+    if (slot === END_OF_CLAUSE) {
+      return { end: true };
+    }
+    
+    const optional = slot.endsWith('?');
+    const body = optional ? slot.slice(0, -1) : slot;
+    const alternatives = body.split('|').map(alt => {
+      const prefix = alt.endsWith('*');
+      let word = tokenize(prefix ? alt.slice(0, -1) : alt, new Set()).join('');
+      if (folded) {
+        word = foldWord(word);
+      }
+      return prefix ? { prefix: word } : { word, folded };
+    });
+    
+    return { optional, alternatives };
+  });
+}
+
+const slotMatches = (slot, token) => token !== BOUNDARY && slot.alternatives.some(alt => {
+  if (alt.word === undefined) {
+    return token.startsWith(alt.prefix);
+  }
+  return alt.folded ? sameWord(token, alt.word) : token === alt.word;
+});
+
+/**
+ * Find the end of a compiled pattern matched at tokens[start]
+ * @returns {number} Index after the match, or -1
+ */
+function matchAt(slots, tokens, start, slotIndex = 0) {
+  if (slotIndex === slots.length) {
+    return start;
+  }
+  
+  const slot = slots[slotIndex];
+  
+  if (slot.end) {
+    return start >= tokens.length || tokens[start] === BOUNDARY
+      ? matchAt(slots, tokens, start, slotIndex + 1)
+      : -1;
+  }
+  
+  if (slot.gap) {
+    // Gaps never swallow a clause break or a negation ("मरना नहीं चाहता")
+    for (let skip = 0; skip <= MAX_GAP; skip++) {
+      const skipped = tokens[start + skip - 1];
+      if (skip > 0 && (start + skip > tokens.length || skipped === BOUNDARY || NEGATION_WORDS.has(skipped))) {
+        break;
+      }
+      const end = matchAt(slots, tokens, start + skip, slotIndex + 1);
+      if (end !== -1) {
+        return end;
+      }
+    }
+    return -1;
+  }
+  
+  if (start < tokens.length && slotMatches(slot, tokens[start])) {
+    const end = matchAt(slots, tokens, start + 1, slotIndex + 1);
+    if (end !== -1) {
+      return end;
+    }
+  }
+  
+  return slot.optional ? matchAt(slots, tokens, start, slotIndex + 1) : -1;
+}
+
+/**
+ * All spans of a compiled pattern in a token list
+ */
+function findSpans(slots, tokens) {
+  const spans = [];
+  for (let start = 0; start < tokens.length; start++) {
+    const end = matchAt(slots, tokens, start);
+    if (end > start) {
+      spans.push({ start, end });
+    }
+  }
+  return spans;
+}
+
+/**
+ * A "no" that answers rather than negates ("no I want to die", "no no")
+ */
+const isStandaloneNo = (tokens, index, subjects) => tokens[index] === 'no' && (
+  index + 1 >= tokens.length ||
+  tokens[index + 1] === BOUNDARY ||
+  subjects.includes(tokens[index + 1]) ||
+  tokens[index + 1] === 'no' ||
+  tokens[index - 1] === 'no'
+);
+
+/**
+ * Check whether a negation cue governs a span within the same clause
+ */
+function isNegated(tokens, span, language) {
+  const { cues, subjects, before, after } = NEGATION[language];
+  const cueTokens = cues.map(cue => cue.split(' '));
+  
+  const cueAt = (index) => !isStandaloneNo(tokens, index, subjects) && cueTokens.some(cue =>
+    cue.every((word, offset) => tokens[index + offset] === word)
+  );
+  
+  for (let i = span.start - 1; i >= Math.max(0, span.start - before); i--) {
+    if (tokens[i] === BOUNDARY || subjects.includes(tokens[i])) break;
+    if (cueAt(i)) return true;
+  }
+  
+  for (let i = span.end; i < Math.min(tokens.length, span.end + after); i++) {
+    if (tokens[i] === BOUNDARY) break;
+    if (cueAt(i)) return true;
+  }
+  
+  return false;
+}
+
+const COMPILED = Object.fromEntries(
+  Object.entries(CRISIS_PATTERNS).map(([language, patterns]) => [
+    language,
+    patterns.map(source => ({ source, slots: compilePattern(source, TRANSLITERATED.includes(language)) }))
+  ])
+);
+
+const COMPILED_EXCLUSIONS = EXCLUSION_PATTERNS.map(source => compilePattern(source));
+
+// Every literal word used by a pattern, so stretched spellings can be repaired
+const PATTERN_VOCABULARY = new Set(
+  Object.values(COMPILED).flat().flatMap(({ slots }) =>
+    slots.flatMap(slot => (slot.alternatives || []).map(alt => alt.word).filter(Boolean))
+  )
+);
+
+/**
+ * Detect crisis disclosures in a message
+ * @param {string} text - User input text
+ * @returns {Object} {crisis, matches, suppressed}
+ */
+function detectCrisis(text) {
+  const tokens = tokenize(text);
+  const foldedTokens = tokens.map(token => (token === BOUNDARY ? BOUNDARY : foldWord(token)));
+  
+  const excluded = COMPILED_EXCLUSIONS.flatMap(slots => findSpans(slots, tokens));
+  const overlapsExclusion = (span) => excluded.some(ex => span.start < ex.end && ex.start < span.end);
+  
+  const matches = [];
+  const suppressed = [];
+  
+  Object.entries(COMPILED).forEach(([language, patterns]) => {
+    const matchTokens = TRANSLITERATED.includes(language) ? foldedTokens : tokens;
+    
+    patterns.forEach(({ source, slots }) => {
+      findSpans(slots, matchTokens).forEach(span => {
+        const phrase = tokens.slice(span.start, span.end).join(' ');
+        
+        if (overlapsExclusion(span)) {
+          suppressed.push({ pattern: source, phrase, reason: 'figurative' });
+        } else if (isNegated(matchTokens, span, language)) {
+          suppressed.push({ pattern: source, phrase, reason: 'negated' });
+        } else {
+          matches.push({ pattern: source, phrase, language });
+        }
+      });
+    });
+  });
+  
+  return {
+    crisis: matches.length > 0,
+    matches,
+    suppressed
+  };
+}
+
+module.exports = {
+  detectCrisis,
+  tokenize,
+  CRISIS_PATTERNS,
+  EXCLUSION_PATTERNS
+};
@@ -0,0 +1,221 @@
+// Crisis escalation service
+// Persists crisis alerts raised by the First-Aid chat, screening safety rules
+// and booking intake answers, and re-escalates alerts that counselling staff have not acknowledged
+// within the SLA
+
+const EventEmitter = require('events');
+const { PrismaClient } = require('@prisma/client');
+const { notifyUser } = require('./notifications');
+const prisma = new PrismaClient();
+
+const ACK_SLA_MINUTES = parseInt(process.env.CRISIS_ALERT_ACK_SLA_MINUTES) || 5;
+const CHECK_INTERVAL_MS = parseInt(process.env.CRISIS_ALERT_CHECK_INTERVAL_MS) || 60 * 1000;
+const EXCERPT_LENGTH = 280;
+
+// Alerts still waiting on staff
+const ACTIVE_STATUSES = ['OPEN', 'ACKNOWLEDGED'];
+
+// Crisis queue in the admin panel
+const ALERT_LINK = '/admin';
+
+// Emits 'alert:created', 'alert:escalated', 'alert:acknowledged' and 'alert:resolved'
+const crisisEvents = new EventEmitter();
+
+let escalationTimer = null;
+
+/**
+ * Raise a crisis alert for a chat session, screening or booking
+ * Reuses the source record's active alert so it only ever sits in the queue once
+ * @param {Object} params - Alert details
+ * @param {string} params.source - CrisisAlertSource, CHAT, SCREENING or BOOKING_INTAKE
+ * @param {string} params.sessionId - Chat session that triggered the alert
+ * @param {string} params.screeningId - Screening that triggered the alert
+ * @param {string} params.bookingId - Booking whose intake answers triggered the alert
+ * @param {string} params.userId - Authenticated user, if any
+ * @param {string} params.anonymousId - Anonymous session ID, if any
+ * @param {string} params.severity - Classifier severity
+ * @param {string} params.text - Message or summary that triggered the alert
+ * @returns {Object} The new or existing crisis alert
+ */
+async function raiseCrisisAlert({ source = 'CHAT', sessionId, screeningId, bookingId, userId, anonymousId, severity, text }) {
+  if (sessionId || screeningId || bookingId) {
+    const existing = await prisma.crisisAlert.findFirst({
+      where: {
+        ...(sessionId ? { sessionId } : screeningId ? { screeningId } : { bookingId }),
+        status: { in: ACTIVE_STATUSES }
+      }
+    });
+
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const alert = await prisma.crisisAlert.create({
+    data: {
+      source,
+      sessionId,
+      screeningId,
+      bookingId,
+      userId,
+      anonymousId: userId ? null : anonymousId,
+      severity,
+      excerpt: text ? text.slice(0, EXCERPT_LENGTH) : null
+    }
+  });
+
+  crisisEvents.emit('alert:created', alert);
+
+  await prisma.analyticsEvent.create({
+    data: {
+      type: 'crisis_alert_raised',
+      payload: {
+        alertId: alert.id,
+        source: alert.source,
+        sessionId,
+        screeningId,
+        bookingId
+      },
+      userId,
+      anonymousId: userId ? null : anonymousId
+    }
+  }).catch(console.error);
+
+  return alert;
+}
+
+/**
+ * Check whether an alert has breached its acknowledgement SLA
+ * Each escalation restarts the SLA window
+ * @param {Object} alert - Crisis alert record
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if the alert should be re-escalated
+ */
+function isOverdue(alert, now = new Date()) {
+  if (alert.status !== 'OPEN') {
+    return false;
+  }
+
+  const since = new Date(alert.lastEscalatedAt || alert.createdAt);
+  return now - since >= ACK_SLA_MINUTES * 60 * 1000;
+}
+
+/**
+ * Staff roles told about an escalated alert
+ * The first escalation goes to counsellors; later ones also reach admins
+ * @param {number} escalationLevel - Alert escalation level after the bump
+ * @returns {Array} Roles to notify
+ */
+function escalationRoles(escalationLevel) {
+  return escalationLevel > 1 ? ['COUNSELLOR', 'ADMIN'] : ['COUNSELLOR'];
+}
+
+/**
+ * Notify on-call staff in-app and by email that an alert is still unacknowledged
+ * The message carries no excerpt, so nothing the student wrote leaves the system by email
+ * @param {Object} alert - Escalated crisis alert
+ * @returns {number} Number of staff notified
+ */
+async function notifyOnCallStaff(alert) {
+  const staff = await prisma.user.findMany({
+    where: {
+      role: { in: escalationRoles(alert.escalationLevel) },
+      passwordHash: { not: 'DELETED' }
+    },
+    select: { id: true, email: true, passwordHash: true }
+  });
+
+  for (const user of staff) {
+    await notifyUser(user, {
+      type: 'crisis_alert_escalated',
+      title: 'Crisis alert needs acknowledgement',
+      body: `A ${alert.source.toLowerCase().replace('_', ' ')} crisis alert has not been acknowledged for over ${ACK_SLA_MINUTES * alert.escalationLevel} minutes (escalation level ${alert.escalationLevel}). Open the crisis queue to acknowledge it.`,
+      link: ALERT_LINK
+    }).catch(console.error);
+  }
+
+  return staff.length;
+}
+
+/**
+ * Re-escalate every open alert that has breached its SLA
+ * @param {Date} now - Reference time
+ * @returns {Array} Alerts that were escalated
+ */
+async function escalateOverdueAlerts(now = new Date()) {
+  const cutoff = new Date(now.getTime() - ACK_SLA_MINUTES * 60 * 1000);
+
+  const candidates = await prisma.crisisAlert.findMany({
+    where: {
+      status: 'OPEN',
+      createdAt: { lte: cutoff }
+    }
+  });
+
+  const escalated = [];
+  for (const alert of candidates.filter(a => isOverdue(a, now))) {
+    const updated = await prisma.crisisAlert.update({
+      where: { id: alert.id },
+      data: {
+        escalationLevel: alert.escalationLevel + 1,
+        lastEscalatedAt: now
+      }
+    });
+
+    crisisEvents.emit('alert:escalated', updated);
+    await notifyOnCallStaff(updated).catch(console.error);
+
+    await prisma.analyticsEvent.create({
+      data: {
+        type: 'crisis_alert_escalated',
+        payload: {
+          alertId: updated.id,
+          escalationLevel: updated.escalationLevel
+        }
+      }
+    }).catch(console.error);
+
+    escalated.push(updated);
+  }
+
+  return escalated;
+}
+
+/**
+ * Start the in-process SLA timer
+ */
+function startEscalationMonitor() {
+  if (escalationTimer) {
+    return;
+  }
+
+  escalationTimer = setInterval(() => {
+    escalateOverdueAlerts().catch(console.error);
+  }, CHECK_INTERVAL_MS);
+
+  // Don't keep the process alive just for the monitor
+  escalationTimer.unref();
+}
+
+/**
+ * Stop the in-process SLA timer
+ */
+function stopEscalationMonitor() {
+  if (escalationTimer) {
+    clearInterval(escalationTimer);
+    escalationTimer = null;
+  }
+}
+
+module.exports = {
+  raiseCrisisAlert,
+  isOverdue,
+  escalationRoles,
+  notifyOnCallStaff,
+  escalateOverdueAlerts,
+  startEscalationMonitor,
+  stopEscalationMonitor,
+  crisisEvents,
+  ACTIVE_STATUSES,
+  ACK_SLA_MINUTES
+};
@@ -0,0 +1,447 @@
+// Guided exercises for the First-Aid chat
+// Multi-step interventions the bot walks a student through inside a chat
+// session. Each run is a small state machine stored as a ChatExercise:
+// ACTIVE (at stepIndex) -> COMPLETED | ABANDONED.
+
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+const { languageChain, DEFAULT_LANGUAGE } = require('./chatClassifier');
+
+const EXERCISE_STATUS = {
+  ACTIVE: 'ACTIVE',
+  COMPLETED: 'COMPLETED',
+  ABANDONED: 'ABANDONED'
+};
+
+const ACTIONS = ['next', 'back', 'abandon'];
+
+const MAX_TEXT_LENGTH = 1000;
+
+const SLEEP_HABITS = [
+  { id: 'wake_time', label: { en: 'I wake up at the same time every day, weekends included', hi: 'मैं हर दिन, छुट्टी के दिन भी, एक ही समय पर उठता/उठती हूं' } },
+  { id: 'screens', label: { en: 'No screens for 30-60 minutes before bed', hi: 'सोने से 30-60 मिनट पहले कोई स्क्रीन नहीं' } },
+  { id: 'caffeine', label: { en: 'No tea, coffee or energy drinks after 2pm', hi: 'दोपहर 2 बजे के बाद चाय, कॉफी या एनर्जी ड्रिंक नहीं' } },
+  { id: 'bed_for_sleep', label: { en: 'I use my bed for sleep, not for studying', hi: 'मैं बिस्तर का उपयोग सोने के लिए करता/करती हूं, पढ़ाई के लिए नहीं' } },
+  { id: 'wind_down', label: { en: 'A short wind-down routine before bed', hi: 'सोने से पहले आराम करने की एक छोटी दिनचर्या' } },
+  { id: 'room', label: { en: 'My room is cool, dark and quiet', hi: 'मेरा कमरा ठंडा, अंधेरा और शांत है' } },
+  { id: 'daylight', label: { en: 'Some daylight and movement during the day', hi: 'दिन में थोड़ी धूप और चलना-फिरना' } },
+  { id: 'get_up', label: { en: 'If I can\'t sleep after 20 minutes, I get up and do something calm', hi: '20 मिनट में नींद न आए तो उठकर कुछ शांत काम करता/करती हूं' } }
+];
+
+// Exercise definitions; text is keyed by language and falls back along languageChain
+const EXERCISES = {
+  BOX_BREATHING: {
+    title: { en: 'Box breathing', hi: 'बॉक्स ब्रीदिंग' },
+    description: {
+      en: 'Slow, even breathing in four counts of four to calm your body.',
+      hi: 'चार-चार गिनती में धीमी, बराबर सांस लेकर शरीर को शांत करें।'
+    },
+    categories: ['ANXIETY', 'STRESS_BURNOUT', 'ACADEMIC_STRESS'],
+    steps: [
+      {
+        id: 'intro',
+        type: 'info',
+        prompt: {
+          en: 'Sit comfortably and rest your hands in your lap. We\'ll breathe in a square: in for 4, hold for 4, out for 4, hold for 4.',
+          hi: 'आराम से बैठें और हाथ गोद में रखें। हम एक चौकोर में सांस लेंगे: 4 तक अंदर, 4 तक रोकें, 4 तक बाहर, 4 तक रोकें।'
+        }
+      },
+      {
+        id: 'breathe',
+        type: 'timer',
+        cycles: 4,
+        phases: [
+          { label: { en: 'Breathe in', hi: 'सांस अंदर लें' }, seconds: 4 },
+          { label: { en: 'Hold', hi: 'रोकें' }, seconds: 4 },
+          { label: { en: 'Breathe out', hi: 'सांस बाहर छोड़ें' }, seconds: 4 },
+          { label: { en: 'Hold', hi: 'रोकें' }, seconds: 4 }
+        ],
+        prompt: {
+          en: 'Follow the timer for four rounds.',
+          hi: 'चार राउंड तक टाइमर के साथ चलें।'
+        }
+      },
+      {
+        id: 'calm',
+        type: 'rating',
+        min: 0,
+        max: 10,
+        prompt: {
+          en: 'How calm do you feel now, from 0 (very tense) to 10 (completely calm)?',
+          hi: 'अब आप कितना शांत महसूस कर रहे हैं, 0 (बहुत तनाव) से 10 (पूरी तरह शांत) तक?'
+        }
+      }
+    ],
+    completion: {
+      en: 'Well done. You can come back to box breathing any time your body feels tense.',
+      hi: 'बहुत अच्छा। जब भी शरीर में तनाव लगे, आप बॉक्स ब्रीदिंग फिर से कर सकते हैं।'
+    }
+  },
+  
+  GROUNDING_54321: {
+    title: { en: '5-4-3-2-1 grounding', hi: '5-4-3-2-1 ग्राउंडिंग' },
+    description: {
+      en: 'Bring yourself back to the present using your five senses.',
+      hi: 'अपनी पांच इंद्रियों की मदद से वर्तमान में लौटें।'
+    },
+    categories: ['ANXIETY', 'SOCIAL_ISOLATION'],
+    steps: [
+      {
+        id: 'see',
+        type: 'list',
+        count: 5,
+        prompt: { en: 'Name 5 things you can see around you.', hi: 'अपने आसपास की 5 चीजें बताइए जो आप देख सकते हैं।' }
+      },
+      {
+        id: 'touch',
+        type: 'list',
+        count: 4,
+        prompt: { en: 'Name 4 things you can touch or feel.', hi: '4 चीजें बताइए जिन्हें आप छू या महसूस कर सकते हैं।' }
+      },
+      {
+        id: 'hear',
+        type: 'list',
+        count: 3,
+        prompt: { en: 'Name 3 things you can hear.', hi: '3 चीजें बताइए जो आप सुन सकते हैं।' }
+      },
+      {
+        id: 'smell',
+        type: 'list',
+        count: 2,
+        prompt: { en: 'Name 2 things you can smell.', hi: '2 चीजें बताइए जिनकी गंध आप महसूस कर सकते हैं।' }
+      },
+      {
+        id: 'taste',
+        type: 'list',
+        count: 1,
+        prompt: { en: 'Name 1 thing you can taste.', hi: '1 चीज बताइए जिसका स्वाद आप महसूस कर सकते हैं।' }
+      }
+    ],
+    completion: {
+      en: 'You\'ve grounded yourself in what\'s around you right now. Notice how your breathing feels.',
+      hi: 'आपने खुद को अभी के माहौल से जोड़ लिया है। ध्यान दें कि अब आपकी सांस कैसी है।'
+    }
+  },
+  
+  THOUGHT_RECORD: {
+    title: { en: 'Thought record', hi: 'विचार रिकॉर्ड' },
+    description: {
+      en: 'Look at a difficult thought step by step and find a more balanced one.',
+      hi: 'एक कठिन विचार को कदम-दर-कदम देखें और एक संतुलित विचार खोजें।'
+    },
+    categories: ['DEPRESSION', 'ACADEMIC_STRESS', 'STRESS_BURNOUT'],
+    steps: [
+      {
+        id: 'situation',
+        type: 'text',
+        prompt: { en: 'What happened? Describe the situation briefly.', hi: 'क्या हुआ? स्थिति को संक्षेप में बताइए।' }
+      },
+      {
+        id: 'thought',
+        type: 'text',
+        prompt: { en: 'What thought went through your mind?', hi: 'आपके मन में कौन सा विचार आया?' }
+      },
+      {
+        id: 'belief_before',
+        type: 'rating',
+        min: 0,
+        max: 100,
+        prompt: { en: 'How strongly do you believe that thought, from 0 to 100?', hi: 'आप उस विचार पर कितना विश्वास करते हैं, 0 से 100 तक?' }
+      },
+      {
+        id: 'feelings',
+        type: 'text',
+        prompt: { en: 'What did you feel, and how strongly?', hi: 'आपने क्या महसूस किया, और कितना तीव्र?' }
+      },
+      {
+        id: 'evidence_for',
+        type: 'text',
+        prompt: { en: 'What evidence supports the thought?', hi: 'कौन सी बातें इस विचार का समर्थन करती हैं?' }
+      },
+      {
+        id: 'evidence_against',
+        type: 'text',
+        prompt: { en: 'What evidence doesn\'t fit the thought?', hi: 'कौन सी बातें इस विचार से मेल नहीं खातीं?' }
+      },
+      {
+        id: 'balanced_thought',
+        type: 'text',
+        prompt: {
+          en: 'Taking both into account, what is a more balanced way to see it? What would you tell a friend?',
+          hi: 'दोनों को ध्यान में रखते हुए, इसे देखने का संतुलित तरीका क्या है? आप किसी दोस्त से क्या कहते?'
+        }
+      },
+      {
+        id: 'belief_after',
+        type: 'rating',
+        min: 0,
+        max: 100,
+        prompt: { en: 'How strongly do you believe the original thought now, from 0 to 100?', hi: 'अब आप मूल विचार पर कितना विश्वास करते हैं, 0 से 100 तक?' }
+      }
+    ],
+    completion: {
+      en: 'Thank you for working through that. Thoughts feel like facts, but they can be tested.',
+      hi: 'इसे पूरा करने के लिए धन्यवाद। विचार तथ्य जैसे लगते हैं, लेकिन उन्हें परखा जा सकता है।'
+    }
+  },
+  
+  SLEEP_HYGIENE: {
+    title: { en: 'Sleep hygiene checklist', hi: 'नींद की अच्छी आदतें' },
+    description: {
+      en: 'Check your current habits and pick one change to try this week.',
+      hi: 'अपनी आदतें जांचें और इस हफ्ते आजमाने के लिए एक बदलाव चुनें।'
+    },
+    categories: ['SLEEP'],
+    steps: [
+      {
+        id: 'current',
+        type: 'checklist',
+        items: SLEEP_HABITS,
+        prompt: { en: 'Which of these do you already do most nights?', hi: 'इनमें से आप ज्यादातर रातों में क्या पहले से करते हैं?' }
+      },
+      {
+        id: 'goal',
+        type: 'choice',
+        items: SLEEP_HABITS,
+        prompt: { en: 'Pick one habit to try this week.', hi: 'इस हफ्ते आजमाने के लिए एक आदत चुनें।' }
+      }
+    ],
+    completion: {
+      en: 'Small, steady changes help most. Try your chosen habit for a week and see how your sleep feels.',
+      hi: 'छोटे, लगातार बदलाव सबसे ज्यादा मदद करते हैं। चुनी हुई आदत एक हफ्ते आजमाएं और देखें कि नींद कैसी रहती है।'
+    }
+  }
+};
+
+/**
+ * Pick the best available translation of a text
+ * @param {Object} text - Text keyed by language
+ * @param {string} language - Requested language
+ * @returns {string} Translated text
+ */
+const localise = (text, language) => languageChain(language).map(lang => text[lang]).find(Boolean);
+
+/**
+ * Joi schema for a step's response
+ */
+function responseSchema(step) {
+  const itemIds = (step.items || []).map(item => item.id);
+  
+  switch (step.type) {
+    case 'timer':
+      return Joi.object({
+        completedCycles: Joi.number().integer().min(0).max(step.cycles).required()
+      });
+    case 'rating':
+      return Joi.number().integer().min(step.min).max(step.max).required();
+    case 'text':
+      return Joi.string().trim().min(1).max(MAX_TEXT_LENGTH).required();
+    case 'list':
+      return Joi.array().items(Joi.string().trim().min(1).max(200)).min(1).max(step.count).required();
+    case 'checklist':
+      return Joi.array().items(Joi.string().valid(...itemIds)).unique().required();
+    case 'choice':
+      return Joi.string().valid(...itemIds).required();
+    default:
+      return Joi.any().strip();
+  }
+}
+
+/**
+ * Normalise free-typed list answers ("desk, lamp\nwindow") into items
+ */
+const splitList = (response) => (typeof response === 'string'
+  ? response.split(/[,\n]/).map(item => item.trim()).filter(Boolean)
+  : response);
+
+/**
+ * Compute the next state of an exercise run
+ * Pure function: persistence is left to the caller
+ * @param {Object} run - ChatExercise record
+ * @param {string} action - next, back or abandon
+ * @param {*} response - Answer to the current step (for next)
+ * @returns {Object} Fields to update on the run
+ */
+function transition(run, action, response) {
+  const definition = EXERCISES[run.exercise];
+  
+  if (!definition) {
+    throw new Error(`Unknown exercise: ${run.exercise}`);
+  }
+  if (run.status !== EXERCISE_STATUS.ACTIVE) {
+    throw new Error('Exercise is not active');
+  }
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Invalid action: ${action}`);
+  }
+  
+  const now = new Date();
+  
+  if (action === 'abandon') {
+    return { status: EXERCISE_STATUS.ABANDONED };
+  }
+  
+  if (action === 'back') {
+    return { stepIndex: Math.max(run.stepIndex - 1, 0), stepStartedAt: now };
+  }
+  
+  const step = definition.steps[run.stepIndex];
+  const candidate = step.type === 'list' ? splitList(response) : response;
+  const { value, error } = responseSchema(step).label(step.id).validate(candidate);
+  
+  if (error) {
+    throw new Error(`Invalid response: ${error.details[0].message}`);
+  }
+  
+  const responses = { ...(run.responses || {}) };
+  if (value !== undefined) {
+    responses[step.id] = value;
+  }
+  
+  if (run.stepIndex + 1 >= definition.steps.length) {
+    return { status: EXERCISE_STATUS.COMPLETED, responses, completedAt: now };
+  }
+  
+  return { stepIndex: run.stepIndex + 1, responses, stepStartedAt: now };
+}
+
+/**
+ * Client view of a step, in the requested language
+ */
+function renderStep(step, language) {
+  const rendered = {
+    id: step.id,
+    type: step.type,
+    prompt: localise(step.prompt, language)
+  };
+  
+  if (step.type === 'timer') {
+    rendered.cycles = step.cycles;
+    rendered.phases = step.phases.map(phase => ({
+      label: localise(phase.label, language),
+      seconds: phase.seconds
+    }));
+  } else if (step.type === 'rating') {
+    rendered.min = step.min;
+    rendered.max = step.max;
+  } else if (step.type === 'list') {
+    rendered.count = step.count;
+  } else if (step.items) {
+    rendered.items = step.items.map(item => ({ id: item.id, label: localise(item.label, language) }));
+  }
+  
+  return rendered;
+}
+
+/**
+ * Client view of an exercise run
+ * @param {Object} run - ChatExercise record
+ * @param {string} language - Display language
+ * @returns {Object} Run with the current step or completion message
+ */
+function renderExercise(run, language = DEFAULT_LANGUAGE) {
+  const definition = EXERCISES[run.exercise];
+  
+  return {
+    id: run.id,
+    exercise: run.exercise,
+    title: localise(definition.title, language),
+    status: run.status,
+    stepIndex: run.stepIndex,
+    totalSteps: definition.steps.length,
+    step: run.status === EXERCISE_STATUS.ACTIVE ? renderStep(definition.steps[run.stepIndex], language) : null,
+    completionMessage: run.status === EXERCISE_STATUS.COMPLETED ? localise(definition.completion, language) : null,
+    responses: run.responses || {},
+    startedAt: run.startedAt,
+    completedAt: run.completedAt
+  };
+}
+
+/**
+ * Exercises available in the chat
+ * @param {string} language - Display language
+ * @param {string} category - Optional classification category to filter by
+ * @returns {Array} [{key, title, description, steps}]
+ */
+function listExercises(language = DEFAULT_LANGUAGE, category = null) {
+  return Object.entries(EXERCISES)
+    .filter(([, definition]) => !category || definition.categories.includes(category))
+    .map(([key, definition]) => ({
+      key,
+      title: localise(definition.title, language),
+      description: localise(definition.description, language),
+      steps: definition.steps.length
+    }));
+}
+
+/**
+ * Current active run for a session
+ * @param {string} sessionId - Chat session ID
+ * @returns {Promise<Object|null>} ChatExercise record
+ */
+async function getActiveExercise(sessionId) {
+  return await prisma.chatExercise.findFirst({
+    where: { sessionId, status: EXERCISE_STATUS.ACTIVE },
+    orderBy: { startedAt: 'desc' }
+  });
+}
+
+/**
+ * Start an exercise, abandoning any run already in progress
+ * @param {string} sessionId - Chat session ID
+ * @param {string} exercise - Exercise key
+ * @returns {Promise<Object>} New ChatExercise record
+ */
+async function startExercise(sessionId, exercise) {
+  if (!EXERCISES[exercise]) {
+    throw new Error(`Unknown exercise: ${exercise}`);
+  }
+  
+  const [, run] = await prisma.$transaction([
+    prisma.chatExercise.updateMany({
+      where: { sessionId, status: EXERCISE_STATUS.ACTIVE },
+      data: { status: EXERCISE_STATUS.ABANDONED }
+    }),
+    prisma.chatExercise.create({
+      data: {
+        sessionId,
+        exercise,
+        status: EXERCISE_STATUS.ACTIVE,
+        stepIndex: 0,
+        responses: {}
+      }
+    })
+  ]);
+  
+  return run;
+}
+
+/**
+ * Apply an action to a run and persist the result
+ * @param {Object} run - ChatExercise record
+ * @param {string} action - next, back or abandon
+ * @param {*} response - Answer to the current step
+ * @returns {Promise<Object>} Updated ChatExercise record
+ */
+async function advanceExercise(run, action, response) {
+  const changes = transition(run, action, response);
+  
+  return await prisma.chatExercise.update({
+    where: { id: run.id },
+    data: changes
+  });
+}
+
+module.exports = {
+  listExercises,
+  getActiveExercise,
+  startExercise,
+  advanceExercise,
+  transition,
+  renderExercise,
+  EXERCISES,
+  EXERCISE_STATUS,
+  ACTIONS
+};
@@ -0,0 +1,153 @@
+// iCalendar (RFC 5545) output for bookings
+// Used for single-appointment downloads and subscription feeds. Events keep
+// the booking ID as their UID and a SEQUENCE that grows with each change, so
+// calendar apps update or cancel the same event rather than adding a new one.
+// Student notes are never included: feeds are synced to third-party calendars.
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_SESSION_MINUTES = 50;
+const LINE_OCTETS = 75;
+const PRODID = '-//Digital Psychological Intervention System//Bookings//EN';
+
+// Booking status -> VEVENT STATUS
+const EVENT_STATUS = {
+  REQUESTED: 'TENTATIVE',
+  RESCHEDULE_PROPOSED: 'TENTATIVE',
+  CONFIRMED: 'CONFIRMED',
+  COMPLETED: 'CONFIRMED',
+  NO_SHOW: 'CONFIRMED',
+  CANCELLED: 'CANCELLED',
+  DECLINED: 'CANCELLED'
+};
+
+/**
+ * Escape a TEXT value
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * UTC date-time, e.g. 20260105T100000Z
+ */
+const formatDateTime = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line to 75 octets, without splitting a UTF-8 character
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? LINE_OCTETS : LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  
+  return parts.join('\r\n ');
+};
+
+/**
+ * Domain used in event UIDs
+ */
+const uidDomain = () => {
+  try {
+    return new URL(process.env.APP_URL).hostname;
+  } catch (error) {
+    return 'digital-psychological-intervention-system';
+  }
+};
+
+/**
+ * What the event is called in the viewer's calendar
+ * Counsellors see the student's name only on bookings that are not anonymous
+ */
+const eventSummary = (booking, audience) => {
+  if (audience === 'student') {
+    return `Counselling session with ${booking.counsellor.name}`;
+  }
+  if (!booking.anonymity && booking.user && booking.user.name) {
+    return `Counselling session: ${booking.user.name}`;
+  }
+  return 'Counselling session (anonymous student)';
+};
+
+/**
+ * VEVENT lines for a booking
+ * @param {Object} booking - Booking with counsellor { name, room, sessionMinutes } and, for counsellors, user { name }
+ * @param {string} audience - 'student' or 'counsellor'
+ * @returns {Array} Unfolded content lines
+ */
+function buildEvent(booking, audience = 'student') {
+  const start = new Date(booking.timeSlot);
+  const minutes = booking.counsellor.sessionMinutes || DEFAULT_SESSION_MINUTES;
+  const updatedAt = new Date(booking.updatedAt || booking.createdAt || start);
+  const description = [`Status: ${booking.status}`];
+  
+  if (booking.status === 'RESCHEDULE_PROPOSED' && booking.proposedTimeSlot) {
+    description.push(`Proposed new time: ${new Date(booking.proposedTimeSlot).toISOString()}`);
+  }
+  if (process.env.APP_URL) {
+    description.push(`${process.env.APP_URL}/booking`);
+  }
+  
+  return [
+    'BEGIN:VEVENT',
+    `UID:${booking.id}@${uidDomain()}`,
+    `DTSTAMP:${formatDateTime(updatedAt)}`,
+    `LAST-MODIFIED:${formatDateTime(updatedAt)}`,
+    // Seconds since the epoch only ever increase, so each change supersedes the last
+    `SEQUENCE:${Math.floor(updatedAt.getTime() / 1000)}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(start.getTime() + minutes * MINUTE_MS)}`,
+    `SUMMARY:${escapeText(eventSummary(booking, audience))}`,
+    ...(booking.counsellor.room ? [`LOCATION:${escapeText(booking.counsellor.room)}`] : []),
+    `DESCRIPTION:${escapeText(description.join('\n'))}`,
+    `STATUS:${EVENT_STATUS[booking.status] || 'TENTATIVE'}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * A complete calendar
+ * @param {Array} bookings - Bookings for buildEvent
+ * @param {Object} options - { audience, name }
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar(bookings, { audience = 'student', name = 'Counselling sessions' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...bookings.flatMap(booking => buildEvent(booking, audience)),
+    'END:VCALENDAR'
+  ];
+  
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildEvent,
+  buildCalendar,
+  EVENT_STATUS
+};
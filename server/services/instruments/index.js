@@ -0,0 +1,202 @@
+// Screening instrument registry
+// Each instrument is a JSON definition in ./definitions (items, response options,
+// reverse-scored items, subscales, cut-offs, change thresholds, safety rules, bands,
+// follow-up reminder intervals and per-language text).
+// Definitions are validated when this module loads, so a broken file stops the
+// server at startup instead of failing on a student's submission.
+// Adding an instrument: drop a definition here and add its type to the
+// ScreeningType enum in prisma/schema.prisma.
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { ScreeningType } = require('@prisma/client');
+
+const DEFINITIONS_DIR = path.join(__dirname, 'definitions');
+
+// Every piece of user-facing text needs English; other languages are optional
+const text = Joi.object({
+  en: Joi.string().required()
+}).pattern(/^[a-z]{2}$/, Joi.string());
+
+const textList = Joi.object({
+  en: Joi.array().items(Joi.string()).min(1).required()
+}).pattern(/^[a-z]{2}$/, Joi.array().items(Joi.string()).min(1));
+
+const definitionSchema = Joi.object({
+  type: Joi.string().pattern(/^[A-Z][A-Z0-9]*$/).required(),
+  name: Joi.string().required(),
+  title: text.required(),
+  description: text.required(),
+  timeframe: text.required(),
+  responseOptions: Joi.object({
+    min: Joi.number().integer().min(0).default(0),
+    labels: textList.required()
+  }).required(),
+  items: Joi.array().items(Joi.object({
+    text: text.required(),
+    reverse: Joi.boolean().default(false),
+    options: textList
+  })).min(1).required(),
+  multiplier: Joi.number().integer().min(1).default(1),
+  subscales: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    title: text.required(),
+    items: Joi.array().items(Joi.number().integer().min(1)).min(1).unique().required()
+  })).default([]),
+  cutoffs: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    min: Joi.number().integer(),
+    max: Joi.number().integer(),
+    label: text.required()
+  }).or('min', 'max')).default([]),
+  // Thresholds for comparing two administrations (see screeningTrends)
+  change: Joi.object({
+    reliable: Joi.number().positive(),
+    clinicalCutoff: Joi.number().integer().min(0),
+    higherIsBetter: Joi.boolean().default(false)
+  }).default({ higherIsBetter: false }),
+  // Item-level checks that need a safety response whatever the total score
+  safetyRules: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    item: Joi.number().integer().min(1).required(),
+    min: Joi.number().integer().required(),
+    message: text.required(),
+    safetyPlan: textList.required()
+  })).default([]),
+  bands: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    max: Joi.number().integer().required(),
+    // Days until a follow-up reminder (see screeningReminders); none if omitted
+    reminderDays: Joi.number().integer().min(1),
+    interpretation: text.required(),
+    recommendations: textList.required()
+  })).min(1).unique('id').required()
+});
+
+/**
+ * Highest possible score for a definition
+ */
+const maxScoreFor = (definition) => {
+  const { responseOptions, items, multiplier } = definition;
+  const highest = responseOptions.min + responseOptions.labels.en.length - 1;
+  return highest * items.length * multiplier;
+};
+
+/**
+ * Checks Joi can't express: list lengths that must agree and band ordering
+ * @returns {string|null} Problem description, or null if consistent
+ */
+const checkConsistency = (definition) => {
+  const { responseOptions, items, subscales, safetyRules, bands } = definition;
+  const optionCount = responseOptions.labels.en.length;
+  
+  const lists = [
+    ['responseOptions.labels', responseOptions.labels],
+    ...items
+      .map((item, index) => [`items[${index}].options`, item.options])
+      .filter(([, labels]) => labels)
+  ];
+  for (const [name, labels] of lists) {
+    const mismatched = Object.keys(labels).find(language => labels[language].length !== optionCount);
+    if (mismatched) {
+      return `${name}.${mismatched} must have ${optionCount} labels`;
+    }
+  }
+  
+  const outOfRange = subscales.find(subscale => subscale.items.some(item => item > items.length));
+  if (outOfRange) {
+    return `subscale "${outOfRange.id}" refers to an item that does not exist`;
+  }
+  
+  const unknownItem = safetyRules.find(rule => rule.item > items.length);
+  if (unknownItem) {
+    return `safety rule "${unknownItem.id}" refers to an item that does not exist`;
+  }
+  
+  const maxScore = maxScoreFor(definition);
+  if (definition.change.clinicalCutoff > maxScore) {
+    return `change.clinicalCutoff must not exceed the maximum score (${maxScore})`;
+  }
+  
+  const unordered = bands.find((band, index) => index > 0 && band.max <= bands[index - 1].max);
+  if (unordered) {
+    return `band "${unordered.id}" must have a higher max than the band before it`;
+  }
+  if (bands[bands.length - 1].max !== maxScore) {
+    return `last band must end at the maximum score (${maxScore})`;
+  }
+  
+  return null;
+};
+
+/**
+ * Validate a raw definition
+ * @param {Object} raw - Parsed definition file
+ * @param {string} source - File name, for error messages
+ * @returns {Object} Definition with defaults applied
+ */
+function validateDefinition(raw, source) {
+  const { error, value } = definitionSchema.validate(raw, { abortEarly: true });
+  const problem = error ? error.details[0].message : checkConsistency(value);
+  
+  if (problem) {
+    throw new Error(`Invalid instrument definition ${source}: ${problem}`);
+  }
+  
+  return { ...value, maxScore: maxScoreFor(value) };
+}
+
+/**
+ * Load and validate every definition file
+ * @param {string} directory - Directory of *.json definitions
+ * @returns {Object} Definitions keyed by type
+ */
+function loadDefinitions(directory = DEFINITIONS_DIR) {
+  const definitions = {};
+  
+  fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      const raw = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      const definition = validateDefinition(raw, file);
+      
+      // Screenings are stored with the enum, so an unlisted type could never be saved
+      if (ScreeningType && !ScreeningType[definition.type]) {
+        throw new Error(`Invalid instrument definition ${file}: ${definition.type} is not in the ScreeningType enum`);
+      }
+      if (definitions[definition.type]) {
+        throw new Error(`Invalid instrument definition ${file}: duplicate type ${definition.type}`);
+      }
+      definitions[definition.type] = definition;
+    });
+  
+  return definitions;
+}
+
+const INSTRUMENTS = loadDefinitions();
+
+/**
+ * Look up an instrument by type ("PHQ9") or URL slug ("phq9")
+ * @param {string} type - Screening type or slug
+ * @returns {Object|null} Definition or null if unknown
+ */
+function getInstrument(type) {
+  return INSTRUMENTS[String(type || '').toUpperCase()] || null;
+}
+
+/**
+ * List registered screening types
+ * @returns {Array} Types, e.g. ['AUDITC', 'GAD7', ...]
+ */
+function listInstruments() {
+  return Object.keys(INSTRUMENTS);
+}
+
+module.exports = {
+  getInstrument,
+  listInstruments,
+  loadDefinitions,
+  validateDefinition
+};
@@ -0,0 +1,263 @@
+// Background job runner
+// Jobs are stored in the database and picked up by an in-process poller, so
+// scheduled work (e.g. follow-up screening reminders weeks from now) survives
+// restarts. Failed jobs are retried with exponential backoff.
+
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_RUNNER_INTERVAL_MS) || 30 * 1000;
+const LOCK_TIMEOUT_MINUTES = parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 10;
+const BATCH_SIZE = 20;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const ERROR_LENGTH = 500;
+
+// Handlers keyed by job type
+const handlers = new Map();
+
+// Job types whose payload is cleared once the job is finished with
+const redactedTypes = new Set();
+
+let pollTimer = null;
+let isPolling = false;
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type, e.g. 'screening_reminder'
+ * @param {Function} handler - async (payload, job) => void; throw to retry
+ * @param {Object} options - Handler options
+ * @param {boolean} options.redactPayload - Clear the payload once the job completes
+ * or fails, for payloads holding secrets such as one-time links
+ */
+function registerJobHandler(type, handler, { redactPayload = false } = {}) {
+  handlers.set(type, handler);
+  if (redactPayload) {
+    redactedTypes.add(type);
+  } else {
+    redactedTypes.delete(type);
+  }
+}
+
+/**
+ * Payload update for a job that will not run again
+ */
+const finishedPayload = (job) => (redactedTypes.has(job.type) ? { payload: {} } : {});
+
+/**
+ * Cancel pending jobs with a key
+ * @param {string} key - Job key
+ * @returns {number} Number of jobs cancelled
+ */
+async function cancelJobs(key) {
+  const { count } = await prisma.job.updateMany({
+    where: {
+      key,
+      status: 'PENDING'
+    },
+    data: {
+      status: 'CANCELLED'
+    }
+  });
+  
+  return count;
+}
+
+/**
+ * Schedule a job
+ * @param {string} type - Job type with a registered handler
+ * @param {Object} payload - JSON payload passed to the handler
+ * @param {Object} options - Scheduling options
+ * @param {Date} options.runAt - When to run (defaults to now)
+ * @param {string} options.key - Groups jobs for cancelling or replacing
+ * @param {boolean} options.replace - Cancel pending jobs with the same key first
+ * @param {number} options.maxAttempts - Attempts before the job is marked FAILED
+ * @returns {Object} The job record
+ */
+async function scheduleJob(type, payload, { runAt = new Date(), key = null, replace = false, maxAttempts } = {}) {
+  if (replace && key) {
+    await cancelJobs(key);
+  }
+  
+  return prisma.job.create({
+    data: {
+      type,
+      key,
+      payload,
+      runAt,
+      ...(maxAttempts ? { maxAttempts } : {})
+    }
+  });
+}
+
+/**
+ * Delay before the next attempt, doubling each time up to an hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
+
+/**
+ * Claim and run one job
+ * @param {Object} job - Pending job record
+ * @param {Date} now - Reference time
+ * @returns {string|null} Final status, or null if another worker claimed the job first
+ */
+async function runJob(job, now = new Date()) {
+  // Claim the job; the status check makes this safe if two pollers overlap
+  const { count } = await prisma.job.updateMany({
+    where: {
+      id: job.id,
+      status: 'PENDING'
+    },
+    data: {
+      status: 'RUNNING',
+      lockedAt: now,
+      attempts: { increment: 1 }
+    }
+  });
+  
+  if (count === 0) {
+    return null;
+  }
+  
+  const attempts = job.attempts + 1;
+  const handler = handlers.get(job.type);
+  
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+    
+    await handler(job.payload, job);
+    
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: 'COMPLETED',
+        completedAt: new Date(),
+        lockedAt: null,
+        lastError: null,
+        ...finishedPayload(job)
+      }
+    });
+    
+    return 'COMPLETED';
+  } catch (error) {
+    const giveUp = !handler || attempts >= job.maxAttempts;
+    
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: giveUp ? 'FAILED' : 'PENDING',
+        runAt: giveUp ? job.runAt : new Date(now.getTime() + retryDelay(attempts)),
+        lockedAt: null,
+        lastError: String(error.message || error).slice(0, ERROR_LENGTH),
+        ...(giveUp ? finishedPayload(job) : {})
+      }
+    });
+    
+    if (giveUp) {
+      console.error(`Job ${job.id} (${job.type}) failed after ${attempts} attempt(s):`, error.message);
+    }
+    
+    return giveUp ? 'FAILED' : 'PENDING';
+  }
+}
+
+/**
+ * Return jobs left RUNNING by a process that stopped mid-job to the queue
+ * @param {Date} now - Reference time
+ * @returns {number} Number of jobs released
+ */
+async function releaseStaleJobs(now = new Date()) {
+  const { count } = await prisma.job.updateMany({
+    where: {
+      status: 'RUNNING',
+      lockedAt: { lt: new Date(now.getTime() - LOCK_TIMEOUT_MINUTES * 60 * 1000) }
+    },
+    data: {
+      status: 'PENDING',
+      lockedAt: null
+    }
+  });
+  
+  return count;
+}
+
+/**
+ * Run every job that is due, oldest first
+ * @param {Date} now - Reference time
+ * @returns {Object} { completed, retrying, failed }
+ */
+async function runDueJobs(now = new Date()) {
+  await releaseStaleJobs(now);
+  
+  const jobs = await prisma.job.findMany({
+    where: {
+      status: 'PENDING',
+      runAt: { lte: now }
+    },
+    orderBy: { runAt: 'asc' },
+    take: BATCH_SIZE
+  });
+  
+  const summary = { completed: 0, retrying: 0, failed: 0 };
+  for (const job of jobs) {
+    const status = await runJob(job, now);
+    if (status === 'COMPLETED') summary.completed++;
+    if (status === 'PENDING') summary.retrying++;
+    if (status === 'FAILED') summary.failed++;
+  }
+  
+  return summary;
+}
+
+/**
+ * Start polling for due jobs
+ */
+function startJobRunner() {
+  if (pollTimer) {
+    return;
+  }
+  
+  pollTimer = setInterval(async () => {
+    // Skip a tick rather than run two batches side by side
+    if (isPolling) return;
+    isPolling = true;
+    try {
+      await runDueJobs();
+    } catch (error) {
+      console.error('Job runner error:', error);
+    } finally {
+      isPolling = false;
+    }
+  }, POLL_INTERVAL_MS);
+  
+  // Don't keep the process alive just for the runner
+  pollTimer.unref();
+}
+
+/**
+ * Stop polling for due jobs
+ */
+function stopJobRunner() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  registerJobHandler,
+  scheduleJob,
+  cancelJobs,
+  runJob,
+  runDueJobs,
+  releaseStaleJobs,
+  retryDelay,
+  startJobRunner,
+  stopJobRunner
+};
@@ -0,0 +1,90 @@
+// Outgoing email
+// Sends through the SMTP server in SMTP_* settings. Without SMTP_HOST, messages
+// are rendered but not sent, so development never emails real students; set
+// MAIL_OUTBOX_DIR to also write them there as .eml files.
+// Emails are queued as jobs so a flaky SMTP server is retried rather than lost.
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { registerJobHandler, scheduleJob } = require('./jobRunner');
+
+const EMAIL_JOB = 'send_email';
+const EMAIL_MAX_ATTEMPTS = 5;
+
+let transporter = null;
+
+/**
+ * Create the transport on first use
+ */
+function getTransporter() {
+  if (!transporter) {
+    transporter = process.env.SMTP_HOST
+      ? nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      })
+      : process.env.MAIL_OUTBOX_DIR
+        ? nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+        : nodemailer.createTransport({ jsonTransport: true });
+  }
+  
+  return transporter;
+}
+
+/**
+ * Write a rendered message to the development outbox
+ * @returns {string} File path
+ */
+async function writeToOutbox(info) {
+  const dir = process.env.MAIL_OUTBOX_DIR;
+  const name = `${Date.now()}-${String(info.messageId).replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+  
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, name), info.message);
+  
+  return path.join(dir, name);
+}
+
+/**
+ * Send an email now
+ * @param {Object} message - { to, subject, text }
+ * @returns {Object} nodemailer send info
+ */
+async function sendEmail({ to, subject, text }) {
+  const info = await getTransporter().sendMail({
+    from: process.env.SMTP_FROM || 'Digital Health Team <noreply@example.com>',
+    to,
+    subject,
+    text
+  });
+  
+  if (!process.env.SMTP_HOST) {
+    const saved = process.env.MAIL_OUTBOX_DIR ? ` (saved to ${await writeToOutbox(info)})` : '';
+    // Recipients and subjects can identify students, so keep them out of the logs
+    console.log(`📧 SMTP_HOST not set, email not sent${saved}`);
+  }
+  
+  return info;
+}
+
+/**
+ * Queue an email for the job runner
+ * @param {Object} message - { to, subject, text }
+ * @returns {Object} The job record
+ */
+function queueEmail(message) {
+  return scheduleJob(EMAIL_JOB, message, { maxAttempts: EMAIL_MAX_ATTEMPTS });
+}
+
+registerJobHandler(EMAIL_JOB, sendEmail);
+
+module.exports = {
+  sendEmail,
+  queueEmail,
+  EMAIL_JOB
+};
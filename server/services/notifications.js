@@ -0,0 +1,48 @@
+// User notifications
+// Records an in-app notification and, where the account has a real address,
+// queues the same message as an email
+
+const { PrismaClient } = require('@prisma/client');
+const { queueEmail } = require('./mailer');
+const prisma = new PrismaClient();
+
+/**
+ * Whether an account can still receive email
+ * Deleted accounts are anonymised rather than removed (see DELETE /users/me)
+ */
+const canEmail = (user) => Boolean(user.email) && user.passwordHash !== 'DELETED';
+
+/**
+ * Notify a user in-app and by email
+ * @param {Object} user - { id, email, passwordHash }
+ * @param {Object} notification - { type, title, body, link }
+ * @param {Object} options - { email: false to skip the email }
+ * @returns {Object} The notification record
+ */
+async function notifyUser(user, { type, title, body, link = null }, { email = true } = {}) {
+  const notification = await prisma.notification.create({
+    data: {
+      userId: user.id,
+      type,
+      title,
+      body,
+      link
+    }
+  });
+  
+  if (email && canEmail(user)) {
+    const url = link && process.env.APP_URL ? `\n\n${process.env.APP_URL}${link}` : '';
+    await queueEmail({
+      to: user.email,
+      subject: title,
+      text: `${body}${url}`
+    });
+  }
+  
+  return notification;
+}
+
+module.exports = {
+  notifyUser,
+  canEmail
+};
@@ -0,0 +1,238 @@
+// Follow-up screening reminders
+// After a consented screening, schedules a reminder to re-take the same instrument
+// after the interval set on its severity band (the reminderDays field in the
+// instrument definition, e.g. PHQ-9: 4 weeks after mild, 2 weeks after moderate).
+// A newer screening replaces the pending reminder. Students can opt out per instrument.
+
+const { PrismaClient } = require('@prisma/client');
+const { getInstrument, listInstruments } = require('./instruments');
+const { registerJobHandler, scheduleJob, cancelJobs } = require('./jobRunner');
+const { notifyUser } = require('./notifications');
+const prisma = new PrismaClient();
+
+const REMINDER_JOB = 'screening_reminder';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REMINDER_TEXT = {
+  en: {
+    title: 'Time for a {name} check-in',
+    body: 'It has been {days} days since your last {name}. Taking it again helps you and your counsellor see how things are changing. You can turn these reminders off on your History page.'
+  },
+  hi: {
+    title: '{name} दोबारा जाँचने का समय',
+    body: 'आपके पिछले {name} को {days} दिन हो गए हैं। इसे फिर से लेने से आपको और आपके काउंसलर को यह समझने में मदद मिलती है कि चीज़ें कैसे बदल रही हैं। आप ये रिमाइंडर अपने इतिहास पेज पर बंद कर सकते हैं।'
+  }
+};
+
+/**
+ * Job key for a student's reminder for one instrument
+ * User ids are cuids, so the prefix up to the type is unique per user
+ */
+const reminderKey = (userId, type) => `screening-reminder:${userId}:${type}`;
+
+/**
+ * Days until the follow-up reminder for a result
+ * @param {string} type - ScreeningType
+ * @param {string} severityBand - Band id
+ * @returns {number|null} Days, or null if the band has no reminder
+ */
+function getReminderDays(type, severityBand) {
+  const instrument = getInstrument(type);
+  const band = instrument && instrument.bands.find(candidate => candidate.id === severityBand);
+  return band && band.reminderDays ? band.reminderDays : null;
+}
+
+/**
+ * Instruments with at least one band that schedules a reminder
+ * @returns {Array} Screening types
+ */
+function getReminderTypes() {
+  return listInstruments().filter(type =>
+    getInstrument(type).bands.some(band => band.reminderDays)
+  );
+}
+
+/**
+ * Replace a student's pending reminder for an instrument after a screening
+ * Anonymous and unconsented screenings never schedule reminders
+ * @param {Object} screening - { id, userId, type, severityBand, consent, createdAt }
+ * @param {Date} now - Reference time
+ * @returns {Object|null} The scheduled job, or null if none is due
+ */
+async function scheduleScreeningReminder(screening, now = new Date()) {
+  const { id, userId, type, severityBand, consent, createdAt } = screening;
+  if (!userId || !consent) {
+    return null;
+  }
+  
+  // The newest result decides the next reminder, even if that means none
+  const key = reminderKey(userId, type);
+  await cancelJobs(key);
+  
+  const days = getReminderDays(type, severityBand);
+  if (!days) {
+    return null;
+  }
+  
+  const runAt = new Date(new Date(createdAt).getTime() + days * DAY_MS);
+  if (runAt <= now) {
+    return null;
+  }
+  
+  const optOut = await prisma.screeningReminderOptOut.findUnique({
+    where: { userId_type: { userId, type } }
+  });
+  if (optOut) {
+    return null;
+  }
+  
+  return scheduleJob(REMINDER_JOB, { userId, type, screeningId: id, days }, { runAt, key });
+}
+
+/**
+ * Reminder text for a language, falling back to English
+ * @returns {Object} { title, body }
+ */
+function getReminderText(type, days, language = 'en') {
+  const template = REMINDER_TEXT[language] || REMINDER_TEXT.en;
+  const fill = (text) => text
+    .replace(/\{name\}/g, getInstrument(type).name)
+    .replace(/\{days\}/g, days);
+  
+  return {
+    title: fill(template.title),
+    body: fill(template.body)
+  };
+}
+
+/**
+ * Job handler: notify the student in-app and by email
+ * Re-checks the opt-out in case it was set after the job was claimed
+ */
+async function sendScreeningReminder({ userId, type, days }) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      passwordHash: true,
+      preferredLanguage: true,
+      screeningReminderOptOuts: {
+        where: { type },
+        select: { id: true }
+      }
+    }
+  });
+  
+  if (!user || user.passwordHash === 'DELETED' || user.screeningReminderOptOuts.length > 0) {
+    return;
+  }
+  
+  const { title, body } = getReminderText(type, days, user.preferredLanguage);
+  await notifyUser(user, {
+    type: REMINDER_JOB,
+    title,
+    body,
+    link: '/screenings'
+  });
+  
+  await prisma.analyticsEvent.create({
+    data: {
+      type: 'screening_reminder_sent',
+      payload: {
+        screeningType: type,
+        days
+      },
+      userId
+    }
+  }).catch(console.error);
+}
+
+/**
+ * A student's reminder settings for every instrument that has reminders
+ * @param {string} userId - User ID
+ * @returns {Array} [{ type, name, enabled, nextReminderAt }]
+ */
+async function getReminderPreferences(userId) {
+  const [optOuts, pending] = await Promise.all([
+    prisma.screeningReminderOptOut.findMany({
+      where: { userId },
+      select: { type: true }
+    }),
+    prisma.job.findMany({
+      where: {
+        type: REMINDER_JOB,
+        status: 'PENDING',
+        key: { startsWith: reminderKey(userId, '') }
+      },
+      select: {
+        key: true,
+        runAt: true
+      }
+    })
+  ]);
+  
+  return getReminderTypes().map(type => {
+    const job = pending.find(candidate => candidate.key === reminderKey(userId, type));
+    return {
+      type,
+      name: getInstrument(type).name,
+      enabled: !optOuts.some(optOut => optOut.type === type),
+      nextReminderAt: job ? job.runAt : null
+    };
+  });
+}
+
+/**
+ * Turn reminders for one instrument on or off
+ * Turning them back on schedules a reminder from the latest screening if one is still due
+ * @param {string} userId - User ID
+ * @param {string} type - ScreeningType with reminders
+ * @param {boolean} enabled - Whether to send reminders
+ */
+async function setReminderPreference(userId, type, enabled) {
+  if (!getReminderTypes().includes(type)) {
+    throw new Error(`Reminders are not available for ${type}`);
+  }
+  
+  if (!enabled) {
+    await prisma.screeningReminderOptOut.upsert({
+      where: { userId_type: { userId, type } },
+      create: { userId, type },
+      update: {}
+    });
+    await cancelJobs(reminderKey(userId, type));
+    return;
+  }
+  
+  await prisma.screeningReminderOptOut.deleteMany({
+    where: { userId, type }
+  });
+  
+  const latest = await prisma.screening.findFirst({
+    where: {
+      userId,
+      type,
+      consent: true
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+  
+  if (latest) {
+    await scheduleScreeningReminder(latest);
+  }
+}
+
+registerJobHandler(REMINDER_JOB, sendScreeningReminder);
+
+module.exports = {
+  scheduleScreeningReminder,
+  sendScreeningReminder,
+  getReminderDays,
+  getReminderTypes,
+  getReminderText,
+  getReminderPreferences,
+  setReminderPreference,
+  reminderKey,
+  REMINDER_JOB
+};
@@ -1,238 +1,172 @@
-// Screening scoring service for PHQ-9 and GAD-7
-// Implements standard clinical scoring algorithms
+// Screening scoring service
+// Scores any instrument defined in ./instruments/definitions: validates answers,
+// applies reverse scoring, sums totals and subscales, picks the severity band
+// and checks item-level safety rules
+
+const { getInstrument, listInstruments } = require('./instruments');
 
 /**
- * PHQ-9 Depression Screening Scorer
- * Scores: 0-4 (minimal), 5-9 (mild), 10-14 (moderate), 15-19 (moderate-severe), 20-27 (severe)
+ * Look up a definition or fail with a message routes can map to 404
  */
-const scorePHQ9 = (answers) => {
-  if (!Array.isArray(answers) || answers.length !== 9) {
-    throw new Error('PHQ-9 requires exactly 9 answers');
+const requireInstrument = (type) => {
+  const instrument = getInstrument(type);
+  if (!instrument) {
+    throw new Error(`Unknown screening type: ${type}`);
   }
+  return instrument;
+};
+
+/**
+ * Score a screening
+ * @param {string} type - ScreeningType, e.g. 'PHQ9'
+ * @param {Array<number>} answers - One answer value per item, in item order
+ * @returns {Object} { score, maxScore, severityBand, interpretation, subscales, cutoffs, safetyFlags }
+ */
+const scoreScreening = (type, answers) => {
+  const instrument = requireInstrument(type);
+  const { name, items, responseOptions, multiplier } = instrument;
+  const min = responseOptions.min;
+  const max = min + responseOptions.labels.en.length - 1;
   
-  const validAnswers = answers.every(answer => 
-    Number.isInteger(answer) && answer >= 0 && answer <= 3
+  if (!Array.isArray(answers) || answers.length !== items.length) {
+    throw new Error(`${name} requires exactly ${items.length} answers`);
+  }
+  
+  const validAnswers = answers.every(answer =>
+    Number.isInteger(answer) && answer >= min && answer <= max
   );
   
   if (!validAnswers) {
-    throw new Error('PHQ-9 answers must be integers between 0 and 3');
+    throw new Error(`${name} answers must be integers between ${min} and ${max}`);
   }
   
-  const totalScore = answers.reduce((sum, answer) => sum + answer, 0);
+  // Reverse-scored items count from the other end of the scale
+  const itemScores = answers.map((answer, index) =>
+    items[index].reverse ? min + max - answer : answer
+  );
+  const sum = (scores) => scores.reduce((total, score) => total + score, 0) * multiplier;
   
-  let severityBand;
-  if (totalScore <= 4) {
-    severityBand = 'minimal';
-  } else if (totalScore <= 9) {
-    severityBand = 'mild';
-  } else if (totalScore <= 14) {
-    severityBand = 'moderate';
-  } else if (totalScore <= 19) {
-    severityBand = 'moderate-severe';
-  } else {
-    severityBand = 'severe';
-  }
+  const totalScore = sum(itemScores);
+  const band = instrument.bands.find(candidate => totalScore <= candidate.max);
+  
+  const subscales = instrument.subscales.reduce((acc, subscale) => {
+    acc[subscale.id] = sum(subscale.items.map(item => itemScores[item - 1]));
+    return acc;
+  }, {});
+  
+  const cutoffs = instrument.cutoffs.reduce((acc, cutoff) => {
+    acc[cutoff.id] = (cutoff.min === undefined || totalScore >= cutoff.min) &&
+      (cutoff.max === undefined || totalScore <= cutoff.max);
+    return acc;
+  }, {});
+  
+  // Safety rules look at raw answers; a low total must never hide them
+  const safetyFlags = instrument.safetyRules
+    .filter(rule => answers[rule.item - 1] >= rule.min)
+    .map(rule => rule.id);
   
   return {
     score: totalScore,
-    maxScore: 27,
-    severityBand,
-    interpretation: getPHQ9Interpretation(severityBand)
+    maxScore: instrument.maxScore,
+    severityBand: band.id,
+    interpretation: band.interpretation,
+    subscales,
+    cutoffs,
+    safetyFlags
   };
 };
 
 /**
- * GAD-7 Anxiety Screening Scorer
- * Scores: 0-4 (minimal), 5-9 (mild), 10-14 (moderate), 15-21 (severe)
+ * Get interpretation text for a stored severity band
+ * @returns {Object} Interpretation keyed by language
  */
-const scoreGAD7 = (answers) => {
-  if (!Array.isArray(answers) || answers.length !== 7) {
-    throw new Error('GAD-7 requires exactly 7 answers');
-  }
-  
-  const validAnswers = answers.every(answer => 
-    Number.isInteger(answer) && answer >= 0 && answer <= 3
-  );
-  
-  if (!validAnswers) {
-    throw new Error('GAD-7 answers must be integers between 0 and 3');
-  }
+const getInterpretation = (type, severityBand) => {
+  const { bands } = requireInstrument(type);
+  return (bands.find(band => band.id === severityBand) || bands[0]).interpretation;
+};
+
+/**
+ * Get screening recommendations based on type and severity
+ */
+const getRecommendations = (type, severityBand, language = 'en') => {
+  const { bands } = requireInstrument(type);
+  const band = bands.find(candidate => candidate.id === severityBand) || bands[0];
   
-  const totalScore = answers.reduce((sum, answer) => sum + answer, 0);
+  return band.recommendations[language] || band.recommendations.en || [];
+};
+
+/**
+ * Get the safety message and plan for flagged safety rules
+ * @param {string} type - ScreeningType
+ * @param {Array<string>} safetyFlags - Rule ids from scoreScreening
+ * @param {string} language - Language code
+ * @returns {Object|null} { flags, message, safetyPlan }, or null if nothing was flagged
+ */
+const getSafetyResponse = (type, safetyFlags, language = 'en') => {
+  const rules = requireInstrument(type).safetyRules
+    .filter(rule => safetyFlags.includes(rule.id));
   
-  let severityBand;
-  if (totalScore <= 4) {
-    severityBand = 'minimal';
-  } else if (totalScore <= 9) {
-    severityBand = 'mild';
-  } else if (totalScore <= 14) {
-    severityBand = 'moderate';
-  } else {
-    severityBand = 'severe';
+  if (rules.length === 0) {
+    return null;
   }
   
   return {
-    score: totalScore,
-    maxScore: 21,
-    severityBand,
-    interpretation: getGAD7Interpretation(severityBand)
+    flags: rules.map(rule => rule.id),
+    message: rules.map(rule => rule.message[language] || rule.message.en).join(' '),
+    safetyPlan: [...new Set(rules.flatMap(rule => rule.safetyPlan[language] || rule.safetyPlan.en))]
   };
 };
 
 /**
- * Get PHQ-9 interpretation text
+ * Describe flagged items for staff, e.g. 'PHQ-9 item 9 answered "Several days"'
+ * @returns {string} Summary in English
  */
-const getPHQ9Interpretation = (severityBand) => {
-  const interpretations = {
-    minimal: {
-      en: "Minimal depression symptoms. Your responses suggest you may have few or no symptoms of depression.",
-      hi: "न्यूनतम अवसाद के लक्षण। आपके उत्तर सुझाते हैं कि आपमें अवसाद के कम या कोई लक्षण नहीं हैं।"
-    },
-    mild: {
-      en: "Mild depression symptoms. You may be experiencing some symptoms that could benefit from attention and self-care.",
-      hi: "हल्के अवसाद के लक्षण। आप कुछ ऐसे लक्षण अनुभव कर रहे हों जिनमें देखभाल और ध्यान की आवश्यकता हो।"
-    },
-    moderate: {
-      en: "Moderate depression symptoms. Consider speaking with a mental health professional about your symptoms.",
-      hi: "मध्यम अवसाद के लक्षण। अपने लक्षणों के बारे में किसी मानसिक स्वास्थ्य पेशेवर से बात करने पर विचार करें।"
-    },
-    'moderate-severe': {
-      en: "Moderate to severe depression symptoms. It's recommended to seek professional help to address these symptoms.",
-      hi: "मध्यम से गंभीर अवसाद के लक्षण। इन लक्षणों के लिए पेशेवर सहायता लेने की सिफारिश की जाती है।"
-    },
-    severe: {
-      en: "Severe depression symptoms. Please consider seeking immediate professional help. These symptoms can significantly impact your daily life.",
-      hi: "गंभीर अवसाद के लक्षण। कृपया तत्काल पेशेवर सहायता लेने पर विचार करें। ये लक्षण आपके दैनिक जीवन को महत्वपूर्ण रूप से प्रभावित कर सकते हैं।"
-    }
-  };
+const describeSafetyFlags = (type, answers, safetyFlags) => {
+  const { name, items, responseOptions, safetyRules } = requireInstrument(type);
   
-  return interpretations[severityBand] || interpretations.minimal;
+  return safetyRules
+    .filter(rule => safetyFlags.includes(rule.id))
+    .map(rule => {
+      const answer = answers[rule.item - 1];
+      const labels = (items[rule.item - 1].options || responseOptions.labels).en;
+      return `${name} item ${rule.item} answered "${labels[answer - responseOptions.min]}"`;
+    })
+    .join('; ');
 };
 
 /**
- * Get GAD-7 interpretation text
+ * Pair each answer with its item text and response label, for counsellor review
+ * @param {string} type - ScreeningType
+ * @param {Array<number>} answers - Stored answers
+ * @param {string} language - Language code
+ * @returns {Array} [{ item, text, value, label }]
  */
-const getGAD7Interpretation = (severityBand) => {
-  const interpretations = {
-    minimal: {
-      en: "Minimal anxiety symptoms. Your responses suggest you may have few or no symptoms of anxiety.",
-      hi: "न्यूनतम चिंता के लक्षण। आपके उत्तर सुझाते हैं कि आपमें चिंता के कम या कोई लक्षण नहीं हैं।"
-    },
-    mild: {
-      en: "Mild anxiety symptoms. You may be experiencing some anxiety that could benefit from relaxation techniques and self-care.",
-      hi: "हल्की चिंता के लक्षण। आप कुछ चिंता अनुभव कर रहे हों जिसमें आराम की तकनीक और स्वयं की देखभाल से फायदा हो सकता है।"
-    },
-    moderate: {
-      en: "Moderate anxiety symptoms. Consider learning anxiety management techniques or speaking with a counsellor.",
-      hi: "मध्यम चिंता के लक्षण। चिंता प्रबंधन तकनीक सीखने या काउंसलर से बात करने पर विचार करें।"
-    },
-    severe: {
-      en: "Severe anxiety symptoms. It's recommended to seek professional help. These symptoms may be significantly impacting your daily functioning.",
-      hi: "गंभीर चिंता के लक्षण। पेशेवर सहायता लेने की सिफारिश की जाती है। ये लक्षण आपके दैनिक कार्यकलाप को महत्वपूर्ण रूप से प्रभावित कर सकते हैं।"
-    }
-  };
+const describeAnswers = (type, answers, language = 'en') => {
+  const { items, responseOptions } = requireInstrument(type);
   
-  return interpretations[severityBand] || interpretations.minimal;
+  return items.map((item, index) => {
+    const value = answers[index];
+    const labels = item.options || responseOptions.labels;
+    return {
+      item: index + 1,
+      text: item.text[language] || item.text.en,
+      value,
+      label: (labels[language] || labels.en)[value - responseOptions.min] ?? null
+    };
+  });
 };
 
 /**
- * Get screening recommendations based on score
+ * Check whether a screening type has a definition
  */
-const getRecommendations = (type, severityBand, language = 'en') => {
-  const recommendations = {
-    PHQ9: {
-      minimal: {
-        en: [
-          "Continue maintaining good mental health practices",
-          "Stay connected with friends and family",
-          "Engage in regular physical activity",
-          "Practice stress management techniques"
-        ],
-        hi: [
-          "अच्छी मानसिक स्वास्थ्य प्रथाओं को बनाए रखना जारी रखें",
-          "दोस्तों और परिवार के साथ जुड़े रहें",
-          "नियमित शारीरिक गतिविधि में भाग लें"
-        ]
-      },
-      mild: {
-        en: [
-          "Monitor your mood and symptoms",
-          "Practice self-care and relaxation techniques",
-          "Maintain social connections",
-          "Consider lifestyle changes like regular exercise"
-        ]
-      },
-      moderate: {
-        en: [
-          "Consider speaking with a mental health professional",
-          "Explore counselling or therapy options",
-          "Practice daily mood tracking",
-          "Build a support network"
-        ]
-      },
-      'moderate-severe': {
-        en: [
-          "Seek professional mental health support",
-          "Consider therapy or counselling",
-          "Reach out to trusted friends or family",
-          "Explore treatment options with a healthcare provider"
-        ]
-      },
-      severe: {
-        en: [
-          "Seek immediate professional help",
-          "Contact a mental health crisis line if needed",
-          "Don't hesitate to reach out for support",
-          "Consider speaking with your healthcare provider about treatment options"
-        ]
-      }
-    },
-    GAD7: {
-      minimal: {
-        en: [
-          "Continue current stress management practices",
-          "Maintain healthy lifestyle habits",
-          "Stay socially connected",
-          "Practice mindfulness or relaxation when stressed"
-        ]
-      },
-      mild: {
-        en: [
-          "Learn and practice anxiety management techniques",
-          "Try deep breathing and relaxation exercises",
-          "Monitor anxiety triggers",
-          "Maintain regular sleep and exercise routines"
-        ]
-      },
-      moderate: {
-        en: [
-          "Consider learning cognitive-behavioral techniques",
-          "Speak with a counsellor about anxiety management",
-          "Practice regular relaxation exercises",
-          "Consider joining a support group"
-        ]
-      },
-      severe: {
-        en: [
-          "Seek professional help for anxiety management",
-          "Consider therapy or counselling",
-          "Learn about anxiety disorders and treatment options",
-          "Build a strong support network"
-        ]
-      }
-    }
-  };
-  
-  const typeRecommendations = recommendations[type] || recommendations.PHQ9;
-  const severityRecommendations = typeRecommendations[severityBand] || typeRecommendations.minimal;
-  
-  return severityRecommendations[language] || severityRecommendations.en || [];
-};
+const isScreeningType = (type) => listInstruments().includes(type);
 
 module.exports = {
-  scorePHQ9,
-  scoreGAD7,
-  getPHQ9Interpretation,
-  getGAD7Interpretation,
-  getRecommendations
-};
\ No newline at end of file
+  scoreScreening,
+  getInterpretation,
+  getRecommendations,
+  getSafetyResponse,
+  describeSafetyFlags,
+  describeAnswers,
+  isScreeningType
+};
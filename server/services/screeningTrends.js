@@ -0,0 +1,89 @@
+// Screening trend analysis
+// Turns a student's screening history for one instrument into a score series
+// with reliable and clinically significant change indicators
+
+const { getInstrument } = require('./instruments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a score sits on the clinical side of the instrument's cut-off
+ */
+const isClinical = (score, change) => (change.higherIsBetter
+  ? score <= change.clinicalCutoff
+  : score >= change.clinicalCutoff);
+
+/**
+ * Compare two administrations of the same instrument
+ * A change is reliable when it meets the instrument's reliable change threshold,
+ * and clinically significant when it is a reliable improvement that also moves
+ * the score from the clinical to the non-clinical side of the cut-off
+ * @param {Object} change - Instrument change settings
+ * @param {number} from - Earlier score
+ * @param {number} to - Later score
+ * @returns {Object} { from, to, delta, reliable, status, clinicallySignificant }
+ */
+function compareScores(change, from, to) {
+  const delta = to - from;
+  const improvement = change.higherIsBetter ? delta : -delta;
+  const hasThreshold = change.reliable !== undefined;
+  const reliable = hasThreshold ? Math.abs(delta) >= change.reliable : null;
+  
+  let status = null;
+  if (hasThreshold) {
+    if (!reliable) {
+      status = 'no-reliable-change';
+    } else {
+      status = improvement > 0 ? 'reliable-improvement' : 'reliable-deterioration';
+    }
+  }
+  
+  const clinicallySignificant = hasThreshold && change.clinicalCutoff !== undefined
+    ? status === 'reliable-improvement' && isClinical(from, change) && !isClinical(to, change)
+    : null;
+  
+  return { from, to, delta, reliable, status, clinicallySignificant };
+}
+
+/**
+ * Analyse one instrument's screening history
+ * @param {string} type - ScreeningType
+ * @param {Array} screenings - { id, score, severityBand, createdAt }, oldest first
+ * @param {Date} now - Reference time for daysSinceLast
+ * @returns {Object} Trend summary
+ */
+function analyseTrend(type, screenings, now = new Date()) {
+  const instrument = getInstrument(type);
+  const { change } = instrument;
+  
+  const series = screenings.map(screening => ({
+    id: screening.id,
+    score: screening.score,
+    severityBand: screening.severityBand,
+    createdAt: screening.createdAt
+  }));
+  
+  const first = series[0];
+  const previous = series[series.length - 2];
+  const latest = series[series.length - 1];
+  
+  return {
+    type,
+    name: instrument.name,
+    maxScore: instrument.maxScore,
+    higherIsBetter: change.higherIsBetter,
+    reliableChange: change.reliable ?? null,
+    clinicalCutoff: change.clinicalCutoff ?? null,
+    count: series.length,
+    series,
+    lastScreenedAt: latest ? latest.createdAt : null,
+    daysSinceLast: latest ? Math.floor((now - new Date(latest.createdAt)) / DAY_MS) : null,
+    changeFromPrevious: previous ? compareScores(change, previous.score, latest.score) : null,
+    changeFromBaseline: previous ? compareScores(change, first.score, latest.score) : null
+  };
+}
+
+module.exports = {
+  compareScores,
+  analyseTrend
+};
@@ -0,0 +1,293 @@
+// Private session notes and case timelines for counsellors
+// Each booking can have one SOAP-style note (subjective, objective, assessment,
+// plan) written by the booking's counsellor. Only the author and the author's
+// supervisor can read it, and students never see it. Every save is kept as a
+// version. A note locks when it is signed, or NOTE_LOCK_HOURS after it was
+// started if it is never signed.
+
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const { summariseScreenings } = require('./sharedHistory');
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOTE_LOCK_HOURS = parseInt(process.env.SESSION_NOTE_LOCK_HOURS) || 24;
+
+const SOAP_FIELDS = ['subjective', 'objective', 'assessment', 'plan'];
+
+// Notes are for sessions that happened or are going ahead
+const NOTE_BOOKING_STATUSES = ['CONFIRMED', 'RESCHEDULE_PROPOSED', 'COMPLETED', 'NO_SHOW'];
+
+// Bookings a student has stopped sharing with (see PATCH /bookings/:id/sharing)
+const CLOSED_BOOKING_STATUSES = ['CANCELLED', 'DECLINED'];
+
+/**
+ * Note body; send the version you edited to avoid overwriting someone else's save
+ */
+const noteSchema = Joi.object({
+  ...Object.fromEntries(SOAP_FIELDS.map(field => [field, Joi.string().max(5000).allow('')])),
+  version: Joi.number().integer().min(1)
+}).or(...SOAP_FIELDS);
+
+/**
+ * Whether a counsellor may read notes and case records for another counsellor's bookings
+ * @param {Object} viewer - The requesting counsellor
+ * @param {Object} counsellor - The booking's counsellor, with supervisorId
+ * @returns {boolean}
+ */
+const canViewCase = (viewer, counsellor) => Boolean(viewer && counsellor &&
+  (viewer.id === counsellor.id || counsellor.supervisorId === viewer.id));
+
+/**
+ * When a note stopped or will stop accepting edits
+ * @returns {Date}
+ */
+const lockedAt = (note) => {
+  const autoLock = new Date(note.createdAt.getTime() + NOTE_LOCK_HOURS * HOUR_MS);
+  return note.signedAt && note.signedAt < autoLock ? note.signedAt : autoLock;
+};
+
+const isLocked = (note, now = new Date()) => Boolean(note.signedAt) || lockedAt(note) <= now;
+
+/**
+ * A note as returned to counsellors
+ */
+const toNoteResponse = (note, now = new Date()) => ({
+  id: note.id,
+  bookingId: note.bookingId,
+  counsellorId: note.counsellorId,
+  ...Object.fromEntries(SOAP_FIELDS.map(field => [field, note[field]])),
+  version: note.version,
+  signedAt: note.signedAt,
+  locked: isLocked(note, now),
+  lockedAt: lockedAt(note),
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt
+});
+
+/**
+ * Create or edit the note for a booking
+ * @param {Object} booking - Booking the note is about
+ * @param {Object} counsellor - Authoring counsellor; must be the booking's
+ * @param {string} userId - Account saving the note, kept on the version
+ * @param {Object} body - Validated noteSchema values
+ * @param {Date} now - Current time
+ * @returns {Object} { note, created }
+ */
+async function saveNote(booking, counsellor, userId, body, now = new Date()) {
+  if (booking.counsellorId !== counsellor.id) {
+    throw new Error('Only the booking\'s counsellor can write its note');
+  }
+  if (!NOTE_BOOKING_STATUSES.includes(booking.status)) {
+    throw new Error('Notes can only be written for confirmed or past sessions');
+  }
+  
+  const { version: expectedVersion, ...fields } = body;
+  
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.sessionNote.findUnique({
+      where: { bookingId: booking.id }
+    });
+    
+    if (!existing) {
+      const note = await tx.sessionNote.create({
+        data: {
+          bookingId: booking.id,
+          counsellorId: counsellor.id,
+          ...fields,
+          versions: {
+            create: { version: 1, ...fields, editedById: userId }
+          }
+        }
+      });
+      return { note, created: true };
+    }
+    
+    if (existing.counsellorId !== counsellor.id) {
+      throw new Error('Only the author can edit this note');
+    }
+    if (isLocked(existing, now)) {
+      throw new Error('Note is locked');
+    }
+    if (expectedVersion && expectedVersion !== existing.version) {
+      throw new Error('Note was changed since you opened it');
+    }
+    
+    const version = existing.version + 1;
+    const { count } = await tx.sessionNote.updateMany({
+      where: { id: existing.id, version: existing.version, signedAt: null },
+      data: { ...fields, version }
+    });
+    
+    if (count === 0) {
+      throw new Error('Note was changed since you opened it');
+    }
+    
+    const content = Object.fromEntries(SOAP_FIELDS.map(field => [
+      field,
+      field in fields ? fields[field] : existing[field]
+    ]));
+    await tx.sessionNoteVersion.create({
+      data: { noteId: existing.id, version, ...content, editedById: userId }
+    });
+    
+    return {
+      note: { ...existing, ...content, version, updatedAt: now },
+      created: false
+    };
+  });
+}
+
+/**
+ * Sign a note off, locking it
+ * @param {Object} note - Session note
+ * @param {Object} counsellor - Signing counsellor; must be the author
+ * @param {Date} now - Current time
+ * @returns {Object} The signed note
+ */
+async function signNote(note, counsellor, now = new Date()) {
+  if (note.counsellorId !== counsellor.id) {
+    throw new Error('Only the author can sign this note');
+  }
+  if (note.signedAt) {
+    throw new Error('Note is already signed');
+  }
+  
+  const { count } = await prisma.sessionNote.updateMany({
+    where: { id: note.id, signedAt: null },
+    data: { signedAt: now }
+  });
+  
+  if (count === 0) {
+    throw new Error('Note is already signed');
+  }
+  
+  return { ...note, signedAt: now };
+}
+
+/**
+ * Combine a student's bookings, notes and shared screenings, newest first
+ * @param {Object} records - { bookings (with sessionNote), screenings (summarised results) }
+ * @param {Date} now - Current time, for note locks
+ * @returns {Array} [{ type: BOOKING|NOTE|SCREENING, at, ... }]
+ */
+function buildCaseTimeline({ bookings, screenings = [] }, now = new Date()) {
+  const entries = [];
+  
+  bookings.forEach(booking => {
+    entries.push({
+      type: 'BOOKING',
+      at: booking.timeSlot,
+      booking: {
+        id: booking.id,
+        counsellorId: booking.counsellorId,
+        counsellorName: booking.counsellor?.name,
+        status: booking.status,
+        timeSlot: booking.timeSlot,
+        triagePriority: booking.triagePriority
+      }
+    });
+    
+    if (booking.sessionNote) {
+      entries.push({
+        type: 'NOTE',
+        at: booking.sessionNote.createdAt,
+        note: toNoteResponse(booking.sessionNote, now)
+      });
+    }
+  });
+  
+  screenings.forEach(screening => {
+    entries.push({
+      type: 'SCREENING',
+      at: screening.createdAt,
+      screening
+    });
+  });
+  
+  return entries.sort((a, b) => new Date(b.at) - new Date(a.at));
+}
+
+/**
+ * Load the case timeline for the student on a booking
+ * Covers the viewer's own bookings with the student and, for supervisors,
+ * those of the counsellors they supervise. Screenings are included only while
+ * the student shares them on one of those bookings.
+ * @param {Object} booking - Booking the viewer opened
+ * @param {Object} viewer - Requesting counsellor
+ * @param {Date} now - Current time
+ * @returns {Object} { entries, counts }
+ */
+async function loadCaseTimeline(booking, viewer, now = new Date()) {
+  const supervisees = await prisma.counsellor.findMany({
+    where: { supervisorId: viewer.id },
+    select: { id: true }
+  });
+  const counsellorIds = [viewer.id, ...supervisees.map(counsellor => counsellor.id)];
+  
+  // { anonymousId: null } would match every logged-in student's bookings
+  const owner = booking.userId
+    ? { userId: booking.userId }
+    : booking.anonymousId ? { userId: null, anonymousId: booking.anonymousId } : { id: booking.id };
+  
+  const bookings = await prisma.booking.findMany({
+    where: {
+      ...owner,
+      counsellorId: { in: counsellorIds }
+    },
+    include: {
+      counsellor: { select: { name: true } },
+      sessionNote: true
+    },
+    orderBy: { timeSlot: 'desc' }
+  });
+  
+  const sharesScreenings = bookings.some(item =>
+    item.shareScreenings && !CLOSED_BOOKING_STATUSES.includes(item.status));
+  
+  let screenings = [];
+  if (sharesScreenings && (booking.userId || booking.anonymousId)) {
+    const records = await prisma.screening.findMany({
+      where: {
+        ...(booking.userId ? { userId: booking.userId } : { anonymousId: booking.anonymousId }),
+        consent: true
+      },
+      select: {
+        id: true,
+        type: true,
+        answers: true,
+        score: true,
+        severityBand: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+    screenings = summariseScreenings(records).results;
+  }
+  
+  const entries = buildCaseTimeline({ bookings, screenings }, now);
+  
+  return {
+    entries,
+    counts: {
+      bookings: bookings.length,
+      notes: bookings.filter(item => item.sessionNote).length,
+      screenings: screenings.length
+    }
+  };
+}
+
+module.exports = {
+  noteSchema,
+  canViewCase,
+  lockedAt,
+  isLocked,
+  toNoteResponse,
+  saveNote,
+  signNote,
+  buildCaseTimeline,
+  loadCaseTimeline,
+  SOAP_FIELDS,
+  NOTE_BOOKING_STATUSES,
+  NOTE_LOCK_HOURS
+};
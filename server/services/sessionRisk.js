@@ -0,0 +1,178 @@
+// Conversation-level risk tracking for First-Aid chat sessions
+// Accumulates signals across turns so a run of moderate messages, or a
+// conversation that has already raised a crisis, is not judged on its last line
+
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+const { SEVERITY_LEVELS } = require('./chatClassifier');
+const { tokenize } = require('./crisisDetection');
+
+// Share of the previous score carried into the next turn
+const DECAY = 0.7;
+
+const SEVERITY_POINTS = {
+  [SEVERITY_LEVELS.LOW]: 0,
+  [SEVERITY_LEVELS.MODERATE]: 1,
+  [SEVERITY_LEVELS.HIGH]: 2.5,
+  [SEVERITY_LEVELS.CRISIS]: 10
+};
+
+const SEVERITY_RANK = [
+  SEVERITY_LEVELS.LOW,
+  SEVERITY_LEVELS.MODERATE,
+  SEVERITY_LEVELS.HIGH,
+  SEVERITY_LEVELS.CRISIS
+];
+
+// Minimum score for each session risk level, highest first
+const LEVEL_THRESHOLDS = [
+  [10, SEVERITY_LEVELS.CRISIS],
+  [4.5, SEVERITY_LEVELS.HIGH],
+  [2, SEVERITY_LEVELS.MODERATE]
+];
+
+const HOPELESSNESS_POINTS = 1;
+const MAX_HOPELESSNESS_TERMS = 2;
+const REPEATED_HOPELESSNESS_POINTS = 1.5;
+const ESCALATION_POINTS = 1.5;
+
+// Hopelessness terms, matched on normalised tokens
+const HOPELESSNESS_TERMS = [
+  'hopeless', 'pointless', 'worthless', 'no point', 'give up', 'giving up',
+  'nothing matters', 'no way out', 'trapped', 'a burden', 'cant take it',
+  'nothing will change', 'no future', 'tired of everything',
+  'निराश', 'बेकार', 'कोई उम्मीद नहीं', 'कोई फायदा नहीं', 'हार मान'
+].map(term => tokenize(term, new Set()).join(' '));
+
+/**
+ * Count hopelessness terms in a message
+ * @param {string} text - Message text
+ * @returns {number} Number of distinct terms found
+ */
+function countHopelessness(text) {
+  const padded = ` ${tokenize(text).filter(Boolean).join(' ')} `;
+  return HOPELESSNESS_TERMS.filter(term => padded.includes(` ${term} `)).length;
+}
+
+const rank = (severity) => Math.max(SEVERITY_RANK.indexOf(severity), 0);
+
+const levelForScore = (score) => {
+  const match = LEVEL_THRESHOLDS.find(([threshold]) => score >= threshold);
+  return match ? match[1] : SEVERITY_LEVELS.LOW;
+};
+
+/**
+ * Assess session risk after a new user turn
+ * Pure function so the trajectory can be replayed from stored messages
+ * @param {Object} params - Assessment inputs
+ * @param {Object} params.previous - Session state {riskScore, riskLevel, crisisFlaggedAt}
+ * @param {Object} params.classification - Classification of the new message
+ * @param {string} params.text - The new message
+ * @param {Array} params.history - Earlier messages, newest first
+ * @returns {Object} {score, level, trend, signals}
+ */
+function assessSessionRisk({ previous = {}, classification, text, history = [] }) {
+  const previousScore = previous.riskScore || 0;
+  const signals = [];
+  
+  const severityPoints = SEVERITY_POINTS[classification.severity] || 0;
+  if (severityPoints > 0) {
+    signals.push({ type: 'message_severity', severity: classification.severity, points: severityPoints });
+  }
+  
+  const hopelessness = countHopelessness(text);
+  if (hopelessness > 0) {
+    signals.push({ type: 'hopelessness', count: hopelessness, points: Math.min(hopelessness, MAX_HOPELESSNESS_TERMS) * HOPELESSNESS_POINTS });
+    
+    const earlierTurns = history
+      .filter(msg => msg.sender === 'USER' && countHopelessness(msg.text) > 0)
+      .length;
+    if (earlierTurns > 0) {
+      signals.push({ type: 'repeated_hopelessness', turns: earlierTurns + 1, points: REPEATED_HOPELESSNESS_POINTS });
+    }
+  }
+  
+  // Bot replies carry the severity assigned to the preceding user message
+  const lastAssessed = history.find(msg => msg.sender === 'BOT' && msg.severity);
+  if (lastAssessed && rank(classification.severity) > rank(lastAssessed.severity)) {
+    signals.push({
+      type: 'escalating_distress',
+      from: lastAssessed.severity,
+      to: classification.severity,
+      points: ESCALATION_POINTS
+    });
+  }
+  
+  const turnPoints = signals.reduce((sum, signal) => sum + signal.points, 0);
+  const score = Math.round((previousScore * DECAY + turnPoints) * 100) / 100;
+  
+  let level = classification.crisis ? SEVERITY_LEVELS.CRISIS : levelForScore(score);
+  
+  // A conversation that has reached crisis never drops back below high
+  if (previous.crisisFlaggedAt && rank(level) < rank(SEVERITY_LEVELS.HIGH)) {
+    level = SEVERITY_LEVELS.HIGH;
+    signals.push({ type: 'prior_crisis', points: 0 });
+  }
+  
+  let trend = 'steady';
+  if (score > previousScore) {
+    trend = 'rising';
+  } else if (score < previousScore) {
+    trend = 'falling';
+  }
+  
+  return {
+    score,
+    level,
+    trend,
+    signals
+  };
+}
+
+/**
+ * Persist a risk assessment on the session and append it to the trajectory
+ * @param {string} sessionId - Chat session ID
+ * @param {string} messageId - User message the assessment belongs to
+ * @param {Object} risk - Result of assessSessionRisk
+ * @param {Date} now - Time to flag a first crisis at
+ * @returns {Object} Created snapshot
+ */
+async function recordSessionRisk(sessionId, messageId, risk, now = new Date()) {
+  const [, snapshot] = await prisma.$transaction([
+    prisma.chatSession.update({
+      where: { id: sessionId },
+      data: {
+        riskScore: risk.score,
+        riskLevel: risk.level
+      }
+    }),
+    prisma.chatRiskSnapshot.create({
+      data: {
+        sessionId,
+        messageId,
+        score: risk.score,
+        level: risk.level,
+        trend: risk.trend,
+        signals: risk.signals
+      }
+    }),
+    // Keep the time of the first crisis; later crisis turns must not move it
+    ...(risk.level === SEVERITY_LEVELS.CRISIS ? [
+      prisma.chatSession.updateMany({
+        where: { id: sessionId, crisisFlaggedAt: null },
+        data: { crisisFlaggedAt: now }
+      })
+    ] : [])
+  ]);
+  
+  return snapshot;
+}
+
+module.exports = {
+  assessSessionRisk,
+  recordSessionRisk,
+  countHopelessness,
+  HOPELESSNESS_TERMS,
+  LEVEL_THRESHOLDS
+};
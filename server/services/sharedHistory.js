@@ -0,0 +1,199 @@
+// Student history shared with a counsellor through a booking
+// Students opt in per booking to share their consented screenings and/or a
+// summary of their consented chat sessions. Chat summaries list topics, risk
+// and exercises, never message text.
+
+const { PrismaClient } = require('@prisma/client');
+const { scoreScreening, describeAnswers } = require('./screeningScorer');
+const { getInstrument } = require('./instruments');
+const { analyseTrend } = require('./screeningTrends');
+const { SEVERITY_LEVELS } = require('./chatClassifier');
+const prisma = new PrismaClient();
+
+const MAX_CHAT_SESSIONS = 10;
+const SEVERITY_ORDER = [
+  SEVERITY_LEVELS.LOW,
+  SEVERITY_LEVELS.MODERATE,
+  SEVERITY_LEVELS.HIGH,
+  SEVERITY_LEVELS.CRISIS
+];
+
+/**
+ * Highest severity in a list, ignoring blanks
+ * @returns {string|null} Severity level
+ */
+const highestSeverity = (levels) => levels
+  .filter(level => SEVERITY_ORDER.includes(level))
+  .reduce((highest, level) => (
+    highest === null || SEVERITY_ORDER.indexOf(level) > SEVERITY_ORDER.indexOf(highest) ? level : highest
+  ), null);
+
+/**
+ * Total [category, count] pairs, most frequent first
+ * @returns {Array} [{ category, count }]
+ */
+const tallyTopics = (entries) => {
+  const counts = entries.reduce((acc, [category, count]) => {
+    acc[category] = (acc[category] || 0) + count;
+    return acc;
+  }, {});
+  
+  return Object.entries(counts)
+    .map(([category, count]) => ({ category, count }))
+    .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category));
+};
+
+/**
+ * Screening results with item responses, plus a trend per instrument
+ * @param {Array} screenings - { id, type, answers, score, severityBand, createdAt }, oldest first
+ * @returns {Object} { results (newest first), trends }
+ */
+function summariseScreenings(screenings) {
+  const results = screenings.slice().reverse().map(screening => {
+    const { subscales, cutoffs, safetyFlags } = scoreScreening(screening.type, screening.answers);
+    return {
+      id: screening.id,
+      type: screening.type,
+      name: getInstrument(screening.type).name,
+      score: screening.score,
+      maxScore: getInstrument(screening.type).maxScore,
+      severityBand: screening.severityBand,
+      subscales,
+      cutoffs,
+      safetyFlags,
+      responses: describeAnswers(screening.type, screening.answers),
+      createdAt: screening.createdAt
+    };
+  });
+  
+  const types = [...new Set(screenings.map(screening => screening.type))];
+  const trends = types.map(type =>
+    analyseTrend(type, screenings.filter(screening => screening.type === type))
+  );
+  
+  return { results, trends };
+}
+
+/**
+ * Summarise one chat session without its message text
+ * Classifications are stored on the bot reply to each user message
+ * @param {Object} session - Session with messages { sender, category, severity } and exercises
+ * @returns {Object} Session summary
+ */
+function summariseChatSession(session) {
+  const classified = session.messages.filter(message => message.sender === 'BOT' && message.severity);
+  
+  return {
+    id: session.id,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    userMessageCount: session.messages.filter(message => message.sender === 'USER').length,
+    topics: tallyTopics(classified
+      .filter(message => message.category)
+      .map(message => [message.category, 1])),
+    peakSeverity: highestSeverity(classified.map(message => message.severity)),
+    riskLevel: session.riskLevel,
+    crisisFlaggedAt: session.crisisFlaggedAt,
+    exercises: session.exercises.map(exercise => ({
+      exercise: exercise.exercise,
+      status: exercise.status
+    }))
+  };
+}
+
+/**
+ * Summarise consented chat sessions
+ * @param {Array} sessions - Sessions, newest first
+ * @returns {Object} { sessionCount, lastChatAt, peakSeverity, crisisFlagged, topics, sessions }
+ */
+function summariseChatSessions(sessions) {
+  const summaries = sessions.map(summariseChatSession);
+  
+  return {
+    sessionCount: summaries.length,
+    lastChatAt: summaries.length > 0 ? summaries[0].startedAt : null,
+    peakSeverity: highestSeverity(summaries.map(summary => summary.peakSeverity)),
+    crisisFlagged: summaries.some(summary => summary.crisisFlaggedAt),
+    topics: tallyTopics(summaries.flatMap(summary =>
+      summary.topics.map(topic => [topic.category, topic.count])
+    )),
+    sessions: summaries
+  };
+}
+
+/**
+ * Load what the student shared on a booking
+ * Only screenings and chat sessions the student consented to save are included
+ * @param {Object} booking - { userId, anonymousId, shareScreenings, shareChatSummary }
+ * @returns {Object} { screenings, chatSummary }, null for sections not shared
+ */
+async function loadSharedHistory(booking) {
+  // { anonymousId: null } would match every logged-in student's records
+  if (!booking.userId && !booking.anonymousId) {
+    return {
+      screenings: booking.shareScreenings ? summariseScreenings([]) : null,
+      chatSummary: booking.shareChatSummary ? summariseChatSessions([]) : null
+    };
+  }
+  
+  const owner = booking.userId
+    ? { userId: booking.userId }
+    : { anonymousId: booking.anonymousId };
+  
+  const [screenings, sessions] = await Promise.all([
+    booking.shareScreenings
+      ? prisma.screening.findMany({
+        where: { ...owner, consent: true },
+        select: {
+          id: true,
+          type: true,
+          answers: true,
+          score: true,
+          severityBand: true,
+          createdAt: true
+        },
+        orderBy: { createdAt: 'asc' }
+      })
+      : null,
+    booking.shareChatSummary
+      ? prisma.chatSession.findMany({
+        where: { ...owner, consentToSave: true },
+        select: {
+          id: true,
+          startedAt: true,
+          endedAt: true,
+          riskLevel: true,
+          crisisFlaggedAt: true,
+          messages: {
+            select: {
+              sender: true,
+              category: true,
+              severity: true
+            }
+          },
+          exercises: {
+            select: {
+              exercise: true,
+              status: true
+            }
+          }
+        },
+        orderBy: { startedAt: 'desc' },
+        take: MAX_CHAT_SESSIONS
+      })
+      : null
+  ]);
+  
+  return {
+    screenings: screenings ? summariseScreenings(screenings) : null,
+    chatSummary: sessions ? summariseChatSessions(sessions) : null
+  };
+}
+
+module.exports = {
+  summariseScreenings,
+  summariseChatSession,
+  summariseChatSessions,
+  loadSharedHistory,
+  MAX_CHAT_SESSIONS
+};
@@ -0,0 +1,246 @@
+// Devanagari normalisation and Hindi/Hinglish transliteration
+// Folds Devanagari and romanised Hindi ("मरना", "marna", "marnaa") to one
+// comparable Roman form so triggers match whichever script a student types in
+
+const VIRAMA = '्';
+
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+
+const VOWELS = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ii', 'उ': 'u', 'ऊ': 'uu',
+  'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o'
+};
+
+const VOWEL_SIGNS = {
+  'ा': 'aa', 'ि': 'i', 'ी': 'ii', 'ु': 'u', 'ू': 'uu', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', 'ॅ': 'e'
+};
+
+const MODIFIERS = {
+  'ं': 'n', 'ः': 'h'
+};
+
+// Common romanised spellings that vowel folding alone can't reconcile
+const HINGLISH_VARIANTS = {
+  nhi: 'nahi',
+  nai: 'nahi',
+  nahee: 'nahi',
+  nahin: 'nahi',
+  nahiin: 'nahi',
+  hain: 'hai',
+  bohot: 'bahut',
+  bahot: 'bahut',
+  bhot: 'bahut',
+  mje: 'mujhe',
+  muje: 'mujhe',
+  mujhey: 'mujhe',
+  h: 'hai',
+  hy: 'hai',
+  hoon: 'hun',
+  hu: 'hun',
+  kyu: 'kyon',
+  kyun: 'kyon'
+};
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+
+/**
+ * Normalise Devanagari spelling variants
+ * Drops nukta (ज़ -> ज), folds chandrabindu into anusvara (हूँ -> हूं)
+ * and strips zero-width joiners
+ * @param {string} text - Text that may contain Devanagari
+ * @returns {string} Normalised text
+ */
+function normaliseDevanagari(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/़/g, '')
+    .replace(/ँ/g, 'ं')
+    .replace(/[‌‍]/g, '')
+    .normalize('NFC');
+}
+
+/**
+ * Transliterate one Devanagari word to Roman script
+ * Applies Hindi schwa deletion: the inherent "a" is dropped word-finally and
+ * between a vowel and a consonant+vowel (मरना -> marna, not marana)
+ * @param {string} word - Devanagari word
+ * @returns {string} Romanised word
+ */
+function transliterateWord(word) {
+  const units = [];
+  const chars = [...normaliseDevanagari(word)];
+  
+  chars.forEach((ch, i) => {
+    if (CONSONANTS[ch]) {
+      const next = chars[i + 1];
+      let vowel = 'a';
+      let inherent = true;
+      if (next === VIRAMA) {
+        vowel = '';
+        inherent = false;
+      } else if (VOWEL_SIGNS[next]) {
+        vowel = VOWEL_SIGNS[next];
+        inherent = false;
+      }
+      units.push({ consonant: CONSONANTS[ch], vowel, inherent, suffix: '' });
+    } else if (VOWELS[ch]) {
+      units.push({ consonant: '', vowel: VOWELS[ch], inherent: false, suffix: '' });
+    } else if (MODIFIERS[ch] && units.length) {
+      units[units.length - 1].suffix += MODIFIERS[ch];
+    } else if (!VOWEL_SIGNS[ch] && ch !== VIRAMA) {
+      units.push({ consonant: '', vowel: ch, inherent: false, suffix: '' });
+    }
+  });
+  
+  const hasVowel = (unit) => unit && unit.vowel !== '';
+  
+  // Right to left so each deletion sees the final shape of the syllable after it
+  for (let i = units.length - 1; i >= 0; i--) {
+    const unit = units[i];
+    if (!unit.inherent || unit.suffix || units.length === 1) {
+      continue;
+    }
+    const isLast = i === units.length - 1;
+    const next = units[i + 1];
+    if (isLast || (hasVowel(units[i - 1]) && next && next.consonant && hasVowel(next))) {
+      unit.vowel = '';
+    }
+  }
+  
+  return units.map(unit => unit.consonant + unit.vowel + unit.suffix).join('');
+}
+
+/**
+ * Fold a word (either script) to a canonical romanised form
+ * Collapses long vowels, aspirates and doubled letters so spelling variants meet
+ * @param {string} word - Word in Devanagari or Roman script
+ * @returns {string} Folded form
+ */
+function foldWord(word) {
+  let folded = String(word || '').toLowerCase();
+  if (DEVANAGARI.test(folded)) {
+    folded = transliterateWord(folded);
+  }
+  
+  folded = folded.replace(/[^a-z0-9]/g, '');
+  folded = HINGLISH_VARIANTS[folded] || folded;
+  
+  folded = folded
+    .replace(/aa+/g, 'a')
+    .replace(/ee+|ii+/g, 'i')
+    .replace(/oo+|uu+/g, 'u')
+    .replace(/ai|ae|ay|ei|ey/g, 'e')
+    .replace(/au|ou|ow/g, 'o')
+    .replace(/chh?/g, 'C')
+    .replace(/sh/g, 's')
+    .replace(/ph/g, 'f')
+    .replace(/([kgtdbjr])h/g, '$1')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/c/g, 'k')
+    .replace(/(.)\1+/g, '$1');
+  
+  return folded;
+}
+
+/**
+ * Consonant skeleton of a folded word, keeping a marker for a leading vowel
+ */
+const skeleton = (folded) => (/^[aeiou]/.test(folded) ? 'a' : '') + folded.replace(/[aeiouy]/g, '');
+
+// Shorter skeletons collide with unrelated words, so they need an exact fold
+const MIN_SKELETON_LENGTH = 3;
+
+/**
+ * Edit distance between two short strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Compare two folded words
+ * Romanised Hindi is least consistent in its vowels ("khatam"/"khatm",
+ * "zindagi"/"jindgi"), so words with the same consonants may differ by a
+ * vowel or two; short words must fold identically
+ * @returns {boolean} True if they are spellings of the same word
+ */
+function sameWord(a, b) {
+  if (a === b) {
+    return true;
+  }
+  const skeletonA = skeleton(a);
+  if (skeletonA.length < MIN_SKELETON_LENGTH || a[0] !== b[0] || skeletonA !== skeleton(b)) {
+    return false;
+  }
+  return editDistance(a, b) <= (skeletonA.length > MIN_SKELETON_LENGTH ? 2 : 1);
+}
+
+/**
+ * Split text into folded word tokens
+ * @param {string} text - Text in any mix of scripts
+ * @returns {Array} Folded tokens
+ */
+function foldTokens(text) {
+  return (normaliseDevanagari(text).match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+    .map(foldWord)
+    .filter(Boolean);
+}
+
+// Folded phrase cache, trigger lists are reused on every message
+const phraseCache = new Map();
+
+/**
+ * Check whether folded tokens contain a phrase as a contiguous run of words
+ * @param {Array} tokens - Output of foldTokens
+ * @param {string} phrase - Phrase in either script
+ * @returns {boolean} True if the phrase is present
+ */
+function containsPhrase(tokens, phrase) {
+  if (!phraseCache.has(phrase)) {
+    phraseCache.set(phrase, foldTokens(phrase));
+  }
+  const words = phraseCache.get(phrase);
+  if (words.length === 0) {
+    return false;
+  }
+  
+  for (let start = 0; start + words.length <= tokens.length; start++) {
+    if (words.every((word, offset) => sameWord(tokens[start + offset], word))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  normaliseDevanagari,
+  transliterateWord,
+  foldWord,
+  foldTokens,
+  sameWord,
+  containsPhrase
+};
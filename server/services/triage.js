@@ -0,0 +1,406 @@
+// Intake triage for new bookings
+// The student answers a short intake questionnaire when booking. The rules in
+// TRIAGE_RULES combine those answers with their recent screenings to set an
+// urgency (same day, this week, routine), which orders the counsellors'
+// request queue, and counsellors are recommended by specialty and how soon
+// they have a free slot.
+// Only screenings the student consented to save are used: the triage reasons
+// are shown to staff. Unconsented results with safety flags have already
+// raised a crisis alert when they were taken.
+
+const Joi = require('joi');
+const { PrismaClient } = require('@prisma/client');
+const { scoreScreening } = require('./screeningScorer');
+const { getAvailableSlots } = require('./availability');
+const { raiseCrisisAlert } = require('./crisisEscalation');
+const { SEVERITY_LEVELS } = require('./chatClassifier');
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RECENT_SAFETY_DAYS = 14;
+
+const URGENCY = {
+  SAME_DAY: 'SAME_DAY',
+  THIS_WEEK: 'THIS_WEEK',
+  ROUTINE: 'ROUTINE'
+};
+
+// Stored on bookings as triagePriority so queues sort most urgent first
+const URGENCY_PRIORITY = {
+  SAME_DAY: 0,
+  THIS_WEEK: 1,
+  ROUTINE: 2
+};
+
+// How far ahead to look for a counsellor's next free slot
+const URGENCY_WINDOW_HOURS = {
+  SAME_DAY: 24,
+  THIS_WEEK: 7 * 24,
+  ROUTINE: 14 * 24
+};
+
+const INTAKE_QUESTIONS = [
+  {
+    id: 'concern',
+    text: {
+      en: 'What would you most like help with?',
+      hi: 'आप किस बारे में सबसे ज़्यादा मदद चाहते हैं?'
+    },
+    options: [
+      { value: 'anxiety', label: { en: 'Anxiety or worry', hi: 'चिंता या घबराहट' } },
+      { value: 'depression', label: { en: 'Low mood', hi: 'उदासी' } },
+      { value: 'stress', label: { en: 'Academic or exam stress', hi: 'पढ़ाई या परीक्षा का तनाव' } },
+      { value: 'relationships', label: { en: 'Relationships or family', hi: 'रिश्ते या परिवार' } },
+      { value: 'sleep', label: { en: 'Sleep', hi: 'नींद' } },
+      { value: 'substance-use', label: { en: 'Alcohol or drug use', hi: 'शराब या नशे का उपयोग' } },
+      { value: 'other', label: { en: 'Something else', hi: 'कुछ और' } }
+    ]
+  },
+  {
+    id: 'selfHarm',
+    text: {
+      en: 'In the last two weeks, have you had thoughts of hurting yourself or that you would be better off dead?',
+      hi: 'पिछले दो हफ़्तों में, क्या आपको खुद को नुकसान पहुंचाने या यह कि आपका मर जाना बेहतर होगा, ऐसे विचार आए हैं?'
+    },
+    options: [
+      { value: 'never', label: { en: 'No', hi: 'नहीं' } },
+      { value: 'some-days', label: { en: 'On some days', hi: 'कुछ दिनों में' } },
+      { value: 'most-days', label: { en: 'On most days', hi: 'ज़्यादातर दिनों में' } }
+    ]
+  },
+  {
+    id: 'functioning',
+    text: {
+      en: 'How are you managing day to day, such as classes, eating and sleeping?',
+      hi: 'आप रोज़मर्रा के काम, जैसे कक्षाएं, खाना और सोना, कैसे संभाल रहे हैं?'
+    },
+    options: [
+      { value: 'coping', label: { en: 'Mostly managing', hi: 'ज़्यादातर संभाल रहा/रही हूं' } },
+      { value: 'struggling', label: { en: 'Struggling', hi: 'मुश्किल हो रही है' } },
+      { value: 'not-coping', label: { en: 'Not managing at all', hi: 'बिल्कुल नहीं संभल रहा' } }
+    ]
+  },
+  {
+    id: 'duration',
+    text: {
+      en: 'How long has this been going on?',
+      hi: 'यह कितने समय से चल रहा है?'
+    },
+    options: [
+      { value: 'under-2-weeks', label: { en: 'Less than 2 weeks', hi: '2 हफ़्ते से कम' } },
+      { value: '2-weeks-to-3-months', label: { en: '2 weeks to 3 months', hi: '2 हफ़्ते से 3 महीने' } },
+      { value: 'over-3-months', label: { en: 'More than 3 months', hi: '3 महीने से ज़्यादा' } }
+    ]
+  }
+];
+
+// Screening bands that count as severe or moderate for triage
+const SCREENING_LEVELS = {
+  PHQ9: { severe: 'severe', 'moderate-severe': 'severe', moderate: 'moderate' },
+  GAD7: { severe: 'severe', moderate: 'moderate' },
+  K10: { 'very-high': 'severe', high: 'moderate' },
+  AUDITC: { 'possible-dependence': 'severe', 'higher-risk': 'moderate' },
+  PSS10: { high: 'moderate' },
+  ISI: { severe: 'moderate' },
+  WHO5: { 'very-low': 'moderate' }
+};
+
+const isStruggling = (answers) => ['struggling', 'not-coping'].includes(answers.functioning);
+const hasLevel = (screenings, level) => screenings.some(screening => screening.level === level);
+const safetyFlagged = (screenings, test) => screenings.some(screening => screening.safetyFlags.length > 0 && test(screening));
+
+/**
+ * Triage rules, each with the urgency it sets when it applies
+ * The most urgent matching rule wins; all matches are kept as reasons
+ */
+const TRIAGE_RULES = [
+  {
+    id: 'intake-self-harm',
+    urgency: URGENCY.SAME_DAY,
+    description: 'Reported thoughts of self-harm at intake',
+    applies: ({ answers }) => ['some-days', 'most-days'].includes(answers.selfHarm)
+  },
+  {
+    id: 'screening-safety-recent',
+    urgency: URGENCY.SAME_DAY,
+    description: `Screening safety item flagged in the last ${RECENT_SAFETY_DAYS} days`,
+    applies: ({ screenings }) => safetyFlagged(screenings, screening => screening.ageDays <= RECENT_SAFETY_DAYS)
+  },
+  {
+    id: 'severe-not-coping',
+    urgency: URGENCY.SAME_DAY,
+    description: 'Severe screening result and not managing day to day',
+    applies: ({ answers, screenings }) => answers.functioning === 'not-coping' && hasLevel(screenings, 'severe')
+  },
+  {
+    id: 'screening-safety-earlier',
+    urgency: URGENCY.THIS_WEEK,
+    description: 'Screening safety item flagged in the last 60 days',
+    applies: ({ screenings }) => safetyFlagged(screenings, screening => screening.ageDays > RECENT_SAFETY_DAYS)
+  },
+  {
+    id: 'screening-severe',
+    urgency: URGENCY.THIS_WEEK,
+    description: 'Severe recent screening result',
+    applies: ({ screenings }) => hasLevel(screenings, 'severe')
+  },
+  {
+    id: 'not-coping',
+    urgency: URGENCY.THIS_WEEK,
+    description: 'Not managing day to day',
+    applies: ({ answers }) => answers.functioning === 'not-coping'
+  },
+  {
+    id: 'moderate-struggling',
+    urgency: URGENCY.THIS_WEEK,
+    description: 'Moderate recent screening result and struggling day to day',
+    applies: ({ answers, screenings }) => isStruggling(answers) && hasLevel(screenings, 'moderate')
+  }
+];
+
+// What the student is told for each urgency
+const URGENCY_MESSAGES = {
+  en: {
+    SAME_DAY: 'We recommend talking to someone today. Please book the earliest session you can, and if you feel unsafe right now, call one of the helplines.',
+    THIS_WEEK: 'We recommend a session within the next week.',
+    ROUTINE: 'A routine session is a good next step. Choose whichever counsellor and time suit you.'
+  },
+  hi: {
+    SAME_DAY: 'हमारी सलाह है कि आप आज ही किसी से बात करें। कृपया सबसे जल्दी उपलब्ध सत्र बुक करें, और अगर आप अभी असुरक्षित महसूस कर रहे हैं, तो किसी हेल्पलाइन पर कॉल करें।',
+    THIS_WEEK: 'हमारी सलाह है कि अगले एक हफ़्ते के भीतर सत्र लें।',
+    ROUTINE: 'एक सामान्य सत्र अच्छा अगला कदम है। अपनी सुविधा के अनुसार काउंसलर और समय चुनें।'
+  }
+};
+
+/**
+ * Joi schema for intake answers, built from INTAKE_QUESTIONS
+ */
+const intakeAnswersSchema = Joi.object(Object.fromEntries(INTAKE_QUESTIONS.map(question => [
+  question.id,
+  Joi.string().valid(...question.options.map(option => option.value)).required()
+])));
+
+/**
+ * The questionnaire in one language, falling back to English
+ * @param {string} language - Language code
+ * @returns {Array} [{ id, text, options: [{ value, label }] }]
+ */
+function getIntakeQuestions(language = 'en') {
+  const pick = (text) => text[language] || text.en;
+  
+  return INTAKE_QUESTIONS.map(question => ({
+    id: question.id,
+    text: pick(question.text),
+    options: question.options.map(option => ({
+      value: option.value,
+      label: pick(option.label)
+    }))
+  }));
+}
+
+/**
+ * The latest screening of each type, with its triage level and safety flags
+ * @param {Array} screenings - Screening records, newest first
+ * @param {Date} now - Current time
+ * @returns {Array} [{ id, type, severityBand, level, safetyFlags, ageDays }]
+ */
+function summariseScreenings(screenings, now = new Date()) {
+  const latest = new Map();
+  screenings.forEach(screening => {
+    const current = latest.get(screening.type);
+    if (!current || new Date(screening.createdAt) > new Date(current.createdAt)) {
+      latest.set(screening.type, screening);
+    }
+  });
+  
+  return [...latest.values()].map(screening => {
+    let safetyFlags = [];
+    try {
+      safetyFlags = scoreScreening(screening.type, screening.answers).safetyFlags;
+    } catch (error) {
+      // Answers from a retired version of the instrument; the band still counts
+    }
+    
+    return {
+      id: screening.id,
+      type: screening.type,
+      severityBand: screening.severityBand,
+      level: SCREENING_LEVELS[screening.type]?.[screening.severityBand] || null,
+      safetyFlags,
+      ageDays: (now.getTime() - new Date(screening.createdAt).getTime()) / DAY_MS
+    };
+  });
+}
+
+/**
+ * Run the triage rules
+ * @param {Object} answers - Intake answers keyed by question id
+ * @param {Array} screenings - Consented screenings from the last 60 days
+ * @param {Date} now - Current time
+ * @returns {Object} { urgency, priority, reasons: [{ id, urgency, description }] }
+ */
+function triageIntake(answers, screenings = [], now = new Date()) {
+  const context = {
+    answers,
+    screenings: summariseScreenings(screenings, now)
+  };
+  
+  const reasons = TRIAGE_RULES
+    .filter(rule => rule.applies(context))
+    .map(({ id, urgency, description }) => ({ id, urgency, description }));
+  
+  const urgency = reasons.reduce(
+    (most, reason) => (URGENCY_PRIORITY[reason.urgency] < URGENCY_PRIORITY[most] ? reason.urgency : most),
+    URGENCY.ROUTINE
+  );
+  
+  return {
+    urgency,
+    priority: URGENCY_PRIORITY[urgency],
+    reasons
+  };
+}
+
+/**
+ * Booking fields for a triaged intake: the queue priority and the stored assessment
+ * @param {Object} answers - Intake answers
+ * @param {Object} triage - Result of triageIntake
+ * @returns {Object} Prisma booking data
+ */
+const intakeBookingData = (answers, triage) => ({
+  triagePriority: triage.priority,
+  intake: {
+    create: {
+      answers,
+      urgency: triage.urgency,
+      reasons: triage.reasons.map(reason => reason.id)
+    }
+  }
+});
+
+/**
+ * Send self-harm reported at intake to on-call staff as well as the counsellor
+ * @param {Object} answers - Intake answers
+ * @param {Object} booking - { id, userId, anonymousId, timeSlot }
+ * @returns {Object|null} The alert, or null if no self-harm was reported
+ */
+async function alertIntakeSelfHarm(answers, booking) {
+  if (!answers || answers.selfHarm === 'never') {
+    return null;
+  }
+  
+  const selfHarm = INTAKE_QUESTIONS.find(question => question.id === 'selfHarm');
+  const answer = selfHarm.options.find(option => option.value === answers.selfHarm);
+  
+  return raiseCrisisAlert({
+    source: 'BOOKING_INTAKE',
+    bookingId: booking.id,
+    userId: booking.userId || null,
+    anonymousId: booking.userId ? null : booking.anonymousId,
+    severity: SEVERITY_LEVELS.CRISIS,
+    text: `Booking intake: thoughts of self-harm (${answer.label.en.toLowerCase()}), session requested for ${new Date(booking.timeSlot).toISOString()}`
+  });
+}
+
+/**
+ * Rule descriptions for stored rule ids, for staff views
+ * @param {Array} ids - Rule ids from an intake assessment
+ * @returns {Array} Descriptions
+ */
+const describeReasons = (ids = []) => ids
+  .map(id => TRIAGE_RULES.find(rule => rule.id === id))
+  .filter(Boolean)
+  .map(rule => rule.description);
+
+/**
+ * Consented screenings from the last 60 days for triage
+ */
+const loadTriageScreenings = (userId, anonymousId, now = new Date()) => {
+  if (!userId && !anonymousId) {
+    return Promise.resolve([]);
+  }
+  
+  return prisma.screening.findMany({
+    where: {
+      ...(userId ? { userId } : { anonymousId }),
+      consent: true,
+      createdAt: { gte: new Date(now.getTime() - 60 * DAY_MS) }
+    },
+    select: {
+      id: true,
+      type: true,
+      answers: true,
+      severityBand: true,
+      createdAt: true
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+};
+
+/**
+ * Counsellors for a concern and urgency: those with a free slot inside the
+ * urgency window first, then those whose specialties match, then by next slot
+ * Same-day cases also match counsellors who list crisis work
+ * @param {Object} options - { concern, urgency, department }
+ * @param {Date} now - Current time
+ * @returns {Array} [{ id, name, department, specialties, matchesConcern, nextSlot }]
+ */
+async function recommendCounsellors({ concern, urgency = URGENCY.ROUTINE, department = null }, now = new Date()) {
+  const counsellors = await prisma.counsellor.findMany({
+    where: {
+      isActive: true,
+      ...(department ? { department } : {})
+    }
+  });
+  
+  const until = new Date(now.getTime() + URGENCY_WINDOW_HOURS[urgency] * HOUR_MS);
+  const wanted = urgency === URGENCY.SAME_DAY ? [concern, 'crisis'] : [concern];
+  
+  // One at a time: each counsellor's slots take a few queries
+  const ranked = [];
+  for (const counsellor of counsellors) {
+    const slots = await getAvailableSlots(counsellor, now, until, now);
+    const specialties = Array.isArray(counsellor.specialties) ? counsellor.specialties : [];
+    
+    ranked.push({
+      id: counsellor.id,
+      name: counsellor.name,
+      department: counsellor.department,
+      room: counsellor.room,
+      specialties,
+      matchesConcern: specialties.some(specialty => wanted.includes(specialty)),
+      nextSlot: slots.length > 0 ? slots[0].start : null
+    });
+  }
+  
+  return ranked.sort((a, b) =>
+    (b.nextSlot !== null) - (a.nextSlot !== null) ||
+    b.matchesConcern - a.matchesConcern ||
+    (a.nextSlot && b.nextSlot ? a.nextSlot - b.nextSlot : 0) ||
+    a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * What to tell the student about their urgency
+ */
+const getUrgencyMessage = (urgency, language = 'en') => (URGENCY_MESSAGES[language] || URGENCY_MESSAGES.en)[urgency];
+
+module.exports = {
+  getIntakeQuestions,
+  summariseScreenings,
+  triageIntake,
+  intakeBookingData,
+  alertIntakeSelfHarm,
+  describeReasons,
+  loadTriageScreenings,
+  recommendCounsellors,
+  getUrgencyMessage,
+  intakeAnswersSchema,
+  INTAKE_QUESTIONS,
+  SCREENING_LEVELS,
+  TRIAGE_RULES,
+  URGENCY,
+  URGENCY_PRIORITY
+};
@@ -0,0 +1,429 @@
+// Waitlist for fully booked counsellors
+// Students wait for one counsellor, or any counsellor in a department, within
+// preferred windows. When a booking frees a slot, the longest-waiting student
+// whose windows fit is offered it. The slot is held for them (availability
+// treats it as booked) until they claim it, decline it, or the offer expires,
+// and then it moves on to the next student.
+// Intake answers given when joining are triaged when the offer is claimed, so
+// claimed bookings are queued and alerted on like any other booking.
+
+const { PrismaClient } = require('@prisma/client');
+const { registerJobHandler, scheduleJob, cancelJobs } = require('./jobRunner');
+const { notifyUser } = require('./notifications');
+const { assertBookableSlot, getMinNoticeMinutes, getHorizonDays, ACTIVE_BOOKING_STATUSES } = require('./availability');
+const { ACTORS } = require('./bookingLifecycle');
+const { notifyBookingChange, formatSessionTime } = require('./bookingNotifications');
+const { triageIntake, loadTriageScreenings, intakeBookingData, alertIntakeSelfHarm } = require('./triage');
+const prisma = new PrismaClient();
+
+const OFFER_JOB = 'waitlist_offer_expiry';
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_WINDOWS = 5;
+const ACTIVE_ENTRY_STATUSES = ['WAITING', 'OFFERED'];
+const RELEASING_STATUSES = ['CANCELLED', 'DECLINED'];
+const WAITLIST_LINK = '/booking';
+
+const OFFER_TEXT = {
+  en: {
+    title: 'A counselling session has opened up',
+    body: 'A session with {counsellor} on {time} is available. It is held for you until {expires}. Claim it on your Booking page, or it will be offered to the next student on the waitlist.'
+  },
+  hi: {
+    title: 'एक काउंसलिंग सत्र उपलब्ध है',
+    body: '{counsellor} के साथ {time} पर एक सत्र उपलब्ध है। यह {expires} तक आपके लिए रखा गया है। इसे अपने बुकिंग पेज पर लें, नहीं तो यह प्रतीक्षा सूची में अगले छात्र को दिया जाएगा।'
+  }
+};
+
+const getClaimMinutes = () => parseInt(process.env.WAITLIST_CLAIM_MINUTES) || 120;
+
+/**
+ * Job key for an offer's expiry
+ */
+const offerKey = (offerId) => `waitlist-offer:${offerId}`;
+
+/**
+ * The slot a booking change freed, if any: the old time of a booking that was
+ * cancelled, declined or moved
+ * @param {Object} before - Booking before the change
+ * @param {Object} after - Booking after the change
+ * @returns {Date|null}
+ */
+function getFreedSlot(before, after) {
+  if (!ACTIVE_BOOKING_STATUSES.includes(before.status)) {
+    return null;
+  }
+  if (RELEASING_STATUSES.includes(after.status) ||
+      new Date(after.timeSlot).getTime() !== new Date(before.timeSlot).getTime()) {
+    return new Date(before.timeSlot);
+  }
+  return null;
+}
+
+/**
+ * Check preferred windows
+ * @param {Array} windows - [{ startsAt, endsAt }]
+ * @param {Date} now - Current time
+ * @throws {Error} Message starting "Waitlist window"
+ */
+function checkWindows(windows, now = new Date()) {
+  const horizon = now.getTime() + getHorizonDays() * DAY_MS;
+  
+  if (!windows || windows.length === 0 || windows.length > MAX_WINDOWS) {
+    throw new Error(`Waitlist windows must number between 1 and ${MAX_WINDOWS}`);
+  }
+  
+  windows.forEach(({ startsAt, endsAt }) => {
+    const start = new Date(startsAt).getTime();
+    const end = new Date(endsAt).getTime();
+    if (!(end > start)) {
+      throw new Error('Waitlist window must end after it starts');
+    }
+    if (end <= now.getTime()) {
+      throw new Error('Waitlist window must end in the future');
+    }
+    if (start > horizon) {
+      throw new Error(`Waitlist window must start within the next ${getHorizonDays()} days`);
+    }
+  });
+}
+
+/**
+ * Add a student to a waitlist
+ * @param {Object} student - { userId, anonymousId }
+ * @param {Object} request - { counsellorId or department, windows, contactPreference, anonymity, notes, intake }
+ * @param {Date} now - Current time
+ * @returns {Object} Entry with its windows
+ * @throws {Error} When nobody can be waited for, the student is already waiting, or a window is invalid
+ */
+async function joinWaitlist({ userId = null, anonymousId = null }, {
+  counsellorId = null,
+  department = null,
+  windows,
+  contactPreference,
+  anonymity = false,
+  notes = null,
+  intake = null
+}, now = new Date()) {
+  checkWindows(windows, now);
+  
+  const counsellorCount = await prisma.counsellor.count({
+    where: counsellorId ? { id: counsellorId, isActive: true } : { department, isActive: true }
+  });
+  if (counsellorCount === 0) {
+    throw new Error(counsellorId ? 'Counsellor not found or not available' : 'No counsellors found in this department');
+  }
+  
+  const existing = await prisma.waitlistEntry.findFirst({
+    where: {
+      ...(userId ? { userId } : { userId: null, anonymousId }),
+      counsellorId: counsellorId || null,
+      department: counsellorId ? null : department,
+      status: { in: ACTIVE_ENTRY_STATUSES },
+      expiresAt: { gt: now }
+    }
+  });
+  if (existing) {
+    throw new Error('Already on this waitlist');
+  }
+  
+  return prisma.waitlistEntry.create({
+    data: {
+      userId,
+      anonymousId: userId ? null : anonymousId,
+      counsellorId: counsellorId || null,
+      department: counsellorId ? null : department,
+      contactPreference,
+      anonymity,
+      notes,
+      intake,
+      expiresAt: new Date(Math.max(...windows.map(window => new Date(window.endsAt).getTime()))),
+      windows: {
+        create: windows.map(({ startsAt, endsAt }) => ({
+          startsAt: new Date(startsAt),
+          endsAt: new Date(endsAt)
+        }))
+      }
+    },
+    include: { windows: true }
+  });
+}
+
+/**
+ * The longest-waiting student a slot suits
+ * Skips anyone who has already been offered this slot
+ */
+const findCandidate = (counsellor, timeSlot, db, now) => {
+  const end = new Date(timeSlot.getTime() + counsellor.sessionMinutes * MINUTE_MS);
+  
+  return db.waitlistEntry.findFirst({
+    where: {
+      status: 'WAITING',
+      expiresAt: { gt: now },
+      OR: [
+        { counsellorId: counsellor.id },
+        ...(counsellor.department ? [{ counsellorId: null, department: counsellor.department }] : [])
+      ],
+      windows: {
+        some: {
+          startsAt: { lte: timeSlot },
+          endsAt: { gte: end }
+        }
+      },
+      offers: {
+        none: { counsellorId: counsellor.id, timeSlot }
+      }
+    },
+    include: { user: true },
+    orderBy: { createdAt: 'asc' }
+  });
+};
+
+/**
+ * Tell a student about an offer
+ * Anonymous students see it only on their Booking page
+ */
+async function notifyOffer(offer) {
+  const { entry, counsellor } = offer;
+  const { user } = entry;
+  if (!user || user.passwordHash === 'DELETED') {
+    return null;
+  }
+  
+  const language = OFFER_TEXT[user.preferredLanguage] ? user.preferredLanguage : 'en';
+  const text = OFFER_TEXT[language];
+  const body = text.body
+    .replace('{counsellor}', counsellor.name)
+    .replace('{time}', formatSessionTime(offer.timeSlot, counsellor.timezone, language))
+    .replace('{expires}', formatSessionTime(offer.expiresAt, counsellor.timezone, language));
+  
+  return notifyUser(user, {
+    type: 'waitlist_offer',
+    title: text.title,
+    body,
+    link: WAITLIST_LINK
+  }, { email: entry.contactPreference === 'EMAIL' });
+}
+
+/**
+ * Offer a freed slot to the next waitlisted student
+ * Does nothing if the slot can no longer be booked or nobody is waiting for it
+ * @param {string} counsellorId - Counsellor whose slot was freed
+ * @param {Date} timeSlot - Start of the slot
+ * @param {Date} now - Current time
+ * @returns {Object|null} The offer
+ */
+async function offerSlot(counsellorId, timeSlot, now = new Date()) {
+  const counsellor = await prisma.counsellor.findFirst({
+    where: { id: counsellorId, isActive: true }
+  });
+  if (!counsellor) {
+    return null;
+  }
+  
+  const offer = await prisma.$transaction(async (tx) => {
+    try {
+      await assertBookableSlot(counsellor, timeSlot, { now, db: tx });
+    } catch (error) {
+      if (error.message.startsWith('Time slot')) {
+        return null;
+      }
+      throw error;
+    }
+    
+    const entry = await findCandidate(counsellor, timeSlot, tx, now);
+    if (!entry) {
+      return null;
+    }
+    
+    // The claim must be possible before booking closes for the slot
+    const expiresAt = new Date(Math.min(
+      now.getTime() + getClaimMinutes() * MINUTE_MS,
+      timeSlot.getTime() - getMinNoticeMinutes() * MINUTE_MS
+    ));
+    
+    await tx.waitlistEntry.update({
+      where: { id: entry.id },
+      data: { status: 'OFFERED' }
+    });
+    
+    const created = await tx.waitlistOffer.create({
+      data: {
+        entryId: entry.id,
+        counsellorId: counsellor.id,
+        timeSlot,
+        expiresAt
+      }
+    });
+    
+    return { ...created, entry, counsellor };
+  });
+  
+  if (!offer) {
+    return null;
+  }
+  
+  await scheduleJob(OFFER_JOB, { offerId: offer.id }, { runAt: offer.expiresAt, key: offerKey(offer.id) });
+  await notifyOffer(offer);
+  
+  return offer;
+}
+
+/**
+ * Close an open offer and pass the slot on
+ * @param {Object} offer - Offer record
+ * @param {string} status - DECLINED, EXPIRED or WITHDRAWN
+ * @param {Object} options - { entryStatus for the student's entry, now }
+ * @returns {boolean} False if the offer was no longer open
+ */
+async function releaseOffer(offer, status, { entryStatus = 'WAITING', now = new Date() } = {}) {
+  const released = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.waitlistOffer.updateMany({
+      where: { id: offer.id, status: 'OFFERED' },
+      data: { status, respondedAt: now }
+    });
+    if (count === 0) {
+      return false;
+    }
+    
+    await tx.waitlistEntry.updateMany({
+      where: { id: offer.entryId, status: 'OFFERED' },
+      data: { status: entryStatus }
+    });
+    return true;
+  });
+  
+  if (released) {
+    await cancelJobs(offerKey(offer.id));
+    // The release stands even if passing the slot on fails
+    await offerSlot(offer.counsellorId, new Date(offer.timeSlot), now).catch(console.error);
+  }
+  
+  return released;
+}
+
+/**
+ * Book an offered slot for the student
+ * @param {Object} offer - Offer with its entry
+ * @param {Date} now - Current time
+ * @returns {Object} The new booking
+ * @throws {Error} 'Offer is no longer available' if it expired or was already answered, or a Time slot error
+ */
+async function claimOffer(offer, now = new Date()) {
+  const { entry } = offer;
+  
+  // Screenings may have changed while the student waited, so triage now
+  const triage = entry.intake
+    ? triageIntake(entry.intake, await loadTriageScreenings(entry.userId, entry.anonymousId, now), now)
+    : null;
+  
+  const booking = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.waitlistOffer.updateMany({
+      where: { id: offer.id, status: 'OFFERED', expiresAt: { gt: now } },
+      data: { status: 'CLAIMED', respondedAt: now }
+    });
+    if (count === 0) {
+      throw new Error('Offer is no longer available');
+    }
+    
+    const counsellor = await tx.counsellor.findUnique({ where: { id: offer.counsellorId } });
+    await assertBookableSlot(counsellor, new Date(offer.timeSlot), { now, db: tx, excludeOfferId: offer.id });
+    
+    const created = await tx.booking.create({
+      data: {
+        userId: entry.userId,
+        anonymousId: entry.userId ? null : entry.anonymousId,
+        counsellorId: offer.counsellorId,
+        timeSlot: offer.timeSlot,
+        contactPreference: entry.contactPreference,
+        anonymity: entry.anonymity,
+        notes: entry.notes,
+        status: 'REQUESTED',
+        ...(triage ? intakeBookingData(entry.intake, triage) : {}),
+        statusHistory: {
+          create: {
+            toStatus: 'REQUESTED',
+            actorRole: ACTORS.STUDENT,
+            actorId: entry.userId,
+            reason: 'Claimed from the waitlist'
+          }
+        }
+      },
+      include: {
+        counsellor: {
+          select: {
+            id: true,
+            name: true,
+            department: true,
+            email: true,
+            phone: true
+          }
+        }
+      }
+    });
+    
+    await tx.waitlistOffer.update({
+      where: { id: offer.id },
+      data: { bookingId: created.id }
+    });
+    await tx.waitlistEntry.update({
+      where: { id: entry.id },
+      data: { status: 'BOOKED' }
+    });
+    
+    return created;
+  });
+  
+  await cancelJobs(offerKey(offer.id));
+  notifyBookingChange(booking.id, { actor: ACTORS.STUDENT }).catch(console.error);
+  alertIntakeSelfHarm(entry.intake, booking).catch(console.error);
+  
+  return booking;
+}
+
+/**
+ * Take a student off a waitlist, passing on any slot held for them
+ * @param {Object} entry - Entry with its offers
+ * @param {Date} now - Current time
+ */
+async function leaveWaitlist(entry, now = new Date()) {
+  const openOffer = (entry.offers || []).find(offer => offer.status === 'OFFERED');
+  
+  if (openOffer) {
+    await releaseOffer(openOffer, 'WITHDRAWN', { entryStatus: 'CANCELLED', now });
+  }
+  
+  await prisma.waitlistEntry.updateMany({
+    where: { id: entry.id, status: { in: ACTIVE_ENTRY_STATUSES } },
+    data: { status: 'CANCELLED' }
+  });
+}
+
+/**
+ * Job handler: expire an unanswered offer
+ */
+async function expireOffer({ offerId }) {
+  const offer = await prisma.waitlistOffer.findUnique({ where: { id: offerId } });
+  
+  if (!offer || offer.status !== 'OFFERED') {
+    return;
+  }
+  
+  await releaseOffer(offer, 'EXPIRED');
+}
+
+registerJobHandler(OFFER_JOB, expireOffer);
+
+module.exports = {
+  getFreedSlot,
+  checkWindows,
+  joinWaitlist,
+  offerSlot,
+  releaseOffer,
+  claimOffer,
+  leaveWaitlist,
+  expireOffer,
+  offerKey,
+  OFFER_JOB,
+  ACTIVE_ENTRY_STATUSES
+};
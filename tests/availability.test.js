@@ -0,0 +1,188 @@
+const mockDb = {
+  availabilityRule: { findMany: jest.fn() },
+  availabilityException: { findMany: jest.fn() },
+  booking: { findMany: jest.fn() },
+  waitlistOffer: { findMany: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+const {
+  parseTime,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  generateSlots,
+  assertBookableSlot
+} = require('../server/services/availability');
+
+// Monday 5 January 2026, midnight UTC
+const now = new Date(Date.UTC(2026, 0, 5));
+const nextDay = new Date(Date.UTC(2026, 0, 6));
+
+const counsellor = (overrides) => ({
+  id: 'counsellor-1',
+  timezone: 'UTC',
+  sessionMinutes: 50,
+  bufferMinutes: 10,
+  ...overrides
+});
+
+const mondayMorning = [{ weekday: 1, startTime: '09:00', endTime: '12:00' }];
+const starts = (slots) => slots.map(slot => slot.start.toISOString().slice(11, 16));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDb.availabilityRule.findMany.mockResolvedValue(mondayMorning);
+  mockDb.availabilityException.findMany.mockResolvedValue([]);
+  mockDb.booking.findMany.mockResolvedValue([]);
+  mockDb.waitlistOffer.findMany.mockResolvedValue([]);
+});
+
+describe('time helpers', () => {
+  test('parse HH:MM times', () => {
+    expect(parseTime('09:30')).toBe(570);
+    expect(parseTime('24:00')).toBe(1440);
+    expect(parseTime('25:00')).toBeNull();
+    expect(parseTime('9am')).toBeNull();
+  });
+  
+  test('recognise IANA timezones', () => {
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+  });
+  
+  test('convert wall-clock times across daylight saving changes', () => {
+    const winter = zonedTimeToUtc({ year: 2026, month: 3, day: 6 }, 540, 'America/New_York');
+    const summer = zonedTimeToUtc({ year: 2026, month: 3, day: 9 }, 540, 'America/New_York');
+    
+    expect(winter.toISOString()).toBe('2026-03-06T14:00:00.000Z');
+    expect(summer.toISOString()).toBe('2026-03-09T13:00:00.000Z');
+    expect(zonedTimeToUtc({ year: 2026, month: 1, day: 5 }, 540, 'Asia/Kolkata').toISOString())
+      .toBe('2026-01-05T03:30:00.000Z');
+  });
+});
+
+describe('generateSlots', () => {
+  test('splits weekly hours into sessions separated by the buffer', () => {
+    const slots = generateSlots({ counsellor: counsellor(), rules: mondayMorning, from: now, to: nextDay, now });
+    
+    expect(starts(slots)).toEqual(['09:00', '10:00', '11:00']);
+    expect(slots[0].end.toISOString()).toBe('2026-01-05T09:50:00.000Z');
+  });
+  
+  test('uses the counsellor timezone for weekly hours', () => {
+    const slots = generateSlots({
+      counsellor: counsellor({ timezone: 'Asia/Kolkata' }),
+      rules: mondayMorning,
+      from: now,
+      to: nextDay,
+      now
+    });
+    
+    expect(starts(slots)).toEqual(['03:30', '04:30', '05:30']);
+  });
+  
+  test('offers nothing outside the weekly hours', () => {
+    const slots = generateSlots({
+      counsellor: counsellor(),
+      rules: mondayMorning,
+      from: nextDay,
+      to: new Date(Date.UTC(2026, 0, 12)),
+      now
+    });
+    
+    expect(slots).toEqual([]);
+  });
+  
+  test('drops slots overlapping a booking and its buffer', () => {
+    const slots = generateSlots({
+      counsellor: counsellor(),
+      rules: mondayMorning,
+      bookings: [{ timeSlot: new Date(Date.UTC(2026, 0, 5, 10, 15)) }],
+      from: now,
+      to: nextDay,
+      now
+    });
+    
+    expect(starts(slots)).toEqual(['09:00']);
+  });
+  
+  test('applies leave and extra hours', () => {
+    const slots = generateSlots({
+      counsellor: counsellor(),
+      rules: mondayMorning,
+      exceptions: [
+        { type: 'UNAVAILABLE', startsAt: new Date(Date.UTC(2026, 0, 5, 9)), endsAt: new Date(Date.UTC(2026, 0, 5, 10)) },
+        { type: 'AVAILABLE', startsAt: new Date(Date.UTC(2026, 0, 5, 14)), endsAt: new Date(Date.UTC(2026, 0, 5, 15)) }
+      ],
+      from: now,
+      to: nextDay,
+      now
+    });
+    
+    expect(starts(slots)).toEqual(['10:00', '11:00', '14:00']);
+  });
+  
+  test('requires notice and stops at the booking horizon', () => {
+    const lateMorning = new Date(Date.UTC(2026, 0, 5, 8, 30));
+    const soon = generateSlots({ counsellor: counsellor(), rules: mondayMorning, from: now, to: nextDay, now: lateMorning });
+    const farAhead = generateSlots({
+      counsellor: counsellor(),
+      rules: mondayMorning,
+      from: new Date(Date.UTC(2026, 5, 1)),
+      to: new Date(Date.UTC(2026, 5, 30)),
+      now
+    });
+    
+    expect(starts(soon)).toEqual(['11:00']);
+    expect(farAhead).toEqual([]);
+  });
+});
+
+describe('assertBookableSlot', () => {
+  const at = (hour, minute = 0) => new Date(Date.UTC(2026, 0, 5, hour, minute));
+  
+  test('accepts a free slot', async () => {
+    await expect(assertBookableSlot(counsellor(), at(10), { now })).resolves.toBeUndefined();
+  });
+  
+  test('rejects times outside availability', async () => {
+    await expect(assertBookableSlot(counsellor(), at(3), { now }))
+      .rejects.toThrow('outside the counsellor\'s availability');
+    await expect(assertBookableSlot(counsellor(), at(10, 15), { now }))
+      .rejects.toThrow('outside the counsellor\'s availability');
+  });
+  
+  test('rejects slots that overlap an existing booking', async () => {
+    mockDb.booking.findMany.mockResolvedValue([{ timeSlot: at(9, 30) }]);
+    
+    await expect(assertBookableSlot(counsellor(), at(10), { now })).rejects.toThrow('already booked');
+  });
+  
+  test('treats a slot held for the waitlist as booked, except for its own claim', async () => {
+    // The held offer is only returned when the query does not exclude it
+    mockDb.waitlistOffer.findMany.mockImplementation(({ where }) => Promise.resolve(where.id ? [] : [{ timeSlot: at(10) }]));
+    
+    await expect(assertBookableSlot(counsellor(), at(10), { now })).rejects.toThrow('already booked');
+    await expect(assertBookableSlot(counsellor(), at(10), { now, excludeOfferId: 'offer-1' })).resolves.toBeUndefined();
+    expect(mockDb.waitlistOffer.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ id: { not: 'offer-1' }, status: 'OFFERED', expiresAt: { gt: now } })
+    }));
+  });
+  
+  test('reads through the transaction it is given', async () => {
+    const tx = {
+      availabilityRule: { findMany: jest.fn().mockResolvedValue(mondayMorning) },
+      availabilityException: { findMany: jest.fn().mockResolvedValue([]) },
+      booking: { findMany: jest.fn().mockResolvedValue([]) },
+      waitlistOffer: { findMany: jest.fn().mockResolvedValue([]) }
+    };
+    
+    await assertBookableSlot(counsellor(), at(11), { now, db: tx });
+    
+    expect(tx.booking.findMany).toHaveBeenCalled();
+    expect(mockDb.booking.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,211 @@
+const mockTx = {
+  availabilityRule: { findMany: jest.fn() },
+  availabilityException: { findMany: jest.fn() },
+  booking: { findMany: jest.fn(), findUnique: jest.fn(), updateMany: jest.fn() },
+  bookingStatusChange: { create: jest.fn() },
+  waitlistOffer: { findMany: jest.fn() }
+};
+const mockDb = {
+  $transaction: jest.fn(callback => callback(mockTx))
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+const {
+  ACTORS,
+  checkTransition,
+  getAllowedTransitions,
+  transitionBooking,
+  summariseAttendance
+} = require('../server/services/bookingLifecycle');
+
+// Monday 5 January 2026; the session is at 10:00 UTC
+const now = new Date(Date.UTC(2026, 0, 5));
+const sessionTime = new Date(Date.UTC(2026, 0, 5, 10));
+const afterSession = new Date(Date.UTC(2026, 0, 5, 11));
+
+const booking = (overrides) => ({
+  id: 'booking-1',
+  counsellorId: 'counsellor-1',
+  status: 'CONFIRMED',
+  timeSlot: sessionTime,
+  proposedTimeSlot: null,
+  proposedBy: null,
+  counsellor: {
+    id: 'counsellor-1',
+    timezone: 'UTC',
+    sessionMinutes: 50,
+    bufferMinutes: 10
+  },
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockTx.availabilityRule.findMany.mockResolvedValue([{ weekday: 1, startTime: '09:00', endTime: '17:00' }]);
+  mockTx.availabilityException.findMany.mockResolvedValue([]);
+  mockTx.booking.findMany.mockResolvedValue([]);
+  mockTx.waitlistOffer.findMany.mockResolvedValue([]);
+  mockTx.booking.updateMany.mockResolvedValue({ count: 1 });
+  mockTx.booking.findUnique.mockResolvedValue(booking());
+  mockTx.bookingStatusChange.create.mockResolvedValue({});
+});
+
+describe('checkTransition', () => {
+  test('lets only staff confirm or decline a request', () => {
+    const requested = booking({ status: 'REQUESTED' });
+    
+    expect(() => checkTransition(requested, 'CONFIRMED', { actor: ACTORS.COUNSELLOR, now })).not.toThrow();
+    expect(() => checkTransition(requested, 'CONFIRMED', { actor: ACTORS.STUDENT, now })).toThrow('not allowed');
+    expect(() => checkTransition(requested, 'DECLINED', { actor: ACTORS.COUNSELLOR, now })).toThrow('reason is required');
+  });
+  
+  test('rejects moves the table does not list', () => {
+    expect(() => checkTransition(booking({ status: 'CANCELLED' }), 'CONFIRMED', { actor: ACTORS.ADMIN, now }))
+      .toThrow('Cannot change a CANCELLED booking to CONFIRMED');
+    expect(() => checkTransition(booking({ status: 'REQUESTED' }), 'COMPLETED', { actor: ACTORS.ADMIN, now }))
+      .toThrow('Cannot change');
+  });
+  
+  test('records attendance only once the session has started', () => {
+    expect(() => checkTransition(booking(), 'COMPLETED', { actor: ACTORS.COUNSELLOR, now }))
+      .toThrow('before it starts');
+    expect(() => checkTransition(booking(), 'NO_SHOW', { actor: ACTORS.COUNSELLOR, now: afterSession }))
+      .not.toThrow();
+    expect(() => checkTransition(booking(), 'CANCELLED', { actor: ACTORS.STUDENT, now: afterSession }))
+      .toThrow('after the session has started');
+  });
+  
+  test('needs a different time to propose a reschedule', () => {
+    expect(() => checkTransition(booking(), 'RESCHEDULE_PROPOSED', { actor: ACTORS.STUDENT, now }))
+      .toThrow('timeSlot is required');
+    expect(() => checkTransition(booking(), 'RESCHEDULE_PROPOSED', { actor: ACTORS.STUDENT, timeSlot: sessionTime, now }))
+      .toThrow('timeSlot is required');
+  });
+  
+  test('does not let the proposer accept their own proposal', () => {
+    const proposed = booking({ status: 'RESCHEDULE_PROPOSED', proposedBy: ACTORS.COUNSELLOR });
+    
+    expect(() => checkTransition(proposed, 'CONFIRMED', { actor: ACTORS.COUNSELLOR, now })).toThrow('not allowed');
+    expect(() => checkTransition(proposed, 'CONFIRMED', { actor: ACTORS.STUDENT, now })).not.toThrow();
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  test('lists what each side can do next', () => {
+    expect(getAllowedTransitions(booking({ status: 'REQUESTED' }), ACTORS.STUDENT, now))
+      .toEqual(['RESCHEDULE_PROPOSED', 'CANCELLED']);
+    expect(getAllowedTransitions(booking(), ACTORS.COUNSELLOR, afterSession))
+      .toEqual(['COMPLETED', 'NO_SHOW']);
+    expect(getAllowedTransitions(booking({ status: 'DECLINED' }), ACTORS.ADMIN, now)).toEqual([]);
+  });
+});
+
+describe('transitionBooking', () => {
+  test('records each change in the status history', async () => {
+    await transitionBooking(booking({ status: 'REQUESTED' }), 'DECLINED', {
+      actor: ACTORS.COUNSELLOR,
+      actorId: 'user-9',
+      reason: 'Outside my specialism',
+      now
+    });
+    
+    expect(mockTx.booking.updateMany).toHaveBeenCalledWith({
+      where: { id: 'booking-1', status: 'REQUESTED', proposedTimeSlot: null },
+      data: { status: 'DECLINED', proposedTimeSlot: null, proposedBy: null }
+    });
+    expect(mockTx.bookingStatusChange.create).toHaveBeenCalledWith({
+      data: {
+        bookingId: 'booking-1',
+        fromStatus: 'REQUESTED',
+        toStatus: 'DECLINED',
+        actorRole: ACTORS.COUNSELLOR,
+        actorId: 'user-9',
+        reason: 'Outside my specialism',
+        timeSlot: null
+      }
+    });
+  });
+  
+  test('checks a proposed time against availability, ignoring the booking itself', async () => {
+    const newTime = new Date(Date.UTC(2026, 0, 5, 14));
+    
+    await transitionBooking(booking(), 'RESCHEDULE_PROPOSED', { actor: ACTORS.STUDENT, timeSlot: newTime, now });
+    
+    expect(mockTx.booking.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ id: { not: 'booking-1' } })
+    }));
+    expect(mockTx.booking.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: { status: 'RESCHEDULE_PROPOSED', proposedTimeSlot: newTime, proposedBy: ACTORS.STUDENT }
+    }));
+  });
+  
+  test('moves the session when the other side accepts', async () => {
+    const newTime = new Date(Date.UTC(2026, 0, 5, 14));
+    
+    await transitionBooking(
+      booking({ status: 'RESCHEDULE_PROPOSED', proposedTimeSlot: newTime, proposedBy: ACTORS.STUDENT }),
+      'CONFIRMED',
+      { actor: ACTORS.COUNSELLOR, now }
+    );
+    
+    expect(mockTx.booking.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: { status: 'CONFIRMED', proposedTimeSlot: null, proposedBy: null, timeSlot: newTime }
+    }));
+  });
+  
+  test('saves nothing when the proposed time is taken', async () => {
+    mockTx.booking.findMany.mockResolvedValue([{ timeSlot: new Date(Date.UTC(2026, 0, 5, 14)) }]);
+    
+    await expect(transitionBooking(booking(), 'RESCHEDULE_PROPOSED', {
+      actor: ACTORS.COUNSELLOR,
+      timeSlot: new Date(Date.UTC(2026, 0, 5, 14)),
+      now
+    })).rejects.toThrow('already booked');
+    expect(mockTx.booking.updateMany).not.toHaveBeenCalled();
+    expect(mockTx.bookingStatusChange.create).not.toHaveBeenCalled();
+  });
+  
+  test('a change that loses the race is refused', async () => {
+    mockTx.booking.updateMany.mockResolvedValue({ count: 0 });
+    
+    await expect(transitionBooking(booking({ status: 'REQUESTED' }), 'CONFIRMED', { actor: ACTORS.COUNSELLOR, now }))
+      .rejects.toThrow('Booking was changed since it was loaded');
+    expect(mockTx.bookingStatusChange.create).not.toHaveBeenCalled();
+  });
+  
+  test('accepting only applies to the proposal that was read', async () => {
+    const newTime = new Date(Date.UTC(2026, 0, 5, 14));
+    
+    await transitionBooking(
+      booking({ status: 'RESCHEDULE_PROPOSED', proposedTimeSlot: newTime, proposedBy: ACTORS.STUDENT }),
+      'CONFIRMED',
+      { actor: ACTORS.COUNSELLOR, now }
+    );
+    
+    expect(mockTx.booking.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'booking-1', status: 'RESCHEDULE_PROPOSED', proposedTimeSlot: newTime }
+    }));
+  });
+});
+
+describe('summariseAttendance', () => {
+  test('reports attendance out of sessions that were due', () => {
+    expect(summariseAttendance([
+      { status: 'COMPLETED', count: 6 },
+      { status: 'NO_SHOW', count: 2 },
+      { status: 'CANCELLED', count: 3 }
+    ])).toMatchObject({
+      total: 11,
+      attended: 6,
+      noShows: 2,
+      attendanceRate: 0.75
+    });
+  });
+  
+  test('has no rate before any session is due', () => {
+    expect(summariseAttendance([{ status: 'REQUESTED', count: 1 }]).attendanceRate).toBeNull();
+  });
+});
@@ -0,0 +1,202 @@
+const mockDb = {
+  booking: { findUnique: jest.fn() },
+  bookingNotificationLog: { create: jest.fn(), updateMany: jest.fn() },
+  job: { create: jest.fn(), updateMany: jest.fn() },
+  notification: { create: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+const mockSendEmail = jest.fn();
+jest.mock('../server/services/mailer', () => ({
+  sendEmail: (...args) => mockSendEmail(...args),
+  queueEmail: jest.fn()
+}));
+
+const {
+  getBookingEvent,
+  renderMessage,
+  notifyBookingChange,
+  sendBookingReminder,
+  sendBookingEmail,
+  reminderKey,
+  EMAIL_JOB,
+  REMINDER_JOB
+} = require('../server/services/bookingNotifications');
+
+const now = new Date(Date.UTC(2026, 0, 5));
+const sessionTime = new Date(Date.UTC(2026, 0, 7, 10));
+
+const booking = (overrides) => ({
+  id: 'booking-1',
+  userId: 'user-1',
+  status: 'REQUESTED',
+  timeSlot: sessionTime,
+  proposedTimeSlot: null,
+  contactPreference: 'EMAIL',
+  anonymity: true,
+  notes: 'Please call me Priya',
+  user: {
+    id: 'user-1',
+    email: 'priya@example.com',
+    passwordHash: 'hash',
+    preferredLanguage: 'en'
+  },
+  counsellor: {
+    id: 'counsellor-1',
+    name: 'Dr. Sarah Johnson',
+    email: 'sarah.johnson@example.com',
+    room: 'Room 201',
+    timezone: 'UTC'
+  },
+  ...overrides
+});
+
+const logsFor = (recipient) => mockDb.bookingNotificationLog.create.mock.calls
+  .map(([{ data }]) => data)
+  .filter(data => data.recipient === recipient);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDb.bookingNotificationLog.create.mockImplementation(({ data }) => Promise.resolve({ id: 'log-1', ...data }));
+  mockDb.bookingNotificationLog.updateMany.mockResolvedValue({ count: 1 });
+  mockDb.job.create.mockImplementation(({ data }) => Promise.resolve({ id: 'job-1', ...data }));
+  mockDb.job.updateMany.mockResolvedValue({ count: 0 });
+  mockDb.notification.create.mockResolvedValue({ id: 'notification-1' });
+  mockSendEmail.mockResolvedValue({});
+});
+
+describe('getBookingEvent', () => {
+  test('maps status changes to events', () => {
+    expect(getBookingEvent(null, 'REQUESTED')).toBe('BOOKING_REQUESTED');
+    expect(getBookingEvent('REQUESTED', 'CONFIRMED')).toBe('BOOKING_CONFIRMED');
+    expect(getBookingEvent('RESCHEDULE_PROPOSED', 'CONFIRMED')).toBe('BOOKING_RESCHEDULED');
+    expect(getBookingEvent('CONFIRMED', 'CANCELLED')).toBe('BOOKING_CANCELLED');
+    expect(getBookingEvent('CONFIRMED', 'COMPLETED')).toBeNull();
+  });
+});
+
+describe('renderMessage', () => {
+  test('localises student messages with an English fallback', () => {
+    const hindi = renderMessage('BOOKING_CONFIRMED', 'STUDENT', booking(), { language: 'hi' });
+    const fallback = renderMessage('BOOKING_CONFIRMED', 'STUDENT', booking(), { language: 'fr' });
+    
+    expect(hindi.title).toBe('सत्र की पुष्टि हुई');
+    expect(hindi.body).toContain('Dr. Sarah Johnson');
+    expect(fallback).toEqual(renderMessage('BOOKING_CONFIRMED', 'STUDENT', booking()));
+    expect(fallback.body).toContain('Room 201');
+  });
+  
+  test('shows times in the counsellor timezone', () => {
+    const message = renderMessage('BOOKING_CONFIRMED', 'STUDENT', booking({
+      counsellor: { ...booking().counsellor, timezone: 'Asia/Kolkata' }
+    }));
+    
+    expect(message.body).toContain('15:30');
+    expect(message.body).toContain('Asia/Kolkata');
+  });
+  
+  test('never puts student details in counsellor messages', () => {
+    const message = renderMessage('BOOKING_REQUESTED', 'COUNSELLOR', booking());
+    
+    expect(JSON.stringify(message)).not.toMatch(/priya/i);
+    expect(message.body).toContain('A student');
+  });
+});
+
+describe('notifyBookingChange', () => {
+  test('sends a receipt to the student and emails the counsellor about a new request', async () => {
+    mockDb.booking.findUnique.mockResolvedValue(booking());
+    
+    await notifyBookingChange('booking-1', { actor: 'STUDENT' }, now);
+    
+    expect(logsFor('STUDENT').map(log => [log.channel, log.status])).toEqual([['EMAIL', 'QUEUED'], ['IN_APP', 'SENT']]);
+    expect(logsFor('COUNSELLOR').map(log => [log.channel, log.status])).toEqual([['EMAIL', 'QUEUED']]);
+    expect(mockDb.job.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        type: EMAIL_JOB,
+        payload: expect.objectContaining({ to: 'sarah.johnson@example.com' })
+      })
+    });
+    expect(JSON.stringify(mockDb.job.create.mock.calls)).not.toMatch(/Please call me/);
+  });
+  
+  test('follows the contact preference', async () => {
+    mockDb.booking.findUnique.mockResolvedValue(booking({ status: 'CONFIRMED', contactPreference: 'PHONE' }));
+    
+    await notifyBookingChange('booking-1', { fromStatus: 'REQUESTED', actor: 'COUNSELLOR' }, now);
+    
+    expect(logsFor('STUDENT').map(log => [log.channel, log.status])).toEqual([['PHONE', 'SKIPPED'], ['IN_APP', 'SENT']]);
+    expect(logsFor('COUNSELLOR')).toEqual([]);
+  });
+  
+  test('logs anonymous bookings as skipped for the student', async () => {
+    mockDb.booking.findUnique.mockResolvedValue(booking({ userId: null, user: null, status: 'CONFIRMED' }));
+    
+    await notifyBookingChange('booking-1', { fromStatus: 'REQUESTED', actor: 'ADMIN' }, now);
+    
+    expect(logsFor('STUDENT').every(log => log.status === 'SKIPPED')).toBe(true);
+    expect(mockDb.notification.create).not.toHaveBeenCalled();
+    expect(logsFor('COUNSELLOR')).toHaveLength(1);
+  });
+  
+  test('schedules 24 hour and 1 hour reminders once confirmed', async () => {
+    mockDb.booking.findUnique.mockResolvedValue(booking({ status: 'CONFIRMED' }));
+    
+    await notifyBookingChange('booking-1', { fromStatus: 'REQUESTED', actor: 'COUNSELLOR' }, now);
+    
+    const reminders = mockDb.job.create.mock.calls
+      .map(([{ data }]) => data)
+      .filter(job => job.type === REMINDER_JOB);
+    expect(mockDb.job.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { key: reminderKey('booking-1'), status: 'PENDING' }
+    }));
+    expect(reminders.map(job => job.payload.hours)).toEqual([24, 1]);
+    expect(reminders[0].runAt).toEqual(new Date(Date.UTC(2026, 0, 6, 10)));
+  });
+  
+  test('cancels reminders without scheduling new ones after a cancellation', async () => {
+    mockDb.booking.findUnique.mockResolvedValue(booking({ status: 'CANCELLED' }));
+    
+    await notifyBookingChange('booking-1', { fromStatus: 'CONFIRMED', actor: 'STUDENT' }, now);
+    
+    expect(mockDb.job.updateMany).toHaveBeenCalled();
+    expect(mockDb.job.create.mock.calls.some(([{ data }]) => data.type === REMINDER_JOB)).toBe(false);
+    expect(logsFor('STUDENT')).toEqual([]);
+  });
+});
+
+describe('reminder and email jobs', () => {
+  test('skip reminders for sessions that moved', async () => {
+    mockDb.booking.findUnique.mockResolvedValue(booking({ status: 'CONFIRMED', timeSlot: new Date(Date.UTC(2026, 0, 8)) }));
+    
+    await sendBookingReminder({ bookingId: 'booking-1', hours: 24, timeSlot: sessionTime.toISOString() });
+    
+    expect(mockDb.bookingNotificationLog.create).not.toHaveBeenCalled();
+  });
+  
+  test('record sends and failures in the delivery log', async () => {
+    const job = { attempts: 0, maxAttempts: 2 };
+    
+    await sendBookingEmail({ logId: 'log-1', to: 'a@example.com', subject: 'S', text: 'T' }, job);
+    expect(mockDb.bookingNotificationLog.updateMany).toHaveBeenLastCalledWith({
+      where: { id: 'log-1' },
+      data: expect.objectContaining({ status: 'SENT', attempts: 1 })
+    });
+    
+    mockSendEmail.mockRejectedValue(new Error('SMTP down'));
+    await expect(sendBookingEmail({ logId: 'log-1' }, job)).rejects.toThrow('SMTP down');
+    expect(mockDb.bookingNotificationLog.updateMany).toHaveBeenLastCalledWith({
+      where: { id: 'log-1' },
+      data: expect.objectContaining({ status: 'QUEUED', detail: 'SMTP down' })
+    });
+    
+    await expect(sendBookingEmail({ logId: 'log-1' }, { attempts: 1, maxAttempts: 2 })).rejects.toThrow();
+    expect(mockDb.bookingNotificationLog.updateMany).toHaveBeenLastCalledWith({
+      where: { id: 'log-1' },
+      data: expect.objectContaining({ status: 'FAILED', attempts: 2 })
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const mockDb = {
+  booking: { findUnique: jest.fn(), update: jest.fn() },
+  counsellor: { findFirst: jest.fn() },
+  auditLog: { create: jest.fn() },
+  analyticsEvent: { create: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+jest.mock('@prisma/client/runtime', () => ({
+  PrismaClientKnownRequestError: class PrismaClientKnownRequestError extends Error {}
+}), { virtual: true });
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const bookingRoutes = require('../server/routes/bookings');
+
+// Stands in for the access token cookie; the router keeps a user set here
+const buildApp = (user = null) => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/v1/bookings', bookingRoutes);
+  return app;
+};
+
+const booking = (overrides = {}) => ({
+  id: 'booking-1',
+  userId: 'student-1',
+  anonymousId: null,
+  counsellorId: 'counsellor-1',
+  status: 'CONFIRMED',
+  shareScreenings: false,
+  shareChatSummary: false,
+  sharedAt: null,
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDb.booking.findUnique.mockResolvedValue(booking());
+  mockDb.booking.update.mockImplementation(({ data }) => Promise.resolve(booking(data)));
+  mockDb.counsellor.findFirst.mockResolvedValue(null);
+  mockDb.auditLog.create.mockResolvedValue({});
+  mockDb.analyticsEvent.create.mockResolvedValue({});
+});
+
+describe('PATCH /api/v1/bookings/:id/sharing', () => {
+  test('the student can turn sharing on, and the change is audited', async () => {
+    const res = await request(buildApp({ id: 'student-1', role: 'STUDENT' }))
+      .patch('/api/v1/bookings/booking-1/sharing')
+      .send({ shareScreenings: true });
+    
+    expect(res.status).toBe(200);
+    expect(res.body.sharing.screenings).toBe(true);
+    expect(mockDb.booking.findUnique).toHaveBeenCalledWith({ where: { id: 'booking-1' } });
+    expect(mockDb.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        actorId: 'student-1',
+        action: 'booking.sharing.update',
+        entityId: 'booking-1',
+        subjectUserId: 'student-1',
+        granted: true
+      })
+    });
+  });
+  
+  test('another student gets 404', async () => {
+    const res = await request(buildApp({ id: 'student-2', role: 'STUDENT' }))
+      .patch('/api/v1/bookings/booking-1/sharing')
+      .send({ shareScreenings: true });
+    
+    expect(res.status).toBe(404);
+    expect(mockDb.booking.update).not.toHaveBeenCalled();
+  });
+  
+  test('the booking\'s counsellor cannot turn sharing on for the student', async () => {
+    mockDb.counsellor.findFirst.mockResolvedValue({ id: 'counsellor-1' });
+    
+    const res = await request(buildApp({ id: 'counsellor-user-1', role: 'COUNSELLOR' }))
+      .patch('/api/v1/bookings/booking-1/sharing')
+      .send({ shareScreenings: true, shareChatSummary: true });
+    
+    expect(res.status).toBe(404);
+    expect(mockDb.booking.update).not.toHaveBeenCalled();
+  });
+  
+  test('an anonymous cookie only matches bookings made without an account', async () => {
+    const app = buildApp();
+    
+    const res = await request(app)
+      .patch('/api/v1/bookings/booking-1/sharing')
+      .set('Cookie', 'anonymousId=anon-1')
+      .send({ shareChatSummary: true });
+    expect(res.status).toBe(404);
+    
+    mockDb.booking.findUnique.mockResolvedValue(booking({ userId: null, anonymousId: 'anon-1' }));
+    const own = await request(app)
+      .patch('/api/v1/bookings/booking-1/sharing')
+      .set('Cookie', 'anonymousId=anon-1')
+      .send({ shareChatSummary: true });
+    expect(own.status).toBe(200);
+    expect(own.body.sharing.chatSummary).toBe(true);
+  });
+});
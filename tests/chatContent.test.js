@@ -0,0 +1,185 @@
+const mockDb = {
+  $transaction: jest.fn(operations => Promise.all(operations)),
+  chatContent: { findMany: jest.fn(), findFirst: jest.fn(), create: jest.fn(), update: jest.fn(), updateMany: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+const {
+  isKnownSlot,
+  validateContent,
+  buildContent,
+  getPublishedContent,
+  getPreviewContent,
+  invalidateContentCache,
+  publishDraft
+} = require('../server/services/chatContent');
+const { buildResponse, RESPONSE_TEMPLATES, CATEGORY_TRIGGERS } = require('../server/services/chatClassifier');
+
+const anxiety = { category: 'ANXIETY', severity: 'moderate', crisis: false, confidence: 0.4 };
+
+const general = (message) => ({ message });
+
+const entry = (overrides = {}) => ({
+  id: 'content-1',
+  type: 'TEMPLATE',
+  key: 'GENERAL',
+  language: 'en',
+  status: 'PUBLISHED',
+  content: general('Published prompt'),
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  invalidateContentCache();
+  mockDb.chatContent.findMany.mockResolvedValue([]);
+});
+
+describe('isKnownSlot', () => {
+  test('accepts template and trigger keys in supported languages', () => {
+    expect(isKnownSlot('TEMPLATE', 'CRISIS', 'hi')).toBe(true);
+    expect(isKnownSlot('TRIGGERS', 'ANXIETY', 'en')).toBe(true);
+  });
+  
+  test('refuses unknown languages, keys and types', () => {
+    expect(isKnownSlot('TEMPLATE', 'CRISIS', 'fr')).toBe(false);
+    expect(isKnownSlot('TEMPLATE', 'NOT_A_KEY', 'en')).toBe(false);
+    expect(isKnownSlot('TRIGGERS', 'CRISIS', 'en')).toBe(false);
+    expect(isKnownSlot('OTHER', 'ANXIETY', 'en')).toBe(false);
+  });
+});
+
+describe('validateContent', () => {
+  test('category templates need every field and at least one strategy', () => {
+    const { error } = validateContent('TEMPLATE', 'ANXIETY', {
+      validation: 'That sounds hard.',
+      strategies: [],
+      psychoeducation: ''
+    });
+    
+    expect(error.details.map(detail => detail.path.join('.'))).toEqual(
+      expect.arrayContaining(['strategies', 'psychoeducation', 'next_steps'])
+    );
+  });
+  
+  test('special templates use their own shape', () => {
+    expect(validateContent('TEMPLATE', 'GENERAL', general('How are you feeling?')).error).toBeUndefined();
+    expect(validateContent('TEMPLATE', 'WELCOME', { message: 'Hi', quickReplies: [] }).error).toBeDefined();
+    expect(validateContent('TEMPLATE', 'QUICK_REPLIES', {
+      crisis: ['Help'],
+      general: ['Talk'],
+      category: ['More'],
+      counsellor: 'x'.repeat(61)
+    }).error).toBeDefined();
+  });
+  
+  test('trigger lists are unique, non-empty and lowercased', () => {
+    expect(validateContent('TRIGGERS', 'ANXIETY', []).error).toBeDefined();
+    expect(validateContent('TRIGGERS', 'ANXIETY', ['panic', 'panic']).error).toBeDefined();
+    expect(validateContent('TRIGGERS', 'ANXIETY', ['x']).error).toBeDefined();
+    expect(validateContent('TRIGGERS', 'ANXIETY', [' Panic Attack ']).value).toEqual(['panic attack']);
+  });
+  
+  test('strips fields the template does not use', () => {
+    const { value, error } = validateContent('TEMPLATE', 'GENERAL', { message: 'Hello', extra: 'ignored' });
+    
+    expect(error).toBeUndefined();
+    expect(value).toEqual({ message: 'Hello' });
+  });
+});
+
+describe('buildContent', () => {
+  test('layers entries over the defaults without changing them', () => {
+    const { templates, triggers } = buildContent([
+      entry({ language: 'hi', content: general('Hindi prompt') }),
+      entry({ type: 'TRIGGERS', key: 'ANXIETY', content: ['exam nerves'] })
+    ]);
+    
+    expect(templates.hi.GENERAL.message).toBe('Hindi prompt');
+    expect(templates.en.GENERAL).toEqual(RESPONSE_TEMPLATES.en.GENERAL);
+    expect(triggers.en.ANXIETY).toEqual(['exam nerves']);
+    expect(CATEGORY_TRIGGERS.en.ANXIETY).not.toEqual(['exam nerves']);
+  });
+  
+  test('slots a language has no content for fall back to English', () => {
+    const templates = buildContent([entry({ key: 'ANXIETY', content: { ...RESPONSE_TEMPLATES.en.ANXIETY, validation: 'Edited' } })]).templates;
+    delete templates.hi.ANXIETY;
+    
+    expect(buildResponse(anxiety, 'hi', null, { templates }).message).toContain('Edited');
+    expect(buildResponse(anxiety, 'hi-IN', null, { templates }).quickReplies).toEqual(RESPONSE_TEMPLATES.hi.QUICK_REPLIES.category);
+  });
+});
+
+describe('getPublishedContent', () => {
+  test('loads published entries only, and caches them', async () => {
+    mockDb.chatContent.findMany.mockResolvedValue([entry()]);
+    
+    const content = await getPublishedContent();
+    await getPublishedContent();
+    
+    expect(content.templates.en.GENERAL.message).toBe('Published prompt');
+    expect(mockDb.chatContent.findMany).toHaveBeenCalledTimes(1);
+    expect(mockDb.chatContent.findMany).toHaveBeenCalledWith({ where: { status: 'PUBLISHED' } });
+  });
+  
+  test('keeps chat working on the defaults if the table is unavailable', async () => {
+    mockDb.chatContent.findMany.mockRejectedValue(new Error('no such table'));
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    const content = await getPublishedContent();
+    
+    consoleError.mockRestore();
+    expect(content.templates.en.GENERAL).toEqual(RESPONSE_TEMPLATES.en.GENERAL);
+  });
+});
+
+describe('getPreviewContent', () => {
+  test('drafts win over published content for the same slot', async () => {
+    mockDb.chatContent.findMany.mockResolvedValue([
+      entry({ id: 'draft', status: 'DRAFT', content: general('Draft prompt') }),
+      entry()
+    ]);
+    
+    const preview = await getPreviewContent();
+    
+    expect(preview.templates.en.GENERAL.message).toBe('Draft prompt');
+  });
+  
+  test('unsaved overrides win over drafts', async () => {
+    mockDb.chatContent.findMany.mockResolvedValue([entry({ status: 'DRAFT', content: general('Draft prompt') })]);
+    
+    const preview = await getPreviewContent([entry({ status: undefined, content: general('Unsaved prompt') })]);
+    
+    expect(preview.templates.en.GENERAL.message).toBe('Unsaved prompt');
+  });
+});
+
+describe('publishDraft', () => {
+  test('archives the published version and clears the cache', async () => {
+    mockDb.chatContent.findMany.mockResolvedValue([entry()]);
+    await getPublishedContent();
+    mockDb.chatContent.findFirst.mockResolvedValue(entry({ id: 'draft', status: 'DRAFT' }));
+    mockDb.chatContent.update.mockImplementation(({ data }) => Promise.resolve(entry({ id: 'draft', ...data })));
+    
+    const published = await publishDraft({ type: 'TEMPLATE', key: 'GENERAL', language: 'en', userId: 'admin-1' });
+    
+    expect(published.status).toBe('PUBLISHED');
+    expect(mockDb.chatContent.updateMany).toHaveBeenCalledWith({
+      where: { type: 'TEMPLATE', key: 'GENERAL', language: 'en', status: 'PUBLISHED' },
+      data: { status: 'ARCHIVED' }
+    });
+    
+    await getPublishedContent();
+    expect(mockDb.chatContent.findMany).toHaveBeenCalledTimes(2);
+  });
+  
+  test('needs a draft', async () => {
+    mockDb.chatContent.findFirst.mockResolvedValue(null);
+    
+    await expect(publishDraft({ type: 'TEMPLATE', key: 'GENERAL', language: 'en', userId: 'admin-1' }))
+      .rejects.toThrow('No draft to publish');
+  });
+});
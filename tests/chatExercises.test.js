@@ -0,0 +1,172 @@
+const mockDb = {
+  $transaction: jest.fn(operations => Promise.all(operations)),
+  chatSession: { findFirst: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  chatExercise: { findFirst: jest.fn(), update: jest.fn() },
+  chatMessage: { findMany: jest.fn(), create: jest.fn() },
+  chatRiskSnapshot: { create: jest.fn() },
+  chatContent: { findMany: jest.fn() },
+  crisisAlert: { findFirst: jest.fn(), create: jest.fn() },
+  screening: { findMany: jest.fn() },
+  config: { findUnique: jest.fn() },
+  analyticsEvent: { create: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+jest.mock('@prisma/client/runtime', () => ({
+  PrismaClientKnownRequestError: class PrismaClientKnownRequestError extends Error {}
+}), { virtual: true });
+
+const mockPublish = jest.fn();
+jest.mock('../server/services/chatStream', () => ({
+  ...jest.requireActual('../server/services/chatStream'),
+  publishToSession: (...args) => mockPublish(...args)
+}));
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const chatRoutes = require('../server/routes/chat');
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/v1/chat', chatRoutes);
+
+const session = {
+  id: 'session-1',
+  userId: null,
+  anonymousId: 'anon-1',
+  language: 'en',
+  riskScore: 0,
+  riskLevel: null,
+  crisisFlaggedAt: null,
+  takenOverById: null
+};
+
+// Thought record, on its first free-text step
+const run = {
+  id: 'run-1',
+  sessionId: 'session-1',
+  exercise: 'THOUGHT_RECORD',
+  status: 'ACTIVE',
+  stepIndex: 0,
+  responses: {}
+};
+
+const answer = (body) => request(app)
+  .post('/api/v1/chat/session/session-1/exercise/run-1')
+  .set('Cookie', 'anonymousId=anon-1')
+  .send(body);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDb.chatSession.findFirst.mockResolvedValue(session);
+  mockDb.chatSession.update.mockResolvedValue(session);
+  mockDb.chatSession.updateMany.mockResolvedValue({ count: 1 });
+  mockDb.chatExercise.findFirst.mockResolvedValue(run);
+  mockDb.chatExercise.update.mockImplementation(({ data }) => Promise.resolve({ ...run, ...data }));
+  mockDb.chatMessage.findMany.mockResolvedValue([]);
+  mockDb.chatMessage.create.mockImplementation(({ data }) => Promise.resolve({ id: `message-${data.sender}`, createdAt: new Date(), ...data }));
+  mockDb.chatRiskSnapshot.create.mockResolvedValue({});
+  mockDb.chatContent.findMany.mockResolvedValue([]);
+  mockDb.crisisAlert.findFirst.mockResolvedValue(null);
+  mockDb.crisisAlert.create.mockImplementation(({ data }) => Promise.resolve({ id: 'alert-1', ...data }));
+  mockDb.screening.findMany.mockResolvedValue([]);
+  mockDb.config.findUnique.mockResolvedValue(null);
+  mockDb.analyticsEvent.create.mockResolvedValue({});
+});
+
+describe('POST /api/v1/chat/session/:id/exercise/:exerciseId', () => {
+  test('a rejected answer saves nothing', async () => {
+    const res = await answer({ action: 'next', response: '' });
+    
+    expect(res.status).toBe(400);
+    expect(mockDb.chatMessage.create).not.toHaveBeenCalled();
+    expect(mockDb.chatExercise.update).not.toHaveBeenCalled();
+  });
+  
+  test('answers to a finished exercise save nothing', async () => {
+    mockDb.chatExercise.findFirst.mockResolvedValue({ ...run, status: 'COMPLETED' });
+    
+    const res = await answer({ action: 'next', response: 'I am going to fail the year' });
+    
+    expect(res.status).toBe(400);
+    expect(mockDb.chatMessage.create).not.toHaveBeenCalled();
+  });
+  
+  test('written answers are saved and count towards session risk', async () => {
+    const res = await answer({ action: 'next', response: 'I got a low mark on a quiz' });
+    
+    expect(res.status).toBe(200);
+    expect(mockDb.chatMessage.create).toHaveBeenCalledWith({
+      data: { sessionId: 'session-1', sender: 'USER', text: 'I got a low mark on a quiz' }
+    });
+    expect(mockDb.chatRiskSnapshot.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ sessionId: 'session-1', messageId: 'message-USER' })
+    });
+    expect(mockDb.chatExercise.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ stepIndex: 1 })
+    }));
+  });
+  
+  test('a disclosure ends the exercise through the same risk recording as chat messages', async () => {
+    const res = await answer({ action: 'next', response: 'I want to kill myself' });
+    
+    expect(res.status).toBe(200);
+    expect(res.body.botResponse.showCrisisBanner).toBe(true);
+    expect(res.body.exercise.status).toBe('ABANDONED');
+    expect(mockDb.chatRiskSnapshot.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ messageId: 'message-USER', level: 'crisis' })
+    });
+    expect(mockDb.chatSession.updateMany).toHaveBeenCalledWith({
+      where: { id: 'session-1', crisisFlaggedAt: null },
+      data: { crisisFlaggedAt: expect.any(Date) }
+    });
+    expect(mockDb.crisisAlert.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ sessionId: 'session-1', anonymousId: 'anon-1', severity: 'crisis' })
+    });
+  });
+  
+  test('answers to an ended session are refused', async () => {
+    mockDb.chatSession.findFirst.mockResolvedValue({ ...session, endedAt: new Date() });
+    
+    const res = await answer({ action: 'next', response: 'I got a low mark on a quiz' });
+    
+    expect(res.status).toBe(404);
+    expect(mockDb.chatMessage.create).not.toHaveBeenCalled();
+    expect(mockDb.chatExercise.update).not.toHaveBeenCalled();
+  });
+  
+  describe('while a counsellor has taken over', () => {
+    beforeEach(() => {
+      mockDb.chatSession.findFirst.mockResolvedValue({
+        ...session,
+        takenOverById: 'counsellor-1',
+        takeoverActiveAt: new Date()
+      });
+    });
+    
+    test('written answers go to the counsellor and the exercise stays paused', async () => {
+      const res = await answer({ action: 'next', response: 'I want to kill myself' });
+      
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({ botResponse: null, counsellorActive: true }));
+      expect(mockPublish).toHaveBeenCalledWith('session-1', 'message',
+        expect.objectContaining({ sender: 'USER', message: 'I want to kill myself' }));
+      expect(mockPublish).not.toHaveBeenCalledWith('session-1', 'crisis', expect.anything());
+      expect(mockDb.crisisAlert.create).toHaveBeenCalled();
+      expect(mockDb.chatExercise.update).not.toHaveBeenCalled();
+    });
+    
+    test('other steps are refused', async () => {
+      const res = await answer({ action: 'back' });
+      
+      expect(res.status).toBe(409);
+      expect(mockDb.chatMessage.create).not.toHaveBeenCalled();
+      expect(mockDb.chatExercise.update).not.toHaveBeenCalled();
+    });
+  });
+});
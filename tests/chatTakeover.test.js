@@ -0,0 +1,228 @@
+const mockDb = {
+  chatSession: { findUnique: jest.fn(), findMany: jest.fn(), updateMany: jest.fn() },
+  chatMessage: { create: jest.fn() },
+  analyticsEvent: { create: jest.fn() }
+};
+const mockPublish = jest.fn();
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+jest.mock('@prisma/client/runtime', () => ({
+  PrismaClientKnownRequestError: class PrismaClientKnownRequestError extends Error {}
+}), { virtual: true });
+
+jest.mock('../server/services/chatStream', () => ({
+  publishToSession: (...args) => mockPublish(...args)
+}));
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const adminRoutes = require('../server/routes/admin');
+const {
+  isTakeoverIdle,
+  takeOverSession,
+  touchTakeover,
+  hasActiveTakeover,
+  releaseIdleTakeovers,
+  TAKEOVER_IDLE_MINUTES
+} = require('../server/services/chatTakeover');
+
+const MINUTE_MS = 60 * 1000;
+const now = new Date(Date.UTC(2026, 0, 7, 12));
+
+const counsellor = { id: 'counsellor-user-1', name: 'Sarah', role: 'COUNSELLOR' };
+const otherCounsellor = { id: 'counsellor-user-2', name: 'Priya', role: 'COUNSELLOR' };
+
+const session = (overrides = {}) => ({
+  id: 'session-1',
+  endedAt: null,
+  lastSeverity: 'HIGH',
+  takenOverById: null,
+  takenOverAt: null,
+  takeoverActiveAt: null,
+  ...overrides
+});
+
+// Held by counsellor-user-1, last active a minute ago
+const heldSession = (overrides = {}) => session({
+  takenOverById: 'counsellor-user-1',
+  takenOverAt: new Date(now.getTime() - 5 * MINUTE_MS),
+  takeoverActiveAt: new Date(now.getTime() - MINUTE_MS),
+  ...overrides
+});
+
+const buildApp = (user) => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/v1/admin', adminRoutes);
+  return app;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDb.chatSession.updateMany.mockResolvedValue({ count: 1 });
+  mockDb.chatSession.findMany.mockResolvedValue([]);
+  mockDb.chatMessage.create.mockImplementation(({ data }) => Promise.resolve({ id: 'message-1', ...data }));
+  mockDb.analyticsEvent.create.mockResolvedValue({});
+});
+
+describe('isTakeoverIdle', () => {
+  test('idle once the counsellor has been inactive for the timeout', () => {
+    const idleAt = new Date(now.getTime() - MINUTE_MS + TAKEOVER_IDLE_MINUTES * MINUTE_MS);
+    
+    expect(isTakeoverIdle(heldSession(), now)).toBe(false);
+    expect(isTakeoverIdle(heldSession(), idleAt)).toBe(true);
+    expect(isTakeoverIdle(session(), idleAt)).toBe(false);
+  });
+  
+  test('falls back to the takeover time before any activity is recorded', () => {
+    const started = heldSession({ takeoverActiveAt: null });
+    
+    expect(isTakeoverIdle(started, now)).toBe(false);
+    expect(isTakeoverIdle(started, new Date(now.getTime() + TAKEOVER_IDLE_MINUTES * MINUTE_MS))).toBe(true);
+  });
+});
+
+describe('takeOverSession', () => {
+  test('guards on the holder that was read and tells the student', async () => {
+    const { started } = await takeOverSession(session(), counsellor, now);
+    
+    expect(started).toBe(true);
+    expect(mockDb.chatSession.updateMany).toHaveBeenCalledWith({
+      where: { id: 'session-1', takenOverById: null, endedAt: null },
+      data: { takenOverById: 'counsellor-user-1', takenOverAt: now, takeoverActiveAt: now }
+    });
+    expect(mockPublish).toHaveBeenCalledWith('session-1', 'takeover', expect.objectContaining({ counsellorName: 'Sarah' }));
+  });
+  
+  test('refuses while another counsellor is active, but not once they go idle', async () => {
+    await expect(takeOverSession(heldSession(), otherCounsellor, now)).rejects.toThrow('Chat session already taken over');
+    expect(mockDb.chatSession.updateMany).not.toHaveBeenCalled();
+    
+    const later = new Date(now.getTime() + TAKEOVER_IDLE_MINUTES * MINUTE_MS);
+    const { started } = await takeOverSession(heldSession(), otherCounsellor, later);
+    expect(started).toBe(true);
+    expect(mockDb.chatSession.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'session-1', takenOverById: 'counsellor-user-1', endedAt: null }
+    }));
+  });
+  
+  test('a takeover that loses the race is refused', async () => {
+    mockDb.chatSession.updateMany.mockResolvedValue({ count: 0 });
+    
+    await expect(takeOverSession(session(), counsellor, now)).rejects.toThrow('Chat session already taken over');
+    expect(mockPublish).not.toHaveBeenCalled();
+  });
+});
+
+describe('touchTakeover', () => {
+  test('only the holder, and only before the takeover expires', async () => {
+    await touchTakeover(heldSession(), counsellor, now);
+    expect(mockDb.chatSession.updateMany).toHaveBeenCalledWith({
+      where: { id: 'session-1', takenOverById: 'counsellor-user-1' },
+      data: { takeoverActiveAt: now }
+    });
+    
+    await expect(touchTakeover(heldSession(), otherCounsellor, now))
+      .rejects.toThrow('Take over the chat session before sending messages');
+    await expect(touchTakeover(heldSession(), counsellor, new Date(now.getTime() + TAKEOVER_IDLE_MINUTES * MINUTE_MS)))
+      .rejects.toThrow('Takeover expired after inactivity');
+  });
+});
+
+describe('hasActiveTakeover', () => {
+  test('hands an idle takeover back to the bot', async () => {
+    await expect(hasActiveTakeover(heldSession(), now)).resolves.toBe(true);
+    expect(mockDb.chatSession.updateMany).not.toHaveBeenCalled();
+    
+    const later = new Date(now.getTime() + TAKEOVER_IDLE_MINUTES * MINUTE_MS);
+    await expect(hasActiveTakeover(heldSession(), later)).resolves.toBe(false);
+    expect(mockDb.chatSession.updateMany).toHaveBeenCalledWith({
+      where: { id: 'session-1', takenOverById: 'counsellor-user-1' },
+      data: { takenOverById: null, takenOverAt: null, takeoverActiveAt: null }
+    });
+    expect(mockPublish).toHaveBeenCalledWith('session-1', 'handback', expect.objectContaining({ reason: 'idle' }));
+  });
+});
+
+describe('releaseIdleTakeovers', () => {
+  test('releases every idle takeover that has not changed hands', async () => {
+    const later = new Date(now.getTime() + TAKEOVER_IDLE_MINUTES * MINUTE_MS);
+    mockDb.chatSession.findMany.mockResolvedValue([heldSession(), heldSession({ id: 'session-2' })]);
+    mockDb.chatSession.updateMany
+      .mockResolvedValueOnce({ count: 1 })
+      .mockResolvedValueOnce({ count: 0 });
+    
+    const released = await releaseIdleTakeovers(later);
+    
+    expect(released.map(s => s.id)).toEqual(['session-1']);
+    expect(mockPublish).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('admin takeover routes', () => {
+  test('409 when another counsellor holds the session', async () => {
+    mockDb.chatSession.findUnique.mockResolvedValue(heldSession({ takeoverActiveAt: new Date() }));
+    
+    const res = await request(buildApp(otherCounsellor)).post('/api/v1/admin/chat/sessions/session-1/takeover');
+    
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Chat session already taken over');
+  });
+  
+  test('403 on messages from a counsellor who does not hold the session', async () => {
+    mockDb.chatSession.findUnique.mockResolvedValue(heldSession({ takeoverActiveAt: new Date() }));
+    
+    const res = await request(buildApp(otherCounsellor))
+      .post('/api/v1/admin/chat/sessions/session-1/messages')
+      .send({ text: 'Hello' });
+    
+    expect(res.status).toBe(403);
+    expect(mockDb.chatMessage.create).not.toHaveBeenCalled();
+  });
+  
+  test('messages from the holder count as activity', async () => {
+    mockDb.chatSession.findUnique.mockResolvedValue(heldSession({ takeoverActiveAt: new Date() }));
+    
+    const res = await request(buildApp(counsellor))
+      .post('/api/v1/admin/chat/sessions/session-1/messages')
+      .send({ text: 'Hello' });
+    
+    expect(res.status).toBe(201);
+    expect(mockDb.chatSession.updateMany).toHaveBeenCalledWith({
+      where: { id: 'session-1', takenOverById: 'counsellor-user-1' },
+      data: { takeoverActiveAt: expect.any(Date) }
+    });
+  });
+  
+  test('heartbeats keep only the holder\'s takeover alive', async () => {
+    mockDb.chatSession.findUnique.mockResolvedValue(heldSession({ takeoverActiveAt: new Date() }));
+    
+    const own = await request(buildApp(counsellor)).post('/api/v1/admin/chat/sessions/session-1/heartbeat');
+    expect(own.status).toBe(200);
+    expect(own.body.idleTimeoutMinutes).toBe(TAKEOVER_IDLE_MINUTES);
+    
+    const other = await request(buildApp(otherCounsellor)).post('/api/v1/admin/chat/sessions/session-1/heartbeat');
+    expect(other.status).toBe(403);
+  });
+  
+  test('403 when a counsellor hands back someone else\'s session, while admins can', async () => {
+    mockDb.chatSession.findUnique.mockResolvedValue(heldSession());
+    
+    const res = await request(buildApp(otherCounsellor)).post('/api/v1/admin/chat/sessions/session-1/handback');
+    expect(res.status).toBe(403);
+    expect(mockDb.chatSession.updateMany).not.toHaveBeenCalled();
+    
+    const admin = await request(buildApp({ id: 'admin-1', role: 'ADMIN' })).post('/api/v1/admin/chat/sessions/session-1/handback');
+    expect(admin.status).toBe(200);
+    expect(mockPublish).toHaveBeenCalledWith('session-1', 'handback', expect.objectContaining({ reason: 'handback' }));
+  });
+});
@@ -0,0 +1,59 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn()
+}));
+
+const {
+  buildResponse,
+  buildWelcome,
+  languageChain,
+  RESPONSE_TEMPLATES,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE
+} = require('../server/services/chatClassifier');
+
+const reference = RESPONSE_TEMPLATES[DEFAULT_LANGUAGE];
+
+describe.each(SUPPORTED_LANGUAGES)('%s response templates', (language) => {
+  test.each(Object.keys(reference))('%s is complete', (key) => {
+    const template = RESPONSE_TEMPLATES[language][key];
+    
+    expect(template).toBeDefined();
+    Object.entries(reference[key]).forEach(([field, value]) => {
+      if (Array.isArray(value)) {
+        expect(template[field]).toHaveLength(value.length);
+        template[field].forEach(item => expect(item.trim()).not.toBe(''));
+      } else {
+        expect(typeof template[field]).toBe('string');
+        expect(template[field].trim()).not.toBe('');
+      }
+    });
+  });
+});
+
+describe('language fallback', () => {
+  const anxiety = { category: 'ANXIETY', severity: 'moderate', crisis: false, confidence: 0.4 };
+  const crisis = { category: 'CRISIS', severity: 'crisis', crisis: true, confidence: 1 };
+  
+  test('tries the requested tag, its base language, then English', () => {
+    expect(languageChain('hi-IN')).toEqual(['hi-in', 'hi', 'en']);
+    expect(languageChain('fr')).toEqual(['fr', 'en']);
+    expect(languageChain(undefined)).toEqual(['en']);
+  });
+  
+  test('regional tags use the base language templates', () => {
+    expect(buildResponse(crisis, 'hi-IN').message).toContain(RESPONSE_TEMPLATES.hi.CRISIS.immediate_safety);
+  });
+  
+  test('unsupported languages get English', () => {
+    expect(buildResponse(anxiety, 'fr').message).toContain(RESPONSE_TEMPLATES.en.ANXIETY.validation);
+    expect(buildWelcome('fr').message).toBe(RESPONSE_TEMPLATES.en.WELCOME.message);
+  });
+  
+  test('a template missing from a language falls back to English', () => {
+    const templates = { en: RESPONSE_TEMPLATES.en, hi: { ...RESPONSE_TEMPLATES.hi, SLEEP: undefined } };
+    const response = buildResponse({ ...anxiety, category: 'SLEEP' }, 'hi', null, { templates });
+    
+    expect(response.message).toContain(RESPONSE_TEMPLATES.en.SLEEP.validation);
+    expect(response.quickReplies).toEqual(RESPONSE_TEMPLATES.hi.QUICK_REPLIES.category);
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => ({
+    config: { findUnique: jest.fn().mockResolvedValue(null) },
+    chatContent: { findMany: jest.fn().mockResolvedValue([]) }
+  }))
+}));
+
+const {
+  classifyWithEngine,
+  getEngine,
+  listEngines,
+  normaliseResult
+} = require('../server/services/classifiers');
+const { evaluate } = require('../server/services/classifiers/benchmark');
+const { SEVERITY_LEVELS } = require('../server/services/chatClassifier');
+const fixtures = require('./fixtures/chatClassification.json');
+
+const engineNames = listEngines().map(engine => engine.name);
+
+describe('classifier engines', () => {
+  test.each(engineNames)('%s returns the shared classification shape', async (name) => {
+    for (const fixture of fixtures) {
+      const result = await getEngine(name).classify(fixture.text, [], []);
+      
+      expect(typeof result.category).toBe('string');
+      expect(Object.values(SEVERITY_LEVELS)).toContain(result.severity);
+      expect(typeof result.crisis).toBe('boolean');
+      expect(result.confidence).toBeGreaterThanOrEqual(0);
+      expect(result.confidence).toBeLessThanOrEqual(1);
+    }
+  });
+  
+  test.each(engineNames)('%s never misses a labelled crisis behind the keyword safety floor', async (name) => {
+    const report = await evaluate(
+      (text, history, screenings) => classifyWithEngine(name, text, history, screenings),
+      fixtures
+    );
+    
+    expect(report.crisisFalseNegatives).toBe(0);
+  });
+  
+  test('naive bayes engine classifies the labelled fixtures', async () => {
+    const report = await evaluate(getEngine('naive-bayes').classify, fixtures);
+    
+    expect(report.accuracy).toBeGreaterThanOrEqual(0.75);
+  });
+  
+  test('falls back to the keyword engine when an engine fails', async () => {
+    const spy = jest.spyOn(getEngine('llm'), 'classify').mockRejectedValue(new Error('timeout'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    const result = await classifyWithEngine('llm', 'I want to kill myself', [], []);
+    
+    expect(result.crisis).toBe(true);
+    spy.mockRestore();
+    console.error.mockRestore();
+  });
+});
+
+describe('normaliseResult', () => {
+  test('rejects unknown severities', () => {
+    expect(() => normaliseResult({ category: 'ANXIETY', severity: 'extreme', crisis: false, confidence: 0.5 }))
+      .toThrow('unknown severity');
+  });
+  
+  test('forces crisis results to the CRISIS category and severity', () => {
+    expect(normaliseResult({ category: 'DEPRESSION', severity: 'high', crisis: true, confidence: 2 }))
+      .toEqual({ category: 'CRISIS', severity: SEVERITY_LEVELS.CRISIS, crisis: true, confidence: 1 });
+  });
+});
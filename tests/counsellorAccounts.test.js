@@ -0,0 +1,272 @@
+const mockDb = {
+  $transaction: jest.fn(callback => callback(mockDb)),
+  counsellor: { findFirst: jest.fn(), findUnique: jest.fn(), update: jest.fn() },
+  user: { findUnique: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  calendarFeed: { updateMany: jest.fn() },
+  counsellorInvite: { findUnique: jest.fn(), updateMany: jest.fn(), create: jest.fn() }
+};
+const mockSendEmail = jest.fn();
+const mockScheduleJob = jest.fn();
+const mockRegisterJobHandler = jest.fn();
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+jest.mock('../server/services/mailer', () => ({
+  sendEmail: (...args) => mockSendEmail(...args),
+  queueEmail: jest.fn()
+}));
+
+jest.mock('../server/services/jobRunner', () => ({
+  registerJobHandler: (...args) => mockRegisterJobHandler(...args),
+  scheduleJob: (...args) => mockScheduleJob(...args)
+}));
+
+const {
+  findCounsellorForUser,
+  linkAccount,
+  unlinkAccount,
+  createInvite,
+  findInvite,
+  acceptInvite,
+  acceptInviteAsNewUser,
+  sendInviteEmail,
+  hashToken,
+  INVITE_DAYS,
+  INVITE_EMAIL_JOB
+} = require('../server/services/counsellorAccounts');
+
+// Captured before beforeEach clears the mocks
+const registeredJobs = [...mockRegisterJobHandler.mock.calls];
+
+const now = new Date(Date.UTC(2026, 0, 5));
+
+const counsellor = (overrides = {}) => ({
+  id: 'counsellor-1',
+  name: 'Dr. Sarah Johnson',
+  email: 'sarah.johnson@example.com',
+  userId: null,
+  isActive: true,
+  ...overrides
+});
+
+const user = (overrides = {}) => ({
+  id: 'user-1',
+  email: 'sarah.johnson@example.com',
+  role: 'STUDENT',
+  counsellorProfile: null,
+  ...overrides
+});
+
+const openInvite = (overrides = {}) => ({
+  id: 'invite-1',
+  counsellorId: 'counsellor-1',
+  email: 'sarah.johnson@example.com',
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: new Date(now.getTime() + 24 * 60 * 60 * 1000),
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDb.counsellor.findUnique.mockResolvedValue(counsellor());
+  mockDb.counsellor.update.mockImplementation(({ data }) => Promise.resolve(counsellor(data)));
+  mockDb.user.findUnique.mockResolvedValue(user());
+  mockDb.counsellorInvite.updateMany.mockResolvedValue({ count: 1 });
+  mockDb.counsellorInvite.create.mockImplementation(({ data }) => Promise.resolve({ id: 'invite-1', ...data }));
+});
+
+describe('findCounsellorForUser', () => {
+  test('only matches an active profile linked to the account', async () => {
+    await findCounsellorForUser('user-1');
+    expect(mockDb.counsellor.findFirst).toHaveBeenCalledWith({
+      where: { userId: 'user-1', isActive: true }
+    });
+  });
+  
+  test('returns nothing without a user', async () => {
+    await expect(findCounsellorForUser(undefined)).resolves.toBeNull();
+    expect(mockDb.counsellor.findFirst).not.toHaveBeenCalled();
+  });
+});
+
+describe('linkAccount', () => {
+  test('links the profile and promotes a student', async () => {
+    const linked = await linkAccount('counsellor-1', 'user-1');
+    
+    expect(linked.userId).toBe('user-1');
+    expect(mockDb.user.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: { role: 'COUNSELLOR' }
+    });
+  });
+  
+  test('admins keep their role', async () => {
+    mockDb.user.findUnique.mockResolvedValue(user({ role: 'ADMIN' }));
+    
+    await linkAccount('counsellor-1', 'user-1');
+    expect(mockDb.user.update).not.toHaveBeenCalled();
+  });
+  
+  test('refuses profiles or accounts that are already linked elsewhere', async () => {
+    mockDb.counsellor.findUnique.mockResolvedValue(counsellor({ userId: 'user-2' }));
+    await expect(linkAccount('counsellor-1', 'user-1'))
+      .rejects.toThrow('Counsellor profile is already linked to another account');
+    
+    mockDb.counsellor.findUnique.mockResolvedValue(counsellor());
+    mockDb.user.findUnique.mockResolvedValue(user({ counsellorProfile: { id: 'counsellor-2' } }));
+    await expect(linkAccount('counsellor-1', 'user-1'))
+      .rejects.toThrow('Account is already linked to another counsellor profile');
+    
+    expect(mockDb.counsellor.update).not.toHaveBeenCalled();
+  });
+  
+  test('reports missing records', async () => {
+    mockDb.user.findUnique.mockResolvedValue(null);
+    await expect(linkAccount('counsellor-1', 'user-1')).rejects.toThrow('User not found');
+    
+    mockDb.counsellor.findUnique.mockResolvedValue(null);
+    await expect(linkAccount('counsellor-1', 'user-1')).rejects.toThrow('Counsellor not found');
+  });
+});
+
+describe('unlinkAccount', () => {
+  test('demotes the counsellor and turns off their counsellor calendar feed', async () => {
+    await unlinkAccount(counsellor({ userId: 'user-1' }));
+    
+    expect(mockDb.user.updateMany).toHaveBeenCalledWith({
+      where: { id: 'user-1', role: 'COUNSELLOR' },
+      data: { role: 'STUDENT' }
+    });
+    expect(mockDb.calendarFeed.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'user-1', scope: 'COUNSELLOR', revokedAt: null }
+    }));
+    expect(mockDb.counsellor.update).toHaveBeenCalledWith({
+      where: { id: 'counsellor-1' },
+      data: { userId: null }
+    });
+  });
+});
+
+describe('createInvite', () => {
+  test('stores only a hash of the token and queues the link for emailing', async () => {
+    const { invite, url } = await createInvite(counsellor(), 'Sarah.Johnson@example.com', 'admin-1', now);
+    const token = url.split('counsellor_invite=')[1];
+    
+    expect(invite.email).toBe('sarah.johnson@example.com');
+    expect(invite.tokenHash).toBe(hashToken(token));
+    expect(JSON.stringify(mockDb.counsellorInvite.create.mock.calls)).not.toContain(token);
+    expect(invite.expiresAt).toEqual(new Date(now.getTime() + INVITE_DAYS * 24 * 60 * 60 * 1000));
+    expect(mockScheduleJob).toHaveBeenCalledWith(INVITE_EMAIL_JOB, { inviteId: invite.id, url }, expect.objectContaining({
+      key: 'counsellor_invite:counsellor-1',
+      replace: true
+    }));
+  });
+  
+  test('the email job payload is cleared once it has run', () => {
+    expect(registeredJobs).toContainEqual([INVITE_EMAIL_JOB, sendInviteEmail, { redactPayload: true }]);
+  });
+  
+  test('replaces earlier open invites for the profile', async () => {
+    await createInvite(counsellor(), 'sarah.johnson@example.com', 'admin-1', now);
+    
+    expect(mockDb.counsellorInvite.updateMany).toHaveBeenCalledWith({
+      where: { counsellorId: 'counsellor-1', acceptedAt: null, revokedAt: null },
+      data: { revokedAt: now }
+    });
+  });
+});
+
+describe('sendInviteEmail', () => {
+  test('emails the link for an open invite', async () => {
+    mockDb.counsellorInvite.findUnique.mockResolvedValue({
+      ...openInvite({ expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) }),
+      counsellor: { name: 'Dr. Sarah Johnson' }
+    });
+    
+    await sendInviteEmail({ inviteId: 'invite-1', url: 'https://example.com/?counsellor_invite=abc' });
+    
+    expect(mockSendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'sarah.johnson@example.com',
+      text: expect.stringContaining('https://example.com/?counsellor_invite=abc')
+    }));
+  });
+  
+  test('skips invites that were revoked before the email went out', async () => {
+    mockDb.counsellorInvite.findUnique.mockResolvedValue({
+      ...openInvite({ revokedAt: now, expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) }),
+      counsellor: { name: 'Dr. Sarah Johnson' }
+    });
+    
+    await sendInviteEmail({ inviteId: 'invite-1', url: 'https://example.com/?counsellor_invite=abc' });
+    
+    expect(mockSendEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('findInvite', () => {
+  test('ignores used, revoked and expired invites', async () => {
+    mockDb.counsellorInvite.findUnique.mockResolvedValue(openInvite());
+    await expect(findInvite('token', now)).resolves.toEqual(openInvite());
+    expect(mockDb.counsellorInvite.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+      where: { tokenHash: hashToken('token') }
+    }));
+    
+    mockDb.counsellorInvite.findUnique.mockResolvedValue(openInvite({ acceptedAt: now }));
+    await expect(findInvite('token', now)).resolves.toBeNull();
+    
+    mockDb.counsellorInvite.findUnique.mockResolvedValue(openInvite({ revokedAt: now }));
+    await expect(findInvite('token', now)).resolves.toBeNull();
+    
+    mockDb.counsellorInvite.findUnique.mockResolvedValue(openInvite({ expiresAt: now }));
+    await expect(findInvite('token', now)).resolves.toBeNull();
+  });
+});
+
+describe('acceptInvite', () => {
+  test('links the account the invite was sent to', async () => {
+    const linked = await acceptInvite(openInvite(), user({ email: 'Sarah.Johnson@example.com' }));
+    
+    expect(linked.userId).toBe('user-1');
+    expect(mockDb.counsellorInvite.updateMany).toHaveBeenCalledWith({
+      where: { id: 'invite-1', acceptedAt: null, revokedAt: null },
+      data: { acceptedAt: expect.any(Date) }
+    });
+  });
+  
+  test('refuses other accounts', async () => {
+    await expect(acceptInvite(openInvite(), user({ email: 'someone@example.com' })))
+      .rejects.toThrow('Invite was sent to a different email address');
+    expect(mockDb.counsellor.update).not.toHaveBeenCalled();
+  });
+  
+  test('an invite can only be used once', async () => {
+    mockDb.counsellorInvite.updateMany.mockResolvedValue({ count: 0 });
+    
+    await expect(acceptInvite(openInvite(), user())).rejects.toThrow('Invite is no longer valid');
+    expect(mockDb.counsellor.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('acceptInviteAsNewUser', () => {
+  test('creates the account and links it in the same transaction', async () => {
+    const createUser = jest.fn().mockResolvedValue(user());
+    
+    const linked = await acceptInviteAsNewUser(openInvite(), createUser);
+    
+    expect(linked.userId).toBe('user-1');
+    expect(mockDb.$transaction).toHaveBeenCalledTimes(1);
+    expect(createUser).toHaveBeenCalledWith(mockDb);
+  });
+  
+  test('a failed accept fails the transaction that created the account', async () => {
+    mockDb.counsellorInvite.updateMany.mockResolvedValue({ count: 0 });
+    const createUser = jest.fn().mockResolvedValue(user());
+    
+    await expect(acceptInviteAsNewUser(openInvite(), createUser)).rejects.toThrow('Invite is no longer valid');
+    expect(createUser).toHaveBeenCalledWith(mockDb);
+    expect(mockDb.counsellor.update).not.toHaveBeenCalled();
+  });
+});
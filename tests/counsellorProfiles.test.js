@@ -0,0 +1,84 @@
+const Joi = require('joi');
+const {
+  profileFields,
+  directoryFilterSchema,
+  buildDirectoryWhere,
+  toDirectoryProfile
+} = require('../server/services/counsellorProfiles');
+
+const profileSchema = Joi.object(profileFields);
+
+describe('Counsellor profile fields', () => {
+  test('accept listed specialties, languages and modalities', () => {
+    const { error } = profileSchema.validate({
+      specialties: ['grief', 'lgbtq'],
+      languages: ['en', 'hi'],
+      gender: 'NON_BINARY',
+      modalities: ['IN_PERSON', 'VIDEO'],
+      bio: 'Works with students through loss and big transitions.'
+    });
+    expect(error).toBeUndefined();
+  });
+  
+  test('reject unknown values and duplicates', () => {
+    expect(profileSchema.validate({ specialties: ['astrology'] }).error).toBeDefined();
+    expect(profileSchema.validate({ languages: ['hindi'] }).error).toBeDefined();
+    expect(profileSchema.validate({ modalities: ['PHONE', 'PHONE'] }).error).toBeDefined();
+    expect(profileSchema.validate({ gender: 'OTHER' }).error).toBeDefined();
+  });
+  
+  test('a gender can be cleared', () => {
+    expect(profileSchema.validate({ gender: null }).error).toBeUndefined();
+  });
+});
+
+describe('buildDirectoryWhere', () => {
+  test('lists every active counsellor without filters', () => {
+    expect(buildDirectoryWhere()).toEqual({ isActive: true });
+  });
+  
+  test('combines filters, matching inside the JSON lists', () => {
+    const { value } = directoryFilterSchema.validate({ language: 'hi', gender: 'WOMAN', specialty: 'grief', modality: 'PHONE', department: 'Psychology' });
+    
+    expect(buildDirectoryWhere(value)).toEqual({
+      isActive: true,
+      specialties: { array_contains: 'grief' },
+      languages: { array_contains: 'hi' },
+      modalities: { array_contains: 'PHONE' },
+      gender: 'WOMAN',
+      department: 'Psychology'
+    });
+  });
+  
+  test('filters only accept listed values', () => {
+    expect(directoryFilterSchema.validate({ language: 'Hindi' }).error).toBeDefined();
+  });
+});
+
+describe('toDirectoryProfile', () => {
+  test('links the photo instead of exposing the stored file name', () => {
+    const profile = toDirectoryProfile({
+      id: 'counsellor-1',
+      name: 'Dr. Sarah Johnson',
+      specialties: ['anxiety'],
+      languages: ['en', 'hi'],
+      gender: 'WOMAN',
+      modalities: ['IN_PERSON'],
+      photoPath: 'a1b2c3.jpg',
+      createdAt: new Date()
+    });
+    
+    expect(profile.photoUrl).toBe('/api/v1/counsellors/counsellor-1/photo');
+    expect(profile).not.toHaveProperty('photoPath');
+    expect(profile).not.toHaveProperty('createdAt');
+    expect(profile.languages).toEqual(['en', 'hi']);
+  });
+  
+  test('has no photo URL or lists when they were never set', () => {
+    const profile = toDirectoryProfile({ id: 'counsellor-2', name: 'Dr. Michael Chen', gender: null });
+    
+    expect(profile.photoUrl).toBeNull();
+    expect(profile.specialties).toEqual([]);
+    expect(profile.modalities).toEqual([]);
+  });
+});
@@ -0,0 +1,49 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn()
+}));
+
+const { detectCrisis, tokenize } = require('../server/services/crisisDetection');
+const { classify } = require('../server/services/chatClassifier');
+const fixtures = require('./fixtures/crisisDetection.json');
+
+describe.each(Object.keys(fixtures))('crisis detection (%s)', (language) => {
+  test.each(fixtures[language].crisis)('flags "%s"', (text) => {
+    expect(detectCrisis(text).crisis).toBe(true);
+    expect(classify(text).crisis).toBe(true);
+  });
+  
+  test.each(fixtures[language].notCrisis)('does not flag "%s"', (text) => {
+    expect(detectCrisis(text).crisis).toBe(false);
+    expect(classify(text).crisis).toBe(false);
+  });
+});
+
+describe('detectCrisis', () => {
+  test('reports why a match was suppressed', () => {
+    expect(detectCrisis('I would never kill myself').suppressed).toEqual([
+      expect.objectContaining({ reason: 'negated' })
+    ]);
+    expect(detectCrisis('I could kill myself laughing').suppressed).toEqual([
+      expect.objectContaining({ reason: 'figurative' })
+    ]);
+  });
+  
+  test('negation does not reach across clauses', () => {
+    expect(detectCrisis('I never thought it would come to this, but I want to die').crisis).toBe(true);
+  });
+  
+  test('negation does not reach across a new subject or a standalone "no"', () => {
+    expect(detectCrisis('no no want to die').crisis).toBe(true);
+    expect(detectCrisis('I have no plans to kill myself').crisis).toBe(false);
+  });
+});
+
+describe('tokenize', () => {
+  test('undoes look-alike characters but leaves numbers alone', () => {
+    expect(tokenize('k1ll at 3am, 4 times')).toEqual(['kill', 'at', '3am', null, '4', 'times']);
+  });
+  
+  test('folds split negations and hyphenated words', () => {
+    expect(tokenize('I can not do self-harm')).toEqual(['i', 'cant', 'do', 'self', 'harm']);
+  });
+});
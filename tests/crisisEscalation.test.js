@@ -0,0 +1,159 @@
+const mockDb = {
+  crisisAlert: { findFirst: jest.fn(), findMany: jest.fn(), create: jest.fn(), update: jest.fn() },
+  user: { findMany: jest.fn() },
+  notification: { create: jest.fn() },
+  analyticsEvent: { create: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+const mockQueueEmail = jest.fn();
+jest.mock('../server/services/mailer', () => ({
+  sendEmail: jest.fn(),
+  queueEmail: (...args) => mockQueueEmail(...args)
+}));
+
+const {
+  raiseCrisisAlert,
+  isOverdue,
+  escalationRoles,
+  escalateOverdueAlerts,
+  crisisEvents,
+  ACK_SLA_MINUTES
+} = require('../server/services/crisisEscalation');
+
+const MINUTE_MS = 60 * 1000;
+const now = new Date(Date.UTC(2026, 0, 7, 12));
+
+const alert = (overrides = {}) => ({
+  id: 'alert-1',
+  source: 'CHAT',
+  sessionId: 'session-1',
+  status: 'OPEN',
+  escalationLevel: 0,
+  lastEscalatedAt: null,
+  excerpt: 'I want to end it all',
+  createdAt: new Date(now.getTime() - ACK_SLA_MINUTES * MINUTE_MS),
+  ...overrides
+});
+
+const staff = [
+  { id: 'counsellor-1', email: 'sarah.johnson@example.com', passwordHash: 'hash' },
+  { id: 'counsellor-2', email: 'priya.sharma@example.com', passwordHash: 'hash' }
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDb.crisisAlert.findFirst.mockResolvedValue(null);
+  mockDb.crisisAlert.findMany.mockResolvedValue([]);
+  mockDb.crisisAlert.create.mockImplementation(({ data }) => Promise.resolve(alert(data)));
+  mockDb.crisisAlert.update.mockImplementation(({ where, data }) => Promise.resolve(alert({ id: where.id, ...data })));
+  mockDb.user.findMany.mockResolvedValue(staff);
+  mockDb.notification.create.mockImplementation(({ data }) => Promise.resolve({ id: 'notification-1', ...data }));
+  mockDb.analyticsEvent.create.mockResolvedValue({});
+});
+
+describe('raiseCrisisAlert', () => {
+  test('creates an alert with a trimmed excerpt', async () => {
+    const created = await raiseCrisisAlert({ sessionId: 'session-1', userId: 'student-1', severity: 'CRISIS', text: 'x'.repeat(500) });
+    
+    expect(created.excerpt).toHaveLength(280);
+    expect(mockDb.crisisAlert.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ source: 'CHAT', sessionId: 'session-1', userId: 'student-1', anonymousId: null })
+    });
+  });
+  
+  test('reuses the active alert for the same source record', async () => {
+    const existing = alert({ status: 'ACKNOWLEDGED' });
+    mockDb.crisisAlert.findFirst.mockResolvedValue(existing);
+    const listener = jest.fn();
+    crisisEvents.on('alert:created', listener);
+    
+    await expect(raiseCrisisAlert({ sessionId: 'session-1', severity: 'CRISIS', text: 'again' })).resolves.toBe(existing);
+    
+    crisisEvents.off('alert:created', listener);
+    expect(mockDb.crisisAlert.findFirst).toHaveBeenCalledWith({
+      where: { sessionId: 'session-1', status: { in: ['OPEN', 'ACKNOWLEDGED'] } }
+    });
+    expect(mockDb.crisisAlert.create).not.toHaveBeenCalled();
+    expect(listener).not.toHaveBeenCalled();
+  });
+  
+  test('matches screenings and bookings on their own record', async () => {
+    await raiseCrisisAlert({ source: 'SCREENING', screeningId: 'screening-1', severity: 'CRISIS' });
+    expect(mockDb.crisisAlert.findFirst).toHaveBeenLastCalledWith({
+      where: { screeningId: 'screening-1', status: { in: ['OPEN', 'ACKNOWLEDGED'] } }
+    });
+    
+    await raiseCrisisAlert({ source: 'BOOKING_INTAKE', bookingId: 'booking-1', severity: 'CRISIS' });
+    expect(mockDb.crisisAlert.findFirst).toHaveBeenLastCalledWith({
+      where: { bookingId: 'booking-1', status: { in: ['OPEN', 'ACKNOWLEDGED'] } }
+    });
+  });
+});
+
+describe('isOverdue', () => {
+  test('open alerts breach the SLA from creation, then from the last escalation', () => {
+    expect(isOverdue(alert(), now)).toBe(true);
+    expect(isOverdue(alert({ createdAt: new Date(now.getTime() - MINUTE_MS) }), now)).toBe(false);
+    expect(isOverdue(alert({ lastEscalatedAt: new Date(now.getTime() - MINUTE_MS) }), now)).toBe(false);
+  });
+  
+  test('acknowledged and resolved alerts never are', () => {
+    expect(isOverdue(alert({ status: 'ACKNOWLEDGED' }), now)).toBe(false);
+    expect(isOverdue(alert({ status: 'RESOLVED' }), now)).toBe(false);
+  });
+});
+
+describe('escalationRoles', () => {
+  test('admins join from the second escalation', () => {
+    expect(escalationRoles(1)).toEqual(['COUNSELLOR']);
+    expect(escalationRoles(2)).toEqual(['COUNSELLOR', 'ADMIN']);
+  });
+});
+
+describe('escalateOverdueAlerts', () => {
+  test('bumps overdue alerts and notifies on-call staff in-app and by email', async () => {
+    mockDb.crisisAlert.findMany.mockResolvedValue([
+      alert(),
+      alert({ id: 'alert-2', lastEscalatedAt: new Date(now.getTime() - MINUTE_MS), escalationLevel: 1 })
+    ]);
+    
+    const escalated = await escalateOverdueAlerts(now);
+    
+    expect(escalated.map(item => item.id)).toEqual(['alert-1']);
+    expect(mockDb.crisisAlert.update).toHaveBeenCalledWith({
+      where: { id: 'alert-1' },
+      data: { escalationLevel: 1, lastEscalatedAt: now }
+    });
+    expect(mockDb.user.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { role: { in: ['COUNSELLOR'] }, passwordHash: { not: 'DELETED' } }
+    }));
+    expect(mockDb.notification.create).toHaveBeenCalledTimes(2);
+    expect(mockQueueEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'sarah.johnson@example.com' }));
+    expect(mockQueueEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'priya.sharma@example.com' }));
+  });
+  
+  test('notifications never carry what the student wrote', async () => {
+    mockDb.crisisAlert.findMany.mockResolvedValue([alert()]);
+    
+    await escalateOverdueAlerts(now);
+    
+    expect(JSON.stringify(mockDb.notification.create.mock.calls)).not.toContain('end it all');
+    expect(JSON.stringify(mockQueueEmail.mock.calls)).not.toContain('end it all');
+  });
+  
+  test('a failed notification does not stop other alerts escalating', async () => {
+    mockDb.crisisAlert.findMany.mockResolvedValue([alert(), alert({ id: 'alert-2' })]);
+    mockDb.user.findMany.mockRejectedValueOnce(new Error('database unavailable'));
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    const escalated = await escalateOverdueAlerts(now);
+    
+    consoleError.mockRestore();
+    expect(escalated.map(item => item.id)).toEqual(['alert-1', 'alert-2']);
+    expect(mockDb.notification.create).toHaveBeenCalledTimes(2);
+  });
+});
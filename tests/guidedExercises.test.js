@@ -0,0 +1,67 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn()
+}));
+
+const { transition, renderExercise, listExercises, EXERCISES } = require('../server/services/guidedExercises');
+
+const newRun = (exercise) => ({
+  id: 'run-1',
+  exercise,
+  status: 'ACTIVE',
+  stepIndex: 0,
+  responses: {}
+});
+
+const apply = (run, action, response) => ({ ...run, ...transition(run, action, response) });
+
+describe('guided exercise state machine', () => {
+  test('walks a thought record to completion', () => {
+    const answers = [
+      'I got a low mark on a quiz', 'I am going to fail the year', 80, 'Anxious, 7/10',
+      'I got 4 out of 10', 'I passed the last two quizzes', 'One quiz is not the whole year', 35
+    ];
+    
+    const run = answers.reduce((current, answer) => apply(current, 'next', answer), newRun('THOUGHT_RECORD'));
+    
+    expect(run.status).toBe('COMPLETED');
+    expect(run.completedAt).toBeInstanceOf(Date);
+    expect(run.responses).toMatchObject({ belief_before: 80, belief_after: 35 });
+  });
+  
+  test('splits typed grounding answers into items', () => {
+    const run = apply(newRun('GROUNDING_54321'), 'next', 'desk, lamp\nwindow');
+    
+    expect(run.stepIndex).toBe(1);
+    expect(run.responses.see).toEqual(['desk', 'lamp', 'window']);
+  });
+  
+  test('rejects answers that do not fit the step', () => {
+    expect(() => transition(newRun('GROUNDING_54321'), 'next', '')).toThrow('Invalid response');
+    expect(() => transition(newRun('SLEEP_HYGIENE'), 'next', ['not_a_habit'])).toThrow('Invalid response');
+    expect(() => transition({ ...newRun('BOX_BREATHING'), stepIndex: 2 }, 'next', 11)).toThrow('Invalid response');
+  });
+  
+  test('can go back and abandon, but not continue a finished run', () => {
+    const run = apply(apply(newRun('BOX_BREATHING'), 'next'), 'back');
+    expect(run.stepIndex).toBe(0);
+    
+    const abandoned = apply(run, 'abandon');
+    expect(abandoned.status).toBe('ABANDONED');
+    expect(() => transition(abandoned, 'next')).toThrow('not active');
+  });
+});
+
+describe('renderExercise', () => {
+  test('localises the current step with English fallback', () => {
+    const view = renderExercise({ ...newRun('BOX_BREATHING'), stepIndex: 1 }, 'hi-IN');
+    
+    expect(view.title).toBe(EXERCISES.BOX_BREATHING.title.hi);
+    expect(view.step).toMatchObject({ type: 'timer', cycles: 4 });
+    expect(view.step.phases[0].label).toBe('सांस अंदर लें');
+    expect(renderExercise(newRun('BOX_BREATHING'), 'fr').title).toBe('Box breathing');
+  });
+  
+  test('offers exercises that match a category', () => {
+    expect(listExercises('en', 'SLEEP').map(e => e.key)).toEqual(['SLEEP_HYGIENE']);
+  });
+});
@@ -0,0 +1,171 @@
+const mockTx = {
+  calendarFeed: { updateMany: jest.fn(), create: jest.fn() }
+};
+const mockDb = {
+  $transaction: jest.fn(callback => callback(mockTx)),
+  calendarFeed: { findUnique: jest.fn(), update: jest.fn() },
+  booking: { findMany: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+const { escapeText, formatDateTime, foldLine, buildEvent, buildCalendar } = require('../server/services/icalendar');
+const { createFeed, findFeed, renderFeed, hashToken, FEED_SCOPES } = require('../server/services/calendarFeeds');
+
+const now = new Date(Date.UTC(2026, 0, 5));
+const sessionTime = new Date(Date.UTC(2026, 0, 7, 10));
+
+const booking = (overrides) => ({
+  id: 'booking-1',
+  status: 'CONFIRMED',
+  timeSlot: sessionTime,
+  proposedTimeSlot: null,
+  anonymity: false,
+  notes: 'Please call me Priya',
+  createdAt: now,
+  updatedAt: new Date(Date.UTC(2026, 0, 6)),
+  counsellor: { name: 'Dr. Sarah Johnson', room: 'Room 201, Block A', sessionMinutes: 50 },
+  user: { name: 'Priya Sharma' },
+  ...overrides
+});
+
+const property = (lines, name) => lines.find(line => line.startsWith(`${name}:`))?.slice(name.length + 1);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockTx.calendarFeed.updateMany.mockResolvedValue({ count: 1 });
+  mockTx.calendarFeed.create.mockImplementation(({ data }) => Promise.resolve({ id: 'feed-1', ...data }));
+  mockDb.calendarFeed.update.mockResolvedValue({});
+  mockDb.booking.findMany.mockResolvedValue([booking()]);
+});
+
+describe('formatting', () => {
+  test('escapes text and formats UTC times', () => {
+    expect(escapeText('Room 201, Block A; line\nbreak \\')).toBe('Room 201\\, Block A\\; line\\nbreak \\\\');
+    expect(formatDateTime(sessionTime)).toBe('20260107T100000Z');
+  });
+  
+  test('folds long lines without splitting characters', () => {
+    const folded = foldLine(`SUMMARY:${'परामर्श '.repeat(12)}`);
+    const parts = folded.split('\r\n');
+    
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach((part, index) => {
+      expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+      if (index > 0) expect(part.startsWith(' ')).toBe(true);
+    });
+    expect(parts.map((part, index) => (index ? part.slice(1) : part)).join('')).toBe(`SUMMARY:${'परामर्श '.repeat(12)}`);
+  });
+});
+
+describe('buildEvent', () => {
+  test('describes the session for the student without their notes', () => {
+    const lines = buildEvent(booking());
+    
+    expect(property(lines, 'UID')).toMatch(/^booking-1@/);
+    expect(property(lines, 'DTSTART')).toBe('20260107T100000Z');
+    expect(property(lines, 'DTEND')).toBe('20260107T105000Z');
+    expect(property(lines, 'SUMMARY')).toBe('Counselling session with Dr. Sarah Johnson');
+    expect(property(lines, 'LOCATION')).toBe('Room 201\\, Block A');
+    expect(property(lines, 'STATUS')).toBe('CONFIRMED');
+    expect(lines.join('\n')).not.toMatch(/Please call me/);
+  });
+  
+  test('maps booking statuses so calendars update or remove the event', () => {
+    expect(property(buildEvent(booking({ status: 'REQUESTED' })), 'STATUS')).toBe('TENTATIVE');
+    expect(property(buildEvent(booking({ status: 'CANCELLED' })), 'STATUS')).toBe('CANCELLED');
+    expect(property(buildEvent(booking({ status: 'DECLINED' })), 'STATUS')).toBe('CANCELLED');
+  });
+  
+  test('raises the sequence when the booking changes', () => {
+    const before = Number(property(buildEvent(booking()), 'SEQUENCE'));
+    const after = Number(property(buildEvent(booking({ updatedAt: new Date(Date.UTC(2026, 0, 6, 1)) })), 'SEQUENCE'));
+    
+    expect(after).toBeGreaterThan(before);
+  });
+  
+  test('names the student to the counsellor only when the booking is not anonymous', () => {
+    expect(property(buildEvent(booking(), 'counsellor'), 'SUMMARY')).toBe('Counselling session: Priya Sharma');
+    expect(property(buildEvent(booking({ anonymity: true }), 'counsellor'), 'SUMMARY'))
+      .toBe('Counselling session (anonymous student)');
+    expect(buildEvent(booking({ anonymity: true }), 'counsellor').join('\n')).not.toMatch(/Priya/);
+  });
+});
+
+describe('buildCalendar', () => {
+  test('wraps events in a published calendar with CRLF line endings', () => {
+    const calendar = buildCalendar([booking(), booking({ id: 'booking-2' })], { name: 'My sessions' });
+    
+    expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar).toContain('METHOD:PUBLISH');
+    expect(calendar).toContain('X-WR-CALNAME:My sessions');
+    expect(calendar.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(calendar.replace(/\r\n/g, '')).not.toMatch(/\n/);
+  });
+});
+
+describe('calendar feeds', () => {
+  test('store only a hash of the token and revoke the previous feed', async () => {
+    const { token, url } = await createFeed('user-1', FEED_SCOPES.STUDENT, 'counsellor-1');
+    
+    expect(mockTx.calendarFeed.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'user-1', scope: FEED_SCOPES.STUDENT, revokedAt: null }
+    }));
+    expect(mockTx.calendarFeed.create).toHaveBeenCalledWith({
+      data: { tokenHash: hashToken(token), userId: 'user-1', scope: FEED_SCOPES.STUDENT, counsellorId: null }
+    });
+    expect(JSON.stringify(mockTx.calendarFeed.create.mock.calls)).not.toContain(token);
+    expect(url).toMatch(new RegExp(`/api/v1/bookings/feed/${token}\\.ics$`));
+  });
+  
+  test('stop working once revoked or when the counsellor profile is unlinked', async () => {
+    const feed = {
+      id: 'feed-1',
+      userId: 'user-1',
+      scope: FEED_SCOPES.COUNSELLOR,
+      revokedAt: null,
+      user: { id: 'user-1', role: 'COUNSELLOR' },
+      counsellor: { id: 'counsellor-1', name: 'Dr. Sarah Johnson', isActive: true, userId: 'user-1' }
+    };
+    
+    mockDb.calendarFeed.findUnique.mockResolvedValue(feed);
+    await expect(findFeed('token')).resolves.toBe(feed);
+    expect(mockDb.calendarFeed.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+      where: { tokenHash: hashToken('token') }
+    }));
+    
+    mockDb.calendarFeed.findUnique.mockResolvedValue({ ...feed, revokedAt: now });
+    await expect(findFeed('token')).resolves.toBeNull();
+    
+    mockDb.calendarFeed.findUnique.mockResolvedValue({ ...feed, counsellor: { ...feed.counsellor, userId: null } });
+    await expect(findFeed('token')).resolves.toBeNull();
+    
+    mockDb.calendarFeed.findUnique.mockResolvedValue({ ...feed, counsellor: { ...feed.counsellor, isActive: false } });
+    await expect(findFeed('token')).resolves.toBeNull();
+  });
+  
+  test('render the counsellor schedule including cancellations', async () => {
+    mockDb.booking.findMany.mockResolvedValue([booking({ anonymity: true, status: 'CANCELLED' })]);
+    
+    const calendar = await renderFeed({
+      id: 'feed-1',
+      scope: FEED_SCOPES.COUNSELLOR,
+      counsellorId: 'counsellor-1',
+      counsellor: { name: 'Dr. Sarah Johnson' }
+    }, now);
+    
+    expect(mockDb.booking.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { counsellorId: 'counsellor-1', timeSlot: { gte: new Date(Date.UTC(2025, 11, 6)) } }
+    }));
+    expect(mockDb.booking.findMany.mock.calls[0][0].select).not.toHaveProperty('notes');
+    expect(calendar).toContain('STATUS:CANCELLED');
+    expect(calendar).not.toMatch(/Priya/);
+    expect(mockDb.calendarFeed.update).toHaveBeenCalledWith({
+      where: { id: 'feed-1' },
+      data: { lastAccessedAt: now }
+    });
+  });
+});
@@ -0,0 +1,26 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn()
+}));
+
+const { sendEmail } = require('../server/services/mailer');
+
+describe('sendEmail without SMTP', () => {
+  test('logs that the email was skipped, but not who it was for or what it was about', async () => {
+    delete process.env.SMTP_HOST;
+    delete process.env.MAIL_OUTBOX_DIR;
+    const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    
+    await sendEmail({
+      to: 'student@example.com',
+      subject: 'Your counselling session is confirmed',
+      text: 'See you on Monday.'
+    });
+    
+    const logged = consoleLog.mock.calls.flat().join(' ');
+    consoleLog.mockRestore();
+    
+    expect(logged).toContain('email not sent');
+    expect(logged).not.toContain('student@example.com');
+    expect(logged).not.toContain('counselling session');
+  });
+});
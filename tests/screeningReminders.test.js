@@ -0,0 +1,235 @@
+const mockDb = {
+  job: {
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  notification: { create: jest.fn() },
+  screeningReminderOptOut: { findUnique: jest.fn() },
+  user: { findUnique: jest.fn() },
+  analyticsEvent: { create: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+const {
+  scheduleScreeningReminder,
+  sendScreeningReminder,
+  getReminderDays,
+  getReminderTypes,
+  getReminderText,
+  reminderKey,
+  REMINDER_JOB
+} = require('../server/services/screeningReminders');
+const { registerJobHandler, runJob, retryDelay } = require('../server/services/jobRunner');
+const { EMAIL_JOB } = require('../server/services/mailer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const takenAt = new Date(Date.UTC(2026, 0, 1));
+const now = new Date(Date.UTC(2026, 0, 2));
+
+const screening = (overrides) => ({
+  id: 'screening-1',
+  userId: 'user-1',
+  type: 'PHQ9',
+  severityBand: 'moderate',
+  consent: true,
+  createdAt: takenAt,
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDb.job.create.mockImplementation(({ data }) => Promise.resolve({ id: 'job-1', ...data }));
+  mockDb.job.update.mockResolvedValue({});
+  mockDb.job.updateMany.mockResolvedValue({ count: 1 });
+  mockDb.notification.create.mockImplementation(({ data }) => Promise.resolve({ id: 'notification-1', ...data }));
+  mockDb.screeningReminderOptOut.findUnique.mockResolvedValue(null);
+  mockDb.analyticsEvent.create.mockResolvedValue({});
+});
+
+describe('reminder intervals', () => {
+  test('come from the severity band in the instrument definition', () => {
+    expect(getReminderDays('PHQ9', 'mild')).toBe(28);
+    expect(getReminderDays('PHQ9', 'moderate')).toBe(14);
+    expect(getReminderDays('GAD7', 'severe')).toBe(14);
+    expect(getReminderDays('PHQ9', 'minimal')).toBeNull();
+    expect(getReminderDays('PSS10', 'high')).toBeNull();
+  });
+  
+  test('are only offered for PHQ-9 and GAD-7', () => {
+    expect(getReminderTypes()).toEqual(['GAD7', 'PHQ9']);
+  });
+});
+
+describe('scheduleScreeningReminder', () => {
+  test('schedules a reminder two weeks after a moderate PHQ-9', async () => {
+    const job = await scheduleScreeningReminder(screening(), now);
+    
+    expect(mockDb.job.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { key: reminderKey('user-1', 'PHQ9'), status: 'PENDING' }
+    }));
+    expect(job).toMatchObject({
+      type: REMINDER_JOB,
+      key: reminderKey('user-1', 'PHQ9'),
+      payload: { userId: 'user-1', type: 'PHQ9', screeningId: 'screening-1', days: 14 }
+    });
+    expect(job.runAt.getTime()).toBe(takenAt.getTime() + 14 * DAY_MS);
+  });
+  
+  test('cancels the pending reminder without a new one after a minimal result', async () => {
+    const job = await scheduleScreeningReminder(screening({ severityBand: 'minimal' }), now);
+    
+    expect(job).toBeNull();
+    expect(mockDb.job.updateMany).toHaveBeenCalled();
+    expect(mockDb.job.create).not.toHaveBeenCalled();
+  });
+  
+  test('never schedules for anonymous or unconsented screenings', async () => {
+    expect(await scheduleScreeningReminder(screening({ userId: null }), now)).toBeNull();
+    expect(await scheduleScreeningReminder(screening({ consent: false }), now)).toBeNull();
+    expect(mockDb.job.updateMany).not.toHaveBeenCalled();
+    expect(mockDb.job.create).not.toHaveBeenCalled();
+  });
+  
+  test('respects a per-instrument opt-out', async () => {
+    mockDb.screeningReminderOptOut.findUnique.mockResolvedValue({ id: 'opt-out-1' });
+    
+    expect(await scheduleScreeningReminder(screening(), now)).toBeNull();
+    expect(mockDb.screeningReminderOptOut.findUnique).toHaveBeenCalledWith({
+      where: { userId_type: { userId: 'user-1', type: 'PHQ9' } }
+    });
+    expect(mockDb.job.create).not.toHaveBeenCalled();
+  });
+  
+  test('skips reminders that would already be overdue', async () => {
+    const later = new Date(takenAt.getTime() + 30 * DAY_MS);
+    
+    expect(await scheduleScreeningReminder(screening({ severityBand: 'mild' }), later)).toBeNull();
+  });
+});
+
+describe('sendScreeningReminder', () => {
+  const user = (overrides) => ({
+    id: 'user-1',
+    email: 'student@example.com',
+    passwordHash: 'hash',
+    preferredLanguage: 'en',
+    screeningReminderOptOuts: [],
+    ...overrides
+  });
+  
+  test('creates an in-app notification and queues an email', async () => {
+    mockDb.user.findUnique.mockResolvedValue(user());
+    
+    await sendScreeningReminder({ userId: 'user-1', type: 'PHQ9', days: 14 });
+    
+    expect(mockDb.notification.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ userId: 'user-1', type: REMINDER_JOB, link: '/screenings' })
+    });
+    expect(mockDb.job.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        type: EMAIL_JOB,
+        payload: expect.objectContaining({ to: 'student@example.com' })
+      })
+    });
+  });
+  
+  test('sends nothing after an opt-out or to deleted accounts', async () => {
+    mockDb.user.findUnique.mockResolvedValue(user({ screeningReminderOptOuts: [{ id: 'opt-out-1' }] }));
+    await sendScreeningReminder({ userId: 'user-1', type: 'PHQ9', days: 14 });
+    
+    mockDb.user.findUnique.mockResolvedValue(user({ passwordHash: 'DELETED' }));
+    await sendScreeningReminder({ userId: 'user-1', type: 'PHQ9', days: 14 });
+    
+    expect(mockDb.notification.create).not.toHaveBeenCalled();
+    expect(mockDb.job.create).not.toHaveBeenCalled();
+  });
+  
+  test('is localised with an English fallback', () => {
+    expect(getReminderText('GAD7', 28, 'hi').body).toContain('GAD-7');
+    expect(getReminderText('GAD7', 28, 'hi').body).toContain('28');
+    expect(getReminderText('PHQ9', 14, 'fr')).toEqual(getReminderText('PHQ9', 14, 'en'));
+  });
+});
+
+describe('jobRunner', () => {
+  const job = (overrides) => ({
+    id: 'job-1',
+    type: 'test_job',
+    payload: { value: 1 },
+    runAt: now,
+    attempts: 0,
+    maxAttempts: 3,
+    ...overrides
+  });
+  
+  test('runs the registered handler and marks the job completed', async () => {
+    const handler = jest.fn().mockResolvedValue();
+    registerJobHandler('test_job', handler);
+    
+    expect(await runJob(job(), now)).toBe('COMPLETED');
+    expect(handler).toHaveBeenCalledWith({ value: 1 }, expect.objectContaining({ id: 'job-1' }));
+    expect(mockDb.job.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ status: 'COMPLETED' })
+    }));
+  });
+  
+  test('retries failures with backoff until maxAttempts', async () => {
+    registerJobHandler('test_job', jest.fn().mockRejectedValue(new Error('SMTP down')));
+    
+    expect(await runJob(job(), now)).toBe('PENDING');
+    expect(mockDb.job.update).toHaveBeenLastCalledWith(expect.objectContaining({
+      data: expect.objectContaining({
+        status: 'PENDING',
+        runAt: new Date(now.getTime() + retryDelay(1)),
+        lastError: 'SMTP down'
+      })
+    }));
+    
+    expect(await runJob(job({ attempts: 2 }), now)).toBe('FAILED');
+  });
+  
+  test('backs off exponentially up to an hour', () => {
+    expect(retryDelay(1)).toBe(60 * 1000);
+    expect(retryDelay(2)).toBe(2 * 60 * 1000);
+    expect(retryDelay(20)).toBe(60 * 60 * 1000);
+  });
+  
+  test('leaves jobs another worker has already claimed', async () => {
+    const handler = jest.fn();
+    registerJobHandler('test_job', handler);
+    mockDb.job.updateMany.mockResolvedValue({ count: 0 });
+    
+    expect(await runJob(job(), now)).toBeNull();
+    expect(handler).not.toHaveBeenCalled();
+  });
+  
+  test('clears redacted payloads once the job has run', async () => {
+    registerJobHandler('test_job', jest.fn().mockResolvedValue(), { redactPayload: true });
+    
+    expect(await runJob(job(), now)).toBe('COMPLETED');
+    expect(mockDb.job.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ status: 'COMPLETED', payload: {} })
+    }));
+    
+    registerJobHandler('test_job', jest.fn().mockRejectedValue(new Error('SMTP down')), { redactPayload: true });
+    await runJob(job(), now);
+    expect(mockDb.job.update).toHaveBeenLastCalledWith(expect.objectContaining({
+      data: expect.not.objectContaining({ payload: {} })
+    }));
+    
+    await runJob(job({ attempts: 2 }), now);
+    expect(mockDb.job.update).toHaveBeenLastCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ status: 'FAILED', payload: {} })
+    }));
+    
+    registerJobHandler('test_job', jest.fn());
+  });
+  
+  test('fails jobs with no registered handler', async () => {
+    expect(await runJob(job({ type: 'unknown_job' }), now)).toBe('FAILED');
+  });
+});
@@ -0,0 +1,120 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn()
+}));
+
+const {
+  scoreScreening,
+  getRecommendations,
+  getSafetyResponse,
+  describeSafetyFlags
+} = require('../server/services/screeningScorer');
+const { getInstrument, listInstruments, validateDefinition } = require('../server/services/instruments');
+
+describe('screening scorer', () => {
+  test('reverse scores PSS-10 items 4, 5, 7 and 8', () => {
+    // Maximum agreement on every item: reversed items contribute 0
+    expect(scoreScreening('PSS10', Array(10).fill(4)).score).toBe(24);
+    // Answers that signal most stress on every item
+    const result = scoreScreening('PSS10', [4, 4, 4, 0, 0, 4, 0, 0, 4, 4]);
+    expect(result.score).toBe(40);
+    expect(result.severityBand).toBe('high');
+    expect(result.subscales).toEqual({ helplessness: 24, 'self-efficacy': 16 });
+  });
+  
+  test.each([
+    ['PHQ9', [1, 1, 1, 1, 1, 1, 1, 1, 1], 9, 'mild'],
+    ['GAD7', [3, 3, 3, 3, 3, 0, 0], 15, 'severe'],
+    ['K10', Array(10).fill(1), 10, 'low'],
+    ['K10', Array(10).fill(3), 30, 'very-high'],
+    ['AUDITC', [1, 1, 2], 4, 'low-risk'],
+    ['AUDITC', [4, 4, 3], 11, 'possible-dependence'],
+    ['ISI', [2, 2, 2, 2, 2, 2, 2], 14, 'subthreshold'],
+    ['ISI', [4, 4, 4, 3, 3, 2, 2], 22, 'severe'],
+    ['WHO5', [1, 1, 1, 2, 2], 28, 'very-low'],
+    ['WHO5', [3, 3, 3, 2, 2], 52, 'good']
+  ])('%s scores %j as %i (%s)', (type, answers, score, severityBand) => {
+    expect(scoreScreening(type, answers)).toMatchObject({ score, severityBand });
+  });
+  
+  test('reports clinical cut-offs', () => {
+    expect(scoreScreening('PHQ9', Array(9).fill(1)).cutoffs).toEqual({ 'probable-depression': false });
+    expect(scoreScreening('AUDITC', [2, 2, 1]).cutoffs).toEqual({ 'positive-screen': true });
+  });
+  
+  test('rejects answers outside the instrument range', () => {
+    expect(() => scoreScreening('K10', Array(10).fill(0))).toThrow('must be integers between 1 and 5');
+    expect(() => scoreScreening('WHO5', [1, 2, 3])).toThrow('requires exactly 5 answers');
+    expect(() => scoreScreening('PHQ9', Array(9).fill(4))).toThrow('must be integers');
+    expect(() => scoreScreening('NOPE', [])).toThrow('Unknown screening type');
+  });
+  
+  test('has English and Hindi text for every band', () => {
+    listInstruments().forEach(type => {
+      getInstrument(type).bands.forEach(band => {
+        expect(band.interpretation.hi).toEqual(expect.any(String));
+      });
+    });
+    expect(getRecommendations('K10', 'high', 'hi')).toEqual(getRecommendations('K10', 'high', 'en'));
+  });
+});
+
+describe('PHQ-9 item 9 safety rule', () => {
+  const mildWithItem9 = [1, 1, 1, 1, 1, 0, 0, 0, 1];
+  
+  test('flags any positive item 9 answer even when the total is mild', () => {
+    const result = scoreScreening('PHQ9', mildWithItem9);
+    expect(result.severityBand).toBe('mild');
+    expect(result.safetyFlags).toEqual(['self-harm']);
+    expect(scoreScreening('PHQ9', [3, 3, 3, 3, 3, 3, 3, 3, 0]).safetyFlags).toEqual([]);
+  });
+  
+  test('returns a localised safety message and plan', () => {
+    const safety = getSafetyResponse('PHQ9', ['self-harm'], 'hi');
+    expect(safety.flags).toEqual(['self-harm']);
+    expect(safety.message).toMatch(/काउंसलिंग टीम/);
+    expect(safety.safetyPlan.length).toBeGreaterThan(0);
+    expect(getSafetyResponse('PHQ9', [], 'en')).toBeNull();
+  });
+  
+  test('summarises the flagged answer for staff', () => {
+    expect(describeSafetyFlags('PHQ9', mildWithItem9, ['self-harm']))
+      .toBe('PHQ-9 item 9 answered "Several days"');
+  });
+});
+
+describe('instrument definitions', () => {
+  const base = () => JSON.parse(JSON.stringify({
+    type: 'TEST2',
+    name: 'Test-2',
+    title: { en: 'Test' },
+    description: { en: 'Test' },
+    timeframe: { en: 'Today' },
+    responseOptions: { labels: { en: ['No', 'Yes'] } },
+    items: [{ text: { en: 'One' } }, { text: { en: 'Two' }, reverse: true }],
+    bands: [
+      { id: 'low', max: 1, interpretation: { en: 'Low' }, recommendations: { en: ['Rest'] } },
+      { id: 'high', max: 2, interpretation: { en: 'High' }, recommendations: { en: ['Talk'] } }
+    ]
+  }));
+  
+  test('applies defaults and derives the maximum score', () => {
+    const definition = validateDefinition(base(), 'test.json');
+    expect(definition).toMatchObject({ maxScore: 2, multiplier: 1, subscales: [], cutoffs: [] });
+    expect(definition.responseOptions.min).toBe(0);
+  });
+  
+  test.each([
+    ['a missing English title', d => { d.title = { hi: 'टेस्ट' }; }, '"title.en" is required'],
+    ['mismatched option labels', d => { d.responseOptions.labels.hi = ['नहीं']; }, 'must have 2 labels'],
+    ['bands that skip the maximum', d => { d.bands[1].max = 3; }, 'maximum score (2)'],
+    ['bands out of order', d => { d.bands[1].max = 1; }, 'higher max'],
+    ['a subscale past the last item', d => { d.subscales = [{ id: 's', title: { en: 'S' }, items: [3] }]; }, 'does not exist'],
+    ['a safety rule past the last item', d => {
+      d.safetyRules = [{ id: 'r', item: 3, min: 1, message: { en: 'M' }, safetyPlan: { en: ['Call'] } }];
+    }, 'does not exist']
+  ])('rejects %s', (_, mutate, message) => {
+    const definition = base();
+    mutate(definition);
+    expect(() => validateDefinition(definition, 'test.json')).toThrow(message);
+  });
+});
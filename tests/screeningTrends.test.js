@@ -0,0 +1,61 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn()
+}));
+
+const { analyseTrend, compareScores } = require('../server/services/screeningTrends');
+const { getInstrument } = require('../server/services/instruments');
+
+const history = (scores) => scores.map((score, index) => ({
+  id: `s${index}`,
+  score,
+  severityBand: 'band',
+  createdAt: new Date(Date.UTC(2026, 0, 1 + index * 14))
+}));
+
+describe('compareScores', () => {
+  const phq9 = getInstrument('PHQ9').change;
+  const who5 = getInstrument('WHO5').change;
+  
+  test('treats a PHQ-9 drop of 5 or more as reliable improvement', () => {
+    expect(compareScores(phq9, 16, 11)).toMatchObject({ delta: -5, reliable: true, status: 'reliable-improvement' });
+    expect(compareScores(phq9, 16, 12)).toMatchObject({ reliable: false, status: 'no-reliable-change' });
+    expect(compareScores(phq9, 8, 14).status).toBe('reliable-deterioration');
+  });
+  
+  test('needs a reliable change across the cut-off to be clinically significant', () => {
+    expect(compareScores(phq9, 15, 8).clinicallySignificant).toBe(true);
+    expect(compareScores(phq9, 20, 12).clinicallySignificant).toBe(false);
+    expect(compareScores(phq9, 11, 8).clinicallySignificant).toBe(false);
+  });
+  
+  test('reads WHO-5 increases as improvement', () => {
+    expect(compareScores(who5, 40, 60)).toMatchObject({ status: 'reliable-improvement', clinicallySignificant: true });
+  });
+  
+  test('reports raw change when the instrument has no threshold', () => {
+    expect(compareScores(getInstrument('AUDITC').change, 6, 3))
+      .toEqual({ from: 6, to: 3, delta: -3, reliable: null, status: null, clinicallySignificant: null });
+  });
+});
+
+describe('analyseTrend', () => {
+  test('summarises the series against the previous and first screening', () => {
+    const trend = analyseTrend('PHQ9', history([18, 14, 9]), new Date(Date.UTC(2026, 1, 5)));
+    
+    expect(trend.series.map(point => point.score)).toEqual([18, 14, 9]);
+    expect(trend.daysSinceLast).toBe(7);
+    expect(trend.changeFromPrevious).toMatchObject({ delta: -5, status: 'reliable-improvement' });
+    expect(trend.changeFromBaseline).toMatchObject({ delta: -9, clinicallySignificant: true });
+  });
+  
+  test('has no change indicators for a single screening', () => {
+    const trend = analyseTrend('GAD7', history([7]));
+    expect(trend.count).toBe(1);
+    expect(trend.changeFromPrevious).toBeNull();
+    expect(trend.changeFromBaseline).toBeNull();
+  });
+  
+  test('handles an instrument with no screenings', () => {
+    expect(analyseTrend('ISI', [])).toMatchObject({ count: 0, lastScreenedAt: null, daysSinceLast: null });
+  });
+});
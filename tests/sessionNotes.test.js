@@ -0,0 +1,247 @@
+const mockDb = {
+  $transaction: jest.fn(callback => callback(mockDb)),
+  sessionNote: { findUnique: jest.fn(), create: jest.fn(), updateMany: jest.fn() },
+  sessionNoteVersion: { create: jest.fn() },
+  counsellor: { findMany: jest.fn() },
+  booking: { findMany: jest.fn() },
+  screening: { findMany: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+const {
+  noteSchema,
+  canViewCase,
+  isLocked,
+  lockedAt,
+  saveNote,
+  signNote,
+  buildCaseTimeline,
+  loadCaseTimeline,
+  NOTE_LOCK_HOURS
+} = require('../server/services/sessionNotes');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date(Date.UTC(2026, 0, 7, 12));
+
+const counsellor = { id: 'counsellor-1', supervisorId: 'counsellor-9' };
+
+const booking = (overrides = {}) => ({
+  id: 'booking-1',
+  userId: 'student-1',
+  anonymousId: null,
+  counsellorId: 'counsellor-1',
+  status: 'COMPLETED',
+  timeSlot: new Date(Date.UTC(2026, 0, 7, 10)),
+  shareScreenings: false,
+  ...overrides
+});
+
+const note = (overrides = {}) => ({
+  id: 'note-1',
+  bookingId: 'booking-1',
+  counsellorId: 'counsellor-1',
+  subjective: 'Reports poor sleep before exams.',
+  objective: null,
+  assessment: null,
+  plan: null,
+  version: 1,
+  signedAt: null,
+  createdAt: new Date(now.getTime() - HOUR_MS),
+  updatedAt: new Date(now.getTime() - HOUR_MS),
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDb.sessionNote.findUnique.mockResolvedValue(null);
+  mockDb.sessionNote.create.mockImplementation(({ data }) => Promise.resolve(note({ ...data, versions: undefined })));
+  mockDb.sessionNote.updateMany.mockResolvedValue({ count: 1 });
+  mockDb.counsellor.findMany.mockResolvedValue([]);
+  mockDb.booking.findMany.mockResolvedValue([]);
+  mockDb.screening.findMany.mockResolvedValue([]);
+});
+
+describe('noteSchema', () => {
+  test('needs at least one SOAP field', () => {
+    expect(noteSchema.validate({ plan: 'Review sleep diary next week.' }).error).toBeUndefined();
+    expect(noteSchema.validate({ version: 2 }).error).toBeDefined();
+  });
+});
+
+describe('canViewCase', () => {
+  test('the booking\'s counsellor and their supervisor only', () => {
+    expect(canViewCase({ id: 'counsellor-1' }, counsellor)).toBe(true);
+    expect(canViewCase({ id: 'counsellor-9' }, counsellor)).toBe(true);
+    expect(canViewCase({ id: 'counsellor-2' }, counsellor)).toBe(false);
+    expect(canViewCase({ id: 'counsellor-2' }, { id: 'counsellor-3', supervisorId: null })).toBe(false);
+  });
+});
+
+describe('note locks', () => {
+  test('unsigned notes lock after the lock period', () => {
+    const started = note({ createdAt: now });
+    
+    expect(lockedAt(started)).toEqual(new Date(now.getTime() + NOTE_LOCK_HOURS * HOUR_MS));
+    expect(isLocked(started, now)).toBe(false);
+    expect(isLocked(started, new Date(now.getTime() + NOTE_LOCK_HOURS * HOUR_MS))).toBe(true);
+  });
+  
+  test('signing locks straight away', () => {
+    const signed = note({ signedAt: now });
+    
+    expect(isLocked(signed, now)).toBe(true);
+    expect(lockedAt(signed)).toEqual(now);
+  });
+});
+
+describe('saveNote', () => {
+  test('creates the note with its first version', async () => {
+    const { note: saved, created } = await saveNote(booking(), counsellor, 'user-1', { subjective: 'Low mood.' }, now);
+    
+    expect(created).toBe(true);
+    expect(saved.version).toBe(1);
+    expect(mockDb.sessionNote.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        bookingId: 'booking-1',
+        counsellorId: 'counsellor-1',
+        subjective: 'Low mood.',
+        versions: { create: { version: 1, subjective: 'Low mood.', editedById: 'user-1' } }
+      })
+    });
+  });
+  
+  test('edits add a version holding the full note', async () => {
+    mockDb.sessionNote.findUnique.mockResolvedValue(note());
+    
+    const { note: saved, created } = await saveNote(booking(), counsellor, 'user-1', { plan: 'Sleep hygiene.', version: 1 }, now);
+    
+    expect(created).toBe(false);
+    expect(saved.version).toBe(2);
+    expect(mockDb.sessionNote.updateMany).toHaveBeenCalledWith({
+      where: { id: 'note-1', version: 1, signedAt: null },
+      data: { plan: 'Sleep hygiene.', version: 2 }
+    });
+    expect(mockDb.sessionNoteVersion.create).toHaveBeenCalledWith({
+      data: {
+        noteId: 'note-1',
+        version: 2,
+        subjective: 'Reports poor sleep before exams.',
+        objective: null,
+        assessment: null,
+        plan: 'Sleep hygiene.',
+        editedById: 'user-1'
+      }
+    });
+  });
+  
+  test('only the booking\'s counsellor can write', async () => {
+    await expect(saveNote(booking({ counsellorId: 'counsellor-2' }), counsellor, 'user-1', { plan: 'x' }, now))
+      .rejects.toThrow('Only the booking\'s counsellor can write its note');
+    expect(mockDb.sessionNote.create).not.toHaveBeenCalled();
+  });
+  
+  test('not for requests that never went ahead', async () => {
+    await expect(saveNote(booking({ status: 'DECLINED' }), counsellor, 'user-1', { plan: 'x' }, now))
+      .rejects.toThrow('Notes can only be written for confirmed or past sessions');
+  });
+  
+  test('refuses locked notes and stale versions', async () => {
+    mockDb.sessionNote.findUnique.mockResolvedValue(note({ signedAt: now }));
+    await expect(saveNote(booking(), counsellor, 'user-1', { plan: 'x' }, now)).rejects.toThrow('Note is locked');
+    
+    mockDb.sessionNote.findUnique.mockResolvedValue(note({ createdAt: new Date(now.getTime() - NOTE_LOCK_HOURS * HOUR_MS) }));
+    await expect(saveNote(booking(), counsellor, 'user-1', { plan: 'x' }, now)).rejects.toThrow('Note is locked');
+    
+    mockDb.sessionNote.findUnique.mockResolvedValue(note({ version: 3 }));
+    await expect(saveNote(booking(), counsellor, 'user-1', { plan: 'x', version: 2 }, now))
+      .rejects.toThrow('Note was changed since you opened it');
+    
+    expect(mockDb.sessionNote.updateMany).not.toHaveBeenCalled();
+  });
+  
+  test('a save that loses the race is refused', async () => {
+    mockDb.sessionNote.findUnique.mockResolvedValue(note());
+    mockDb.sessionNote.updateMany.mockResolvedValue({ count: 0 });
+    
+    await expect(saveNote(booking(), counsellor, 'user-1', { plan: 'x' }, now))
+      .rejects.toThrow('Note was changed since you opened it');
+    expect(mockDb.sessionNoteVersion.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('signNote', () => {
+  test('the author signs once', async () => {
+    const signed = await signNote(note(), counsellor, now);
+    expect(signed.signedAt).toEqual(now);
+    
+    await expect(signNote(note({ signedAt: now }), counsellor, now)).rejects.toThrow('Note is already signed');
+  });
+  
+  test('supervisors cannot sign for the author', async () => {
+    await expect(signNote(note(), { id: 'counsellor-9' }, now)).rejects.toThrow('Only the author can sign this note');
+    expect(mockDb.sessionNote.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('buildCaseTimeline', () => {
+  test('lists bookings, notes and screenings newest first', () => {
+    const entries = buildCaseTimeline({
+      bookings: [
+        booking({ sessionNote: note() }),
+        booking({ id: 'booking-0', timeSlot: new Date(Date.UTC(2025, 11, 20, 10)), status: 'NO_SHOW' })
+      ],
+      screenings: [{ id: 'screening-1', createdAt: new Date(Date.UTC(2026, 0, 1)) }]
+    }, now);
+    
+    expect(entries.map(entry => entry.type)).toEqual(['NOTE', 'BOOKING', 'SCREENING', 'BOOKING']);
+    expect(entries[0].note.locked).toBe(false);
+    expect(entries[3].booking.status).toBe('NO_SHOW');
+  });
+});
+
+describe('loadCaseTimeline', () => {
+  test('supervisors also see bookings with counsellors they supervise', async () => {
+    mockDb.counsellor.findMany.mockResolvedValue([{ id: 'counsellor-1' }]);
+    
+    await loadCaseTimeline(booking(), { id: 'counsellor-9' }, now);
+    
+    expect(mockDb.booking.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'student-1', counsellorId: { in: ['counsellor-9', 'counsellor-1'] } }
+    }));
+  });
+  
+  test('screenings only while the student shares them', async () => {
+    mockDb.booking.findMany.mockResolvedValue([booking({ sessionNote: null })]);
+    
+    const { counts } = await loadCaseTimeline(booking(), { id: 'counsellor-1' }, now);
+    expect(counts).toEqual({ bookings: 1, notes: 0, screenings: 0 });
+    expect(mockDb.screening.findMany).not.toHaveBeenCalled();
+    
+    mockDb.booking.findMany.mockResolvedValue([booking({ shareScreenings: true, sessionNote: null })]);
+    mockDb.screening.findMany.mockResolvedValue([{
+      id: 'screening-1',
+      type: 'PHQ9',
+      answers: [1, 1, 1, 1, 0, 0, 0, 0, 0],
+      score: 4,
+      severityBand: 'minimal',
+      createdAt: new Date(Date.UTC(2026, 0, 1))
+    }]);
+    
+    const shared = await loadCaseTimeline(booking(), { id: 'counsellor-1' }, now);
+    expect(shared.counts.screenings).toBe(1);
+    expect(mockDb.screening.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'student-1', consent: true }
+    }));
+  });
+  
+  test('anonymous students are matched only on bookings without an account', async () => {
+    await loadCaseTimeline(booking({ userId: null, anonymousId: 'anon-1' }), { id: 'counsellor-1' }, now);
+    
+    expect(mockDb.booking.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: null, anonymousId: 'anon-1', counsellorId: { in: ['counsellor-1'] } }
+    }));
+  });
+});
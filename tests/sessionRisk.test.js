@@ -0,0 +1,111 @@
+const mockDb = {
+  $transaction: jest.fn(operations => Promise.all(operations)),
+  chatSession: { update: jest.fn(), updateMany: jest.fn() },
+  chatRiskSnapshot: { create: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+const { assessSessionRisk, recordSessionRisk, countHopelessness } = require('../server/services/sessionRisk');
+const { SEVERITY_LEVELS } = require('../server/services/chatClassifier');
+
+const { LOW, MODERATE, HIGH, CRISIS } = SEVERITY_LEVELS;
+const now = new Date(Date.UTC(2026, 0, 7, 12));
+
+const turn = (severity, text = 'hello', extra = {}) => ({
+  classification: { severity, crisis: severity === CRISIS },
+  text,
+  ...extra
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDb.chatSession.update.mockResolvedValue({});
+  mockDb.chatSession.updateMany.mockResolvedValue({ count: 1 });
+  mockDb.chatRiskSnapshot.create.mockImplementation(({ data }) => Promise.resolve({ id: 'snapshot-1', ...data }));
+});
+
+describe('assessSessionRisk', () => {
+  test('maps the score onto the level thresholds', () => {
+    expect(assessSessionRisk(turn(LOW))).toEqual(expect.objectContaining({ score: 0, level: LOW, trend: 'steady' }));
+    expect(assessSessionRisk(turn(MODERATE)).level).toBe(LOW);
+    expect(assessSessionRisk(turn(HIGH))).toEqual(expect.objectContaining({ score: 2.5, level: MODERATE }));
+    expect(assessSessionRisk(turn(HIGH, 'hello', { previous: { riskScore: 3 } })))
+      .toEqual(expect.objectContaining({ score: 4.6, level: HIGH, trend: 'rising' }));
+  });
+  
+  test('earlier turns decay', () => {
+    const calmer = assessSessionRisk(turn(LOW, 'hello', { previous: { riskScore: 10 } }));
+    
+    expect(calmer).toEqual(expect.objectContaining({ score: 7, level: HIGH, trend: 'falling' }));
+    expect(assessSessionRisk(turn(LOW, 'hello', { previous: { riskScore: 7 } })).score).toBe(4.9);
+  });
+  
+  test('a crisis message is a crisis whatever the score', () => {
+    const risk = assessSessionRisk(turn(CRISIS));
+    
+    expect(risk.level).toBe(CRISIS);
+    expect(risk.signals).toEqual([expect.objectContaining({ type: 'message_severity', severity: CRISIS })]);
+  });
+  
+  test('a session that reached crisis never drops below high', () => {
+    const risk = assessSessionRisk(turn(LOW, 'hello', { previous: { riskScore: 0.5, crisisFlaggedAt: now } }));
+    
+    expect(risk.level).toBe(HIGH);
+    expect(risk.signals).toContainEqual({ type: 'prior_crisis', points: 0 });
+    
+    const stillCrisis = assessSessionRisk(turn(CRISIS, 'hello', { previous: { riskScore: 0, crisisFlaggedAt: now } }));
+    expect(stillCrisis.level).toBe(CRISIS);
+  });
+  
+  test('adds points for repeated hopelessness and rising distress', () => {
+    const risk = assessSessionRisk(turn(MODERATE, 'I feel hopeless and worthless', {
+      history: [
+        { sender: 'BOT', severity: LOW, text: 'I hear you.' },
+        { sender: 'USER', text: 'everything is pointless' }
+      ]
+    }));
+    
+    expect(risk.signals.map(signal => signal.type)).toEqual([
+      'message_severity', 'hopelessness', 'repeated_hopelessness', 'escalating_distress'
+    ]);
+    expect(risk.score).toBe(1 + 2 + 1.5 + 1.5);
+    expect(risk.level).toBe(HIGH);
+  });
+});
+
+describe('countHopelessness', () => {
+  test('counts distinct terms on word boundaries', () => {
+    expect(countHopelessness('It is pointless, I want to give up')).toBe(2);
+    expect(countHopelessness('The hopelessly long queue')).toBe(0);
+  });
+});
+
+describe('recordSessionRisk', () => {
+  test('stores the score and a trajectory snapshot', async () => {
+    const risk = assessSessionRisk(turn(HIGH));
+    
+    const snapshot = await recordSessionRisk('session-1', 'message-1', risk, now);
+    
+    expect(snapshot.level).toBe(MODERATE);
+    expect(mockDb.chatSession.update).toHaveBeenCalledWith({
+      where: { id: 'session-1' },
+      data: { riskScore: 2.5, riskLevel: MODERATE }
+    });
+    expect(mockDb.chatSession.updateMany).not.toHaveBeenCalled();
+  });
+  
+  test('flags the first crisis only', async () => {
+    await recordSessionRisk('session-1', 'message-1', assessSessionRisk(turn(CRISIS)), now);
+    
+    expect(mockDb.chatSession.updateMany).toHaveBeenCalledWith({
+      where: { id: 'session-1', crisisFlaggedAt: null },
+      data: { crisisFlaggedAt: now }
+    });
+    expect(mockDb.chatSession.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: { riskScore: 10, riskLevel: CRISIS }
+    }));
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn()
+}));
+
+const {
+  summariseScreenings,
+  summariseChatSession,
+  summariseChatSessions
+} = require('../server/services/sharedHistory');
+const { describeAnswers } = require('../server/services/screeningScorer');
+
+const screening = (id, type, answers, score, severityBand, day) => ({
+  id,
+  type,
+  answers,
+  score,
+  severityBand,
+  createdAt: new Date(Date.UTC(2026, 0, day))
+});
+
+const session = (id, day, messages, overrides = {}) => ({
+  id,
+  startedAt: new Date(Date.UTC(2026, 0, day)),
+  endedAt: null,
+  riskLevel: 'low',
+  crisisFlaggedAt: null,
+  exercises: [],
+  messages,
+  ...overrides
+});
+
+const turn = (category, severity) => [
+  { sender: 'USER', category: null, severity: null },
+  { sender: 'BOT', category, severity }
+];
+
+describe('describeAnswers', () => {
+  test('labels each answer with its item and response option', () => {
+    const responses = describeAnswers('PHQ9', [0, 1, 2, 3, 0, 0, 0, 0, 1]);
+    
+    expect(responses).toHaveLength(9);
+    expect(responses[1]).toMatchObject({ item: 2, value: 1, label: 'Several days' });
+    expect(responses[8].text).toMatch(/better off dead/);
+  });
+  
+  test('uses item-specific options where an instrument has them', () => {
+    const responses = describeAnswers('AUDITC', [0, 0, 0]);
+    
+    expect(responses[0].label).not.toBe(responses[1].label);
+  });
+});
+
+describe('summariseScreenings', () => {
+  const history = [
+    screening('a', 'PHQ9', [2, 2, 2, 2, 2, 2, 2, 1, 1], 16, 'moderate-severe', 1),
+    screening('b', 'GAD7', [1, 1, 1, 1, 1, 1, 1], 7, 'mild', 2),
+    screening('c', 'PHQ9', [1, 1, 1, 1, 1, 1, 1, 1, 0], 8, 'mild', 15)
+  ];
+  
+  test('lists results newest first with item responses and safety flags', () => {
+    const { results } = summariseScreenings(history);
+    
+    expect(results.map(result => result.id)).toEqual(['c', 'b', 'a']);
+    expect(results[0]).toMatchObject({ name: 'PHQ-9', maxScore: 27, safetyFlags: [] });
+    expect(results[2].safetyFlags).toEqual(['self-harm']);
+    expect(results[2].responses).toHaveLength(9);
+  });
+  
+  test('adds a trend per instrument taken', () => {
+    const { trends } = summariseScreenings(history);
+    const phq9 = trends.find(trend => trend.type === 'PHQ9');
+    
+    expect(trends.map(trend => trend.type)).toEqual(['PHQ9', 'GAD7']);
+    expect(phq9.count).toBe(2);
+    expect(phq9.changeFromPrevious).toMatchObject({ delta: -8, status: 'reliable-improvement' });
+  });
+});
+
+describe('chat summaries', () => {
+  test('count topics and peak severity from classified bot replies', () => {
+    const summary = summariseChatSession(session('s1', 3, [
+      ...turn('ANXIETY', 'moderate'),
+      ...turn('ANXIETY', 'low'),
+      ...turn('SLEEP', 'high')
+    ], {
+      exercises: [{ exercise: 'BOX_BREATHING', status: 'COMPLETED' }]
+    }));
+    
+    expect(summary).toMatchObject({
+      userMessageCount: 3,
+      peakSeverity: 'high',
+      topics: [{ category: 'ANXIETY', count: 2 }, { category: 'SLEEP', count: 1 }],
+      exercises: [{ exercise: 'BOX_BREATHING', status: 'COMPLETED' }]
+    });
+  });
+  
+  test('never include message text', () => {
+    const summary = summariseChatSession(session('s1', 3, [
+      { sender: 'USER', text: 'private words', category: null, severity: null },
+      { sender: 'BOT', text: 'reply', category: 'STRESS', severity: 'low' }
+    ]));
+    
+    expect(JSON.stringify(summary)).not.toMatch(/private words/);
+  });
+  
+  test('combine sessions and flag any crisis', () => {
+    const summary = summariseChatSessions([
+      session('s2', 10, turn('STRESS', 'low')),
+      session('s1', 3, [...turn('STRESS', 'crisis'), ...turn('LONELINESS', 'moderate')], {
+        crisisFlaggedAt: new Date(Date.UTC(2026, 0, 3))
+      })
+    ]);
+    
+    expect(summary).toMatchObject({
+      sessionCount: 2,
+      lastChatAt: new Date(Date.UTC(2026, 0, 10)),
+      peakSeverity: 'crisis',
+      crisisFlagged: true,
+      topics: [{ category: 'STRESS', count: 2 }, { category: 'LONELINESS', count: 1 }]
+    });
+  });
+  
+  test('handle a student with no consented sessions', () => {
+    expect(summariseChatSessions([])).toMatchObject({
+      sessionCount: 0,
+      lastChatAt: null,
+      peakSeverity: null,
+      crisisFlagged: false,
+      topics: []
+    });
+  });
+});
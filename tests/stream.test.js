@@ -0,0 +1,163 @@
+const mockDb = {
+  chatSession: { findFirst: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+jest.mock('@prisma/client/runtime', () => ({
+  PrismaClientKnownRequestError: class PrismaClientKnownRequestError extends Error {}
+}), { virtual: true });
+
+const http = require('http');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const streamRoutes = require('../server/routes/stream');
+const { publishToSession, subscriberCount, sessionChannel, STAFF_CHANNEL } = require('../server/services/chatStream');
+const { crisisEvents } = require('../server/services/crisisEscalation');
+
+// Stands in for the access token cookie; the router keeps a user set here
+const buildApp = (user = null) => {
+  const app = express();
+  app.use(cookieParser());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/v1/stream', streamRoutes);
+  return app;
+};
+
+/**
+ * Open an event stream and collect frames until `done` returns true
+ * The connection is closed afterwards, as a browser tab closing would
+ */
+const readStream = (app, path, { cookie, done }) => new Promise((resolve, reject) => {
+  const server = app.listen(0, () => {
+    const req = http.get({
+      port: server.address().port,
+      path,
+      headers: cookie ? { Cookie: cookie } : {}
+    }, (res) => {
+      let body = '';
+      const finish = () => {
+        req.destroy();
+        server.close();
+        resolve({ status: res.statusCode, headers: res.headers, body });
+      };
+      
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        if (done(body)) {
+          finish();
+        }
+      });
+      res.on('end', finish);
+    });
+    req.on('error', reject);
+  });
+});
+
+// Let the server see the client disconnect
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDb.chatSession.findFirst.mockResolvedValue({ id: 'session-1', endedAt: null });
+});
+
+describe('GET /api/v1/stream/chat/:sessionId', () => {
+  test('needs a user or anonymous session', async () => {
+    const res = await request(buildApp()).get('/api/v1/stream/chat/session-1');
+    
+    expect(res.status).toBe(400);
+    expect(mockDb.chatSession.findFirst).not.toHaveBeenCalled();
+  });
+  
+  test('only the student or the counsellor who took over can subscribe', async () => {
+    mockDb.chatSession.findFirst.mockResolvedValue(null);
+    
+    const res = await request(buildApp({ id: 'student-2', role: 'STUDENT' }))
+      .get('/api/v1/stream/chat/session-1')
+      .set('Cookie', 'anonymousId=anon-2');
+    
+    expect(res.status).toBe(404);
+    expect(mockDb.chatSession.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        id: 'session-1',
+        OR: [{ userId: 'student-2' }, { takenOverById: 'student-2' }, { anonymousId: 'anon-2' }]
+      }
+    }));
+  });
+  
+  test('ended sessions cannot be subscribed to', async () => {
+    mockDb.chatSession.findFirst.mockResolvedValue({ id: 'session-1', endedAt: new Date() });
+    
+    const res = await request(buildApp()).get('/api/v1/stream/chat/session-1').set('Cookie', 'anonymousId=anon-1');
+    
+    expect(res.status).toBe(410);
+  });
+  
+  test('subscribes to the session channel until the client disconnects', async () => {
+    const channel = sessionChannel('session-1');
+    
+    const res = await readStream(buildApp(), '/api/v1/stream/chat/session-1', {
+      cookie: 'anonymousId=anon-1',
+      done: (body) => {
+        if (body.includes('event: connected') && !body.includes('event: message')) {
+          expect(subscriberCount(channel)).toBe(1);
+          publishToSession('session-1', 'message', { sender: 'BOT', message: 'Hello' });
+        }
+        return /event: message\ndata: .*\n\n/.test(body);
+      }
+    });
+    
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/event-stream');
+    expect(res.body).toContain(`"channel":"${channel}"`);
+    expect(res.body).toContain('data: {"sender":"BOT","message":"Hello"}');
+    
+    await settle();
+    expect(subscriberCount(channel)).toBe(0);
+  });
+});
+
+describe('GET /api/v1/stream/staff', () => {
+  test('students are refused', async () => {
+    const anonymous = await request(buildApp()).get('/api/v1/stream/staff');
+    expect(anonymous.status).toBe(401);
+    
+    const student = await request(buildApp({ id: 'student-1', role: 'STUDENT' })).get('/api/v1/stream/staff');
+    expect(student.status).toBe(403);
+    expect(subscriberCount(STAFF_CHANNEL)).toBe(0);
+  });
+  
+  test('counsellors receive crisis alert events without the excerpt', async () => {
+    const res = await readStream(buildApp({ id: 'counsellor-1', role: 'COUNSELLOR' }), '/api/v1/stream/staff', {
+      done: (body) => {
+        if (body.includes('event: connected') && !body.includes('event: crisis_alert')) {
+          crisisEvents.emit('alert:escalated', {
+            id: 'alert-1',
+            source: 'CHAT',
+            status: 'OPEN',
+            sessionId: 'session-1',
+            escalationLevel: 1,
+            excerpt: 'I want to end it all'
+          });
+        }
+        return /event: crisis_alert\ndata: .*\n\n/.test(body);
+      }
+    });
+    
+    expect(res.status).toBe(200);
+    expect(res.body).toContain('"event":"escalated"');
+    expect(res.body).toContain('"id":"alert-1"');
+    expect(res.body).not.toContain('end it all');
+    
+    await settle();
+    expect(subscriberCount(STAFF_CHANNEL)).toBe(0);
+  });
+});
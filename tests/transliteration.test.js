@@ -0,0 +1,61 @@
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn()
+}));
+
+const { normaliseDevanagari, foldWord, sameWord } = require('../server/services/transliteration');
+const { classify } = require('../server/services/chatClassifier');
+
+describe('normaliseDevanagari', () => {
+  test('drops nukta, chandrabindu and zero-width joiners', () => {
+    expect(normaliseDevanagari('ज़िंदगी')).toBe('जिंदगी');
+    expect(normaliseDevanagari('हूँ')).toBe('हूं');
+    expect(normaliseDevanagari('क्‍या')).toBe('क्या');
+  });
+});
+
+describe('foldWord', () => {
+  test.each([
+    ['मरना', 'marna'],
+    ['मरना', 'marnaa'],
+    ['मुझे', 'mujhe'],
+    ['मुझे', 'muje'],
+    ['नहीं', 'nhi'],
+    ['है', 'h'],
+    ['घबराहट', 'ghabrahat'],
+    ['परीक्षा', 'pariksha'],
+    ['पढ़ाई', 'padhai']
+  ])('folds %s and %s together', (devanagari, roman) => {
+    expect(foldWord(devanagari)).toBe(foldWord(roman));
+  });
+  
+  test.each([
+    ['खत्म', 'khatam'],
+    ['ज़िंदगी', 'zindagi'],
+    ['टेंशन', 'tension'],
+    ['बहुत', 'bohot']
+  ])('treats %s and %s as the same word', (devanagari, roman) => {
+    expect(sameWord(foldWord(devanagari), foldWord(roman))).toBe(true);
+  });
+  
+  test('keeps unrelated English words apart', () => {
+    expect(sameWord(foldWord('परेशान'), foldWord('purse'))).toBe(false);
+    expect(sameWord(foldWord('उदास'), foldWord('ads'))).toBe(false);
+  });
+});
+
+describe('classify with Hindi triggers', () => {
+  test.each([
+    ['bahut tension hai', 'STRESS_BURNOUT'],
+    ['मुझे बहुत टेंशन है', 'STRESS_BURNOUT'],
+    ['neend nahi aati raat bhar', 'SLEEP'],
+    ['मैं बहुत उदास हूं', 'DEPRESSION'],
+    ['bahut akela mehsoos hota hai', 'SOCIAL_ISOLATION'],
+    ['padhai mein dhyan nahi lagta', 'ACADEMIC_STRESS']
+  ])('classifies "%s" as %s', (text, category) => {
+    expect(classify(text).category).toBe(category);
+  });
+  
+  test('English loanwords alone stay with the English triggers', () => {
+    expect(classify('this exam is killing me').category).toBe('GENERAL');
+  });
+});
@@ -0,0 +1,204 @@
+const mockDb = {
+  counsellor: { findMany: jest.fn() },
+  screening: { findMany: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+const mockGetAvailableSlots = jest.fn();
+jest.mock('../server/services/availability', () => ({
+  getAvailableSlots: (...args) => mockGetAvailableSlots(...args)
+}));
+
+const {
+  getIntakeQuestions,
+  summariseScreenings,
+  triageIntake,
+  describeReasons,
+  loadTriageScreenings,
+  recommendCounsellors,
+  intakeAnswersSchema,
+  URGENCY,
+  URGENCY_PRIORITY
+} = require('../server/services/triage');
+const { SPECIALTIES } = require('../server/services/counsellorProfiles');
+
+const now = new Date(Date.UTC(2026, 0, 5, 9));
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+const hoursFromNow = (hours) => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+const answers = (overrides) => ({
+  concern: 'anxiety',
+  selfHarm: 'never',
+  functioning: 'coping',
+  duration: 'under-2-weeks',
+  ...overrides
+});
+
+// PHQ-9 answers: item 9 is the self-harm item
+const phq9 = (severityBand, { selfHarm = 0, age = 3, id = 'screening-1' } = {}) => ({
+  id,
+  type: 'PHQ9',
+  answers: [1, 1, 1, 1, 1, 1, 1, 1, selfHarm],
+  severityBand,
+  createdAt: daysAgo(age)
+});
+
+const ruleIds = (result) => result.reasons.map(reason => reason.id);
+
+describe('Intake questions', () => {
+  test('are localised with an English fallback', () => {
+    const hindi = getIntakeQuestions('hi');
+    expect(hindi.map(question => question.id)).toEqual(['concern', 'selfHarm', 'functioning', 'duration']);
+    expect(hindi[0].text).toBe('आप किस बारे में सबसे ज़्यादा मदद चाहते हैं?');
+    
+    const fallback = getIntakeQuestions('fr');
+    expect(fallback[2].options[0]).toEqual({ value: 'coping', label: 'Mostly managing' });
+  });
+  
+  test('answers must use the listed options for every question', () => {
+    expect(intakeAnswersSchema.validate(answers()).error).toBeUndefined();
+    expect(intakeAnswersSchema.validate(answers({ selfHarm: 'sometimes' })).error).toBeDefined();
+    expect(intakeAnswersSchema.validate({ concern: 'stress' }).error).toBeDefined();
+  });
+  
+  test('every concern except other is a counsellor specialty', () => {
+    const concerns = getIntakeQuestions('en')[0].options.map(option => option.value);
+    expect(concerns.filter(concern => !SPECIALTIES.includes(concern))).toEqual(['other']);
+  });
+});
+
+describe('summariseScreenings', () => {
+  test('keeps the latest screening of each type with its level and safety flags', () => {
+    const summary = summariseScreenings([
+      phq9('mild', { id: 'old', age: 20 }),
+      phq9('severe', { id: 'latest', age: 2, selfHarm: 2 }),
+      { id: 'gad', type: 'GAD7', answers: [1, 1, 1, 1, 1, 1, 1], severityBand: 'moderate', createdAt: daysAgo(1) }
+    ], now);
+    
+    expect(summary).toEqual([
+      { id: 'latest', type: 'PHQ9', severityBand: 'severe', level: 'severe', safetyFlags: ['self-harm'], ageDays: 2 },
+      { id: 'gad', type: 'GAD7', severityBand: 'moderate', level: 'moderate', safetyFlags: [], ageDays: 1 }
+    ]);
+  });
+  
+  test('keeps the band when stored answers no longer score', () => {
+    const [summary] = summariseScreenings([{ ...phq9('severe'), answers: [1, 2] }], now);
+    expect(summary.level).toBe('severe');
+    expect(summary.safetyFlags).toEqual([]);
+  });
+});
+
+describe('triageIntake', () => {
+  test('is routine with no concerning answers or screenings', () => {
+    expect(triageIntake(answers(), [phq9('mild')], now)).toEqual({
+      urgency: URGENCY.ROUTINE,
+      priority: URGENCY_PRIORITY.ROUTINE,
+      reasons: []
+    });
+  });
+  
+  test('thoughts of self-harm at intake are same day', () => {
+    const result = triageIntake(answers({ selfHarm: 'some-days' }), [], now);
+    expect(result.urgency).toBe(URGENCY.SAME_DAY);
+    expect(result.priority).toBe(0);
+    expect(ruleIds(result)).toEqual(['intake-self-harm']);
+  });
+  
+  test('a recent screening safety flag is same day even with a low total', () => {
+    const result = triageIntake(answers(), [phq9('mild', { selfHarm: 1, age: 10 })], now);
+    expect(result.urgency).toBe(URGENCY.SAME_DAY);
+    expect(ruleIds(result)).toEqual(['screening-safety-recent']);
+  });
+  
+  test('an older screening safety flag is this week', () => {
+    const result = triageIntake(answers(), [phq9('mild', { selfHarm: 1, age: 30 })], now);
+    expect(result.urgency).toBe(URGENCY.THIS_WEEK);
+    expect(ruleIds(result)).toEqual(['screening-safety-earlier']);
+  });
+  
+  test('a severe screening is this week, or same day when not coping', () => {
+    expect(triageIntake(answers(), [phq9('moderate-severe')], now).urgency).toBe(URGENCY.THIS_WEEK);
+    
+    const result = triageIntake(answers({ functioning: 'not-coping' }), [phq9('severe')], now);
+    expect(result.urgency).toBe(URGENCY.SAME_DAY);
+    expect(ruleIds(result)).toEqual(['severe-not-coping', 'screening-severe', 'not-coping']);
+  });
+  
+  test('a moderate screening is only this week when struggling', () => {
+    expect(triageIntake(answers(), [phq9('moderate')], now).urgency).toBe(URGENCY.ROUTINE);
+    expect(triageIntake(answers({ functioning: 'struggling' }), [phq9('moderate')], now).urgency).toBe(URGENCY.THIS_WEEK);
+  });
+  
+  test('not coping alone is this week', () => {
+    expect(triageIntake(answers({ functioning: 'not-coping' }), [], now).urgency).toBe(URGENCY.THIS_WEEK);
+  });
+  
+  test('reasons are described for staff from their ids', () => {
+    expect(describeReasons(['intake-self-harm', 'retired-rule'])).toEqual(['Reported thoughts of self-harm at intake']);
+  });
+});
+
+describe('loadTriageScreenings', () => {
+  beforeEach(() => {
+    mockDb.screening.findMany.mockReset().mockResolvedValue([]);
+  });
+  
+  test('only loads consented screenings from the last 60 days', async () => {
+    await loadTriageScreenings('user-1', 'anon-1', now);
+    
+    expect(mockDb.screening.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'user-1', consent: true, createdAt: { gte: daysAgo(60) } }
+    }));
+  });
+  
+  test('needs a user or anonymous session', async () => {
+    await expect(loadTriageScreenings(null, null, now)).resolves.toEqual([]);
+    expect(mockDb.screening.findMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('recommendCounsellors', () => {
+  const counsellor = (id, name, specialties) => ({ id, name, department: 'Wellness', room: null, specialties, isActive: true });
+  const slotsAt = (hours) => hours.map(hour => ({ start: hoursFromNow(hour), end: hoursFromNow(hour + 1) }));
+  
+  beforeEach(() => {
+    mockDb.counsellor.findMany.mockReset().mockResolvedValue([
+      counsellor('c-busy', 'Dr. Busy', ['anxiety']),
+      counsellor('c-later', 'Dr. Later', []),
+      counsellor('c-match', 'Dr. Match', ['anxiety']),
+      counsellor('c-soon', 'Dr. Soon', ['stress'])
+    ]);
+    mockGetAvailableSlots.mockReset().mockImplementation(({ id }) => Promise.resolve({
+      'c-busy': [],
+      'c-later': slotsAt([30]),
+      'c-match': slotsAt([20]),
+      'c-soon': slotsAt([4])
+    }[id]));
+  });
+  
+  test('ranks counsellors with a slot in the window, then matching specialties, then earliest slot', async () => {
+    const ranked = await recommendCounsellors({ concern: 'anxiety', urgency: URGENCY.THIS_WEEK }, now);
+    
+    expect(ranked.map(item => item.id)).toEqual(['c-match', 'c-soon', 'c-later', 'c-busy']);
+    expect(ranked[0]).toMatchObject({ matchesConcern: true, nextSlot: hoursFromNow(20) });
+    expect(ranked[3].nextSlot).toBeNull();
+    expect(mockGetAvailableSlots).toHaveBeenCalledWith(expect.objectContaining({ id: 'c-busy' }), now, hoursFromNow(7 * 24), now);
+  });
+  
+  test('same-day searches the next 24 hours and also matches crisis specialists', async () => {
+    mockDb.counsellor.findMany.mockResolvedValue([
+      counsellor('c-soon', 'Dr. Soon', ['stress']),
+      counsellor('c-crisis', 'Dr. Crisis', ['crisis'])
+    ]);
+    mockGetAvailableSlots.mockImplementation(() => Promise.resolve(slotsAt([6])));
+    
+    const ranked = await recommendCounsellors({ concern: 'sleep', urgency: URGENCY.SAME_DAY, department: 'Wellness' }, now);
+    
+    expect(ranked.map(item => item.id)).toEqual(['c-crisis', 'c-soon']);
+    expect(mockDb.counsellor.findMany).toHaveBeenCalledWith({ where: { isActive: true, department: 'Wellness' } });
+    expect(mockGetAvailableSlots).toHaveBeenCalledWith(expect.anything(), now, hoursFromNow(24), now);
+  });
+});
@@ -0,0 +1,328 @@
+const mockDb = {
+  $transaction: jest.fn(callback => callback(mockDb)),
+  counsellor: { count: jest.fn(), findFirst: jest.fn(), findUnique: jest.fn() },
+  availabilityRule: { findMany: jest.fn() },
+  availabilityException: { findMany: jest.fn() },
+  booking: { findMany: jest.fn(), create: jest.fn() },
+  waitlistEntry: { findFirst: jest.fn(), create: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  waitlistOffer: { findMany: jest.fn(), findUnique: jest.fn(), create: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  job: { create: jest.fn(), updateMany: jest.fn() },
+  notification: { create: jest.fn() },
+  screening: { findMany: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockDb)
+}));
+
+const mockQueueEmail = jest.fn();
+jest.mock('../server/services/mailer', () => ({
+  sendEmail: jest.fn(),
+  queueEmail: (...args) => mockQueueEmail(...args)
+}));
+
+const mockNotifyBookingChange = jest.fn();
+jest.mock('../server/services/bookingNotifications', () => ({
+  notifyBookingChange: (...args) => mockNotifyBookingChange(...args),
+  formatSessionTime: (date) => new Date(date).toISOString()
+}));
+
+const mockRaiseCrisisAlert = jest.fn();
+jest.mock('../server/services/crisisEscalation', () => ({
+  raiseCrisisAlert: (...args) => mockRaiseCrisisAlert(...args)
+}));
+
+const {
+  getFreedSlot,
+  checkWindows,
+  joinWaitlist,
+  offerSlot,
+  releaseOffer,
+  claimOffer,
+  expireOffer,
+  offerKey,
+  OFFER_JOB
+} = require('../server/services/waitlist');
+
+// Monday 5 January 2026; the freed slot is at 14:00 UTC
+const now = new Date(Date.UTC(2026, 0, 5));
+const freedSlot = new Date(Date.UTC(2026, 0, 5, 14));
+const at = (hour) => new Date(Date.UTC(2026, 0, 5, hour));
+
+const counsellor = {
+  id: 'counsellor-1',
+  name: 'Dr. Sarah Johnson',
+  department: 'Student Wellness',
+  timezone: 'UTC',
+  sessionMinutes: 50,
+  bufferMinutes: 10,
+  isActive: true
+};
+
+const entry = (overrides) => ({
+  id: 'entry-1',
+  userId: 'user-1',
+  anonymousId: null,
+  counsellorId: null,
+  department: 'Student Wellness',
+  contactPreference: 'EMAIL',
+  anonymity: true,
+  notes: 'Exam stress',
+  status: 'WAITING',
+  user: {
+    id: 'user-1',
+    email: 'priya@example.com',
+    passwordHash: 'hash',
+    preferredLanguage: 'en'
+  },
+  ...overrides
+});
+
+const offer = (overrides) => ({
+  id: 'offer-1',
+  entryId: 'entry-1',
+  counsellorId: 'counsellor-1',
+  timeSlot: freedSlot,
+  status: 'OFFERED',
+  expiresAt: at(2),
+  entry: entry({ status: 'OFFERED' }),
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDb.counsellor.count.mockResolvedValue(1);
+  mockDb.counsellor.findFirst.mockResolvedValue(counsellor);
+  mockDb.counsellor.findUnique.mockResolvedValue(counsellor);
+  mockDb.availabilityRule.findMany.mockResolvedValue([{ weekday: 1, startTime: '09:00', endTime: '17:00' }]);
+  mockDb.availabilityException.findMany.mockResolvedValue([]);
+  mockDb.booking.findMany.mockResolvedValue([]);
+  mockDb.booking.create.mockImplementation(({ data }) => Promise.resolve({ id: 'booking-9', ...data }));
+  mockDb.waitlistEntry.findFirst.mockResolvedValue(null);
+  mockDb.waitlistEntry.create.mockImplementation(({ data }) => Promise.resolve({ id: 'entry-1', ...data }));
+  mockDb.waitlistEntry.update.mockResolvedValue({});
+  mockDb.waitlistEntry.updateMany.mockResolvedValue({ count: 1 });
+  mockDb.waitlistOffer.findMany.mockResolvedValue([]);
+  mockDb.waitlistOffer.create.mockImplementation(({ data }) => Promise.resolve({ id: 'offer-1', status: 'OFFERED', ...data }));
+  mockDb.waitlistOffer.update.mockResolvedValue({});
+  mockDb.waitlistOffer.updateMany.mockResolvedValue({ count: 1 });
+  mockDb.job.create.mockImplementation(({ data }) => Promise.resolve({ id: 'job-1', ...data }));
+  mockDb.job.updateMany.mockResolvedValue({ count: 1 });
+  mockDb.notification.create.mockResolvedValue({ id: 'notification-1' });
+  mockNotifyBookingChange.mockResolvedValue();
+  mockDb.screening.findMany.mockResolvedValue([]);
+  mockRaiseCrisisAlert.mockResolvedValue({ id: 'alert-1' });
+});
+
+describe('getFreedSlot', () => {
+  test('frees the old time of cancelled, declined and moved bookings', () => {
+    const confirmed = { status: 'CONFIRMED', timeSlot: freedSlot };
+    
+    expect(getFreedSlot(confirmed, { status: 'CANCELLED', timeSlot: freedSlot })).toEqual(freedSlot);
+    expect(getFreedSlot({ status: 'REQUESTED', timeSlot: freedSlot }, { status: 'DECLINED', timeSlot: freedSlot })).toEqual(freedSlot);
+    expect(getFreedSlot({ status: 'RESCHEDULE_PROPOSED', timeSlot: freedSlot }, { status: 'CONFIRMED', timeSlot: at(16) }))
+      .toEqual(freedSlot);
+  });
+  
+  test('keeps slots that are still in use', () => {
+    expect(getFreedSlot({ status: 'CONFIRMED', timeSlot: freedSlot }, { status: 'RESCHEDULE_PROPOSED', timeSlot: freedSlot }))
+      .toBeNull();
+    expect(getFreedSlot({ status: 'CONFIRMED', timeSlot: freedSlot }, { status: 'COMPLETED', timeSlot: freedSlot })).toBeNull();
+  });
+});
+
+describe('joining', () => {
+  const windows = [
+    { startsAt: at(9), endsAt: at(17) },
+    { startsAt: new Date(Date.UTC(2026, 0, 7, 9)), endsAt: new Date(Date.UTC(2026, 0, 7, 12)) }
+  ];
+  
+  test('checks the preferred windows', () => {
+    expect(() => checkWindows([], now)).toThrow('between 1 and 5');
+    expect(() => checkWindows([{ startsAt: new Date(Date.UTC(2025, 11, 1)), endsAt: new Date(Date.UTC(2025, 11, 2)) }], now))
+      .toThrow('end in the future');
+    expect(() => checkWindows([{ startsAt: new Date(Date.UTC(2026, 5, 1)), endsAt: new Date(Date.UTC(2026, 5, 2)) }], now))
+      .toThrow('within the next 60 days');
+    expect(() => checkWindows(windows, now)).not.toThrow();
+  });
+  
+  test('waits until the latest window ends', async () => {
+    await joinWaitlist({ userId: 'user-1' }, { department: 'Student Wellness', windows, contactPreference: 'IN_APP' }, now);
+    
+    expect(mockDb.counsellor.count).toHaveBeenCalledWith({
+      where: { department: 'Student Wellness', isActive: true }
+    });
+    expect(mockDb.waitlistEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({
+        userId: 'user-1',
+        counsellorId: null,
+        department: 'Student Wellness',
+        expiresAt: new Date(Date.UTC(2026, 0, 7, 12))
+      })
+    }));
+  });
+  
+  test('keeps intake answers for the booking a claim makes', async () => {
+    const intake = { concern: 'anxiety', selfHarm: 'never', functioning: 'coping' };
+    
+    await joinWaitlist({ userId: 'user-1' }, { department: 'Student Wellness', windows, contactPreference: 'IN_APP', intake }, now);
+    
+    expect(mockDb.waitlistEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ intake })
+    }));
+  });
+  
+  test('refuses a second entry for the same counsellor or department', async () => {
+    mockDb.waitlistEntry.findFirst.mockResolvedValue(entry());
+    
+    await expect(joinWaitlist({ userId: 'user-1' }, { department: 'Student Wellness', windows, contactPreference: 'IN_APP' }, now))
+      .rejects.toThrow('Already on this waitlist');
+    expect(mockDb.waitlistEntry.create).not.toHaveBeenCalled();
+  });
+  
+  test('needs an active counsellor to wait for', async () => {
+    mockDb.counsellor.count.mockResolvedValue(0);
+    
+    await expect(joinWaitlist({ userId: 'user-1' }, { counsellorId: 'counsellor-9', windows, contactPreference: 'IN_APP' }, now))
+      .rejects.toThrow('Counsellor not found');
+  });
+});
+
+describe('offerSlot', () => {
+  test('holds the slot for the longest-waiting student whose windows fit', async () => {
+    mockDb.waitlistEntry.findFirst.mockResolvedValue(entry());
+    
+    const made = await offerSlot('counsellor-1', freedSlot, now);
+    
+    expect(mockDb.waitlistEntry.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({
+        status: 'WAITING',
+        OR: [
+          { counsellorId: 'counsellor-1' },
+          { counsellorId: null, department: 'Student Wellness' }
+        ],
+        windows: { some: { startsAt: { lte: freedSlot }, endsAt: { gte: new Date(Date.UTC(2026, 0, 5, 14, 50)) } } },
+        offers: { none: { counsellorId: 'counsellor-1', timeSlot: freedSlot } }
+      }),
+      orderBy: { createdAt: 'asc' }
+    }));
+    expect(mockDb.waitlistEntry.update).toHaveBeenCalledWith({ where: { id: 'entry-1' }, data: { status: 'OFFERED' } });
+    expect(made.expiresAt).toEqual(at(2));
+    expect(mockDb.job.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ type: OFFER_JOB, key: offerKey('offer-1'), runAt: at(2) })
+    });
+  });
+  
+  test('tells the student in-app and by email if they asked for email', async () => {
+    mockDb.waitlistEntry.findFirst.mockResolvedValue(entry());
+    
+    await offerSlot('counsellor-1', freedSlot, now);
+    
+    expect(mockDb.notification.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ userId: 'user-1', type: 'waitlist_offer' })
+    });
+    expect(mockQueueEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'priya@example.com' }));
+    expect(JSON.stringify(mockQueueEmail.mock.calls)).not.toMatch(/Exam stress/);
+  });
+  
+  test('closes the claim before booking closes for the slot', async () => {
+    mockDb.waitlistEntry.findFirst.mockResolvedValue(entry({ contactPreference: 'IN_APP' }));
+    
+    const soon = new Date(now.getTime() + 3 * 60 * 60 * 1000);
+    mockDb.availabilityRule.findMany.mockResolvedValue([{ weekday: 1, startTime: '00:00', endTime: '23:00' }]);
+    const made = await offerSlot('counsellor-1', soon, now);
+    
+    expect(made.expiresAt).toEqual(new Date(now.getTime() + 60 * 60 * 1000));
+    expect(mockQueueEmail).not.toHaveBeenCalled();
+  });
+  
+  test('does nothing when the slot has been taken again', async () => {
+    mockDb.booking.findMany.mockResolvedValue([{ timeSlot: freedSlot }]);
+    
+    await expect(offerSlot('counsellor-1', freedSlot, now)).resolves.toBeNull();
+    expect(mockDb.waitlistEntry.findFirst).not.toHaveBeenCalled();
+    expect(mockDb.waitlistOffer.create).not.toHaveBeenCalled();
+  });
+  
+  test('does nothing when nobody is waiting for it', async () => {
+    await expect(offerSlot('counsellor-1', freedSlot, now)).resolves.toBeNull();
+    expect(mockDb.job.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('answering an offer', () => {
+  test('claiming books the slot as a request, ignoring its own hold', async () => {
+    const booking = await claimOffer(offer(), now);
+    
+    expect(mockDb.waitlistOffer.updateMany).toHaveBeenCalledWith({
+      where: { id: 'offer-1', status: 'OFFERED', expiresAt: { gt: now } },
+      data: { status: 'CLAIMED', respondedAt: now }
+    });
+    expect(mockDb.waitlistOffer.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ id: { not: 'offer-1' } })
+    }));
+    expect(booking).toMatchObject({
+      userId: 'user-1',
+      counsellorId: 'counsellor-1',
+      timeSlot: freedSlot,
+      status: 'REQUESTED',
+      contactPreference: 'EMAIL',
+      anonymity: true
+    });
+    expect(mockDb.waitlistEntry.update).toHaveBeenCalledWith({ where: { id: 'entry-1' }, data: { status: 'BOOKED' } });
+    expect(mockNotifyBookingChange).toHaveBeenCalledWith('booking-9', { actor: 'STUDENT' });
+  });
+  
+  test('claiming triages the intake given when joining', async () => {
+    const intake = { concern: 'depression', selfHarm: 'most-days', functioning: 'struggling' };
+    
+    const booking = await claimOffer(offer({ entry: entry({ status: 'OFFERED', intake }) }), now);
+    
+    expect(booking.triagePriority).toBe(0);
+    expect(booking.intake.create).toEqual(expect.objectContaining({ answers: intake, urgency: 'SAME_DAY' }));
+    expect(mockRaiseCrisisAlert).toHaveBeenCalledWith(expect.objectContaining({
+      source: 'BOOKING_INTAKE',
+      bookingId: 'booking-9',
+      userId: 'user-1'
+    }));
+  });
+  
+  test('claiming without intake answers raises no alert', async () => {
+    const booking = await claimOffer(offer(), now);
+    
+    expect(booking.triagePriority).toBeUndefined();
+    expect(mockRaiseCrisisAlert).not.toHaveBeenCalled();
+  });
+  
+  test('claiming fails once the offer has expired or been answered', async () => {
+    mockDb.waitlistOffer.updateMany.mockResolvedValue({ count: 0 });
+    
+    await expect(claimOffer(offer(), now)).rejects.toThrow('no longer available');
+    expect(mockDb.booking.create).not.toHaveBeenCalled();
+  });
+  
+  test('declining keeps the student waiting and passes the slot on', async () => {
+    mockDb.waitlistEntry.findFirst.mockResolvedValue(entry({ id: 'entry-2', userId: 'user-2', user: null }));
+    
+    await expect(releaseOffer(offer(), 'DECLINED', { now })).resolves.toBe(true);
+    
+    expect(mockDb.waitlistEntry.updateMany).toHaveBeenCalledWith({
+      where: { id: 'entry-1', status: 'OFFERED' },
+      data: { status: 'WAITING' }
+    });
+    expect(mockDb.job.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ key: offerKey('offer-1') })
+    }));
+    expect(mockDb.waitlistOffer.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ entryId: 'entry-2', timeSlot: freedSlot })
+    });
+  });
+  
+  test('expiry ignores offers that were already answered', async () => {
+    mockDb.waitlistOffer.findUnique.mockResolvedValue(offer({ status: 'CLAIMED' }));
+    
+    await expireOffer({ offerId: 'offer-1' });
+    
+    expect(mockDb.waitlistOffer.updateMany).not.toHaveBeenCalled();
+  });
+});